@@ -0,0 +1,61 @@
+import { useState, useRef, useEffect } from 'react';
+
+/**
+ * Campo para leer códigos de barras con un lector USB o escribiéndolos a mano
+ * @function BarcodeScanInput
+ * @param {Object} props - Props del componente
+ * @param {Function} props.onScan - Función que recibe el código leído (puede ser asíncrona)
+ * @param {string} [props.placeholder] - Texto de ayuda del campo
+ * @param {boolean} [props.disabled=false] - Deshabilita la lectura
+ * @returns {JSX.Element} Campo de lectura que se vacía tras cada código
+ * @description Los lectores USB se comportan como un teclado: escriben el código y pulsan Enter.
+ * El campo toma el foco al mostrarse y lo recupera tras cada lectura para encadenar escaneos
+ */
+const BarcodeScanInput = ({ onScan, placeholder = 'Escanea un código de barras...', disabled = false }) => {
+  const [code, setCode] = useState('');
+  const [processing, setProcessing] = useState(false);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (!disabled && !processing) {
+      inputRef.current?.focus();
+    }
+  }, [disabled, processing]);
+
+  const handleKeyDown = async (e) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+
+    const scanned = code.trim();
+    if (!scanned || processing) return;
+
+    setCode('');
+    setProcessing(true);
+    try {
+      await onScan(scanned);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+        <span className="text-gray-400 text-lg">{processing ? '⏳' : '📷'}</span>
+      </div>
+      <input
+        ref={inputRef}
+        type="text"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        disabled={disabled}
+        autoComplete="off"
+        className="w-full pl-10 pr-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent disabled:opacity-50"
+      />
+    </div>
+  );
+};
+
+export default BarcodeScanInput;
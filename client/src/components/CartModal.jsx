@@ -11,27 +11,59 @@ const CartModal = ({ isOpen, onClose }) => {
 		getTotalItems, 
 		getTotalPrice 
 	} = useCart();
-	const { createOrderFromCart, loading: orderLoading } = useCartOrders();
+	const { createOrderFromCart, previewSplitOrders, loading: orderLoading } = useCartOrders();
 	const [loading, setLoading] = useState(false);
 	const [notes, setNotes] = useState('');
+	const [splitBySupplier, setSplitBySupplier] = useState(true);
+	const [previewGroups, setPreviewGroups] = useState(null);
 
 	if (!isOpen) return null;
 
 	/**
-	 * Maneja la generación del pedido
+	 * Cierra el modal descartando la vista previa para que se recalcule con el carrito actual
+	 */
+	const handleClose = () => {
+		setPreviewGroups(null);
+		onClose();
+	};
+
+	/**
+	 * Muestra la vista previa de los pedidos por proveedor antes de generarlos
+	 */
+	const handlePreview = async () => {
+		if (cartItems.length === 0) return;
+
+		setLoading(true);
+		const result = await previewSplitOrders(cartItems);
+		setLoading(false);
+
+		if (result.success) {
+			setPreviewGroups(result.groups);
+		} else {
+			alert(`Error al preparar los pedidos: ${result.error}`);
+		}
+	};
+
+	/**
+	 * Maneja la generación del pedido (o de un pedido por proveedor)
 	 */
 	const handleGenerateOrder = async () => {
 		if (cartItems.length === 0) return;
 
 		setLoading(true);
 		try {
-			const result = await createOrderFromCart(cartItems, notes);
+			const result = await createOrderFromCart(cartItems, notes, splitBySupplier);
 			
 			if (result.success) {
 				// Limpiar carrito después de generar el pedido exitosamente
 				clearCart();
-				onClose();
-				alert(`¡Pedido ${result.order.orderNumber} creado exitosamente!\nTotal: €${result.order.totalPrice.toFixed(2)}`);
+				handleClose();
+				const summary = result.orders
+					.map(order => `${order.orderNumber}${order.supplier ? ` (${order.supplier.name})` : order.brand ? ` (${order.brand})` : ''}: €${order.totalPrice.toFixed(2)}`)
+					.join('\n');
+				alert(result.orders.length === 1
+					? `¡Pedido creado exitosamente!\n${summary}`
+					: `¡${result.orders.length} pedidos creados exitosamente!\n${summary}`);
 			} else {
 				alert(`Error al generar el pedido: ${result.error}`);
 			}
@@ -87,7 +119,7 @@ const CartModal = ({ isOpen, onClose }) => {
 						)}
 					</div>
 					<button
-						onClick={onClose}
+						onClick={handleClose}
 						className="text-gray-400 hover:text-gray-200 transition-colors"
 					>
 						<span className="text-2xl">&times;</span>
@@ -96,7 +128,37 @@ const CartModal = ({ isOpen, onClose }) => {
 
 				{/* Contenido */}
 				<div className="flex-1 overflow-y-auto">
-					{cartItems.length === 0 ? (
+					{previewGroups ? (
+						<div className="p-6 space-y-4">
+							<p className="text-sm text-gray-400">
+								Se generarán {previewGroups.length} pedido{previewGroups.length !== 1 ? 's' : ''}, uno por proveedor
+								(los productos sin proveedor se agrupan por marca):
+							</p>
+							{previewGroups.map((group) => (
+								<div key={group.supplier ? `supplier-${group.supplier.id}` : `brand-${group.brand}`} className="bg-gray-900 rounded-lg p-4">
+									<div className="flex items-center justify-between mb-2">
+										<h3 className="text-gray-100 font-medium">
+											{group.supplier ? `🚚 ${group.supplier.name}` : `🏷️ ${group.brand} (sin proveedor)`}
+										</h3>
+										<span className="text-gray-100 font-bold">€{group.totalPrice.toFixed(2)}</span>
+									</div>
+									<ul className="text-sm text-gray-300 space-y-1">
+										{group.items.map(item => (
+											<li key={item.inventoryItemId} className="flex justify-between">
+												<span>{item.inventoryItem.marca} - {item.inventoryItem.nombre} ({item.inventoryItem.peso}g)</span>
+												<span className="text-gray-400">x{item.quantityOrdered}</span>
+											</li>
+										))}
+									</ul>
+									{group.belowMinOrderValue && (
+										<p className="mt-2 text-xs text-amber-400">
+											⚠️ No alcanza el pedido mínimo del proveedor (€{group.supplier.minOrderValue.toFixed(2)})
+										</p>
+									)}
+								</div>
+							))}
+						</div>
+					) : cartItems.length === 0 ? (
 						<div className="flex flex-col items-center justify-center h-64 text-gray-400">
 							<span className="text-6xl mb-4">📝</span>
 							<h3 className="text-lg font-medium mb-2">No hay productos en el pedido</h3>
@@ -201,6 +263,16 @@ const CartModal = ({ isOpen, onClose }) => {
 										rows={3}
 									/>
 								</div>
+
+								<label className="flex items-center mt-4 text-sm text-gray-300">
+									<input
+										type="checkbox"
+										checked={splitBySupplier}
+										onChange={(e) => setSplitBySupplier(e.target.checked)}
+										className="mr-2"
+									/>
+									Generar un pedido por proveedor
+								</label>
 							</div>
 						</div>
 					)}
@@ -209,37 +281,57 @@ const CartModal = ({ isOpen, onClose }) => {
 				{/* Footer */}
 				{cartItems.length > 0 && (
 					<div className="p-6 border-t border-gray-700 bg-gray-900/50">
-						<div className="flex flex-col sm:flex-row space-y-3 sm:space-y-0 sm:space-x-3">
-							<button
-								onClick={clearCart}
-								className="flex-1 px-4 py-2 bg-gray-700 text-gray-300 rounded-lg hover:bg-gray-600 hover:text-white transition-colors"
-							>
-								Vaciar Pedido
-							</button>
-							<button
-								onClick={onClose}
-								className="flex-1 px-4 py-2 bg-gray-700 text-gray-300 rounded-lg hover:bg-gray-600 hover:text-white transition-colors"
-							>
-								Seguir Añadiendo
-							</button>
-							<button
-								onClick={handleGenerateOrder}
-								disabled={loading || orderLoading}
-								className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
-							>
-								{(loading || orderLoading) ? (
-									<>
-										<svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-											<circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-											<path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-										</svg>
-										Generando Pedido...
-									</>
-								) : (
-									'Generar Pedido'
-								)}
-							</button>
-						</div>
+						{previewGroups ? (
+							<div className="flex flex-col sm:flex-row space-y-3 sm:space-y-0 sm:space-x-3">
+								<button
+									onClick={() => setPreviewGroups(null)}
+									className="flex-1 px-4 py-2 bg-gray-700 text-gray-300 rounded-lg hover:bg-gray-600 hover:text-white transition-colors"
+								>
+									Volver
+								</button>
+								<button
+									onClick={handleGenerateOrder}
+									disabled={loading || orderLoading}
+									className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+								>
+									{(loading || orderLoading)
+										? 'Generando Pedidos...'
+										: `Generar ${previewGroups.length} Pedido${previewGroups.length !== 1 ? 's' : ''}`}
+								</button>
+							</div>
+						) : (
+							<div className="flex flex-col sm:flex-row space-y-3 sm:space-y-0 sm:space-x-3">
+								<button
+									onClick={clearCart}
+									className="flex-1 px-4 py-2 bg-gray-700 text-gray-300 rounded-lg hover:bg-gray-600 hover:text-white transition-colors"
+								>
+									Vaciar Pedido
+								</button>
+								<button
+									onClick={handleClose}
+									className="flex-1 px-4 py-2 bg-gray-700 text-gray-300 rounded-lg hover:bg-gray-600 hover:text-white transition-colors"
+								>
+									Seguir Añadiendo
+								</button>
+								<button
+									onClick={splitBySupplier ? handlePreview : handleGenerateOrder}
+									disabled={loading || orderLoading}
+									className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+								>
+									{(loading || orderLoading) ? (
+										<>
+											<svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+												<circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+												<path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+											</svg>
+											Generando Pedido...
+										</>
+									) : (
+										splitBySupplier ? 'Revisar Pedidos' : 'Generar Pedido'
+									)}
+								</button>
+							</div>
+						)}
 					</div>
 				)}
 			</div>
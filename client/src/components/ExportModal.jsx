@@ -1,27 +1,67 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
+import { inventoryAPI } from '../utils/api';
 
 /**
- * Modal para la exportación de datos a Excel
+ * Formatos de hojas de etiquetas disponibles (deben coincidir con LABEL_LAYOUTS del servidor)
+ * @type {Array<{value: string, label: string}>}
+ */
+const LABEL_LAYOUTS = [
+	{ value: 'a4-3x8', label: 'A4 3×8 (70 × 37 mm)' },
+	{ value: 'a4-3x7', label: 'A4 3×7 (63,5 × 38,1 mm)' },
+	{ value: 'a4-2x7', label: 'A4 2×7 (99,1 × 38,1 mm)' },
+	{ value: 'a4-4x10', label: 'A4 4×10 (52,5 × 29,7 mm)' },
+	{ value: 'custom', label: 'Rejilla personalizada' }
+];
+
+/**
+ * Modal para la exportación de datos
  * @function ExportModal
  * @param {Object} props - Props del componente
  * @param {Function} props.onClose - Función para cerrar el modal
  * @returns {JSX.Element} Modal de exportación
- * @description Modal que permite al usuario seleccionar qué tipo de datos exportar (Inventario o Pedidos)
+ * @description Modal que permite al usuario seleccionar qué tipo de datos exportar (Inventario o
+ * Pedidos en Excel) o generar etiquetas de estantería en PDF para una marca o parte de sus productos
  */
 const ExportModal = ({ onClose }) => {
 	const [isExporting, setIsExporting] = useState(false);
 	const [exportProgress, setExportProgress] = useState('');
 	const [progressPercent, setProgressPercent] = useState(0);
 	const [hasError, setHasError] = useState(false);
+	const [showLabels, setShowLabels] = useState(false);
+	const [labelItems, setLabelItems] = useState([]);
+	const [labelsLoading, setLabelsLoading] = useState(false);
+	const [labelsError, setLabelsError] = useState('');
+	const [labelOptions, setLabelOptions] = useState({
+		marca: '',
+		selectedIds: [],
+		layout: 'a4-3x8',
+		columns: 3,
+		rows: 8,
+		copies: 1,
+		skip: 0,
+		border: false
+	});
+
+	const brands = useMemo(
+		() => [...new Set(labelItems.map(item => item.marca))].sort((a, b) => a.localeCompare(b, 'es')),
+		[labelItems]
+	);
+
+	const brandItems = useMemo(
+		() => labelItems
+			.filter(item => item.marca === labelOptions.marca)
+			.sort((a, b) => a.nombre.localeCompare(b.nombre, 'es')),
+		[labelItems, labelOptions.marca]
+	);
 
 	/**
-	 * Descarga un archivo Excel desde el servidor
+	 * Descarga un archivo desde el servidor
 	 * @function downloadFile
 	 * @async
-	 * @param {string} endpoint - Endpoint del servidor
+	 * @param {string} endpoint - Endpoint del servidor (con sus parámetros de consulta)
 	 * @param {string} filename - Nombre del archivo a descargar
 	 * @returns {void} No retorna valor
-	 * @description Realiza la descarga del archivo Excel desde el servidor
+	 * @description Realiza la descarga del archivo Excel o PDF desde el servidor
 	 */
 	const downloadFile = async (endpoint, filename) => {
 		try {
@@ -51,7 +91,7 @@ const ExportModal = ({ onClose }) => {
 			}
 
 			setProgressPercent(50);
-			setExportProgress('Generando archivo Excel...');
+			setExportProgress(`Generando archivo ${filename.endsWith('.pdf') ? 'PDF' : 'Excel'}...`);
 
 			// Convertir la respuesta a blob
 			const blob = await response.blob();
@@ -118,6 +158,90 @@ const ExportModal = ({ onClose }) => {
 		await downloadFile('orders', filename);
 	};
 
+	/**
+	 * Abre el formulario de etiquetas cargando los productos activos
+	 * @function handleOpenLabels
+	 * @async
+	 * @returns {void} No retorna valor
+	 */
+	const handleOpenLabels = async () => {
+		setShowLabels(true);
+		if (labelItems.length > 0) return;
+
+		try {
+			setLabelsLoading(true);
+			setLabelsError('');
+			setLabelItems(await inventoryAPI.getAll());
+		} catch (error) {
+			console.error('Error cargando productos:', error);
+			setLabelsError('No se pudieron cargar los productos');
+		} finally {
+			setLabelsLoading(false);
+		}
+	};
+
+	/**
+	 * Cambia la marca de las etiquetas seleccionando todos sus productos
+	 * @function handleBrandChange
+	 * @param {string} marca - Marca elegida
+	 * @returns {void} No retorna valor
+	 */
+	const handleBrandChange = (marca) => {
+		setLabelOptions(prev => ({
+			...prev,
+			marca,
+			selectedIds: labelItems.filter(item => item.marca === marca).map(item => item.id)
+		}));
+	};
+
+	/**
+	 * Marca o desmarca un producto de la marca elegida
+	 * @function toggleLabelItem
+	 * @param {number} id - ID del producto
+	 * @returns {void} No retorna valor
+	 */
+	const toggleLabelItem = (id) => {
+		setLabelOptions(prev => ({
+			...prev,
+			selectedIds: prev.selectedIds.includes(id)
+				? prev.selectedIds.filter(selectedId => selectedId !== id)
+				: [...prev.selectedIds, id]
+		}));
+	};
+
+	/**
+	 * Maneja la generación de etiquetas
+	 * @function handleExportLabels
+	 * @async
+	 * @returns {void} No retorna valor
+	 * @description Si están marcados todos los productos de la marca se pide la marca completa;
+	 * si no, solo los IDs marcados
+	 */
+	const handleExportLabels = async () => {
+		const { marca, selectedIds, layout, columns, rows, copies, skip, border } = labelOptions;
+		const params = new URLSearchParams();
+
+		if (selectedIds.length === brandItems.length) {
+			params.set('marca', marca);
+		} else {
+			params.set('ids', selectedIds.join(','));
+		}
+		if (layout === 'custom') {
+			params.set('columns', columns);
+			params.set('rows', rows);
+		} else {
+			params.set('layout', layout);
+		}
+		params.set('copies', copies);
+		params.set('skip', skip);
+		if (border) {
+			params.set('border', 'true');
+		}
+
+		const filename = `etiquetas-koloa-${new Date().toISOString().split('T')[0]}.pdf`;
+		await downloadFile(`labels?${params}`, filename);
+	};
+
 	return (
 		<div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
 			<div className="bg-gray-800 rounded-lg shadow-xl w-full max-w-md">
@@ -135,10 +259,146 @@ const ExportModal = ({ onClose }) => {
 
 				{/* Content */}
 				<div className="p-6">
-					{!isExporting ? (
+					{!isExporting && showLabels ? (
+						<div className="space-y-4">
+							{labelsLoading ? (
+								<div className="text-center py-6 text-gray-400">Cargando productos...</div>
+							) : labelsError ? (
+								<div className="text-center py-6 text-red-300">{labelsError}</div>
+							) : (
+								<>
+									<div>
+										<label className="block text-sm text-gray-300 mb-1">Marca</label>
+										<select
+											value={labelOptions.marca}
+											onChange={(e) => handleBrandChange(e.target.value)}
+											className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+										>
+											<option value="">Selecciona una marca...</option>
+											{brands.map(brand => (
+												<option key={brand} value={brand}>{brand}</option>
+											))}
+										</select>
+									</div>
+
+									{labelOptions.marca && (
+										<div>
+											<div className="flex justify-between items-center mb-1">
+												<span className="text-sm text-gray-300">
+													Productos ({labelOptions.selectedIds.length} de {brandItems.length})
+												</span>
+												<button
+													type="button"
+													onClick={() => setLabelOptions(prev => ({
+														...prev,
+														selectedIds: prev.selectedIds.length === brandItems.length ? [] : brandItems.map(item => item.id)
+													}))}
+													className="text-xs text-blue-400 hover:text-blue-300"
+												>
+													{labelOptions.selectedIds.length === brandItems.length ? 'Ninguno' : 'Todos'}
+												</button>
+											</div>
+											<div className="max-h-40 overflow-y-auto bg-gray-700 rounded-lg p-2 space-y-1">
+												{brandItems.map(item => (
+													<label key={item.id} className="flex items-center text-sm text-gray-200 cursor-pointer">
+														<input
+															type="checkbox"
+															checked={labelOptions.selectedIds.includes(item.id)}
+															onChange={() => toggleLabelItem(item.id)}
+															className="mr-2"
+														/>
+														<span className="flex-1 truncate">{item.nombre} ({item.peso}g)</span>
+														{!item.barcode && (
+															<span className="text-xs text-amber-400 ml-2" title="Se imprimirá sin código de barras">Sin código</span>
+														)}
+													</label>
+												))}
+											</div>
+										</div>
+									)}
+
+									<div>
+										<label className="block text-sm text-gray-300 mb-1">Formato de la hoja</label>
+										<select
+											value={labelOptions.layout}
+											onChange={(e) => setLabelOptions(prev => ({ ...prev, layout: e.target.value }))}
+											className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+										>
+											{LABEL_LAYOUTS.map(layout => (
+												<option key={layout.value} value={layout.value}>{layout.label}</option>
+											))}
+										</select>
+									</div>
+
+									{labelOptions.layout === 'custom' && (
+										<div className="grid grid-cols-2 gap-3">
+											<div>
+												<label className="block text-sm text-gray-300 mb-1">Columnas</label>
+												<input
+													type="number"
+													min="1"
+													max="6"
+													value={labelOptions.columns}
+													onChange={(e) => setLabelOptions(prev => ({ ...prev, columns: e.target.value }))}
+													className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+												/>
+											</div>
+											<div>
+												<label className="block text-sm text-gray-300 mb-1">Filas</label>
+												<input
+													type="number"
+													min="1"
+													max="20"
+													value={labelOptions.rows}
+													onChange={(e) => setLabelOptions(prev => ({ ...prev, rows: e.target.value }))}
+													className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+												/>
+											</div>
+										</div>
+									)}
+
+									<div className="grid grid-cols-2 gap-3">
+										<div>
+											<label className="block text-sm text-gray-300 mb-1">Copias por producto</label>
+											<input
+												type="number"
+												min="1"
+												max="100"
+												value={labelOptions.copies}
+												onChange={(e) => setLabelOptions(prev => ({ ...prev, copies: e.target.value }))}
+												className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+											/>
+										</div>
+										<div>
+											<label className="block text-sm text-gray-300 mb-1" title="Etiquetas ya usadas al principio de la hoja">
+												Saltar posiciones
+											</label>
+											<input
+												type="number"
+												min="0"
+												value={labelOptions.skip}
+												onChange={(e) => setLabelOptions(prev => ({ ...prev, skip: e.target.value }))}
+												className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+											/>
+										</div>
+									</div>
+
+									<label className="flex items-center text-sm text-gray-300 cursor-pointer">
+										<input
+											type="checkbox"
+											checked={labelOptions.border}
+											onChange={(e) => setLabelOptions(prev => ({ ...prev, border: e.target.checked }))}
+											className="mr-2"
+										/>
+										Dibujar el contorno de las etiquetas (guía de corte)
+									</label>
+								</>
+							)}
+						</div>
+					) : !isExporting ? (
 						<div className="space-y-4">
 							<p className="text-gray-300 text-sm mb-6">
-								Selecciona el tipo de datos que deseas exportar a Excel:
+								Selecciona el tipo de datos que deseas exportar:
 							</p>
 
 							{/* Inventario Option */}
@@ -178,6 +438,25 @@ const ExportModal = ({ onClose }) => {
 									</div>
 								</div>
 							</button>
+
+							{/* Etiquetas Option */}
+							<button
+								onClick={handleOpenLabels}
+								className="w-full bg-purple-600 hover:bg-purple-700 text-white px-4 py-3 rounded-lg transition-colors flex items-center justify-start text-left"
+							>
+								<div className="flex items-start w-full">
+									<span className="mr-3 text-lg mt-1">🏷️</span>
+									<div className="flex-1">
+										<div className="font-medium mb-1">Etiquetas de estantería (PDF)</div>
+										<div className="text-sm text-purple-200">
+											Marca - Nombre - Peso - Precio - Código de barras
+										</div>
+										<div className="text-xs text-purple-300 mt-1">
+											Hojas de etiquetas adhesivas A4 para una marca o los productos que elijas
+										</div>
+									</div>
+								</div>
+							</button>
 						</div>
 					) : (
 						/* Loading State */
@@ -223,13 +502,30 @@ const ExportModal = ({ onClose }) => {
 
 				{/* Footer */}
 				{!isExporting && (
-					<div className="flex justify-end p-6 border-t border-gray-700">
+					<div className="flex justify-end gap-3 p-6 border-t border-gray-700">
+						{showLabels && (
+							<button
+								onClick={() => setShowLabels(false)}
+								className="px-4 py-2 bg-gray-700 text-gray-300 rounded-lg hover:bg-gray-600 transition-colors mr-auto"
+							>
+								← Volver
+							</button>
+						)}
 						<button
 							onClick={onClose}
 							className="px-4 py-2 bg-gray-700 text-gray-300 rounded-lg hover:bg-gray-600 transition-colors"
 						>
 							Cancelar
 						</button>
+						{showLabels && (
+							<button
+								onClick={handleExportLabels}
+								disabled={!labelOptions.marca || labelOptions.selectedIds.length === 0}
+								className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+							>
+								🏷️ Generar etiquetas
+							</button>
+						)}
 					</div>
 				)}
 			</div>
@@ -1,4 +1,30 @@
-const HighlightText = ({ text, highlight }) => {
+/**
+ * Resalta en un texto las partes que coinciden con la búsqueda
+ * @function HighlightText
+ * @param {Object} props - Props del componente
+ * @param {string} props.text - Texto a mostrar
+ * @param {string} [props.highlight] - Texto buscado (se resalta donde aparece literalmente)
+ * @param {Array<{start: number, end: number}>} [props.ranges] - Rangos a resaltar calculados por
+ * el servidor (búsqueda aproximada); tienen prioridad sobre highlight
+ * @returns {JSX.Element|string} Texto con las coincidencias marcadas
+ */
+const HighlightText = ({ text, highlight, ranges }) => {
+  if (ranges) {
+    const parts = [];
+    let position = 0;
+    ranges.forEach(({ start, end }, index) => {
+      if (start > position) parts.push(text.slice(position, start));
+      parts.push(
+        <mark key={index} className="bg-yellow-500 bg-opacity-30 text-yellow-200 px-1 rounded">
+          {text.slice(start, end)}
+        </mark>
+      );
+      position = end;
+    });
+    if (position < text.length) parts.push(text.slice(position));
+    return <span>{parts}</span>;
+  }
+
   if (!highlight) return text;
 
   const parts = text.split(new RegExp(`(${highlight})`, 'gi'));
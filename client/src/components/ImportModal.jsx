@@ -0,0 +1,220 @@
+import { useState } from 'react';
+import { importAPI } from '../utils/api';
+
+/**
+ * Modos de importación con su descripción
+ * @type {Array<{value: string, label: string}>}
+ */
+const IMPORT_MODES = [
+	{ value: 'upsert', label: 'Crear nuevos y actualizar existentes' },
+	{ value: 'create', label: 'Solo crear productos nuevos' },
+	{ value: 'update', label: 'Solo actualizar productos existentes' }
+];
+
+/**
+ * Etiquetas y estilos de la acción prevista para cada fila
+ * @type {Object}
+ */
+const ACTION_STYLES = {
+	create: { label: 'Crear', className: 'bg-green-900/50 text-green-300' },
+	update: { label: 'Actualizar', className: 'bg-blue-900/50 text-blue-300' },
+	skip: { label: 'Omitir', className: 'bg-gray-700 text-gray-300' },
+	error: { label: 'Error', className: 'bg-red-900/50 text-red-300' }
+};
+
+/**
+ * Modal para importar productos del inventario desde CSV o XLSX
+ * @function ImportModal
+ * @param {Object} props - Props del componente
+ * @param {Function} props.onClose - Función para cerrar el modal
+ * @returns {JSX.Element} Modal de importación
+ * @description Primero se simula la importación para ver los errores y los cambios de cada fila;
+ * solo se puede confirmar cuando ninguna fila tiene errores. El archivo usa las mismas columnas
+ * que la exportación de inventario
+ */
+const ImportModal = ({ onClose }) => {
+	const [file, setFile] = useState(null);
+	const [mode, setMode] = useState('upsert');
+	const [preview, setPreview] = useState(null);
+	const [result, setResult] = useState(null);
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState('');
+
+	/**
+	 * Simula la importación con el archivo y el modo seleccionados
+	 * @function handlePreview
+	 * @async
+	 * @returns {void} No retorna valor
+	 */
+	const handlePreview = async () => {
+		try {
+			setLoading(true);
+			setError('');
+			setResult(null);
+			setPreview(await importAPI.importInventory(file, { mode, dryRun: true }));
+		} catch (err) {
+			setPreview(null);
+			setError(err.response?.data?.error || err.message);
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	/**
+	 * Aplica la importación simulada
+	 * @function handleImport
+	 * @async
+	 * @returns {void} No retorna valor
+	 */
+	const handleImport = async () => {
+		try {
+			setLoading(true);
+			setError('');
+			const data = await importAPI.importInventory(file, { mode, dryRun: false });
+			setResult(data);
+			setPreview(null);
+		} catch (err) {
+			if (err.response?.data?.rows) {
+				setPreview(err.response.data);
+			}
+			setError(err.response?.data?.error || err.message);
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	return (
+		<div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+			<div className="bg-gray-800 rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+				{/* Header */}
+				<div className="flex justify-between items-center p-6 border-b border-gray-700">
+					<h2 className="text-xl font-semibold text-white">Importar Inventario</h2>
+					<button
+						onClick={onClose}
+						className="text-gray-400 hover:text-white transition-colors"
+						disabled={loading}
+					>
+						✕
+					</button>
+				</div>
+
+				{/* Content */}
+				<div className="p-6 space-y-4 overflow-y-auto">
+					<p className="text-gray-300 text-sm">
+						Archivo CSV o XLSX con las columnas de la exportación de inventario: Tipo, Marca, Nombre, Peso,
+						Stock, Stock Mínimo, Stock Máximo, Uds. por Caja, Ref. Proveedor y Precio. Los productos se
+						identifican por marca, nombre y peso.
+					</p>
+
+					<div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+						<input
+							type="file"
+							accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+							onChange={(e) => {
+								setFile(e.target.files[0] || null);
+								setPreview(null);
+								setResult(null);
+								setError('');
+							}}
+							className="text-sm text-gray-300"
+						/>
+						<select
+							value={mode}
+							onChange={(e) => {
+								setMode(e.target.value);
+								setPreview(null);
+							}}
+							className="input-field"
+						>
+							{IMPORT_MODES.map(option => (
+								<option key={option.value} value={option.value}>{option.label}</option>
+							))}
+						</select>
+					</div>
+
+					{error && (
+						<div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded-lg text-sm">
+							{error}
+						</div>
+					)}
+
+					{result && (
+						<div className="bg-green-900/30 border border-green-700 text-green-200 px-4 py-3 rounded-lg text-sm">
+							Importación completada: {result.created} producto(s) creados y {result.updated} actualizados
+						</div>
+					)}
+
+					{preview && (
+						<div className="space-y-3">
+							<div className="flex flex-wrap gap-2 text-sm">
+								{Object.entries(ACTION_STYLES).map(([action, style]) => (
+									<span key={action} className={`px-2 py-1 rounded-full ${style.className}`}>
+										{style.label}: {preview.summary[action]}
+									</span>
+								))}
+							</div>
+
+							<div className="overflow-x-auto border border-gray-700 rounded-lg">
+								<table className="w-full text-sm">
+									<thead className="border-b border-gray-700">
+										<tr>
+											<th className="text-left py-2 px-3 text-gray-300 font-medium">Fila</th>
+											<th className="text-left py-2 px-3 text-gray-300 font-medium">Producto</th>
+											<th className="text-left py-2 px-3 text-gray-300 font-medium">Acción</th>
+											<th className="text-left py-2 px-3 text-gray-300 font-medium">Detalle</th>
+										</tr>
+									</thead>
+									<tbody>
+										{preview.rows.map(row => (
+											<tr key={row.row} className="border-b border-gray-800 align-top">
+												<td className="py-2 px-3 text-gray-400">{row.row}</td>
+												<td className="py-2 px-3 text-gray-100">
+													{row.marca || '—'} - {row.nombre || '—'}{row.peso ? ` (${row.peso}g)` : ''}
+												</td>
+												<td className="py-2 px-3">
+													<span className={`px-2 py-0.5 rounded-full text-xs ${ACTION_STYLES[row.action].className}`}>
+														{ACTION_STYLES[row.action].label}
+													</span>
+												</td>
+												<td className="py-2 px-3 text-xs">
+													{row.errors.map(message => (
+														<div key={message} className="text-red-300">{message}</div>
+													))}
+													{row.action !== 'error' && row.changes.map(change => (
+														<div key={change.field} className="text-gray-300">
+															{change.field}: {row.action === 'create' ? '' : `${change.from ?? '—'} → `}{change.to ?? '—'}
+														</div>
+													))}
+												</td>
+											</tr>
+										))}
+									</tbody>
+								</table>
+							</div>
+						</div>
+					)}
+				</div>
+
+				{/* Actions */}
+				<div className="flex space-x-3 p-6 border-t border-gray-700">
+					<button
+						onClick={handlePreview}
+						className="flex-1 btn-secondary disabled:opacity-50"
+						disabled={!file || loading}
+					>
+						{loading ? 'Procesando...' : '🔍 Simular'}
+					</button>
+					<button
+						onClick={handleImport}
+						className="flex-1 btn-primary disabled:opacity-50"
+						disabled={!preview || preview.summary.error > 0 || preview.summary.create + preview.summary.update === 0 || loading}
+					>
+						📥 Importar
+					</button>
+				</div>
+			</div>
+		</div>
+	);
+};
+
+export default ImportModal;
@@ -1,6 +1,29 @@
+import { useState, useEffect } from 'react';
 import HighlightText from './HighlightText';
+import { inventoryAPI } from '../utils/api';
+import { formatDaysOfCover } from '../utils/restock';
+import { useCart } from '../contexts/CartContext';
+
+const InventoryList = ({ items, loading, onEdit, onDelete, onRestore, onAddToCart, onAdjust, onBulkUpdate, searchTerm = '', forecasts = {} }) => {
+  const [adjustingItem, setAdjustingItem] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  // La selección solo conserva los productos que siguen en la lista (al filtrar o buscar)
+  useEffect(() => {
+    setSelectedIds(prev => {
+      const visible = prev.filter(id => items.some(item => item.id === id));
+      return visible.length === prev.length ? prev : visible;
+    });
+  }, [items]);
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id]));
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(selectedIds.length === items.length ? [] : items.map(item => item.id));
+  };
 
-const InventoryList = ({ items, loading, onEdit, onDelete, onAddToCart, searchTerm = '' }) => {
   if (loading) {
     return (
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
@@ -37,22 +60,47 @@ const InventoryList = ({ items, loading, onEdit, onDelete, onAddToCart, searchTe
   }
 
   return (
-    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-      {items.map((item) => (
-        <InventoryCard
-          key={item.id}
-          item={item}
-          searchTerm={searchTerm}
-          onEdit={onEdit}
-          onDelete={onDelete}
-          onAddToCart={onAddToCart}
+    <>
+      {onBulkUpdate && (
+        <BulkActionsBar
+          items={items.filter(item => selectedIds.includes(item.id))}
+          allSelected={selectedIds.length === items.length}
+          onToggleAll={toggleAll}
+          onBulkUpdate={onBulkUpdate}
+          onClear={() => setSelectedIds([])}
         />
-      ))}
-    </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+        {items.map((item) => (
+          <InventoryCard
+            key={item.id}
+            item={item}
+            forecast={forecasts[item.id]}
+            searchTerm={searchTerm}
+            selected={selectedIds.includes(item.id)}
+            onToggleSelect={onBulkUpdate ? toggleSelected : null}
+            onEdit={onEdit}
+            onDelete={onDelete}
+            onRestore={onRestore}
+            onAddToCart={onAddToCart}
+            onAdjust={onAdjust ? setAdjustingItem : null}
+          />
+        ))}
+      </div>
+
+      {adjustingItem && (
+        <StockAdjustDialog
+          item={adjustingItem}
+          onAdjust={onAdjust}
+          onClose={() => setAdjustingItem(null)}
+        />
+      )}
+    </>
   );
 };
 
-const InventoryCard = ({ item, searchTerm, onEdit, onDelete, onAddToCart }) => {
+const InventoryCard = ({ item, forecast, searchTerm, selected = false, onToggleSelect, onEdit, onDelete, onRestore, onAddToCart, onAdjust }) => {
   const isLowStock = item.stock < item.minStock;
   const stockPercentage = item.minStock > 0 ? (item.stock / item.minStock) * 100 : 100;
 
@@ -62,28 +110,49 @@ const InventoryCard = ({ item, searchTerm, onEdit, onDelete, onAddToCart }) => {
     return 'text-green-400';
   };
 
+  // Cobertura en rojo si el stock no llega a una semana, en ámbar si no llega a dos
+  const getCoverColor = () => {
+    if (!forecast || forecast.daysOfCover === null) return 'text-gray-400';
+    if (forecast.daysOfCover < 7) return 'text-red-400';
+    if (forecast.daysOfCover < 14) return 'text-amber-400';
+    return 'text-green-400';
+  };
+
   const getTypeIcon = () => {
     return item.tipo === 'Tabaco' ? '🍃' : '📦';
   };
 
   return (
-    <div className="card hover:border-dark-600 transition-all duration-200">
+    <div className={`card hover:border-dark-600 transition-all duration-200 ${selected ? 'ring-2 ring-primary-500' : ''}`}>
       <div className="card-body">
         {/* Header */}
         <div className="flex items-start justify-between mb-3">
           <div className="flex items-center space-x-2">
+            {onToggleSelect && (
+              <input
+                type="checkbox"
+                checked={selected}
+                onChange={() => onToggleSelect(item.id)}
+                className="h-4 w-4 shrink-0"
+                title="Seleccionar producto"
+              />
+            )}
             <span className="text-xl">{getTypeIcon()}</span>
             <div className="min-w-0 flex-1">
               <h3 className="font-semibold text-gray-100 truncate">
-                <HighlightText text={item.nombre} highlight={searchTerm} />
+                <HighlightText text={item.nombre} highlight={searchTerm} ranges={item.highlights?.nombre} />
               </h3>
               <p className="text-sm text-gray-400 truncate">
-                <HighlightText text={item.marca} highlight={searchTerm} />
+                <HighlightText text={item.marca} highlight={searchTerm} ranges={item.highlights?.marca} />
               </p>
             </div>
           </div>
           
-          {isLowStock && (
+          {item.archivedAt ? (
+            <span className="bg-gray-700 text-gray-300 text-xs px-2 py-1 rounded-full">
+              Archivado
+            </span>
+          ) : isLowStock && (
             <span className="bg-red-900/50 text-red-300 text-xs px-2 py-1 rounded-full">
               Stock bajo
             </span>
@@ -101,7 +170,14 @@ const InventoryCard = ({ item, searchTerm, onEdit, onDelete, onAddToCart }) => {
             <span className="text-gray-400">Peso:</span>
             <span className="text-gray-200">{item.peso}g</span>
           </div>
-          
+
+          {item.openedGrams !== null && item.openedGrams !== undefined && (
+            <div className="flex justify-between items-center text-sm">
+              <span className="text-gray-400">Lata abierta:</span>
+              <span className="text-orange-400">{item.openedGrams}g</span>
+            </div>
+          )}
+
           <div className="flex justify-between items-center text-sm">
             <span className="text-gray-400">Stock:</span>
             <span className={`font-medium ${getStockColor()}`}>
@@ -109,6 +185,19 @@ const InventoryCard = ({ item, searchTerm, onEdit, onDelete, onAddToCart }) => {
             </span>
           </div>
           
+          {forecast && (
+            <>
+              <div className="flex justify-between items-center text-sm">
+                <span className="text-gray-400">Consumo:</span>
+                <span className="text-gray-200">{forecast.dailyUsage.toLocaleString('es-ES')} / día</span>
+              </div>
+              <div className="flex justify-between items-center text-sm">
+                <span className="text-gray-400">Cobertura:</span>
+                <span className={getCoverColor()}>{formatDaysOfCover(forecast)}</span>
+              </div>
+            </>
+          )}
+
           <div className="flex justify-between items-center text-sm">
             <span className="text-gray-400">Precio:</span>
             <span className="text-gray-200 font-medium">{item.precio.toFixed(2)}€</span>
@@ -129,6 +218,24 @@ const InventoryCard = ({ item, searchTerm, onEdit, onDelete, onAddToCart }) => {
         </div>
 
         {/* Actions */}
+        {item.archivedAt ? (
+          <div className="flex space-x-2">
+            <button
+              onClick={() => onEdit(item)}
+              className="flex-1 bg-dark-700 hover:bg-dark-600 text-gray-200 py-2 px-3 rounded text-sm font-medium transition-colors"
+            >
+              Editar
+            </button>
+            {onRestore && (
+              <button
+                onClick={() => onRestore(item.id)}
+                className="flex-1 bg-green-900/50 hover:bg-green-900/70 text-green-300 py-2 px-3 rounded text-sm font-medium transition-colors"
+              >
+                Restaurar
+              </button>
+            )}
+          </div>
+        ) : (
         <div className="flex space-x-2">
           <button
             onClick={() => onAddToCart(item)}
@@ -137,6 +244,15 @@ const InventoryCard = ({ item, searchTerm, onEdit, onDelete, onAddToCart }) => {
           >
             +
           </button>
+          {onAdjust && (
+            <button
+              onClick={() => onAdjust(item)}
+              className="bg-blue-900/50 hover:bg-blue-900/70 text-blue-300 py-2 px-3 rounded text-sm font-medium transition-colors flex items-center justify-center"
+              title="Ajustar stock"
+            >
+              ±
+            </button>
+          )}
           <button
             onClick={() => onEdit(item)}
             className="flex-1 bg-dark-700 hover:bg-dark-600 text-gray-200 py-2 px-3 rounded text-sm font-medium transition-colors"
@@ -146,10 +262,334 @@ const InventoryCard = ({ item, searchTerm, onEdit, onDelete, onAddToCart }) => {
           <button
             onClick={() => onDelete(item.id)}
             className="bg-red-900/50 hover:bg-red-900/70 text-red-300 py-2 px-3 rounded text-sm font-medium transition-colors"
+            title="Archivar producto"
+          >
+            🗄️
+          </button>
+        </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Barra de acciones en bloque sobre los productos seleccionados
+ * @function BulkActionsBar
+ * @param {Object} props - Props del componente
+ * @param {Array} props.items - Productos seleccionados
+ * @param {boolean} props.allSelected - Si están seleccionados todos los productos visibles
+ * @param {Function} props.onToggleAll - Función para seleccionar o deseleccionar todos
+ * @param {Function} props.onBulkUpdate - Función que recibe (ids, changes) y devuelve { success, error, results }
+ * @param {Function} props.onClear - Función para vaciar la selección
+ * @returns {JSX.Element} Barra con el número de seleccionados y las acciones disponibles
+ * @description Permite fijar o ajustar el precio (por porcentaje o importe), fijar el stock
+ * mínimo, cambiar el tipo, archivar (o restaurar si son archivados) y añadir los productos al
+ * pedido. Los cambios se aplican todos o ninguno
+ */
+const BulkActionsBar = ({ items, allSelected, onToggleAll, onBulkUpdate, onClear }) => {
+  const [action, setAction] = useState('price');
+  const [priceMode, setPriceMode] = useState('set');
+  const [value, setValue] = useState('');
+  const [tipo, setTipo] = useState('Tabaco');
+  const [loading, setLoading] = useState(false);
+  const { addToCart } = useCart();
+  const archivedSelection = items.length > 0 && items.every(item => item.archivedAt);
+
+  const handleApply = async () => {
+    const ids = items.map(item => item.id);
+
+    if (action === 'cart') {
+      const quantity = parseInt(value) || 1;
+      items.forEach(item => addToCart(item, quantity));
+      onClear();
+      return;
+    }
+
+    let changes;
+    if (action === 'price') {
+      if (value === '' || isNaN(parseFloat(value))) {
+        alert('Indica el precio o el ajuste');
+        return;
+      }
+      changes = { precio: { mode: priceMode, value: parseFloat(value) } };
+    } else if (action === 'minStock') {
+      if (value === '' || parseInt(value) < 0) {
+        alert('Indica un stock mínimo válido');
+        return;
+      }
+      changes = { minStock: parseInt(value) };
+    } else if (action === 'archive') {
+      changes = { archived: !archivedSelection };
+    } else {
+      changes = { tipo };
+    }
+
+    if (!window.confirm(`¿Aplicar el cambio a ${ids.length} producto(s)?`)) {
+      return;
+    }
+
+    setLoading(true);
+    const result = await onBulkUpdate(ids, changes);
+    setLoading(false);
+
+    if (result.success) {
+      setValue('');
+      onClear();
+    } else {
+      const failed = (result.results || []).filter(entry => !entry.success);
+      alert([result.error, ...failed.map(entry => `${entry.itemName || `#${entry.id}`}: ${entry.error}`)].join('\n'));
+    }
+  };
+
+  return (
+    <div className="card mb-4">
+      <div className="card-body flex flex-wrap items-center gap-3">
+        <label className="flex items-center space-x-2 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={allSelected && items.length > 0}
+            onChange={onToggleAll}
+            className="h-4 w-4"
+          />
+          <span>{items.length > 0 ? `${items.length} seleccionado(s)` : 'Seleccionar todos'}</span>
+        </label>
+
+        {items.length > 0 && (
+          <>
+            <select
+              value={action}
+              onChange={(e) => {
+                setAction(e.target.value);
+                setValue('');
+              }}
+              className="input-field w-auto"
+            >
+              <option value="price">Cambiar precio</option>
+              <option value="minStock">Fijar stock mínimo</option>
+              <option value="tipo">Cambiar tipo</option>
+              <option value="archive">{archivedSelection ? 'Restaurar' : 'Archivar'}</option>
+              {!archivedSelection && <option value="cart">Añadir al pedido</option>}
+            </select>
+
+            {action === 'price' && (
+              <select
+                value={priceMode}
+                onChange={(e) => setPriceMode(e.target.value)}
+                className="input-field w-auto"
+              >
+                <option value="set">Fijar en €</option>
+                <option value="percent">Ajustar %</option>
+                <option value="amount">Ajustar €</option>
+              </select>
+            )}
+
+            {action === 'archive' ? null : action === 'tipo' ? (
+              <select
+                value={tipo}
+                onChange={(e) => setTipo(e.target.value)}
+                className="input-field w-auto"
+              >
+                <option value="Tabaco">Tabaco</option>
+                <option value="Producto">Producto</option>
+              </select>
+            ) : (
+              <input
+                type="number"
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                placeholder={action === 'price' ? (priceMode === 'percent' ? 'Ej: 5 o -10' : 'Ej: 34.00') : action === 'cart' ? 'Cantidad (1)' : 'Ej: 3'}
+                step={action === 'price' ? '0.01' : '1'}
+                min={action === 'price' && priceMode !== 'set' ? undefined : '0'}
+                className="input-field w-32"
+              />
+            )}
+
+            <button
+              onClick={handleApply}
+              className="btn-primary"
+              disabled={loading}
+            >
+              {loading ? 'Aplicando...' : 'Aplicar'}
+            </button>
+            <button
+              onClick={onClear}
+              className="btn-secondary"
+              disabled={loading}
+            >
+              Cancelar
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Diálogo compacto para ajustar el stock de un producto
+ * @function StockAdjustDialog
+ * @param {Object} props - Props del componente
+ * @param {Object} props.item - Producto a ajustar
+ * @param {Function} props.onAdjust - Función que recibe (id, { delta, reason, notes }) y devuelve { success, error }
+ * @param {Function} props.onClose - Función para cerrar el diálogo
+ * @returns {JSX.Element} Diálogo con botones +/-, selector de motivo y notas
+ * @description Permite corregir el stock sin pasar por el formulario completo del producto
+ */
+export const StockAdjustDialog = ({ item, onAdjust, onClose }) => {
+  const [delta, setDelta] = useState(-1);
+  const [reasons, setReasons] = useState([]);
+  const [reason, setReason] = useState('');
+  const [notes, setNotes] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    inventoryAPI.getAdjustReasons()
+      .then((data) => {
+        setReasons(data);
+        if (data.length > 0) {
+          setReason(data[0].code);
+        }
+      })
+      .catch(() => setError('Error cargando los motivos de ajuste'));
+  }, []);
+
+  const resultingStock = item.stock + delta;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!delta) {
+      setError('Indica cuántas unidades sumar o restar');
+      return;
+    }
+
+    if (resultingStock < 0) {
+      setError('El stock no puede quedar en negativo');
+      return;
+    }
+
+    if (!reason) {
+      setError('Selecciona un motivo');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    const result = await onAdjust(item.id, { delta, reason, notes: notes.trim() });
+
+    if (result.success) {
+      onClose();
+    } else {
+      setError(result.error);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-dark-900 rounded-lg shadow-xl w-full max-w-sm">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-dark-700">
+          <div className="min-w-0">
+            <h2 className="text-lg font-semibold text-gray-100 truncate">Ajustar stock</h2>
+            <p className="text-sm text-gray-400 truncate">{item.marca} - {item.nombre}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-200 text-2xl leading-none"
           >
-            🗑️
+            ×
           </button>
         </div>
+
+        <form onSubmit={handleSubmit} className="p-4 space-y-4">
+          {/* Delta */}
+          <div className="flex items-center justify-center space-x-3">
+            <button
+              type="button"
+              onClick={() => setDelta(prev => prev - 1)}
+              className="w-12 h-12 bg-red-900/50 hover:bg-red-900/70 text-red-300 rounded-lg text-2xl font-bold"
+            >
+              −
+            </button>
+            <input
+              type="number"
+              value={delta}
+              onChange={(e) => setDelta(parseInt(e.target.value) || 0)}
+              className="input-field w-20 text-center text-lg"
+            />
+            <button
+              type="button"
+              onClick={() => setDelta(prev => prev + 1)}
+              className="w-12 h-12 bg-green-900/50 hover:bg-green-900/70 text-green-300 rounded-lg text-2xl font-bold"
+            >
+              +
+            </button>
+          </div>
+          <p className="text-center text-sm text-gray-400">
+            Stock: {item.stock} → <span className={resultingStock < 0 ? 'text-red-400 font-medium' : 'text-gray-100 font-medium'}>{resultingStock}</span>
+          </p>
+
+          {/* Motivo */}
+          <div>
+            <label className="block text-sm font-medium text-gray-200 mb-2">
+              Motivo *
+            </label>
+            <select
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="input-field"
+              required
+            >
+              {reasons.map((option) => (
+                <option key={option.code} value={option.code}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Notas */}
+          <div>
+            <label className="block text-sm font-medium text-gray-200 mb-2">
+              Notas
+            </label>
+            <input
+              type="text"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="Opcional"
+              className="input-field"
+            />
+          </div>
+
+          {/* Error */}
+          {error && (
+            <div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded-lg text-sm">
+              {error}
+            </div>
+          )}
+
+          {/* Actions */}
+          <div className="flex space-x-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 btn-secondary"
+              disabled={loading}
+            >
+              Cancelar
+            </button>
+            <button
+              type="submit"
+              className="flex-1 btn-primary"
+              disabled={loading || !delta || resultingStock < 0}
+            >
+              {loading ? 'Guardando...' : 'Ajustar'}
+            </button>
+          </div>
+        </form>
       </div>
     </div>
   );
@@ -0,0 +1,199 @@
+import { useState, useEffect } from 'react';
+import { consumptionAPI } from '../utils/api';
+
+/**
+ * Modal rápido para registrar cazoletas consumidas durante el servicio
+ * @function LogBowlModal
+ * @param {Object} props - Props del componente
+ * @param {boolean} props.isOpen - Si el modal está visible
+ * @param {Function} props.onClose - Función para cerrar el modal
+ * @param {Array} props.items - Productos del inventario
+ * @param {Function} props.onLog - Función que recibe los datos del consumo y devuelve { success, data, error }
+ * @returns {JSX.Element|null} Modal con buscador de tabaco, número de cazoletas y gramos por cazoleta
+ * @description Tras registrar un consumo el modal queda abierto para anotar la siguiente cazoleta
+ */
+const LogBowlModal = ({ isOpen, onClose, items, onLog }) => {
+  const [search, setSearch] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [bowls, setBowls] = useState(1);
+  const [gramsPerBowl, setGramsPerBowl] = useState(20);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    consumptionAPI.getConfig()
+      .then((config) => setGramsPerBowl(config.gramsPerBowl))
+      .catch((err) => console.error('Error cargando configuración de consumo:', err));
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const tobaccos = items.filter(item => item.tipo === 'Tabaco' && item.stock > 0);
+  const term = search.trim().toLowerCase();
+  const results = term
+    ? tobaccos.filter(item =>
+        item.nombre.toLowerCase().includes(term) || item.marca.toLowerCase().includes(term)
+      ).slice(0, 8)
+    : [];
+  const selected = items.find(item => item.id === selectedId);
+
+  const handleClose = () => {
+    setSearch('');
+    setSelectedId(null);
+    setBowls(1);
+    setMessage(null);
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!selected || bowls <= 0) return;
+
+    setLoading(true);
+    setMessage(null);
+
+    const result = await onLog({
+      inventoryItemId: selected.id,
+      bowls,
+      gramsPerBowl: parseInt(gramsPerBowl)
+    });
+
+    if (result.success) {
+      const { log, item } = result.data;
+      setMessage({
+        type: 'success',
+        text: `${log.grams}g de ${item.nombre} registrados.` +
+          (log.tinsFinished > 0 ? ` ${log.tinsFinished} lata${log.tinsFinished !== 1 ? 's' : ''} terminada${log.tinsFinished !== 1 ? 's' : ''}, stock: ${item.stock}.` : '') +
+          (item.openedGrams ? ` Quedan ${item.openedGrams}g en la lata abierta.` : '')
+      });
+      setSearch('');
+      setSelectedId(null);
+      setBowls(1);
+    } else {
+      setMessage({ type: 'error', text: result.error });
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-800 rounded-lg shadow-xl max-w-md w-full">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-700">
+          <h2 className="text-lg font-semibold text-white">🔥 Registrar cazoleta</h2>
+          <button
+            onClick={handleClose}
+            className="text-gray-400 hover:text-gray-200 text-2xl leading-none"
+          >
+            ×
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-4 space-y-4">
+          {/* Producto */}
+          {selected ? (
+            <div className="flex items-center justify-between bg-gray-700 rounded-lg px-3 py-2">
+              <div className="min-w-0">
+                <p className="text-white font-medium truncate">{selected.nombre}</p>
+                <p className="text-xs text-gray-400">
+                  {selected.marca} · Stock: {selected.stock}
+                  {selected.openedGrams ? ` · Lata abierta: ${selected.openedGrams}g` : ''}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => setSelectedId(null)}
+                className="text-gray-400 hover:text-gray-200 text-sm ml-2"
+              >
+                Cambiar
+              </button>
+            </div>
+          ) : (
+            <div>
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Buscar tabaco..."
+                className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-3 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                autoFocus
+              />
+              {results.length > 0 && (
+                <ul className="mt-2 bg-gray-900 rounded-lg divide-y divide-gray-800 max-h-56 overflow-y-auto">
+                  {results.map(item => (
+                    <li key={item.id}>
+                      <button
+                        type="button"
+                        onClick={() => setSelectedId(item.id)}
+                        className="w-full text-left px-3 py-2 hover:bg-gray-700"
+                      >
+                        <span className="text-white">{item.nombre}</span>
+                        <span className="text-xs text-gray-400 ml-2">{item.marca}</span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {/* Cazoletas y gramos */}
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">Cazoletas</label>
+              <div className="flex items-center space-x-2">
+                <button
+                  type="button"
+                  onClick={() => setBowls(prev => Math.max(1, prev - 1))}
+                  className="w-10 h-10 bg-gray-700 hover:bg-gray-600 text-white rounded-lg"
+                >
+                  −
+                </button>
+                <span className="text-xl font-semibold text-white w-8 text-center">{bowls}</span>
+                <button
+                  type="button"
+                  onClick={() => setBowls(prev => prev + 1)}
+                  className="w-10 h-10 bg-gray-700 hover:bg-gray-600 text-white rounded-lg"
+                >
+                  +
+                </button>
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">Gramos / cazoleta</label>
+              <input
+                type="number"
+                min="1"
+                value={gramsPerBowl}
+                onChange={(e) => setGramsPerBowl(e.target.value)}
+                className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white"
+              />
+            </div>
+          </div>
+
+          {message && (
+            <div className={`px-3 py-2 rounded-lg text-sm ${
+              message.type === 'success'
+                ? 'bg-green-900/50 border border-green-700 text-green-200'
+                : 'bg-red-900/50 border border-red-700 text-red-200'
+            }`}>
+              {message.text}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={loading || !selected || !(parseInt(gramsPerBowl) > 0)}
+            className="w-full py-3 bg-orange-600 hover:bg-orange-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50"
+          >
+            {loading ? 'Registrando...' : `Registrar ${bowls * (parseInt(gramsPerBowl) || 0)}g`}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default LogBowlModal;
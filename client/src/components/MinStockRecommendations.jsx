@@ -0,0 +1,350 @@
+import { useState, useEffect } from 'react';
+import { restockAPI, inventoryAPI } from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+
+/**
+ * Etiquetas de los campos del historial de auditoría
+ * @type {Object}
+ */
+const FIELD_LABELS = {
+	minStock: 'Stock mínimo',
+	maxStock: 'Stock máximo',
+	packSize: 'Uds. por caja',
+	supplierSku: 'Ref. proveedor',
+	supplierId: 'Proveedor'
+};
+
+/**
+ * Etiquetas del origen de cada cambio del historial
+ * @type {Object}
+ */
+const SOURCE_LABELS = {
+	manual: 'Edición manual',
+	bulk: 'Edición en bloque',
+	'min-stock-recommendation': 'Recomendación aceptada',
+	import: 'Importación',
+	'supplier-brands': 'Marcas del proveedor'
+};
+
+/**
+ * Revisión de las recomendaciones automáticas de stock mínimo
+ * @function MinStockRecommendations
+ * @returns {JSX.Element} Tabla de recomendaciones pendientes con aceptación en bloque e historial de cambios
+ * @description Pestaña del panel de administración. El servidor recalcula las recomendaciones
+ * periódicamente a partir del consumo observado, el plazo de entrega del proveedor y el factor
+ * de seguridad; aquí se pueden recalcular con otro factor y aceptar o descartar en bloque
+ */
+const MinStockRecommendations = () => {
+	const [recommendations, setRecommendations] = useState([]);
+	const [config, setConfig] = useState(null);
+	const [changes, setChanges] = useState([]);
+	const [selectedIds, setSelectedIds] = useState([]);
+	const [safetyFactor, setSafetyFactor] = useState('');
+	const [loading, setLoading] = useState(true);
+	const [working, setWorking] = useState(false);
+	const [error, setError] = useState('');
+	const [message, setMessage] = useState('');
+
+	/**
+	 * Carga las recomendaciones pendientes y el historial reciente de cambios
+	 * @function loadData
+	 * @async
+	 * @returns {void} No retorna valor
+	 */
+	const loadData = async () => {
+		try {
+			setLoading(true);
+			setError('');
+
+			const [recommendationsData, changesData] = await Promise.all([
+				restockAPI.getMinStockRecommendations(),
+				inventoryAPI.getChanges({ limit: 30 })
+			]);
+
+			setRecommendations(recommendationsData.recommendations);
+			setConfig(recommendationsData.config);
+			setSafetyFactor(prev => prev || recommendationsData.config.safetyFactor.toString());
+			setChanges(changesData);
+			setSelectedIds([]);
+		} catch (err) {
+			setError(err.response?.data?.error || 'Error cargando recomendaciones');
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	useEffect(() => {
+		loadData();
+	}, []);
+
+	/**
+	 * Marca o desmarca una recomendación
+	 * @function toggleSelected
+	 * @param {number} id - ID de la recomendación
+	 * @returns {void} No retorna valor
+	 */
+	const toggleSelected = (id) => {
+		setSelectedIds(prev => (prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id]));
+	};
+
+	/**
+	 * Marca o desmarca todas las recomendaciones
+	 * @function toggleAll
+	 * @returns {void} No retorna valor
+	 */
+	const toggleAll = () => {
+		setSelectedIds(selectedIds.length === recommendations.length ? [] : recommendations.map(rec => rec.id));
+	};
+
+	/**
+	 * Recalcula las recomendaciones con el factor de seguridad indicado
+	 * @function handleRecalculate
+	 * @async
+	 * @returns {void} No retorna valor
+	 */
+	const handleRecalculate = async () => {
+		try {
+			setWorking(true);
+			setError('');
+			const result = await restockAPI.recalculateMinStock(safetyFactor);
+			setMessage(`Recomendaciones pendientes: ${result.pending}`);
+			await loadData();
+		} catch (err) {
+			setError(err.response?.data?.error || 'Error recalculando recomendaciones');
+		} finally {
+			setWorking(false);
+		}
+	};
+
+	/**
+	 * Acepta las recomendaciones seleccionadas y actualiza el stock mínimo de los productos
+	 * @function handleAccept
+	 * @async
+	 * @returns {void} No retorna valor
+	 */
+	const handleAccept = async () => {
+		if (!window.confirm(`¿Aplicar el stock mínimo recomendado a ${selectedIds.length} producto(s)?`)) {
+			return;
+		}
+
+		try {
+			setWorking(true);
+			setError('');
+			const { applied, skipped } = await restockAPI.acceptMinStock(selectedIds);
+			setMessage([
+				`Stock mínimo actualizado en ${applied.length} producto(s).`,
+				...skipped.map(entry => `${entry.itemName}: ${entry.reason}`)
+			].join(' '));
+			await loadData();
+		} catch (err) {
+			setError(err.response?.data?.error || 'Error aceptando recomendaciones');
+		} finally {
+			setWorking(false);
+		}
+	};
+
+	/**
+	 * Descarta las recomendaciones seleccionadas
+	 * @function handleDismiss
+	 * @async
+	 * @returns {void} No retorna valor
+	 */
+	const handleDismiss = async () => {
+		try {
+			setWorking(true);
+			setError('');
+			const { dismissed } = await restockAPI.dismissMinStock(selectedIds);
+			setMessage(`Recomendaciones descartadas: ${dismissed}`);
+			await loadData();
+		} catch (err) {
+			setError(err.response?.data?.error || 'Error descartando recomendaciones');
+		} finally {
+			setWorking(false);
+		}
+	};
+
+	if (loading) {
+		return <LoadingSpinner />;
+	}
+
+	return (
+		<div className="space-y-6">
+			<div className="flex flex-wrap items-center justify-between gap-3">
+				<div>
+					<h2 className="text-xl font-semibold text-white">Stock mínimo recomendado</h2>
+					{config && (
+						<p className="text-sm text-gray-400">
+							Consumo de los últimos {config.historyDays} días × plazo de entrega × factor de seguridad.
+							Productos sin proveedor: {config.defaultLeadTimeDays} días de plazo
+						</p>
+					)}
+				</div>
+				<div className="flex items-center space-x-2">
+					<label className="text-sm text-gray-300" htmlFor="safetyFactor">Factor de seguridad</label>
+					<input
+						id="safetyFactor"
+						type="number"
+						min="1"
+						max="5"
+						step="0.1"
+						value={safetyFactor}
+						onChange={(e) => setSafetyFactor(e.target.value)}
+						className="input-field w-20"
+					/>
+					<button
+						onClick={handleRecalculate}
+						disabled={working}
+						className="btn-secondary"
+					>
+						🔄 Recalcular
+					</button>
+				</div>
+			</div>
+
+			{error && (
+				<div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded-lg flex items-center justify-between">
+					<span>{error}</span>
+					<button
+						onClick={() => setError('')}
+						className="text-red-400 hover:text-red-300 ml-4"
+					>
+						✕
+					</button>
+				</div>
+			)}
+
+			{message && (
+				<div className="bg-green-900/30 border border-green-700 text-green-200 px-4 py-3 rounded-lg flex items-center justify-between text-sm">
+					<span>{message}</span>
+					<button
+						onClick={() => setMessage('')}
+						className="text-green-400 hover:text-green-300 ml-4"
+					>
+						✕
+					</button>
+				</div>
+			)}
+
+			<div className="card">
+				<div className="card-body p-0">
+					<div className="flex items-center justify-between px-4 py-3 border-b border-gray-700">
+						<span className="text-sm text-gray-300">
+							{selectedIds.length} de {recommendations.length} seleccionada(s)
+						</span>
+						<div className="flex space-x-2">
+							<button
+								onClick={handleDismiss}
+								disabled={working || selectedIds.length === 0}
+								className="btn-secondary disabled:opacity-50"
+							>
+								Descartar
+							</button>
+							<button
+								onClick={handleAccept}
+								disabled={working || selectedIds.length === 0}
+								className="btn-primary disabled:opacity-50"
+							>
+								✓ Aceptar seleccionadas
+							</button>
+						</div>
+					</div>
+					<div className="overflow-x-auto">
+						<table className="w-full">
+							<thead className="border-b border-gray-700">
+								<tr>
+									<th className="py-3 px-4 w-10">
+										<input
+											type="checkbox"
+											checked={recommendations.length > 0 && selectedIds.length === recommendations.length}
+											onChange={toggleAll}
+											title="Seleccionar todas"
+										/>
+									</th>
+									<th className="text-left py-3 px-4 text-gray-300 font-medium">Producto</th>
+									<th className="text-left py-3 px-4 text-gray-300 font-medium">Proveedor</th>
+									<th className="text-center py-3 px-4 text-gray-300 font-medium">Consumo/día</th>
+									<th className="text-center py-3 px-4 text-gray-300 font-medium">Plazo</th>
+									<th className="text-center py-3 px-4 text-gray-300 font-medium">Stock</th>
+									<th className="text-center py-3 px-4 text-gray-300 font-medium">Mínimo actual</th>
+									<th className="text-center py-3 px-4 text-gray-300 font-medium">Recomendado</th>
+								</tr>
+							</thead>
+							<tbody>
+								{recommendations.length === 0 ? (
+									<tr>
+										<td colSpan={8} className="text-center py-8 text-gray-400">
+											No hay recomendaciones pendientes
+										</td>
+									</tr>
+								) : recommendations.map((rec) => {
+									const item = rec.inventoryItem;
+									const exceedsMax = item.maxStock !== null && item.maxStock < rec.recommendedMinStock;
+									return (
+										<tr key={rec.id} className="border-b border-gray-800">
+											<td className="py-3 px-4">
+												<input
+													type="checkbox"
+													checked={selectedIds.includes(rec.id)}
+													onChange={() => toggleSelected(rec.id)}
+												/>
+											</td>
+											<td className="py-3 px-4">
+												<div className="text-gray-100 font-medium">{item.marca} - {item.nombre}</div>
+												<div className="text-xs text-gray-500">{item.tipo} · {rec.sampleDays} días con datos</div>
+											</td>
+											<td className="py-3 px-4 text-sm text-gray-300">
+												{item.supplier?.name || <span className="text-gray-500">Sin proveedor</span>}
+											</td>
+											<td className="text-center py-3 px-4 text-gray-300">{rec.dailyUsage}</td>
+											<td className="text-center py-3 px-4 text-gray-300">
+												{rec.leadTimeDays} día{rec.leadTimeDays !== 1 ? 's' : ''}
+											</td>
+											<td className="text-center py-3 px-4 text-gray-300">{item.stock}</td>
+											<td className="text-center py-3 px-4 text-gray-300">{item.minStock}</td>
+											<td className="text-center py-3 px-4">
+												<span className={`font-semibold ${rec.recommendedMinStock > item.minStock ? 'text-amber-400' : 'text-green-400'}`}>
+													{rec.recommendedMinStock}
+												</span>
+												{exceedsMax && (
+													<div className="text-xs text-red-400">Supera el máximo ({item.maxStock})</div>
+												)}
+											</td>
+										</tr>
+									);
+								})}
+							</tbody>
+						</table>
+					</div>
+				</div>
+			</div>
+
+			<div className="card">
+				<div className="card-body">
+					<h3 className="text-lg font-semibold text-white mb-3">Historial de cambios</h3>
+					{changes.length === 0 ? (
+						<p className="text-sm text-gray-400">Sin cambios registrados</p>
+					) : (
+						<ul className="divide-y divide-gray-800 text-sm">
+							{changes.map(change => (
+								<li key={change.id} className="py-2 flex flex-wrap items-center justify-between gap-2">
+									<span className="text-gray-200">
+										{change.inventoryItem.marca} - {change.inventoryItem.nombre}:{' '}
+										<span className="text-gray-400">{FIELD_LABELS[change.field] || change.field}</span>{' '}
+										{change.previousValue ?? '—'} → <span className="font-medium">{change.newValue ?? '—'}</span>
+									</span>
+									<span className="text-xs text-gray-500">
+										{SOURCE_LABELS[change.source] || change.source}
+										{change.userName && ` · ${change.userName}`}
+										{' · '}{new Date(change.createdAt).toLocaleString('es-ES')}
+									</span>
+								</li>
+							))}
+						</ul>
+					)}
+				</div>
+			</div>
+		</div>
+	);
+};
+
+export default MinStockRecommendations;
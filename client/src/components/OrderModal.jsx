@@ -1,7 +1,14 @@
 import { useState, useEffect, useMemo } from 'react';
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
-import { ordersAPI } from '../utils/api';
+import { ordersAPI, orderTemplatesAPI } from '../utils/api';
+import { formatPackQuantity, formatProductWithSku } from '../utils/restock';
+
+/**
+ * Días de la semana para la recurrencia de plantillas (índice = getDay())
+ * @type {string[]}
+ */
+const WEEKDAYS = ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'];
 
 /**
  * Modal para generar pedidos de reposición de productos
@@ -10,26 +17,53 @@ import { ordersAPI } from '../utils/api';
  * @param {boolean} props.isOpen - Indica si el modal está abierto
  * @param {Function} props.onClose - Función para cerrar el modal
  * @param {Array} props.items - Lista completa de productos del inventario
+ * @param {Array} [props.suggestions] - Sugerencias de reposición del servidor (GET /api/restock/suggestions)
  * @returns {JSX.Element|null} Modal de pedidos o null si está cerrado
  * @description Componente que permite crear pedidos simplificados (sin precios)
- * para enviar a proveedores, con vista previa completa y PDF final simplificado
+ * para enviar a proveedores, con vista previa completa y PDF final simplificado.
+ * Las cantidades se pueden cargar desde una plantilla guardada y guardar como plantilla
  */
-const OrderModal = ({ isOpen, onClose, items }) => {
+const OrderModal = ({ isOpen, onClose, items, suggestions = [] }) => {
   const [selectedBrand, setSelectedBrand] = useState('');
   const [orderType, setOrderType] = useState('general'); // 'general', 'brand', or 'zeroStock'
   const [editableQuantities, setEditableQuantities] = useState({});
   const [isInitialized, setIsInitialized] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplateId, setSelectedTemplateId] = useState('');
+  const [templateItemIds, setTemplateItemIds] = useState(new Set());
+  const [showSaveTemplate, setShowSaveTemplate] = useState(false);
+  const [templateForm, setTemplateForm] = useState({ name: '', recurrenceWeekday: '' });
 
   // Filtrar solo tabacos de todos los items
   const allTobaccoItems = useMemo(() => {
     return items.filter(item => item.tipo === 'Tabaco');
   }, [items]);
 
-  // Items que necesitan reposición (para mostrar alertas)
+  // Cantidades sugeridas por el servidor indexadas por ID de producto
+  const suggestedQuantities = useMemo(() => {
+    return Object.fromEntries(suggestions.map(suggestion => [suggestion.id, suggestion.suggestedQuantity]));
+  }, [suggestions]);
+
+  // Tabacos con cantidad sugerida, más los de la plantilla aplicada aunque tengan stock
   const itemsNeedingRestock = useMemo(() => {
-    return allTobaccoItems.filter(item => item.stock < item.minStock);
-  }, [allTobaccoItems]);
+    return items.filter(item =>
+      (item.tipo === 'Tabaco' && suggestedQuantities[item.id] > 0) || templateItemIds.has(item.id)
+    );
+  }, [items, suggestedQuantities, templateItemIds]);
+
+  // Marcas con productos en el pedido
+  const brandsNeedingRestock = useMemo(() => {
+    return [...new Set(itemsNeedingRestock.map(item => item.marca))].sort();
+  }, [itemsNeedingRestock]);
+
+  // Cargar las plantillas guardadas al abrir el modal
+  useEffect(() => {
+    if (!isOpen) return;
+    orderTemplatesAPI.getAll()
+      .then(setTemplates)
+      .catch(error => console.error('Error cargando plantillas de pedido:', error));
+  }, [isOpen]);
   
   // Obtener todas las marcas de tabacos
   const allTobaccoBrands = useMemo(() => {
@@ -41,24 +75,18 @@ const OrderModal = ({ isOpen, onClose, items }) => {
     if (isOpen && !isInitialized) {
       const initialQuantities = {};
       allTobaccoItems.forEach(item => {
-        // Si el stock está en 0 o por debajo del mínimo, sugerir cantidad
-        if (item.stock === 0) {
-          // Si no hay stock, sugerir el stock mínimo o 10 si no tiene mínimo
-          initialQuantities[item.id] = item.minStock > 0 ? item.minStock : 10;
-        } else if (item.stock < item.minStock) {
-          // Si está por debajo del mínimo, sugerir la diferencia
-          initialQuantities[item.id] = item.minStock - item.stock;
-        } else {
-          // Si tiene stock suficiente, poner 0 por defecto
-          initialQuantities[item.id] = 0;
-        }
+        // La cantidad sugerida se calcula en el servidor; 0 si tiene stock suficiente
+        initialQuantities[item.id] = suggestedQuantities[item.id] || 0;
       });
       setEditableQuantities(initialQuantities);
       setIsInitialized(true);
     } else if (!isOpen) {
       setIsInitialized(false);
+      setSelectedTemplateId('');
+      setTemplateItemIds(new Set());
+      setShowSaveTemplate(false);
     }
-  }, [isOpen, allTobaccoItems, isInitialized]);
+  }, [isOpen, allTobaccoItems, suggestedQuantities, isInitialized]);
 
   /**
    * Actualiza la cantidad editable de un producto específico
@@ -82,6 +110,86 @@ const OrderModal = ({ isOpen, onClose, items }) => {
 
   if (!isOpen) return null;
 
+  /**
+   * Carga en el pedido las cantidades de la plantilla seleccionada
+   * @function applyTemplate
+   * @returns {void} No retorna valor
+   * @description Usa la cantidad sugerida de cada línea (cantidad habitual ajustada al stock y al
+   * stock mínimo actuales). Los productos de la plantilla se añaden a la vista previa aunque no
+   * estén por debajo del mínimo
+   */
+  const applyTemplate = () => {
+    const template = templates.find(t => t.id === parseInt(selectedTemplateId));
+    if (!template) return;
+
+    setTemplateItemIds(new Set(template.items.map(item => item.inventoryItemId)));
+    setEditableQuantities(prev => {
+      const updated = { ...prev };
+      template.items.forEach(item => {
+        updated[item.inventoryItemId] = item.suggestedQuantity;
+      });
+      return updated;
+    });
+    setOrderType('general');
+  };
+
+  /**
+   * Elimina la plantilla seleccionada tras confirmarlo
+   * @function deleteTemplate
+   * @async
+   * @returns {Promise<void>} No retorna valor
+   */
+  const deleteTemplate = async () => {
+    const template = templates.find(t => t.id === parseInt(selectedTemplateId));
+    if (!template || !confirm(`¿Eliminar la plantilla "${template.name}"?`)) return;
+
+    try {
+      await orderTemplatesAPI.delete(template.id);
+      setTemplates(prev => prev.filter(t => t.id !== template.id));
+      setSelectedTemplateId('');
+    } catch (error) {
+      alert(`Error eliminando plantilla: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  /**
+   * Guarda las cantidades actuales como plantilla nueva o sobrescribe la seleccionada
+   * @function saveTemplate
+   * @async
+   * @returns {Promise<void>} No retorna valor
+   */
+  const saveTemplate = async () => {
+    const templateItems = itemsNeedingRestock
+      .filter(item => (editableQuantities[item.id] || 0) > 0)
+      .map(item => ({ inventoryItemId: item.id, quantity: editableQuantities[item.id] }));
+
+    if (templateItems.length === 0) {
+      alert('No hay productos con cantidad para guardar en la plantilla');
+      return;
+    }
+
+    const templateData = {
+      name: templateForm.name,
+      recurrenceWeekday: templateForm.recurrenceWeekday === '' ? null : parseInt(templateForm.recurrenceWeekday),
+      items: templateItems
+    };
+
+    try {
+      const existing = templates.find(t => t.name === templateForm.name.trim());
+      const saved = existing
+        ? await orderTemplatesAPI.update(existing.id, templateData)
+        : await orderTemplatesAPI.create(templateData);
+
+      setTemplates(prev => [...prev.filter(t => t.id !== saved.id), saved].sort((a, b) => a.name.localeCompare(b.name)));
+      setSelectedTemplateId(String(saved.id));
+      setShowSaveTemplate(false);
+      alert(`✅ Plantilla "${saved.name}" guardada` +
+        (saved.recurrenceWeekday !== null ? `. Se generará un borrador cada ${WEEKDAYS[saved.recurrenceWeekday].toLowerCase()}.` : ''));
+    } catch (error) {
+      alert(`Error guardando plantilla: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
   /**
    * Genera los datos del pedido general agrupados por marca
    * @function generateGeneralOrder
@@ -272,9 +380,9 @@ const OrderModal = ({ isOpen, onClose, items }) => {
       const tableData = brandGroup.items.map(item => {
         totalItems += item.unitsNeeded;
         return [
-          item.nombre,
+          formatProductWithSku(item),
           `${item.peso}g`,
-          `${item.unitsNeeded}`
+          formatPackQuantity(item.unitsNeeded, item.packSize)
         ];
       });
 
@@ -358,9 +466,9 @@ const OrderModal = ({ isOpen, onClose, items }) => {
 
     // Tabla de productos
     const tableData = orderData.items.map(item => [
-      item.nombre,
+      formatProductWithSku(item),
       `${item.peso}g`,
-      `${item.unitsNeeded}`
+      formatPackQuantity(item.unitsNeeded, item.packSize)
     ]);
 
     autoTable(doc, {
@@ -453,6 +561,93 @@ const OrderModal = ({ isOpen, onClose, items }) => {
             </div>
           )}
 
+          {/* Plantillas */}
+          <div className="mb-6">
+            <h3 className="text-lg font-medium text-gray-200 mb-3">Plantillas</h3>
+            <div className="flex flex-wrap gap-2 items-center">
+              <select
+                value={selectedTemplateId}
+                onChange={(e) => setSelectedTemplateId(e.target.value)}
+                className="flex-1 min-w-[200px] bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-green-500"
+              >
+                <option value="">{templates.length === 0 ? 'No hay plantillas guardadas' : 'Selecciona una plantilla...'}</option>
+                {templates.map(template => (
+                  <option key={template.id} value={template.id}>
+                    {template.name} ({template.items.length} productos
+                    {template.supplier ? ` · ${template.supplier.name}` : ''}
+                    {template.recurrenceWeekday !== null ? ` · cada ${WEEKDAYS[template.recurrenceWeekday].toLowerCase()}` : ''})
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={applyTemplate}
+                disabled={!selectedTemplateId}
+                className="px-3 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                📋 Aplicar
+              </button>
+              <button
+                onClick={deleteTemplate}
+                disabled={!selectedTemplateId}
+                className="px-3 py-2 bg-red-600 text-white rounded-lg text-sm hover:bg-red-700 transition-colors disabled:opacity-50"
+                title="Eliminar plantilla"
+              >
+                🗑️
+              </button>
+              <button
+                onClick={() => {
+                  const template = templates.find(t => t.id === parseInt(selectedTemplateId));
+                  setTemplateForm({
+                    name: template?.name || '',
+                    recurrenceWeekday: template?.recurrenceWeekday ?? ''
+                  });
+                  setShowSaveTemplate(true);
+                }}
+                className="px-3 py-2 bg-gray-700 text-gray-300 rounded-lg text-sm hover:bg-gray-600 transition-colors"
+              >
+                💾 Guardar como plantilla
+              </button>
+            </div>
+            {showSaveTemplate && (
+              <div className="flex flex-wrap gap-2 items-center mt-3 bg-gray-900 rounded-lg p-3">
+                <input
+                  type="text"
+                  value={templateForm.name}
+                  onChange={(e) => setTemplateForm({ ...templateForm, name: e.target.value })}
+                  placeholder="Nombre de la plantilla"
+                  className="flex-1 min-w-[180px] bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+                />
+                <select
+                  value={templateForm.recurrenceWeekday}
+                  onChange={(e) => setTemplateForm({ ...templateForm, recurrenceWeekday: e.target.value })}
+                  className="bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+                  title="Genera automáticamente un pedido en borrador ese día, con las cantidades ajustadas al stock"
+                >
+                  <option value="">Sin pedido recurrente</option>
+                  {WEEKDAYS.map((day, index) => (
+                    <option key={day} value={index}>Borrador cada {day.toLowerCase()}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={saveTemplate}
+                  disabled={!templateForm.name.trim()}
+                  className="px-3 py-2 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 transition-colors disabled:opacity-50"
+                >
+                  Guardar
+                </button>
+                <button
+                  onClick={() => setShowSaveTemplate(false)}
+                  className="px-3 py-2 bg-gray-700 text-gray-300 rounded-lg text-sm hover:bg-gray-600 transition-colors"
+                >
+                  Cancelar
+                </button>
+                <p className="w-full text-xs text-gray-400">
+                  Se guardan los productos con cantidad mayor a 0. Si ya existe una plantilla con ese nombre se sobrescribe.
+                </p>
+              </div>
+            )}
+          </div>
+
           {/* Botones de utilidad */}
           <div className="mb-4">
             <h3 className="text-lg font-medium text-gray-200 mb-3">Acciones Rápidas</h3>
@@ -461,7 +656,7 @@ const OrderModal = ({ isOpen, onClose, items }) => {
                 onClick={() => {
                   const newQuantities = {};
                   itemsNeedingRestock.forEach(item => {
-                    newQuantities[item.id] = Math.max(0, item.minStock - item.stock);
+                    newQuantities[item.id] = suggestedQuantities[item.id] || 0;
                   });
                   setEditableQuantities(newQuantities);
                 }}
@@ -485,8 +680,7 @@ const OrderModal = ({ isOpen, onClose, items }) => {
                 onClick={() => {
                   const newQuantities = {};
                   itemsNeedingRestock.forEach(item => {
-                    const suggested = Math.max(0, item.minStock - item.stock);
-                    newQuantities[item.id] = Math.ceil(suggested * 1.5); // 50% extra
+                    newQuantities[item.id] = Math.ceil((suggestedQuantities[item.id] || 0) * 1.5); // 50% extra
                   });
                   setEditableQuantities(newQuantities);
                 }}
@@ -1,4 +1,6 @@
 import { useState, useEffect } from 'react';
+import StockMovementsPanel from './StockMovementsPanel';
+import { suppliersAPI } from '../utils/api';
 
 const ProductModal = ({ item, onSave, onClose }) => {
   const [formData, setFormData] = useState({
@@ -8,11 +10,24 @@ const ProductModal = ({ item, onSave, onClose }) => {
     peso: '',
     stock: '',
     minStock: '',
-    precio: ''
+    maxStock: '',
+    packSize: '',
+    supplierSku: '',
+    barcode: '',
+    alternateBarcodes: '',
+    precio: '',
+    supplierId: ''
   });
+  const [suppliers, setSuppliers] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
+  useEffect(() => {
+    suppliersAPI.getAll()
+      .then(setSuppliers)
+      .catch((err) => console.error('Error cargando proveedores:', err));
+  }, []);
+
   useEffect(() => {
     if (item) {
       setFormData({
@@ -22,7 +37,13 @@ const ProductModal = ({ item, onSave, onClose }) => {
         peso: item.peso.toString(),
         stock: item.stock.toString(),
         minStock: item.minStock.toString(),
-        precio: item.precio.toString()
+        maxStock: item.maxStock !== null && item.maxStock !== undefined ? item.maxStock.toString() : '',
+        packSize: item.packSize > 1 ? item.packSize.toString() : '',
+        supplierSku: item.supplierSku || '',
+        barcode: item.barcode || '',
+        alternateBarcodes: (item.alternateBarcodes || []).map(entry => entry.code).join(', '),
+        precio: item.precio.toString(),
+        supplierId: item.supplierId ? item.supplierId.toString() : ''
       });
     }
   }, [item]);
@@ -36,6 +57,26 @@ const ProductModal = ({ item, onSave, onClose }) => {
     setError('');
   };
 
+  // Los lectores de códigos terminan con Enter, que enviaría el formulario
+  const preventScannerSubmit = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+    }
+  };
+
+  // En los alternativos, el Enter del lector separa el código leído del siguiente
+  const handleAlternateKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      setFormData(prev => ({
+        ...prev,
+        alternateBarcodes: prev.alternateBarcodes.trim() && !/[,;]\s*$/.test(prev.alternateBarcodes)
+          ? `${prev.alternateBarcodes.trim()}, `
+          : prev.alternateBarcodes
+      }));
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -55,6 +96,16 @@ const ProductModal = ({ item, onSave, onClose }) => {
       return;
     }
 
+    if (formData.maxStock !== '' && parseInt(formData.maxStock) < (parseInt(formData.minStock) || 0)) {
+      setError('El stock máximo no puede ser menor que el stock mínimo');
+      return;
+    }
+
+    if (formData.packSize !== '' && parseInt(formData.packSize) < 1) {
+      setError('Las unidades por caja deben ser mayores que 0');
+      return;
+    }
+
     setLoading(true);
     setError('');
 
@@ -63,11 +114,25 @@ const ProductModal = ({ item, onSave, onClose }) => {
       marca: formData.marca.trim(),
       nombre: formData.nombre.trim(),
       peso: parseInt(formData.peso),
-      stock: parseInt(formData.stock),
       minStock: parseInt(formData.minStock) || 0,
-      precio: parseFloat(formData.precio) || 0
+      maxStock: formData.maxStock !== '' ? parseInt(formData.maxStock) : null,
+      packSize: parseInt(formData.packSize) || 1,
+      supplierSku: formData.supplierSku.trim() || null,
+      barcode: formData.barcode.trim() || null,
+      precio: parseFloat(formData.precio) || 0,
+      supplierId: formData.supplierId ? parseInt(formData.supplierId) : null
     };
 
+    // Los códigos alternativos sustituyen a los guardados, así que solo se envían si se conocen
+    if (!item || item.alternateBarcodes) {
+      productData.alternateBarcodes = formData.alternateBarcodes.split(/[\s,;]+/).filter(Boolean);
+    }
+
+    // El stock solo se fija al crear; después se corrige con el ajuste de stock
+    if (!item) {
+      productData.stock = parseInt(formData.stock);
+    }
+
     const result = await onSave(productData);
     
     if (!result.success) {
@@ -127,6 +192,24 @@ const ProductModal = ({ item, onSave, onClose }) => {
             />
           </div>
 
+          {/* Proveedor */}
+          <div>
+            <label className="block text-sm font-medium text-gray-200 mb-2">
+              Proveedor
+            </label>
+            <select
+              name="supplierId"
+              value={formData.supplierId}
+              onChange={handleChange}
+              className="input-field"
+            >
+              <option value="">{item ? 'Sin proveedor' : 'El de la marca'}</option>
+              {suppliers.map(supplier => (
+                <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+              ))}
+            </select>
+          </div>
+
           {/* Nombre */}
           <div>
             <label className="block text-sm font-medium text-gray-200 mb-2">
@@ -172,9 +255,15 @@ const ProductModal = ({ item, onSave, onClose }) => {
               onChange={handleChange}
               placeholder="0"
               min="0"
-              className="input-field"
+              className="input-field disabled:opacity-60 disabled:cursor-not-allowed"
+              disabled={!!item}
               required
             />
+            {item && (
+              <p className="text-xs text-gray-500 mt-1">
+                Para corregir el stock usa el botón ± de la tarjeta del producto
+              </p>
+            )}
           </div>
 
           {/* Stock mínimo */}
@@ -196,6 +285,59 @@ const ProductModal = ({ item, onSave, onClose }) => {
             </p>
           </div>
 
+          {/* Stock máximo */}
+          <div>
+            <label className="block text-sm font-medium text-gray-200 mb-2">
+              Stock máximo
+            </label>
+            <input
+              type="number"
+              name="maxStock"
+              value={formData.maxStock}
+              onChange={handleChange}
+              placeholder="Sin máximo"
+              min="0"
+              className="input-field"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Al reponer se pide hasta llegar a este stock. Vacío: se repone hasta el mínimo
+            </p>
+          </div>
+
+          {/* Caja y referencia del proveedor */}
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-200 mb-2">
+                Unidades por caja
+              </label>
+              <input
+                type="number"
+                name="packSize"
+                value={formData.packSize}
+                onChange={handleChange}
+                placeholder="1"
+                min="1"
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-200 mb-2">
+                Ref. proveedor
+              </label>
+              <input
+                type="text"
+                name="supplierSku"
+                value={formData.supplierSku}
+                onChange={handleChange}
+                placeholder="Ej: AF-MNT-50"
+                className="input-field"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 -mt-2">
+            Los pedidos sugeridos se redondean a cajas completas
+          </p>
+
           {/* Precio */}
           <div>
             <label className="block text-sm font-medium text-gray-200 mb-2">
@@ -213,6 +355,41 @@ const ProductModal = ({ item, onSave, onClose }) => {
             />
           </div>
 
+          {/* Códigos de barras */}
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-200 mb-2">
+                Código de barras
+              </label>
+              <input
+                type="text"
+                name="barcode"
+                value={formData.barcode}
+                onChange={handleChange}
+                onKeyDown={preventScannerSubmit}
+                placeholder="EAN de la lata"
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-200 mb-2">
+                Códigos alternativos
+              </label>
+              <input
+                type="text"
+                name="alternateBarcodes"
+                value={formData.alternateBarcodes}
+                onChange={handleChange}
+                onKeyDown={handleAlternateKeyDown}
+                placeholder="Separados por comas"
+                className="input-field"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 -mt-2">
+            Puedes leerlos con el lector: el producto se encontrará al escanear cualquiera de ellos
+          </p>
+
           {/* Error */}
           {error && (
             <div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded-lg text-sm">
@@ -246,6 +423,9 @@ const ProductModal = ({ item, onSave, onClose }) => {
             </button>
           </div>
         </form>
+
+        {/* Historial de movimientos */}
+        {item && <StockMovementsPanel itemId={item.id} />}
       </div>
     </div>
   );
@@ -2,17 +2,34 @@ import { useState, useEffect, useMemo } from 'react';
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
 import { ordersAPI } from '../utils/api';
+import { formatPackQuantity, formatProductWithSku, formatStockLevels, formatDaysOfCover } from '../utils/restock';
 
-const ReportsModal = ({ isOpen, onClose, items }) => {
+const ReportsModal = ({ isOpen, onClose, items, suggestions = [] }) => {
   const [selectedBrand, setSelectedBrand] = useState('');
   const [reportType, setReportType] = useState('general'); // 'general', 'brand', or 'zeroStock'
   const [editableQuantities, setEditableQuantities] = useState({});
   const [isInitialized, setIsInitialized] = useState(false);
 
-  // Usar useMemo para evitar recálculos innecesarios
+  // Sugerencias del servidor (GET /api/restock/suggestions) indexadas por ID de producto
+  const suggestionsById = useMemo(() => {
+    return Object.fromEntries(suggestions.map(suggestion => [suggestion.id, suggestion]));
+  }, [suggestions]);
+
+  // Cantidades sugeridas indexadas por ID de producto
+  const suggestedQuantities = useMemo(() => {
+    return Object.fromEntries(suggestions.map(suggestion => [suggestion.id, suggestion.suggestedQuantity]));
+  }, [suggestions]);
+
+  // Productos con cantidad sugerida, con su previsión de cobertura
   const itemsNeedingRestock = useMemo(() => {
-    return items.filter(item => item.stock < item.minStock);
-  }, [items]);
+    return items
+      .filter(item => suggestedQuantities[item.id] > 0)
+      .map(item => ({
+        ...item,
+        daysOfCover: suggestionsById[item.id].daysOfCover,
+        stockoutDate: suggestionsById[item.id].stockoutDate
+      }));
+  }, [items, suggestedQuantities, suggestionsById]);
 
   // Obtener tabacos con stock 0
   const tobaccoWithZeroStock = useMemo(() => {
@@ -41,7 +58,7 @@ const ReportsModal = ({ isOpen, onClose, items }) => {
       } else {
         // Para otros tipos de informe, usar la lógica original
         itemsNeedingRestock.forEach(item => {
-          initialQuantities[item.id] = Math.max(0, item.minStock - item.stock);
+          initialQuantities[item.id] = suggestedQuantities[item.id];
         });
       }
       setEditableQuantities(initialQuantities);
@@ -49,7 +66,7 @@ const ReportsModal = ({ isOpen, onClose, items }) => {
     } else if (!isOpen) {
       setIsInitialized(false);
     }
-  }, [isOpen, itemsNeedingRestock, tobaccoWithZeroStock, isInitialized, reportType]);
+  }, [isOpen, itemsNeedingRestock, suggestedQuantities, tobaccoWithZeroStock, isInitialized, reportType]);
 
   // Función para actualizar cantidad de un item
   const updateQuantity = (itemId, newQuantity) => {
@@ -200,10 +217,11 @@ const ReportsModal = ({ isOpen, onClose, items }) => {
 
       // Tabla de productos de la marca
       const tableData = brandGroup.items.map(item => [
-        item.nombre,
+        formatProductWithSku(item),
         `${item.stock}`,
-        `${item.minStock}`,
-        `${item.unitsNeeded}`,
+        formatStockLevels(item),
+        formatDaysOfCover(item),
+        formatPackQuantity(item.unitsNeeded, item.packSize),
         `${item.peso}g`,
         `${item.precio.toFixed(2)}€`,
         `${item.totalPrice.toFixed(2)}€`
@@ -211,7 +229,7 @@ const ReportsModal = ({ isOpen, onClose, items }) => {
 
       autoTable(doc, {
         startY: yPosition,
-        head: [['Producto', 'Stock Actual', 'Stock Mínimo', 'Unidades Necesarias', 'Peso', 'Precio Unit.', 'Precio Total']],
+        head: [['Producto', 'Stock Actual', 'Mín. / Máx.', 'Cobertura', 'Unidades Necesarias', 'Peso', 'Precio Unit.', 'Precio Total']],
         body: tableData,
         styles: {
           fontSize: 9,
@@ -274,10 +292,11 @@ const ReportsModal = ({ isOpen, onClose, items }) => {
 
     // Tabla de productos
     const tableData = reportData.items.map(item => [
-      item.nombre,
+      formatProductWithSku(item),
       `${item.stock}`,
-      `${item.minStock}`,
-      `${item.unitsNeeded}`,
+      formatStockLevels(item),
+      formatDaysOfCover(item),
+      formatPackQuantity(item.unitsNeeded, item.packSize),
       `${item.peso}g`,
       `${item.precio.toFixed(2)}€`,
       `${item.totalPrice.toFixed(2)}€`
@@ -285,7 +304,7 @@ const ReportsModal = ({ isOpen, onClose, items }) => {
 
     autoTable(doc, {
       startY: 55,
-      head: [['Producto', 'Stock Actual', 'Stock Mínimo', 'Unidades Necesarias', 'Peso', 'Precio Unit.', 'Precio Total']],
+      head: [['Producto', 'Stock Actual', 'Mín. / Máx.', 'Cobertura', 'Unidades Necesarias', 'Peso', 'Precio Unit.', 'Precio Total']],
       body: tableData,
       styles: {
         fontSize: 10,
@@ -336,18 +355,18 @@ const ReportsModal = ({ isOpen, onClose, items }) => {
 
       // Tabla de productos
       const tableData = reportData.items.map(item => [
-        item.nombre,
+        formatProductWithSku(item),
         `${item.stock}`,
-        `${item.minStock}`,
+        formatStockLevels(item),
         `${item.peso}g`,
-        `${item.unitsNeeded}`,
+        formatPackQuantity(item.unitsNeeded, item.packSize),
         `${item.precio.toFixed(2)}€`,
         `${item.totalPrice.toFixed(2)}€`
       ]);
 
       autoTable(doc, {
         startY: 55,
-        head: [['Producto', 'Stock', 'Stock Mín.', 'Peso', 'Unidades a Pedir', 'Precio Unit.', 'Precio Total']],
+        head: [['Producto', 'Stock', 'Mín. / Máx.', 'Peso', 'Unidades a Pedir', 'Precio Unit.', 'Precio Total']],
         body: tableData,
         styles: {
           fontSize: 10,
@@ -408,18 +427,18 @@ const ReportsModal = ({ isOpen, onClose, items }) => {
 
         // Tabla de productos de la marca
         const tableData = brandGroup.items.map(item => [
-          item.nombre,
+          formatProductWithSku(item),
           `${item.stock}`,
-          `${item.minStock}`,
+          formatStockLevels(item),
           `${item.peso}g`,
-          `${item.unitsNeeded}`,
+          formatPackQuantity(item.unitsNeeded, item.packSize),
           `${item.precio.toFixed(2)}€`,
           `${item.totalPrice.toFixed(2)}€`
         ]);
 
         autoTable(doc, {
           startY: yPosition,
-          head: [['Producto', 'Stock', 'Stock Mín.', 'Peso', 'Unidades a Pedir', 'Precio Unit.', 'Precio Total']],
+          head: [['Producto', 'Stock', 'Mín. / Máx.', 'Peso', 'Unidades a Pedir', 'Precio Unit.', 'Precio Total']],
           body: tableData,
           styles: {
             fontSize: 9,
@@ -544,7 +563,7 @@ const ReportsModal = ({ isOpen, onClose, items }) => {
                     if (reportType === 'zeroStock') {
                       newQuantities[item.id] = 1; // Para tabacos con stock 0, sugerir 1 unidad
                     } else {
-                      newQuantities[item.id] = Math.max(0, item.minStock - item.stock);
+                      newQuantities[item.id] = suggestedQuantities[item.id];
                     }
                   });
                   setEditableQuantities(newQuantities);
@@ -573,8 +592,7 @@ const ReportsModal = ({ isOpen, onClose, items }) => {
                   onClick={() => {
                     const newQuantities = {};
                     itemsNeedingRestock.forEach(item => {
-                      const suggested = Math.max(0, item.minStock - item.stock);
-                      newQuantities[item.id] = Math.ceil(suggested * 1.5); // 50% extra
+                      newQuantities[item.id] = Math.ceil(suggestedQuantities[item.id] * 1.5); // 50% extra
                     });
                     setEditableQuantities(newQuantities);
                     console.log('Pidiendo 50% extra:', newQuantities); // Debug
@@ -693,6 +711,7 @@ const GeneralReportPreview = ({ items, editableQuantities, updateQuantity }) =>
                     <th className="text-left py-1 text-gray-400">Producto</th>
                     <th className="text-center py-1 text-gray-400">Stock</th>
                     <th className="text-center py-1 text-gray-400">Min</th>
+                    <th className="text-center py-1 text-gray-400">Cobertura</th>
                     <th className="text-center py-1 text-gray-400">Necesarias</th>
                     <th className="text-center py-1 text-gray-400">Peso</th>
                     <th className="text-center py-1 text-gray-400">P. Unit.</th>
@@ -708,6 +727,7 @@ const GeneralReportPreview = ({ items, editableQuantities, updateQuantity }) =>
                         <td className="py-1 text-gray-300">{item.nombre}</td>
                         <td className="text-center py-1 text-red-400">{item.stock}</td>
                         <td className="text-center py-1 text-gray-300">{item.minStock}</td>
+                        <td className="text-center py-1 text-gray-300">{formatDaysOfCover(item)}</td>
                         <td className="text-center py-1">
                           <input
                             type="number"
@@ -757,6 +777,7 @@ const BrandReportPreview = ({ items, brand, editableQuantities, updateQuantity }
               <th className="text-left py-2 text-gray-400">Producto</th>
               <th className="text-center py-2 text-gray-400">Stock Actual</th>
               <th className="text-center py-2 text-gray-400">Stock Mínimo</th>
+              <th className="text-center py-2 text-gray-400">Cobertura</th>
               <th className="text-center py-2 text-gray-400">Unidades Necesarias</th>
               <th className="text-center py-2 text-gray-400">Peso</th>
               <th className="text-center py-2 text-gray-400">Precio Unit.</th>
@@ -772,6 +793,7 @@ const BrandReportPreview = ({ items, brand, editableQuantities, updateQuantity }
                   <td className="py-2 text-gray-300">{item.nombre}</td>
                   <td className="text-center py-2 text-red-400">{item.stock}</td>
                   <td className="text-center py-2 text-gray-300">{item.minStock}</td>
+                  <td className="text-center py-2 text-gray-300">{formatDaysOfCover(item)}</td>
                   <td className="text-center py-2">
                     <input
                       type="number"
@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react';
+import { inventoryAPI } from '../utils/api';
+
+/**
+ * Etiquetas en español para los motivos de movimiento de stock
+ * @type {Object<string, string>}
+ */
+const REASON_LABELS = {
+  'initial': 'Stock inicial',
+  'manual-adjust': 'Ajuste manual',
+  'order-receipt': 'Recepción de pedido',
+  'order-reversal': 'Recepción revertida',
+  'consumption': 'Consumo'
+};
+
+/**
+ * Etiquetas de los motivos de ajuste por defecto (los personalizados se muestran por su código)
+ * @type {Object<string, string>}
+ */
+const ADJUSTMENT_LABELS = {
+  'breakage': 'Rotura',
+  'theft': 'Robo',
+  'count-correction': 'Corrección de recuento',
+  'sample': 'Muestra',
+  'gift': 'Regalo'
+};
+
+/**
+ * Panel con el historial de movimientos de stock de un producto
+ * @function StockMovementsPanel
+ * @param {Object} props - Props del componente
+ * @param {number} props.itemId - ID del producto cuyo historial se muestra
+ * @returns {JSX.Element} Lista de movimientos con fecha, motivo, variación y stock resultante
+ * @description Carga los movimientos desde la API al montarse y permite recargarlos
+ */
+const StockMovementsPanel = ({ itemId }) => {
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  /**
+   * Carga el historial de movimientos del producto
+   * @function fetchMovements
+   * @async
+   * @returns {Promise<void>} No retorna valor
+   */
+  const fetchMovements = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await inventoryAPI.getMovements(itemId);
+      setMovements(Array.isArray(data) ? data : []);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Error cargando el historial');
+      console.error('Error fetching stock movements:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchMovements();
+  }, [itemId]);
+
+  return (
+    <div className="border-t border-dark-700 p-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-gray-200">Historial de movimientos</h3>
+        <button
+          type="button"
+          onClick={fetchMovements}
+          className="text-xs text-gray-400 hover:text-gray-200"
+          disabled={loading}
+        >
+          ↻ Recargar
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-gray-400"></div>
+        </div>
+      ) : error ? (
+        <div className="bg-red-900/50 border border-red-700 text-red-200 px-3 py-2 rounded-lg text-xs">
+          {error}
+        </div>
+      ) : movements.length === 0 ? (
+        <p className="text-xs text-gray-500">Este producto no tiene movimientos registrados.</p>
+      ) : (
+        <ul className="space-y-2 max-h-60 overflow-y-auto">
+          {movements.map((movement) => (
+            <li key={movement.id} className="bg-dark-800 rounded-lg px-3 py-2 text-xs">
+              <div className="flex items-center justify-between">
+                <span className="text-gray-200 font-medium">
+                  {REASON_LABELS[movement.reason] || movement.reason}
+                  {movement.adjustmentReason && (
+                    <span className="text-gray-400 font-normal">
+                      {' · '}{ADJUSTMENT_LABELS[movement.adjustmentReason] || movement.adjustmentReason}
+                    </span>
+                  )}
+                </span>
+                <span className={movement.delta >= 0 ? 'text-green-400 font-medium' : 'text-red-400 font-medium'}>
+                  {movement.delta > 0 ? `+${movement.delta}` : movement.delta} → {movement.resultingStock}
+                </span>
+              </div>
+              <div className="flex items-center justify-between text-gray-500 mt-1">
+                <span>{new Date(movement.createdAt).toLocaleString('es-ES')}</span>
+                <span>{movement.userName || 'Sistema'}</span>
+              </div>
+              {(movement.orderItem?.order || movement.notes) && (
+                <div className="text-gray-400 mt-1">
+                  {movement.orderItem?.order ? `Pedido ${movement.orderItem.order.orderNumber}` : movement.notes}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default StockMovementsPanel;
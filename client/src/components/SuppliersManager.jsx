@@ -0,0 +1,444 @@
+import { useState, useEffect } from 'react';
+import { suppliersAPI, inventoryAPI } from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+
+/**
+ * Gestión de proveedores y de la asignación de marcas a cada proveedor
+ * @function SuppliersManager
+ * @returns {JSX.Element} Tabla de proveedores con acciones de crear, editar y eliminar
+ * @description Pestaña del panel de administración. Cada marca solo puede tener un proveedor
+ * por defecto, que se aplica a todos los productos de esa marca
+ */
+const SuppliersManager = () => {
+	const [suppliers, setSuppliers] = useState([]);
+	const [brands, setBrands] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState('');
+	const [showModal, setShowModal] = useState(false);
+	const [editingSupplier, setEditingSupplier] = useState(null);
+
+	/**
+	 * Carga los proveedores y las marcas existentes en el inventario
+	 * @function loadData
+	 * @async
+	 * @returns {void} No retorna valor
+	 */
+	const loadData = async () => {
+		try {
+			setLoading(true);
+			setError('');
+
+			const [suppliersData, items] = await Promise.all([
+				suppliersAPI.getAll(),
+				inventoryAPI.getAll()
+			]);
+
+			setSuppliers(suppliersData);
+			setBrands([...new Set(items.map(item => item.marca))].sort());
+		} catch (err) {
+			setError(err.response?.data?.error || 'Error cargando proveedores');
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	useEffect(() => {
+		loadData();
+	}, []);
+
+	/**
+	 * Elimina un proveedor después de confirmación
+	 * @function handleDelete
+	 * @async
+	 * @param {Object} supplier - Proveedor a eliminar
+	 * @returns {void} No retorna valor
+	 */
+	const handleDelete = async (supplier) => {
+		if (!window.confirm(`¿Eliminar el proveedor "${supplier.name}"? Sus productos y pedidos quedarán sin proveedor asignado.`)) {
+			return;
+		}
+
+		try {
+			await suppliersAPI.delete(supplier.id);
+			await loadData();
+		} catch (err) {
+			setError(err.response?.data?.error || 'Error eliminando proveedor');
+		}
+	};
+
+	if (loading) {
+		return <LoadingSpinner />;
+	}
+
+	const unassignedBrands = brands.filter(brand =>
+		!suppliers.some(supplier => supplier.brands.includes(brand))
+	);
+
+	return (
+		<div className="space-y-6">
+			<div className="flex items-center justify-between">
+				<h2 className="text-xl font-semibold text-white">Proveedores</h2>
+				<button
+					onClick={() => {
+						setEditingSupplier(null);
+						setShowModal(true);
+					}}
+					className="btn-primary flex items-center"
+				>
+					<span className="mr-2">+</span>
+					Nuevo Proveedor
+				</button>
+			</div>
+
+			{error && (
+				<div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded-lg flex items-center justify-between">
+					<span>{error}</span>
+					<button
+						onClick={() => setError('')}
+						className="text-red-400 hover:text-red-300 ml-4"
+					>
+						✕
+					</button>
+				</div>
+			)}
+
+			{unassignedBrands.length > 0 && (
+				<div className="bg-amber-900/30 border border-amber-700 text-amber-200 px-4 py-3 rounded-lg text-sm">
+					Marcas sin proveedor: {unassignedBrands.join(', ')}
+				</div>
+			)}
+
+			<div className="card">
+				<div className="card-body p-0">
+					<div className="overflow-x-auto">
+						<table className="w-full">
+							<thead className="border-b border-gray-700">
+								<tr>
+									<th className="text-left py-3 px-4 text-gray-300 font-medium">Proveedor</th>
+									<th className="text-left py-3 px-4 text-gray-300 font-medium">Contacto</th>
+									<th className="text-left py-3 px-4 text-gray-300 font-medium">Marcas</th>
+									<th className="text-center py-3 px-4 text-gray-300 font-medium">Plazo</th>
+									<th className="text-center py-3 px-4 text-gray-300 font-medium">Pedido mínimo</th>
+									<th className="text-center py-3 px-4 text-gray-300 font-medium">Pedidos</th>
+									<th className="text-center py-3 px-4 text-gray-300 font-medium">Acciones</th>
+								</tr>
+							</thead>
+							<tbody>
+								{suppliers.length === 0 ? (
+									<tr>
+										<td colSpan={7} className="text-center py-8 text-gray-400">
+											No hay proveedores registrados
+										</td>
+									</tr>
+								) : suppliers.map((supplier) => (
+									<tr key={supplier.id} className="border-b border-gray-800">
+										<td className="py-3 px-4">
+											<div className="text-gray-100 font-medium">{supplier.name}</div>
+											{supplier.notes && (
+												<div className="text-xs text-gray-500">{supplier.notes}</div>
+											)}
+										</td>
+										<td className="py-3 px-4 text-sm text-gray-300">
+											{supplier.contact && <div>{supplier.contact}</div>}
+											{supplier.email && <div className="text-gray-400">{supplier.email}</div>}
+											{supplier.phone && <div className="text-gray-400">{supplier.phone}</div>}
+										</td>
+										<td className="py-3 px-4">
+											<div className="flex flex-wrap gap-1">
+												{supplier.brands.length === 0 ? (
+													<span className="text-xs text-gray-500">Sin marcas</span>
+												) : supplier.brands.map(brand => (
+													<span key={brand} className="px-2 py-0.5 rounded-full text-xs bg-blue-900/50 text-blue-300">
+														{brand}
+													</span>
+												))}
+											</div>
+										</td>
+										<td className="text-center py-3 px-4 text-gray-300">
+											{supplier.leadTimeDays} día{supplier.leadTimeDays !== 1 ? 's' : ''}
+										</td>
+										<td className="text-center py-3 px-4 text-gray-300">
+											{supplier.minOrderValue > 0 ? `${supplier.minOrderValue.toFixed(2)}€` : '-'}
+										</td>
+										<td className="text-center py-3 px-4 text-gray-300">
+											{supplier._count?.orders || 0}
+										</td>
+										<td className="text-center py-3 px-4">
+											<div className="flex items-center justify-center space-x-2">
+												<button
+													onClick={() => {
+														setEditingSupplier(supplier);
+														setShowModal(true);
+													}}
+													className="text-blue-400 hover:text-blue-300 transition-colors"
+													title="Editar proveedor"
+												>
+													✏️
+												</button>
+												<button
+													onClick={() => handleDelete(supplier)}
+													className="text-red-400 hover:text-red-300 transition-colors"
+													title="Eliminar proveedor"
+												>
+													🗑️
+												</button>
+											</div>
+										</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+					</div>
+				</div>
+			</div>
+
+			{showModal && (
+				<SupplierModal
+					supplier={editingSupplier}
+					brands={brands}
+					suppliers={suppliers}
+					onSave={async () => {
+						setShowModal(false);
+						await loadData();
+					}}
+					onClose={() => setShowModal(false)}
+				/>
+			)}
+		</div>
+	);
+};
+
+/**
+ * Modal para crear/editar un proveedor y sus marcas
+ * @function SupplierModal
+ * @param {Object} props - Props del componente
+ * @param {Object|null} props.supplier - Proveedor a editar (null para crear uno nuevo)
+ * @param {Array<string>} props.brands - Marcas existentes en el inventario
+ * @param {Array} props.suppliers - Proveedores existentes (para indicar quién tiene cada marca)
+ * @param {Function} props.onSave - Callback cuando se guarda el proveedor
+ * @param {Function} props.onClose - Callback para cerrar el modal
+ * @returns {JSX.Element} Modal de proveedor
+ */
+const SupplierModal = ({ supplier, brands, suppliers, onSave, onClose }) => {
+	const [formData, setFormData] = useState({
+		name: supplier?.name || '',
+		contact: supplier?.contact || '',
+		email: supplier?.email || '',
+		phone: supplier?.phone || '',
+		leadTimeDays: supplier?.leadTimeDays ?? 0,
+		minOrderValue: supplier?.minOrderValue ?? 0,
+		orderPrefix: supplier?.orderPrefix || '',
+		notes: supplier?.notes || ''
+	});
+	const [selectedBrands, setSelectedBrands] = useState(supplier?.brands || []);
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState('');
+
+	/**
+	 * Devuelve el nombre del otro proveedor que tiene asignada una marca
+	 * @function getBrandOwner
+	 * @param {string} brand - Marca a consultar
+	 * @returns {string|null} Nombre del proveedor o null si no la tiene ningún otro
+	 */
+	const getBrandOwner = (brand) => {
+		const owner = suppliers.find(s => s.id !== supplier?.id && s.brands.includes(brand));
+		return owner ? owner.name : null;
+	};
+
+	const toggleBrand = (brand) => {
+		setSelectedBrands(prev =>
+			prev.includes(brand) ? prev.filter(b => b !== brand) : [...prev, brand]
+		);
+	};
+
+	/**
+	 * Guarda el proveedor y su asignación de marcas
+	 * @function handleSubmit
+	 * @async
+	 * @param {Event} e - Evento del formulario
+	 * @returns {void} No retorna valor
+	 */
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		setLoading(true);
+		setError('');
+
+		try {
+			const saved = supplier
+				? await suppliersAPI.update(supplier.id, formData)
+				: await suppliersAPI.create(formData);
+			await suppliersAPI.setBrands(saved.id, selectedBrands);
+			onSave();
+		} catch (err) {
+			setError(err.response?.data?.error || 'Error guardando proveedor');
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	const inputClass = 'w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+	return (
+		<div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+			<div className="bg-gray-800 rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+				<div className="flex justify-between items-center p-6 border-b border-gray-700">
+					<h2 className="text-xl font-semibold text-white">
+						{supplier ? 'Editar Proveedor' : 'Nuevo Proveedor'}
+					</h2>
+					<button
+						onClick={onClose}
+						className="text-gray-400 hover:text-white transition-colors"
+					>
+						✕
+					</button>
+				</div>
+
+				<form onSubmit={handleSubmit} className="p-6 space-y-4">
+					{error && (
+						<div className="bg-red-900/50 border border-red-700 text-red-200 px-3 py-2 rounded-lg text-sm">
+							{error}
+						</div>
+					)}
+
+					<div>
+						<label className="block text-sm font-medium text-gray-300 mb-2">Nombre</label>
+						<input
+							type="text"
+							value={formData.name}
+							onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+							className={inputClass}
+							required
+						/>
+					</div>
+
+					<div className="grid grid-cols-2 gap-3">
+						<div>
+							<label className="block text-sm font-medium text-gray-300 mb-2">Contacto</label>
+							<input
+								type="text"
+								value={formData.contact}
+								onChange={(e) => setFormData({ ...formData, contact: e.target.value })}
+								className={inputClass}
+							/>
+						</div>
+						<div>
+							<label className="block text-sm font-medium text-gray-300 mb-2">Teléfono</label>
+							<input
+								type="tel"
+								value={formData.phone}
+								onChange={(e) => setFormData({ ...formData, phone: e.target.value })}
+								className={inputClass}
+							/>
+						</div>
+					</div>
+
+					<div>
+						<label className="block text-sm font-medium text-gray-300 mb-2">Email</label>
+						<input
+							type="email"
+							value={formData.email}
+							onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+							className={inputClass}
+						/>
+					</div>
+
+					<div className="grid grid-cols-2 gap-3">
+						<div>
+							<label className="block text-sm font-medium text-gray-300 mb-2">Plazo de entrega (días)</label>
+							<input
+								type="number"
+								min="0"
+								value={formData.leadTimeDays}
+								onChange={(e) => setFormData({ ...formData, leadTimeDays: e.target.value })}
+								className={inputClass}
+							/>
+						</div>
+						<div>
+							<label className="block text-sm font-medium text-gray-300 mb-2">Pedido mínimo (€)</label>
+							<input
+								type="number"
+								min="0"
+								step="0.01"
+								value={formData.minOrderValue}
+								onChange={(e) => setFormData({ ...formData, minOrderValue: e.target.value })}
+								className={inputClass}
+							/>
+						</div>
+					</div>
+
+					<div>
+						<label className="block text-sm font-medium text-gray-300 mb-2">Prefijo de pedidos</label>
+						<input
+							type="text"
+							value={formData.orderPrefix}
+							onChange={(e) => setFormData({ ...formData, orderPrefix: e.target.value.toUpperCase() })}
+							placeholder="ORD"
+							className={`${inputClass} font-mono`}
+						/>
+						<p className="text-xs text-gray-500 mt-1">
+							Opcional. Los pedidos de este proveedor se numerarán como {formData.orderPrefix || 'ORD'}-{new Date().getFullYear()}-001
+						</p>
+					</div>
+
+					<div>
+						<label className="block text-sm font-medium text-gray-300 mb-2">Notas</label>
+						<textarea
+							value={formData.notes}
+							onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+							className={inputClass}
+							rows={2}
+						/>
+					</div>
+
+					<div>
+						<label className="block text-sm font-medium text-gray-300 mb-2">
+							Marcas que suministra ({selectedBrands.length})
+						</label>
+						<div className="bg-gray-900 rounded-lg p-3 max-h-48 overflow-y-auto space-y-1">
+							{brands.length === 0 ? (
+								<p className="text-xs text-gray-500">No hay marcas en el inventario</p>
+							) : brands.map(brand => {
+								const owner = getBrandOwner(brand);
+								return (
+									<label key={brand} className="flex items-center text-sm text-gray-300">
+										<input
+											type="checkbox"
+											checked={selectedBrands.includes(brand)}
+											onChange={() => toggleBrand(brand)}
+											className="mr-2"
+										/>
+										{brand}
+										{owner && (
+											<span className="ml-2 text-xs text-amber-400">
+												(ahora: {owner})
+											</span>
+										)}
+									</label>
+								);
+							})}
+						</div>
+					</div>
+
+					<div className="flex justify-end space-x-3 pt-4">
+						<button
+							type="button"
+							onClick={onClose}
+							className="px-4 py-2 bg-gray-700 text-gray-300 rounded-lg hover:bg-gray-600 transition-colors"
+						>
+							Cancelar
+						</button>
+						<button
+							type="submit"
+							disabled={loading}
+							className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+						>
+							{loading ? 'Guardando...' : supplier ? 'Actualizar' : 'Crear'}
+						</button>
+					</div>
+				</form>
+			</div>
+		</div>
+	);
+};
+
+export default SuppliersManager;
@@ -5,12 +5,13 @@ const useCartOrders = () => {
 	const [error, setError] = useState('');
 
 	/**
-	 * Crea un pedido a partir del contenido del carrito
+	 * Crea los pedidos a partir del contenido del carrito
 	 * @param {Array} cartItems - Items del carrito
 	 * @param {string} notes - Notas adicionales del pedido
-	 * @returns {Promise<Object>} Resultado de la operación
+	 * @param {boolean} split - Crear un pedido por proveedor (o por marca sin proveedor)
+	 * @returns {Promise<Object>} Resultado de la operación con los pedidos creados (orders)
 	 */
-	const createOrderFromCart = async (cartItems, notes = '') => {
+	const createOrderFromCart = async (cartItems, notes = '', split = false) => {
 		setLoading(true);
 		setError('');
 
@@ -35,7 +36,8 @@ const useCartOrders = () => {
 				body: JSON.stringify({
 					type: 'general', // Tipo de pedido general del carrito
 					items: orderItems,
-					notes: notes
+					notes: notes,
+					split
 				})
 			});
 
@@ -47,7 +49,7 @@ const useCartOrders = () => {
 
 			return {
 				success: true,
-				order: data
+				orders: split ? data.orders : [data]
 			};
 
 		} catch (error) {
@@ -62,6 +64,57 @@ const useCartOrders = () => {
 		}
 	};
 
+	/**
+	 * Obtiene la vista previa de los pedidos en que se dividirá el carrito
+	 * @param {Array} cartItems - Items del carrito
+	 * @returns {Promise<Object>} Resultado de la operación con los grupos (proveedor o marca, items y totales)
+	 */
+	const previewSplitOrders = async (cartItems) => {
+		setError('');
+
+		try {
+			const token = localStorage.getItem('koloaToken');
+			if (!token) {
+				throw new Error('No hay token de autenticación');
+			}
+
+			const response = await fetch('/api/orders', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+					'Authorization': `Bearer ${token}`
+				},
+				body: JSON.stringify({
+					items: cartItems.map(item => ({
+						inventoryItemId: item.id,
+						quantityOrdered: item.quantity
+					})),
+					split: true,
+					dryRun: true
+				})
+			});
+
+			const data = await response.json();
+
+			if (!response.ok) {
+				throw new Error(data.error || 'Error al calcular la vista previa');
+			}
+
+			return {
+				success: true,
+				groups: data.groups
+			};
+
+		} catch (error) {
+			const errorMessage = error.message || 'Error al calcular la vista previa';
+			setError(errorMessage);
+			return {
+				success: false,
+				error: errorMessage
+			};
+		}
+	};
+
 	/**
 	 * Obtiene todos los pedidos
 	 * @returns {Promise<Array>} Lista de pedidos
@@ -109,6 +162,7 @@ const useCartOrders = () => {
 		loading,
 		error,
 		createOrderFromCart,
+		previewSplitOrders,
 		getOrders
 	};
 };
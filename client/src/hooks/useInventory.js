@@ -1,30 +1,55 @@
-import { useState, useEffect } from 'react';
-import { inventoryAPI } from '../utils/api';
+import { useState, useEffect, useRef } from 'react';
+import { inventoryAPI, consumptionAPI } from '../utils/api';
 
 /**
  * Hook personalizado para gestionar el estado del inventario
  * @function useInventory
  * @returns {Object} Objeto con datos y métodos del inventario
- * @returns {Array} returns.items - Lista de productos del inventario
- * @returns {boolean} returns.loading - Estado de carga de las operaciones
+ * @returns {Array} returns.items - Lista completa de productos activos (vacía hasta llamar a loadItems)
+ * @returns {boolean} returns.itemsLoaded - Indica si ya se ha cargado la lista completa
+ * @returns {Object|null} returns.stats - Totales del inventario activo (productos, por tipo, stock bajo y agotados)
+ * @returns {Array} returns.pageItems - Productos de la página actual del listado
+ * @returns {Object} returns.pagination - Total de resultados, página, tamaño de página y número de páginas
+ * @returns {Object} returns.listQuery - Búsqueda, filtros, orden y página del listado
+ * @returns {Function} returns.setListQuery - Función para cambiar la consulta del listado
+ * @returns {boolean} returns.loading - Estado de carga de la lista completa
+ * @returns {boolean} returns.pageLoading - Estado de carga de la página del listado
  * @returns {string|null} returns.error - Mensaje de error actual o null
  * @returns {Function} returns.fetchItems - Función para cargar todos los productos
+ * @returns {Function} returns.loadItems - Función que devuelve la lista completa, cargándola si hace falta
+ * @returns {Function} returns.fetchPage - Función para recargar la página del listado
+ * @returns {Function} returns.refreshInventory - Función para recargar listado, totales y lista completa
  * @returns {Function} returns.createItem - Función para crear un nuevo producto
  * @returns {Function} returns.updateItem - Función para actualizar un producto existente
- * @returns {Function} returns.deleteItem - Función para eliminar un producto
+ * @returns {Function} returns.bulkUpdate - Función para aplicar los mismos cambios a varios productos
+ * @returns {Function} returns.archiveItem - Función para archivar un producto
+ * @returns {Function} returns.restoreItem - Función para restaurar un producto archivado
+ * @returns {Function} returns.adjustStock - Función para ajustar el stock con un motivo
+ * @returns {Function} returns.logConsumption - Función para registrar consumo en gramos
  * @returns {Function} returns.clearError - Función para limpiar errores
- * @description Hook que proporciona operaciones CRUD para el inventario con manejo de estado
+ * @description Hook que proporciona operaciones CRUD para el inventario con manejo de estado.
+ * El listado se busca, filtra, ordena y pagina en el servidor según listQuery (los archivados se
+ * consultan con archived: "only") y los totales del panel se piden al servidor. La lista completa
+ * de activos solo se descarga cuando la necesita una vista (informes, pedidos, recuentos o el PDF)
+ * a través de loadItems, y a partir de entonces se mantiene al día con los cambios
  */
 export const useInventory = () => {
-  const [items, setItems] = useState([]);
+  const [items, setItems] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [pageItems, setPageItems] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, page: 1, pageSize: 50, totalPages: 0 });
+  const [listQuery, setListQuery] = useState({ page: 1, pageSize: 50 });
   const [loading, setLoading] = useState(false);
+  const [pageLoading, setPageLoading] = useState(false);
   const [error, setError] = useState(null);
+  const pageRequestRef = useRef(0);
+  const itemsLoadedRef = useRef(false);
 
   /**
    * Obtiene todos los productos del inventario desde la API
    * @function fetchItems
    * @async
-   * @returns {Promise<void>} No retorna valor, actualiza el estado items
+   * @returns {Promise<Array>} Productos cargados (lista vacía si falla), también en el estado items
    * @description Realiza una petición GET a la API para cargar todos los productos
    * y actualiza el estado del componente con los datos recibidos
    */
@@ -33,15 +58,133 @@ export const useInventory = () => {
     setError(null);
     try {
       const data = await inventoryAPI.getAll();
+      itemsLoadedRef.current = true;
       setItems(data);
+      return data;
     } catch (err) {
       setError(err.response?.data?.error || 'Error cargando inventario');
       console.error('Error fetching inventory:', err);
+      return [];
     } finally {
       setLoading(false);
     }
   };
 
+  /**
+   * Devuelve la lista completa de productos activos, descargándola solo la primera vez
+   * @function loadItems
+   * @async
+   * @returns {Promise<Array>} Productos activos
+   */
+  const loadItems = async () => (items ? items : fetchItems());
+
+  /**
+   * Obtiene los totales del inventario activo para el panel
+   * @function fetchStats
+   * @async
+   * @returns {Promise<void>} No retorna valor, actualiza el estado stats
+   */
+  const fetchStats = async () => {
+    try {
+      setStats(await inventoryAPI.getStats());
+    } catch (err) {
+      setError(err.response?.data?.error || 'Error cargando inventario');
+      console.error('Error fetching inventory stats:', err);
+    }
+  };
+
+  /**
+   * Recarga el listado, los totales y, si ya se había descargado, la lista completa
+   * @function refreshInventory
+   * @async
+   * @returns {Promise<void>} No retorna valor
+   * @description Para cuando el stock cambia fuera de este hook (recepción de pedidos, recuentos)
+   */
+  const refreshInventory = async () => {
+    await Promise.all([
+      fetchPage(),
+      fetchStats(),
+      itemsLoadedRef.current ? fetchItems() : null
+    ]);
+  };
+
+  /**
+   * Obtiene la página del listado que corresponde a la consulta actual
+   * @function fetchPage
+   * @async
+   * @param {Object} [query] - Consulta del listado (por defecto listQuery)
+   * @returns {Promise<void>} No retorna valor, actualiza pageItems y pagination
+   * @description Con texto de búsqueda (q) se usa la búsqueda aproximada: los resultados llegan
+   * ordenados por relevancia en una sola página y cada producto trae en highlights los rangos que
+   * coinciden. Si llegan respuestas de consultas anteriores fuera de orden se descartan
+   */
+  const fetchPage = async (query = listQuery) => {
+    const requestId = ++pageRequestRef.current;
+    setPageLoading(true);
+    try {
+      if (query.q) {
+        const { q, tipo, stock, minPrice, maxPrice, archived, pageSize } = query;
+        const { total, results } = await inventoryAPI.search({ q, tipo, stock, minPrice, maxPrice, archived, limit: pageSize });
+        if (requestId !== pageRequestRef.current) return;
+        setPageItems(results.map(result => ({ ...result.item, highlights: result.highlights })));
+        setPagination({ total, page: 1, pageSize, totalPages: 1 });
+        return;
+      }
+
+      const { items: pageData, ...pageInfo } = await inventoryAPI.getPage(query);
+      if (requestId !== pageRequestRef.current) return;
+      setPageItems(pageData);
+      setPagination(pageInfo);
+    } catch (err) {
+      if (requestId !== pageRequestRef.current) return;
+      setError(err.response?.data?.error || 'Error cargando inventario');
+      console.error('Error fetching inventory page:', err);
+    } finally {
+      if (requestId === pageRequestRef.current) {
+        setPageLoading(false);
+      }
+    }
+  };
+
+  /**
+   * Sustituye productos actualizados en la página actual del listado
+   * @function replaceInPage
+   * @param {Object} updatedItem - Producto devuelto por el servidor
+   * @returns {void} No retorna valor
+   */
+  const replaceInPage = (updatedItem) => {
+    setPageItems(prev => prev.map(item => (item.id === updatedItem.id ? { ...updatedItem, highlights: item.highlights } : item)));
+  };
+
+  /**
+   * Sustituye un producto actualizado en la lista completa, si ya se ha descargado
+   * @function replaceInItems
+   * @param {Object} updatedItem - Producto devuelto por el servidor
+   * @returns {void} No retorna valor
+   */
+  const replaceInItems = (updatedItem) => {
+    setItems(prev => prev && prev.map(item => (item.id === updatedItem.id ? updatedItem : item)));
+  };
+
+  /**
+   * Coloca productos actualizados en la lista de activos según su estado y recarga el listado
+   * @function placeItems
+   * @param {Array} updatedItems - Productos devueltos por el servidor
+   * @returns {void} No retorna valor
+   * @description Los archivados salen de la lista de activos y los restaurados vuelven a ella
+   */
+  const placeItems = (updatedItems) => {
+    const updatedById = new Map(updatedItems.map(item => [item.id, item]));
+    setItems(prev => prev && [
+      ...updatedItems.filter(item => !item.archivedAt && !prev.some(current => current.id === item.id)),
+      ...prev
+        .map(item => updatedById.get(item.id) || item)
+        .filter(item => !item.archivedAt)
+    ]);
+    fetchPage();
+    fetchStats();
+  };
+
   /**
    * Crea un nuevo producto en el inventario
    * @function createItem
@@ -53,6 +196,9 @@ export const useInventory = () => {
    * @param {number} itemData.peso - Peso en gramos
    * @param {number} itemData.stock - Stock actual
    * @param {number} itemData.minStock - Stock mínimo
+   * @param {number|null} [itemData.maxStock] - Stock máximo hasta el que se repone
+   * @param {number} [itemData.packSize] - Unidades por caja del proveedor
+   * @param {string} [itemData.supplierSku] - Referencia del producto en el proveedor
    * @param {number} itemData.precio - Precio del producto
    * @returns {Promise<Object>} Resultado de la operación con success y data/error
    * @description Envía los datos del nuevo producto a la API y actualiza la lista local
@@ -60,7 +206,9 @@ export const useInventory = () => {
   const createItem = async (itemData) => {
     try {
       const newItem = await inventoryAPI.create(itemData);
-      setItems(prev => [newItem, ...prev]);
+      setItems(prev => prev && [newItem, ...prev]);
+      fetchPage();
+      fetchStats();
       return { success: true, data: newItem };
     } catch (err) {
       const errorMsg = err.response?.data?.error || 'Error creando producto';
@@ -81,9 +229,9 @@ export const useInventory = () => {
   const updateItem = async (id, itemData) => {
     try {
       const updatedItem = await inventoryAPI.update(id, itemData);
-      setItems(prev => prev.map(item => 
-        item.id === id ? updatedItem : item
-      ));
+      replaceInItems(updatedItem);
+      replaceInPage(updatedItem);
+      fetchStats();
       return { success: true, data: updatedItem };
     } catch (err) {
       const errorMsg = err.response?.data?.error || 'Error actualizando producto';
@@ -93,37 +241,143 @@ export const useInventory = () => {
   };
 
   /**
-   * Elimina un producto del inventario
-   * @function deleteItem
+   * Aplica los mismos cambios a varios productos
+   * @function bulkUpdate
+   * @async
+   * @param {number[]} ids - IDs de los productos
+   * @param {Object} changes - Cambios: precio ({ mode: set, percent o amount, value }), minStock, tipo y/o archived
+   * @returns {Promise<Object>} Resultado de la operación con success y data/error. Si el servidor
+   * rechaza el cambio, results indica qué productos lo impiden
+   * @description Los cambios se aplican todos o ninguno; si se aplican se sustituyen los
+   * productos en la lista local y se recarga el listado
+   */
+  const bulkUpdate = async (ids, changes) => {
+    try {
+      const data = await inventoryAPI.bulkUpdate(ids, changes);
+      placeItems(data.items);
+      return { success: true, data };
+    } catch (err) {
+      const errorMsg = err.response?.data?.error || 'Error en la edición en bloque';
+      return { success: false, error: errorMsg, results: err.response?.data?.results || [] };
+    }
+  };
+
+  /**
+   * Ajusta el stock de un producto con un motivo
+   * @function adjustStock
+   * @async
+   * @param {number} id - ID del producto a ajustar
+   * @param {Object} adjustment - Datos del ajuste
+   * @param {number} adjustment.delta - Unidades a sumar (positivo) o restar (negativo)
+   * @param {string} adjustment.reason - Código del motivo de ajuste
+   * @param {string} [adjustment.notes] - Observaciones del ajuste
+   * @returns {Promise<Object>} Resultado de la operación con success y data/error
+   * @description Envía el ajuste a la API y sustituye el producto en la lista local
+   * por la versión actualizada que devuelve el servidor
+   */
+  const adjustStock = async (id, adjustment) => {
+    try {
+      const { item: updatedItem } = await inventoryAPI.adjust(id, adjustment);
+      replaceInItems(updatedItem);
+      replaceInPage(updatedItem);
+      fetchStats();
+      return { success: true, data: updatedItem };
+    } catch (err) {
+      const errorMsg = err.response?.data?.error || 'Error ajustando stock';
+      return { success: false, error: errorMsg };
+    }
+  };
+
+  /**
+   * Registra el consumo de un tabaco en gramos o cazoletas
+   * @function logConsumption
+   * @async
+   * @param {Object} consumption - Datos del consumo (inventoryItemId, grams o bowls, gramsPerBowl)
+   * @returns {Promise<Object>} Resultado de la operación con success y data/error
+   * @description Envía el consumo a la API y sustituye el producto en la lista local para
+   * reflejar la lata abierta y el stock tras el consumo
+   */
+  const logConsumption = async (consumption) => {
+    try {
+      const result = await consumptionAPI.log(consumption);
+      replaceInItems(result.item);
+      replaceInPage(result.item);
+      fetchStats();
+      return { success: true, data: result };
+    } catch (err) {
+      const errorMsg = err.response?.data?.error || 'Error registrando consumo';
+      return { success: false, error: errorMsg };
+    }
+  };
+
+  /**
+   * Archiva un producto del inventario
+   * @function archiveItem
    * @async
-   * @param {number} id - ID del producto a eliminar
+   * @param {number} id - ID del producto a archivar
    * @returns {Promise<Object>} Resultado de la operación con success y error opcional
-   * @description Elimina el producto de la API y lo remueve de la lista local
+   * @description Archiva el producto en la API, lo quita de la lista de activos y recarga el listado
    */
-  const deleteItem = async (id) => {
+  const archiveItem = async (id) => {
     try {
-      await inventoryAPI.delete(id);
-      setItems(prev => prev.filter(item => item.id !== id));
+      const archivedItem = await inventoryAPI.archive(id);
+      placeItems([archivedItem]);
       return { success: true };
     } catch (err) {
-      const errorMsg = err.response?.data?.error || 'Error eliminando producto';
-      setError(errorMsg);
+      const errorMsg = err.response?.data?.error || 'Error archivando producto';
+      return { success: false, error: errorMsg };
+    }
+  };
+
+  /**
+   * Restaura un producto archivado
+   * @function restoreItem
+   * @async
+   * @param {number} id - ID del producto a restaurar
+   * @returns {Promise<Object>} Resultado de la operación con success y error opcional
+   * @description Restaura el producto en la API, lo devuelve a la lista de activos y recarga el listado
+   */
+  const restoreItem = async (id) => {
+    try {
+      const restoredItem = await inventoryAPI.restore(id);
+      placeItems([restoredItem]);
+      return { success: true };
+    } catch (err) {
+      const errorMsg = err.response?.data?.error || 'Error restaurando producto';
       return { success: false, error: errorMsg };
     }
   };
 
   useEffect(() => {
-    fetchItems();
+    fetchStats();
   }, []);
 
+  useEffect(() => {
+    fetchPage(listQuery);
+  }, [listQuery]);
+
   return {
-    items,
+    items: items || [],
+    itemsLoaded: items !== null,
+    stats,
+    pageItems,
+    pagination,
+    listQuery,
+    setListQuery,
     loading,
+    pageLoading,
     error,
     fetchItems,
+    loadItems,
+    fetchPage,
+    refreshInventory,
     createItem,
     updateItem,
-    deleteItem,
+    bulkUpdate,
+    archiveItem,
+    restoreItem,
+    adjustStock,
+    logConsumption,
     clearError: () => setError(null)
   };
 };
\ No newline at end of file
@@ -3,7 +3,10 @@ import { useAuth } from '../hooks/useAuth';
 import { usersAPI } from '../utils/usersAPI';
 import LoadingSpinner from '../components/LoadingSpinner';
 import LogsViewer from '../components/LogsViewer';
+import SuppliersManager from '../components/SuppliersManager';
+import MinStockRecommendations from '../components/MinStockRecommendations';
 import ExportModal from '../components/ExportModal';
+import ImportModal from '../components/ImportModal';
 
 /**
  * Panel de administración para gestión de usuarios y sistema
@@ -22,6 +25,7 @@ const AdminPanel = () => {
 	const [showUserModal, setShowUserModal] = useState(false);
 	const [editingUser, setEditingUser] = useState(null);
 	const [showExportModal, setShowExportModal] = useState(false);
+	const [showImportModal, setShowImportModal] = useState(false);
 
 	// Verificar que el usuario sea administrador
 	if (user?.role !== 'admin') {
@@ -173,6 +177,26 @@ const AdminPanel = () => {
 						>
 							👥 Usuarios
 						</button>
+						<button
+							onClick={() => setActiveTab('suppliers')}
+							className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+								activeTab === 'suppliers'
+									? 'bg-blue-600 text-white'
+									: 'text-gray-300 hover:text-white hover:bg-gray-700'
+							}`}
+						>
+							🚚 Proveedores
+						</button>
+						<button
+							onClick={() => setActiveTab('minStock')}
+							className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+								activeTab === 'minStock'
+									? 'bg-blue-600 text-white'
+									: 'text-gray-300 hover:text-white hover:bg-gray-700'
+							}`}
+						>
+							📐 Stock mínimo
+						</button>
 						<button
 							onClick={() => setActiveTab('logs')}
 							className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
@@ -400,6 +424,16 @@ const AdminPanel = () => {
 					</div>
 				)}
 
+				{/* Suppliers Tab */}
+				{activeTab === 'suppliers' && (
+					<SuppliersManager />
+				)}
+
+				{/* Min Stock Tab */}
+				{activeTab === 'minStock' && (
+					<MinStockRecommendations />
+				)}
+
 				{/* Logs Tab */}
 				{activeTab === 'logs' && (
 					<LogsViewer />
@@ -422,6 +456,12 @@ const AdminPanel = () => {
 										>
 											📊 Volcar Datos
 										</button>
+										<button
+											onClick={() => setShowImportModal(true)}
+											className="w-full bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg transition-colors"
+										>
+											📥 Importar Inventario
+										</button>
 										<button className="w-full bg-amber-600 hover:bg-amber-700 text-white px-4 py-2 rounded-lg transition-colors">
 											🔄 Hacer Respaldo
 										</button>
@@ -461,6 +501,13 @@ const AdminPanel = () => {
 				/>
 			)}
 
+			{/* Import Modal */}
+			{showImportModal && (
+				<ImportModal
+					onClose={() => setShowImportModal(false)}
+				/>
+			)}
+
 			{/* User Modal */}
 			{showUserModal && (
 				<UserModal
@@ -0,0 +1,514 @@
+import { useState, useEffect } from 'react';
+import { countsAPI } from '../utils/api';
+import { useAuth } from '../hooks/useAuth';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+/**
+ * Página de recuentos físicos de stock
+ * @function CountsPage
+ * @param {Object} props - Props del componente
+ * @param {Array} props.items - Productos del inventario (para elegir el alcance del recuento)
+ * @param {Function} props.refreshInventory - Función para refrescar el inventario tras aprobar
+ * @returns {JSX.Element} Lista de recuentos o pantalla de conteo del recuento seleccionado
+ * @description Permite abrir recuentos por marca o tipo, introducir las cantidades contadas
+ * desde el móvil y, a los administradores, aprobar las diferencias como ajustes de stock
+ */
+const CountsPage = ({ items, refreshInventory }) => {
+  const { user } = useAuth();
+  const [counts, setCounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [activeCount, setActiveCount] = useState(null);
+  const [scope, setScope] = useState({ marca: '', tipo: '', notes: '' });
+  const [creating, setCreating] = useState(false);
+
+  const brands = [...new Set(items.map(item => item.marca))].sort();
+  const types = [...new Set(items.map(item => item.tipo))].sort();
+
+  /**
+   * Carga la lista de recuentos desde la API
+   * @function fetchCounts
+   * @async
+   * @returns {Promise<void>} No retorna valor
+   */
+  const fetchCounts = async () => {
+    try {
+      setLoading(true);
+      const data = await countsAPI.getAll();
+      setCounts(Array.isArray(data) ? data : []);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Error cargando recuentos');
+      console.error('Error fetching counts:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchCounts();
+  }, []);
+
+  /**
+   * Abre un recuento existente y carga sus líneas
+   * @function handleOpenCount
+   * @async
+   * @param {number} id - ID del recuento
+   * @returns {Promise<void>} No retorna valor
+   */
+  const handleOpenCount = async (id) => {
+    try {
+      setLoading(true);
+      const data = await countsAPI.getById(id);
+      setActiveCount(data);
+    } catch (err) {
+      alert(`Error abriendo recuento: ${err.response?.data?.error || err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Crea un nuevo recuento con el alcance seleccionado
+   * @function handleCreateCount
+   * @async
+   * @param {Event} e - Evento submit del formulario
+   * @returns {Promise<void>} No retorna valor
+   */
+  const handleCreateCount = async (e) => {
+    e.preventDefault();
+    try {
+      setCreating(true);
+      const data = await countsAPI.create(scope);
+      setScope({ marca: '', tipo: '', notes: '' });
+      setActiveCount(data);
+      fetchCounts();
+    } catch (err) {
+      alert(`Error creando recuento: ${err.response?.data?.error || err.message}`);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  if (activeCount) {
+    return (
+      <CountSession
+        count={activeCount}
+        isAdmin={user?.role === 'admin'}
+        onChange={setActiveCount}
+        onBack={() => {
+          setActiveCount(null);
+          fetchCounts();
+        }}
+        refreshInventory={refreshInventory}
+      />
+    );
+  }
+
+  if (loading && counts.length === 0) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <main className="container mx-auto px-4 py-4 sm:py-6 max-w-3xl">
+      <div className="mb-4 sm:mb-6">
+        <h1 className="text-2xl sm:text-3xl font-bold text-white">Recuentos de Stock</h1>
+        <p className="text-gray-300 mt-1 text-sm sm:text-base">
+          Cuenta las latas estantería a estantería y compara con el stock del sistema
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-red-600 text-white p-4 rounded-lg mb-6">
+          {error}
+        </div>
+      )}
+
+      {/* Nuevo recuento */}
+      <form onSubmit={handleCreateCount} className="bg-gray-800 rounded-lg p-4 sm:p-6 mb-6 space-y-3">
+        <h2 className="text-lg font-semibold text-white">Nuevo recuento</h2>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <select
+            value={scope.marca}
+            onChange={(e) => setScope(prev => ({ ...prev, marca: e.target.value }))}
+            className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-3 text-white"
+          >
+            <option value="">Todas las marcas</option>
+            {brands.map(brand => (
+              <option key={brand} value={brand}>{brand}</option>
+            ))}
+          </select>
+          <select
+            value={scope.tipo}
+            onChange={(e) => setScope(prev => ({ ...prev, tipo: e.target.value }))}
+            className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-3 text-white"
+          >
+            <option value="">Todos los tipos</option>
+            {types.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+        </div>
+        <input
+          type="text"
+          value={scope.notes}
+          onChange={(e) => setScope(prev => ({ ...prev, notes: e.target.value }))}
+          placeholder="Notas (opcional)"
+          className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-3 text-white placeholder-gray-400"
+        />
+        <button
+          type="submit"
+          disabled={creating}
+          className="w-full sm:w-auto px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          {creating ? 'Abriendo...' : '🧮 Abrir recuento'}
+        </button>
+      </form>
+
+      {/* Lista de recuentos */}
+      <div className="space-y-3">
+        {counts.length === 0 ? (
+          <div className="bg-gray-800 rounded-lg p-8 text-center text-gray-400">
+            Aún no se han hecho recuentos.
+          </div>
+        ) : counts.map(count => (
+          <button
+            key={count.id}
+            onClick={() => handleOpenCount(count.id)}
+            className="w-full text-left bg-gray-800 hover:bg-gray-700 rounded-lg p-4 transition-colors"
+          >
+            <div className="flex items-center justify-between">
+              <span className="font-medium text-white">
+                Recuento #{count.id} · {getScopeText(count)}
+              </span>
+              <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getCountStatusColor(count.status)}`}>
+                {getCountStatusText(count.status)}
+              </span>
+            </div>
+            <div className="flex items-center justify-between text-sm text-gray-400 mt-1">
+              <span>{new Date(count.createdAt).toLocaleString('es-ES')} · {count.createdByName}</span>
+              <span>{count.countedLines}/{count.totalLines} contados</span>
+            </div>
+          </button>
+        ))}
+      </div>
+    </main>
+  );
+};
+
+/**
+ * Pantalla de conteo de un recuento
+ * @function CountSession
+ * @param {Object} props - Props del componente
+ * @param {Object} props.count - Recuento con lines y summary
+ * @param {boolean} props.isAdmin - Si el usuario puede aprobar o cancelar
+ * @param {Function} props.onChange - Función para actualizar el recuento en la página padre
+ * @param {Function} props.onBack - Función para volver a la lista de recuentos
+ * @param {Function} props.refreshInventory - Función para refrescar el inventario
+ * @returns {JSX.Element} Lista de productos con campo de cantidad contada e informe de diferencias
+ */
+const CountSession = ({ count, isAdmin, onChange, onBack, refreshInventory }) => {
+  const [view, setView] = useState('pending'); // 'pending' | 'all' | 'variance'
+  const [search, setSearch] = useState('');
+  const [drafts, setDrafts] = useState({});
+  const [savingLine, setSavingLine] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const isOpen = count.status === 'open';
+
+  /**
+   * Recarga el recuento completo desde la API
+   * @function reloadCount
+   * @async
+   * @returns {Promise<void>} No retorna valor
+   */
+  const reloadCount = async () => {
+    const data = await countsAPI.getById(count.id);
+    onChange(data);
+  };
+
+  /**
+   * Guarda la cantidad contada de una línea
+   * @function handleSaveLine
+   * @async
+   * @param {Object} line - Línea del recuento
+   * @returns {Promise<void>} No retorna valor
+   */
+  const handleSaveLine = async (line) => {
+    const draft = drafts[line.id];
+    if (draft === undefined) return;
+
+    const value = draft === '' ? null : parseInt(draft);
+    if (value === line.countedQuantity) return;
+
+    try {
+      setSavingLine(line.id);
+      await countsAPI.updateLine(count.id, line.id, value);
+      setDrafts(prev => {
+        const next = { ...prev };
+        delete next[line.id];
+        return next;
+      });
+      await reloadCount();
+    } catch (err) {
+      alert(`Error guardando conteo: ${err.response?.data?.error || err.message}`);
+    } finally {
+      setSavingLine(null);
+    }
+  };
+
+  /**
+   * Aprueba el recuento aplicando las diferencias al stock
+   * @function handleApprove
+   * @async
+   * @returns {Promise<void>} No retorna valor
+   */
+  const handleApprove = async () => {
+    const { summary } = count;
+    const message = `Se aplicarán ${summary.linesWithVariance} ajustes de stock (neto ${summary.netVariance > 0 ? '+' : ''}${summary.netVariance} unidades).` +
+      (summary.pendingLines > 0 ? `\n\n${summary.pendingLines} productos sin contar no se modificarán.` : '') +
+      '\n\n¿Aprobar el recuento?';
+    if (!window.confirm(message)) return;
+
+    try {
+      setProcessing(true);
+      const result = await countsAPI.approve(count.id);
+      onChange(result.count);
+      if (refreshInventory) {
+        await refreshInventory();
+      }
+      alert(`Recuento aprobado. ${result.adjustments.length} productos ajustados.`);
+    } catch (err) {
+      alert(`Error aprobando recuento: ${err.response?.data?.error || err.message}`);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  /**
+   * Cancela el recuento sin modificar el stock
+   * @function handleCancel
+   * @async
+   * @returns {Promise<void>} No retorna valor
+   */
+  const handleCancel = async () => {
+    if (!window.confirm('¿Cancelar este recuento? No se modificará el stock.')) return;
+
+    try {
+      setProcessing(true);
+      await countsAPI.cancel(count.id);
+      onBack();
+    } catch (err) {
+      alert(`Error cancelando recuento: ${err.response?.data?.error || err.message}`);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const searchTerm = search.trim().toLowerCase();
+  const visibleLines = count.lines.filter(line => {
+    if (view === 'pending' && line.countedQuantity !== null) return false;
+    if (view === 'variance' && !line.variance) return false;
+    if (!searchTerm) return true;
+    return line.inventoryItem.nombre.toLowerCase().includes(searchTerm) ||
+      line.inventoryItem.marca.toLowerCase().includes(searchTerm);
+  });
+
+  const progress = count.summary.totalLines > 0
+    ? (count.summary.countedLines / count.summary.totalLines) * 100
+    : 0;
+
+  return (
+    <main className="container mx-auto px-4 py-4 sm:py-6 max-w-3xl">
+      {/* Cabecera */}
+      <div className="flex items-center justify-between mb-4">
+        <button
+          onClick={onBack}
+          className="text-gray-300 hover:text-white text-sm"
+        >
+          ← Recuentos
+        </button>
+        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getCountStatusColor(count.status)}`}>
+          {getCountStatusText(count.status)}
+        </span>
+      </div>
+
+      <h1 className="text-xl sm:text-2xl font-bold text-white">
+        Recuento #{count.id} · {getScopeText(count)}
+      </h1>
+      {count.notes && <p className="text-gray-400 text-sm mt-1">{count.notes}</p>}
+
+      {/* Progreso y resumen de diferencias */}
+      <div className="bg-gray-800 rounded-lg p-4 my-4">
+        <div className="flex justify-between text-sm text-gray-300 mb-2">
+          <span>{count.summary.countedLines} de {count.summary.totalLines} contados</span>
+          <span>{Math.round(progress)}%</span>
+        </div>
+        <div className="w-full bg-gray-700 rounded-full h-2 mb-4">
+          <div className="h-2 rounded-full bg-blue-500" style={{ width: `${progress}%` }} />
+        </div>
+        <div className="grid grid-cols-3 gap-2 text-center">
+          <div>
+            <p className="text-xs text-gray-400">Faltan</p>
+            <p className="text-lg font-bold text-red-400">{count.summary.unitsMissing}</p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-400">Sobran</p>
+            <p className="text-lg font-bold text-green-400">{count.summary.unitsSurplus}</p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-400">Valor neto</p>
+            <p className={`text-lg font-bold ${count.summary.netVarianceValue < 0 ? 'text-red-400' : 'text-gray-100'}`}>
+              {count.summary.netVarianceValue.toFixed(2)}€
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {/* Filtros */}
+      <div className="flex gap-2 mb-3">
+        {[
+          { key: 'pending', label: `Pendientes (${count.summary.pendingLines})` },
+          { key: 'all', label: 'Todos' },
+          { key: 'variance', label: `Diferencias (${count.summary.linesWithVariance})` }
+        ].map(option => (
+          <button
+            key={option.key}
+            onClick={() => setView(option.key)}
+            className={`flex-1 px-2 py-2 rounded-lg text-xs sm:text-sm font-medium transition-colors ${
+              view === option.key
+                ? 'bg-blue-600 text-white'
+                : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      <input
+        type="search"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        placeholder="Buscar producto..."
+        className="w-full bg-gray-800 border border-gray-600 rounded-lg px-3 py-3 text-white placeholder-gray-400 mb-4"
+      />
+
+      {/* Líneas */}
+      <div className="space-y-2 mb-6">
+        {visibleLines.length === 0 ? (
+          <p className="text-center text-gray-400 py-6">No hay productos en esta vista</p>
+        ) : visibleLines.map(line => {
+          const draft = drafts[line.id];
+          const inputValue = draft !== undefined ? draft : (line.countedQuantity ?? '');
+          return (
+            <div key={line.id} className="bg-gray-800 rounded-lg p-3 flex items-center gap-3">
+              <div className="min-w-0 flex-1">
+                <p className="text-white font-medium truncate">{line.inventoryItem.nombre}</p>
+                <p className="text-xs text-gray-400 truncate">
+                  {line.inventoryItem.marca} · {line.inventoryItem.peso}g · Sistema: {line.countedQuantity !== null ? line.expectedStock : line.inventoryItem.stock}
+                </p>
+                {line.variance !== null && line.variance !== 0 && (
+                  <p className={`text-xs font-medium ${line.variance < 0 ? 'text-red-400' : 'text-green-400'}`}>
+                    Diferencia: {line.variance > 0 ? '+' : ''}{line.variance}
+                  </p>
+                )}
+              </div>
+              <input
+                type="number"
+                inputMode="numeric"
+                min="0"
+                value={inputValue}
+                disabled={!isOpen || savingLine === line.id}
+                onChange={(e) => setDrafts(prev => ({ ...prev, [line.id]: e.target.value }))}
+                onBlur={() => handleSaveLine(line)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.target.blur();
+                  }
+                }}
+                className={`w-20 bg-gray-700 border rounded-lg px-2 py-3 text-center text-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-60 ${
+                  line.countedQuantity !== null ? 'border-green-600' : 'border-gray-600'
+                }`}
+              />
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Acciones de administrador */}
+      {isOpen && isAdmin && (
+        <div className="flex gap-3 sticky bottom-0 bg-dark-950 py-3">
+          <button
+            onClick={handleCancel}
+            disabled={processing}
+            className="px-4 py-3 bg-gray-700 text-gray-300 rounded-lg hover:bg-gray-600 transition-colors disabled:opacity-50"
+          >
+            Cancelar recuento
+          </button>
+          <button
+            onClick={handleApprove}
+            disabled={processing || count.summary.countedLines === 0}
+            className="flex-1 px-4 py-3 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+          >
+            {processing ? 'Procesando...' : '✅ Aprobar y ajustar stock'}
+          </button>
+        </div>
+      )}
+      {count.status === 'approved' && (
+        <p className="text-sm text-gray-400 text-center">
+          Aprobado por {count.approvedByName} el {new Date(count.approvedAt).toLocaleString('es-ES')}
+        </p>
+      )}
+    </main>
+  );
+};
+
+/**
+ * Describe el alcance de un recuento
+ * @function getScopeText
+ * @param {Object} count - Recuento
+ * @returns {string} Marca y/o tipo del recuento, o "Todo el inventario"
+ */
+const getScopeText = (count) => {
+  const parts = [count.marca, count.tipo].filter(Boolean);
+  return parts.length > 0 ? parts.join(' / ') : 'Todo el inventario';
+};
+
+/**
+ * Obtiene el color del badge según el estado del recuento
+ * @function getCountStatusColor
+ * @param {string} status - Estado del recuento
+ * @returns {string} Clases CSS para el badge
+ */
+const getCountStatusColor = (status) => {
+  switch (status) {
+    case 'open':
+      return 'bg-yellow-100 text-yellow-800';
+    case 'approved':
+      return 'bg-green-100 text-green-800';
+    case 'cancelled':
+      return 'bg-red-100 text-red-800';
+    default:
+      return 'bg-gray-100 text-gray-800';
+  }
+};
+
+/**
+ * Traduce el estado del recuento al español
+ * @function getCountStatusText
+ * @param {string} status - Estado del recuento en inglés
+ * @returns {string} Estado traducido al español
+ */
+const getCountStatusText = (status) => {
+  switch (status) {
+    case 'open':
+      return 'Abierto';
+    case 'approved':
+      return 'Aprobado';
+    case 'cancelled':
+      return 'Cancelado';
+    default:
+      return status;
+  }
+};
+
+export default CountsPage;
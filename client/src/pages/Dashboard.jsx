@@ -2,62 +2,139 @@ import { useState } from 'react';
 import { useAuth } from '../hooks/useAuth';
 import { useInventory } from '../hooks/useInventory';
 import Header from '../components/Header';
-import InventoryList from '../components/InventoryList';
+import InventoryList, { StockAdjustDialog } from '../components/InventoryList';
+import BarcodeScanInput from '../components/BarcodeScanInput';
 import ProductModal from '../components/ProductModal';
 import ReportsModal from '../components/ReportsModal';
 import OrderModal from '../components/OrderModal';
 import OrdersPage from './OrdersPage';
+import CountsPage from './CountsPage';
 import AdminPanel from './AdminPanel';
 import LoadingSpinner from '../components/LoadingSpinner';
 import AddToCartModal from '../components/AddToCartModal';
 import CartModal from '../components/CartModal';
+import LogBowlModal from '../components/LogBowlModal';
+import { restockAPI, inventoryAPI } from '../utils/api';
 import { useEffect, useRef } from 'react';
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
 
+/**
+ * Parámetros del listado de inventario que corresponden a cada filtro del panel
+ * @type {Object}
+ */
+const FILTER_QUERIES = {
+  all: {},
+  tabaco: { tipo: 'Tabaco' },
+  producto: { tipo: 'Producto' },
+  'low-stock': { stock: 'low' },
+  'out-of-stock': { stock: 'out' },
+  archived: { archived: 'only' }
+};
+
+/**
+ * Opciones de ordenación del listado de inventario
+ * @type {Array<{value: string, label: string, sort: string, order: string}>}
+ */
+const SORT_OPTIONS = [
+  { value: 'recent', label: 'Más recientes', sort: 'createdAt', order: 'desc' },
+  { value: 'marca', label: 'Marca (A-Z)', sort: 'marca', order: 'asc' },
+  { value: 'nombre', label: 'Nombre (A-Z)', sort: 'nombre', order: 'asc' },
+  { value: 'stock-asc', label: 'Menos stock', sort: 'stock', order: 'asc' },
+  { value: 'stock-desc', label: 'Más stock', sort: 'stock', order: 'desc' },
+  { value: 'precio-asc', label: 'Precio (menor)', sort: 'precio', order: 'asc' },
+  { value: 'precio-desc', label: 'Precio (mayor)', sort: 'precio', order: 'desc' }
+];
+
 const Dashboard = () => {
   const { user } = useAuth();
-  const { items, loading, error, createItem, updateItem, deleteItem, clearError, fetchItems } = useInventory();
-  const [activeView, setActiveView] = useState('inventory'); // 'inventory' | 'orders' | 'admin'
+  const { items, stats, pageItems, pagination, setListQuery, loading, pageLoading, error, createItem, updateItem, bulkUpdate, archiveItem, restoreItem, adjustStock, logConsumption, clearError, loadItems, refreshInventory } = useInventory();
+  const [activeView, setActiveView] = useState('inventory'); // 'inventory' | 'orders' | 'counts' | 'admin'
   const [showModal, setShowModal] = useState(false);
   const [showReportsModal, setShowReportsModal] = useState(false);
   const [showOrderModal, setShowOrderModal] = useState(false);
   const [showCartModal, setShowCartModal] = useState(false);
   const [showAddToCartModal, setShowAddToCartModal] = useState(false);
+  const [showLogBowlModal, setShowLogBowlModal] = useState(false);
   const [selectedProduct, setSelectedProduct] = useState(null);
   const [editingItem, setEditingItem] = useState(null);
-  const [filter, setFilter] = useState('all'); // all, tabaco, producto, low-stock, out-of-stock
+  const [filter, setFilter] = useState('all'); // all, tabaco, producto, low-stock, out-of-stock, archived
   const [searchTerm, setSearchTerm] = useState('');
+  const [sortOption, setSortOption] = useState('recent');
+  const [showScanner, setShowScanner] = useState(false);
+  const [scanMode, setScanMode] = useState('open'); // open, adjust
+  const [scanMessage, setScanMessage] = useState(null);
+  const [adjustingItem, setAdjustingItem] = useState(null);
   const [isGeneratingPDF, setIsGeneratingPDF] = useState(false);
+  const [restockSuggestions, setRestockSuggestions] = useState([]);
+  const [forecasts, setForecasts] = useState({});
+  const [forecastSeasonality, setForecastSeasonality] = useState(false);
   const searchInputRef = useRef(null);
 
-  // Filtrar productos según tipo y estado
-  const filteredItems = items.filter(item => {
-    // Filtro por tipo de producto
-    let typeMatch = false;
-    if (filter === 'all') {
-      typeMatch = true;
-    } else if (filter === 'tabaco') {
-      typeMatch = item.tipo === 'Tabaco';
-    } else if (filter === 'producto') {
-      typeMatch = item.tipo === 'Producto';
-    } else if (filter === 'low-stock') {
-      typeMatch = item.stock < item.minStock && item.stock > 0;
-    } else if (filter === 'out-of-stock') {
-      typeMatch = item.stock === 0;
+  // La búsqueda, el filtro y el orden se aplican en el servidor; la búsqueda espera a que se deje de escribir
+  useEffect(() => {
+    const { sort, order } = SORT_OPTIONS.find(option => option.value === sortOption);
+    const timer = setTimeout(() => {
+      setListQuery(prev => {
+        // El orden por defecto del servidor es el de "Más recientes"
+        const next = {
+          ...FILTER_QUERIES[filter],
+          ...(searchTerm.trim() ? { q: searchTerm.trim() } : {}),
+          ...(sortOption !== 'recent' ? { sort, order } : {}),
+          page: 1,
+          pageSize: prev.pageSize
+        };
+        return JSON.stringify(next) === JSON.stringify(prev) ? prev : next;
+      });
+    }, searchTerm ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [searchTerm, filter, sortOption]);
+
+  const handlePageChange = (page) => {
+    setListQuery(prev => ({ ...prev, page }));
+  };
+
+  const lowStockCount = stats?.lowStock ?? 0;
+  const outOfStockCount = stats?.outOfStock ?? 0;
+  const restockItems = restockSuggestions;
+  const pageItemIds = pageItems.map(item => item.id).join(',');
+
+  // Recalcular las sugerencias de reposición cuando cambia el inventario (los totales se recargan tras cada cambio)
+  useEffect(() => {
+    if (!stats) return;
+    restockAPI.getSuggestions({ seasonality: forecastSeasonality })
+      .then(data => setRestockSuggestions(data.items))
+      .catch(error => console.error('Error cargando sugerencias de reposición:', error));
+  }, [stats, forecastSeasonality]);
+
+  // La previsión de cobertura solo se pide para los productos de la página visible
+  useEffect(() => {
+    if (!pageItemIds) return;
+    inventoryAPI.getForecast({ seasonality: forecastSeasonality, inventoryItemIds: pageItemIds })
+      .then(data => setForecasts(Object.fromEntries(data.items.map(entry => [entry.inventoryItemId, entry]))))
+      .catch(error => console.error('Error cargando previsión de inventario:', error));
+  }, [pageItemIds, stats, forecastSeasonality]);
+
+  // Los recuentos necesitan la lista completa para elegir marcas y tipos
+  useEffect(() => {
+    if (activeView === 'counts') {
+      loadItems();
     }
-    
-    // Filtro por búsqueda (nombre y marca)
-    const searchMatch = searchTerm === '' || 
-      item.nombre.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      item.marca.toLowerCase().includes(searchTerm.toLowerCase());
-    
-    return typeMatch && searchMatch;
-  });
+  }, [activeView]);
 
-  const lowStockItems = items.filter(item => item.stock < item.minStock && item.stock > 0);
-  const outOfStockItems = items.filter(item => item.stock === 0);
-  const restockItems = items.filter(item => item.stock < item.minStock);
+  /**
+   * Abre una vista que trabaja con el inventario completo después de descargarlo
+   * @function openWithItems
+   * @async
+   * @param {Function} open - Función que muestra la vista
+   * @returns {Promise<void>} No retorna valor
+   * @description Los modales de informes, pedidos y consumo calculan sus cantidades al abrirse,
+   * por eso se espera a tener la lista completa antes de mostrarlos
+   */
+  const openWithItems = async (open) => {
+    await loadItems();
+    open(true);
+  };
 
   const handleAddProduct = () => {
     setEditingItem(null);
@@ -86,21 +163,54 @@ const Dashboard = () => {
     return result;
   };
 
-  const handleDeleteProduct = async (id) => {
-    if (window.confirm('¿Estás seguro de que quieres eliminar este producto?')) {
-      const result = await deleteItem(id);
+  const handleArchiveProduct = async (id) => {
+    if (window.confirm('¿Archivar este producto? Dejará de aparecer en el inventario y en los nuevos pedidos, pero se conservará en el historial de pedidos y movimientos.')) {
+      const result = await archiveItem(id);
       
       if (!result.success && result.error) {
         // Mostrar mensaje específico para errores de relaciones
         if (result.error.includes('pedidos')) {
-          alert(`No se pudo eliminar el producto:\n\n${result.error}\n\nSugerencia: Ve a la sección de Pedidos para gestionar los pedidos relacionados.`);
+          alert(`No se pudo archivar el producto:\n\n${result.error}\n\nSugerencia: Ve a la sección de Pedidos para gestionar los pedidos relacionados.`);
         } else {
-          alert(`Error al eliminar el producto: ${result.error}`);
+          alert(`Error al archivar el producto: ${result.error}`);
         }
       }
     }
   };
 
+  const handleRestoreProduct = async (id) => {
+    const result = await restoreItem(id);
+    if (!result.success) {
+      alert(`Error al restaurar el producto: ${result.error}`);
+    }
+  };
+
+  /**
+   * Busca el producto del código escaneado y abre su ficha o el ajuste de stock según el modo
+   * @function handleScan
+   * @async
+   * @param {string} code - Código de barras leído
+   * @returns {Promise<void>} No retorna valor
+   */
+  const handleScan = async (code) => {
+    try {
+      const item = await inventoryAPI.getByBarcode(code);
+      if (item.archivedAt) {
+        setScanMessage({ type: 'error', text: `${item.marca} - ${item.nombre} está archivado` });
+        return;
+      }
+
+      setScanMessage({ type: 'success', text: `${item.marca} - ${item.nombre} (stock: ${item.stock})` });
+      if (scanMode === 'adjust') {
+        setAdjustingItem(item);
+      } else {
+        handleEditProduct(item);
+      }
+    } catch (err) {
+      setScanMessage({ type: 'error', text: err.response?.data?.error || 'Error buscando el código' });
+    }
+  };
+
   // Funciones del carrito
   const handleAddToCart = (product) => {
     setSelectedProduct(product);
@@ -142,12 +252,14 @@ const Dashboard = () => {
   /**
    * Genera y descarga un PDF con todo el inventario actual
    * @function handleGenerateInventoryPDF
-   * @returns {void} No retorna valor
-   * @description Genera el PDF localmente en el navegador con todos los productos del inventario
+   * @async
+   * @returns {Promise<void>} No retorna valor
+   * @description Descarga el inventario completo si aún no se tenía y genera el PDF localmente en el navegador
    */
-  const handleGenerateInventoryPDF = () => {
+  const handleGenerateInventoryPDF = async () => {
     try {
       setIsGeneratingPDF(true);
+      const allItems = await loadItems();
 
       // Crear documento PDF en orientación horizontal
       const doc = new jsPDF({
@@ -168,13 +280,13 @@ const Dashboard = () => {
       doc.setFontSize(10);
       doc.setTextColor(100, 100, 100);
       doc.text(`Generado el: ${new Date().toLocaleString('es-ES')}`, 14, 25);
-      doc.text(`Total de productos: ${items.length}`, 14, 30);
+      doc.text(`Total de productos: ${allItems.length}`, 14, 30);
 
       // Calcular totales
-      const totalStock = items.reduce((sum, item) => sum + item.stock, 0);
-      const valorTotal = items.reduce((sum, item) => sum + (item.stock * item.precio), 0);
-      const sinStock = items.filter(item => item.stock === 0).length;
-      const stockBajo = items.filter(item => item.stock < item.minStock && item.stock > 0).length;
+      const totalStock = allItems.reduce((sum, item) => sum + item.stock, 0);
+      const valorTotal = allItems.reduce((sum, item) => sum + (item.stock * item.precio), 0);
+      const sinStock = allItems.filter(item => item.stock === 0).length;
+      const stockBajo = allItems.filter(item => item.stock < item.minStock && item.stock > 0).length;
 
       doc.text(`Total unidades: ${totalStock}`, 14, 35);
       doc.text(`Valor total: ${valorTotal.toFixed(2)}€`, 80, 35);
@@ -182,7 +294,7 @@ const Dashboard = () => {
       doc.text(`Stock bajo: ${stockBajo}`, 180, 35);
 
       // Preparar datos para la tabla
-      const tableData = items.map(item => {
+      const tableData = allItems.map(item => {
         let estadoStock = 'Normal';
         if (item.stock === 0) {
           estadoStock = 'Sin Stock';
@@ -301,7 +413,7 @@ const Dashboard = () => {
     return () => document.removeEventListener('keydown', handleKeyDown);
   }, [searchTerm, filter]);
 
-  if (loading && items.length === 0) {
+  if (!stats && !error) {
     return <LoadingSpinner />;
   }
 
@@ -333,6 +445,16 @@ const Dashboard = () => {
                 >
                   📝 Pedidos
                 </button>
+                <button
+                  onClick={() => setActiveView('counts')}
+                  className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                    activeView === 'counts'
+                      ? 'bg-blue-600 text-white'
+                      : 'text-gray-300 hover:text-white hover:bg-gray-700'
+                  }`}
+                >
+                  🧮 Recuentos
+                </button>
                 {user?.role === 'admin' && (
                   <button
                     onClick={() => setActiveView('admin')}
@@ -349,19 +471,21 @@ const Dashboard = () => {
             </div>
           </div>      {/* Conditional Content */}
       {activeView === 'orders' ? (
-        <OrdersPage refreshInventory={fetchItems} />
+        <OrdersPage refreshInventory={refreshInventory} />
+      ) : activeView === 'counts' ? (
+        <CountsPage items={items} refreshInventory={refreshInventory} />
       ) : activeView === 'admin' ? (
         <AdminPanel />
       ) : (
       <main className="container mx-auto px-4 py-6 max-w-7xl">
         {/* Alerts for low stock */}
-        {lowStockItems.length > 0 && filter !== 'low-stock' && (
+        {lowStockCount > 0 && filter !== 'low-stock' && (
           <div className="mb-6 bg-amber-900/50 border border-amber-700 text-amber-200 px-4 py-3 rounded-lg">
             <div className="flex items-center justify-between">
               <div className="flex items-center">
                 <span className="text-amber-400 mr-2">⚠️</span>
                 <span className="font-medium">
-                  {lowStockItems.length} producto{lowStockItems.length !== 1 ? 's' : ''} con stock bajo
+                  {lowStockCount} producto{lowStockCount !== 1 ? 's' : ''} con stock bajo
                 </span>
               </div>
               <button
@@ -381,7 +505,7 @@ const Dashboard = () => {
               <div className="flex items-center justify-between">
                 <div>
                   <p className="text-gray-400 text-sm">Total Productos</p>
-                  <p className="text-2xl font-bold text-gray-100">{items.length}</p>
+                  <p className="text-2xl font-bold text-gray-100">{stats?.total ?? 0}</p>
                 </div>
                 <div className="w-12 h-12 bg-blue-600/20 rounded-lg flex items-center justify-center">
                   <span className="text-blue-400 text-xl">📦</span>
@@ -396,7 +520,7 @@ const Dashboard = () => {
                 <div>
                   <p className="text-gray-400 text-sm">Tabacos</p>
                   <p className="text-2xl font-bold text-gray-100">
-                    {items.filter(item => item.tipo === 'Tabaco').length}
+                    {stats?.byType.Tabaco ?? 0}
                   </p>
                 </div>
                 <div className="w-12 h-12 bg-green-600/20 rounded-lg flex items-center justify-center">
@@ -415,7 +539,7 @@ const Dashboard = () => {
               <div className="flex items-center justify-between">
                 <div>
                   <p className="text-gray-400 text-sm">Stock Bajo</p>
-                  <p className="text-2xl font-bold text-amber-400">{lowStockItems.length}</p>
+                  <p className="text-2xl font-bold text-amber-400">{lowStockCount}</p>
                 </div>
                 <div className="w-12 h-12 bg-amber-600/20 rounded-lg flex items-center justify-center">
                   <span className="text-amber-400 text-xl">⚠️</span>
@@ -433,7 +557,7 @@ const Dashboard = () => {
               <div className="flex items-center justify-between">
                 <div>
                   <p className="text-gray-400 text-sm">Sin Stock</p>
-                  <p className="text-2xl font-bold text-red-400">{outOfStockItems.length}</p>
+                  <p className="text-2xl font-bold text-red-400">{outOfStockCount}</p>
                 </div>
                 <div className="w-12 h-12 bg-red-600/20 rounded-lg flex items-center justify-center">
                   <span className="text-red-400 text-xl">🚫</span>
@@ -446,29 +570,67 @@ const Dashboard = () => {
         {/* Search and Controls */}
         <div className="space-y-4 mb-6">
           {/* Search Bar */}
-          <div className="relative">
-            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-              <span className="text-gray-400 text-lg">🔍</span>
+          <div className="flex gap-2">
+            <div className="relative flex-1">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <span className="text-gray-400 text-lg">🔍</span>
+              </div>
+              <input
+                ref={searchInputRef}
+                type="text"
+                placeholder="Buscar por nombre o marca... (Ctrl+K)"
+                value={searchTerm}
+                onChange={handleSearchChange}
+                className="w-full pl-10 pr-10 py-3 bg-gray-800 border border-gray-600 rounded-lg text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+              />
+              {searchTerm && (
+                <button
+                  onClick={clearSearch}
+                  className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-400 hover:text-gray-200 transition-colors"
+                  title="Limpiar búsqueda"
+                >
+                  <span className="text-lg">✕</span>
+                </button>
+              )}
             </div>
-            <input
-              ref={searchInputRef}
-              type="text"
-              placeholder="Buscar por nombre o marca... (Ctrl+K)"
-              value={searchTerm}
-              onChange={handleSearchChange}
-              className="w-full pl-10 pr-10 py-3 bg-gray-800 border border-gray-600 rounded-lg text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
-            />
-            {searchTerm && (
-              <button
-                onClick={clearSearch}
-                className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-400 hover:text-gray-200 transition-colors"
-                title="Limpiar búsqueda"
-              >
-                <span className="text-lg">✕</span>
-              </button>
-            )}
+            <button
+              onClick={() => {
+                setShowScanner(prev => !prev);
+                setScanMessage(null);
+              }}
+              className={`px-3 sm:px-4 rounded-lg text-sm font-medium transition-colors ${
+                showScanner ? 'bg-green-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+              }`}
+              title="Modo escáner: busca productos con el lector de códigos de barras"
+            >
+              📷<span className="hidden sm:inline"> Escanear</span>
+            </button>
           </div>
 
+          {/* Scanner */}
+          {showScanner && (
+            <div className="bg-gray-800 border border-green-700 rounded-lg p-3 space-y-2">
+              <div className="flex flex-col sm:flex-row gap-2">
+                <div className="flex-1">
+                  <BarcodeScanInput onScan={handleScan} disabled={showModal || !!adjustingItem} />
+                </div>
+                <select
+                  value={scanMode}
+                  onChange={(e) => setScanMode(e.target.value)}
+                  className="bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-sm text-gray-200"
+                >
+                  <option value="open">Abrir ficha del producto</option>
+                  <option value="adjust">Ajustar stock</option>
+                </select>
+              </div>
+              {scanMessage && (
+                <p className={`text-sm ${scanMessage.type === 'error' ? 'text-red-300' : 'text-green-300'}`}>
+                  {scanMessage.type === 'error' ? '⚠️' : '✓'} {scanMessage.text}
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Filter Buttons and Action Buttons */}
           <div className="flex flex-col gap-4">
             {/* Type Filters */}
@@ -484,7 +646,7 @@ const Dashboard = () => {
                         : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
                     }`}
                   >
-                    Todos ({items.length})
+                    Todos ({stats?.total ?? 0})
                   </button>
                   <button
                     onClick={() => setFilter('tabaco')}
@@ -494,7 +656,7 @@ const Dashboard = () => {
                         : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
                     }`}
                   >
-                    Tabacos ({items.filter(item => item.tipo === 'Tabaco').length})
+                    Tabacos ({stats?.byType.Tabaco ?? 0})
                   </button>
                   <button
                     onClick={() => setFilter('producto')}
@@ -504,7 +666,7 @@ const Dashboard = () => {
                         : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
                     }`}
                   >
-                    Productos ({items.filter(item => item.tipo === 'Producto').length})
+                    Productos ({stats?.byType.Producto ?? 0})
                   </button>
                   <button
                     onClick={handleLowStockFilter}
@@ -515,7 +677,7 @@ const Dashboard = () => {
                     }`}
                   >
                     <span className="mr-1">⚠️</span>
-                    Stock Bajo ({lowStockItems.length})
+                    Stock Bajo ({lowStockCount})
                   </button>
                   <button
                     onClick={handleOutOfStockFilter}
@@ -526,7 +688,18 @@ const Dashboard = () => {
                     }`}
                   >
                     <span className="mr-1">🚫</span>
-                    Sin Stock ({outOfStockItems.length})
+                    Sin Stock ({outOfStockCount})
+                  </button>
+                  <button
+                    onClick={() => setFilter('archived')}
+                    className={`px-3 sm:px-4 py-2 rounded-lg text-xs sm:text-sm font-medium transition-colors flex items-center ${
+                      filter === 'archived' 
+                        ? 'bg-gray-500 text-white' 
+                        : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
+                    }`}
+                  >
+                    <span className="mr-1">🗄️</span>
+                    Archivados
                   </button>
                   {(filter !== 'all' || searchTerm) && (
                     <button
@@ -537,13 +710,37 @@ const Dashboard = () => {
                     </button>
                   )}
                 </div>
+                <label
+                  className="inline-flex items-center gap-2 mt-3 text-xs text-gray-400 cursor-pointer"
+                  title="Calcula la cobertura con el consumo medio de cada día de la semana (los fines de semana se gasta más)"
+                >
+                  <input
+                    type="checkbox"
+                    checked={forecastSeasonality}
+                    onChange={(e) => setForecastSeasonality(e.target.checked)}
+                    className="rounded border-gray-600 bg-gray-700"
+                  />
+                  📅 Previsión por día de la semana
+                </label>
+                <label className="flex items-center gap-2 mt-3 text-xs text-gray-400">
+                  Ordenar por
+                  <select
+                    value={sortOption}
+                    onChange={(e) => setSortOption(e.target.value)}
+                    className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-gray-200"
+                  >
+                    {SORT_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </label>
               </div>
               
               <div className="w-full sm:w-auto">
-                <div className="grid grid-cols-4 gap-2 sm:flex sm:flex-wrap sm:gap-2 sm:justify-end">
+                <div className="grid grid-cols-5 gap-2 sm:flex sm:flex-wrap sm:gap-2 sm:justify-end">
                   <button
                     onClick={handleGenerateInventoryPDF}
-                    disabled={isGeneratingPDF || items.length === 0}
+                    disabled={isGeneratingPDF || !stats?.total}
                     className="bg-red-600 hover:bg-red-700 text-white px-2 sm:px-4 py-2 rounded-lg text-xs sm:text-sm font-medium transition-colors flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
                     title="Generar PDF del inventario completo"
                   >
@@ -562,8 +759,9 @@ const Dashboard = () => {
                     )}
                   </button>
                   <button
-                    onClick={() => setShowReportsModal(true)}
-                    className="bg-purple-600 hover:bg-purple-700 text-white px-2 sm:px-4 py-2 rounded-lg text-xs sm:text-sm font-medium transition-colors flex items-center justify-center"
+                    onClick={() => openWithItems(setShowReportsModal)}
+                    disabled={loading}
+                    className="bg-purple-600 hover:bg-purple-700 text-white px-2 sm:px-4 py-2 rounded-lg text-xs sm:text-sm font-medium transition-colors flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
                     title="Generar informes de reposición"
                   >
                     <span className="mr-1 sm:mr-2">📊</span>
@@ -576,8 +774,9 @@ const Dashboard = () => {
                     )}
                   </button>
                   <button
-                    onClick={() => setShowOrderModal(true)}
-                    className="bg-green-600 hover:bg-green-700 text-white px-2 sm:px-4 py-2 rounded-lg text-xs sm:text-sm font-medium transition-colors flex items-center justify-center"
+                    onClick={() => openWithItems(setShowOrderModal)}
+                    disabled={loading}
+                    className="bg-green-600 hover:bg-green-700 text-white px-2 sm:px-4 py-2 rounded-lg text-xs sm:text-sm font-medium transition-colors flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
                     title="Generar pedido simplificado"
                   >
                     <span className="mr-1 sm:mr-2">📦</span>
@@ -589,6 +788,16 @@ const Dashboard = () => {
                       </span>
                     )}
                   </button>
+                  <button
+                    onClick={() => openWithItems(setShowLogBowlModal)}
+                    disabled={loading}
+                    className="bg-orange-600 hover:bg-orange-700 text-white px-2 sm:px-4 py-2 rounded-lg text-xs sm:text-sm font-medium transition-colors flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+                    title="Registrar consumo de tabaco en cazoletas"
+                  >
+                    <span className="mr-1 sm:mr-2">🔥</span>
+                    <span className="hidden sm:inline">Registrar Cazoleta</span>
+                    <span className="sm:hidden">Cazoleta</span>
+                  </button>
                   <button
                     onClick={handleAddProduct}
                     className="btn-primary flex items-center justify-center px-2 sm:px-4 py-2 text-xs sm:text-sm"
@@ -612,30 +821,32 @@ const Dashboard = () => {
                 <span className="text-sm text-gray-300">
                   {!searchTerm && filter !== 'all' ? (
                     <span>
-                      Mostrando <strong>{filteredItems.length}</strong> productos {
+                      Mostrando <strong>{pagination.total}</strong> productos {
                         filter === 'low-stock' ? 'con stock bajo' :
                         filter === 'out-of-stock' ? 'sin stock' :
                         filter === 'tabaco' ? 'de tipo Tabaco' :
-                        filter === 'producto' ? 'de tipo Producto' : ''
+                        filter === 'producto' ? 'de tipo Producto' :
+                        filter === 'archived' ? 'archivados' : ''
                       }
                     </span>
-                  ) : searchTerm && filteredItems.length === 0 ? (
+                  ) : searchTerm && !pageLoading && pagination.total === 0 ? (
                     <span>No se encontraron productos que coincidan con <strong>"{searchTerm}"</strong></span>
                   ) : searchTerm ? (
                     <span>
-                      Mostrando <strong>{filteredItems.length}</strong> de <strong>{items.length}</strong> productos para <strong>"{searchTerm}"</strong>
+                      <strong>{pagination.total}</strong> producto{pagination.total !== 1 ? 's' : ''} para <strong>"{searchTerm}"</strong>
                       {filter !== 'all' && (
                         <span> en {
                           filter === 'tabaco' ? 'Tabacos' : 
                           filter === 'producto' ? 'Productos' : 
                           filter === 'low-stock' ? 'Stock Bajo' :
-                          filter === 'out-of-stock' ? 'Sin Stock' : filter
+                          filter === 'out-of-stock' ? 'Sin Stock' :
+                          filter === 'archived' ? 'Archivados' : filter
                         }</span>
                       )}
                     </span>
                   ) : (
                     <span>
-                      Mostrando <strong>{filteredItems.length}</strong> productos filtrados
+                      Mostrando <strong>{pagination.total}</strong> productos filtrados
                     </span>
                   )}
                 </span>
@@ -666,14 +877,43 @@ const Dashboard = () => {
 
         {/* Inventory List */}
         <InventoryList
-          items={filteredItems}
-          loading={loading}
+          items={pageItems}
+          loading={pageLoading && pageItems.length === 0}
           searchTerm={searchTerm}
           onEdit={handleEditProduct}
-          onDelete={handleDeleteProduct}
+          onDelete={handleArchiveProduct}
+          onRestore={handleRestoreProduct}
           onAddToCart={handleAddToCart}
+          onAdjust={adjustStock}
+          onBulkUpdate={bulkUpdate}
+          forecasts={forecasts}
         />
 
+        {/* Pagination */}
+        {pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between mt-6 text-sm text-gray-300">
+            <span>
+              Página <strong>{pagination.page}</strong> de <strong>{pagination.totalPages}</strong> · {pagination.total} productos
+            </span>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => handlePageChange(pagination.page - 1)}
+                disabled={pageLoading || pagination.page <= 1}
+                className="btn-secondary disabled:opacity-50"
+              >
+                ← Anterior
+              </button>
+              <button
+                onClick={() => handlePageChange(pagination.page + 1)}
+                disabled={pageLoading || pagination.page >= pagination.totalPages}
+                className="btn-secondary disabled:opacity-50"
+              >
+                Siguiente →
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Product Modal */}
         {showModal && (
           <ProductModal
@@ -686,11 +926,21 @@ const Dashboard = () => {
           />
         )}
 
+        {/* Stock Adjust Dialog (modo escáner) */}
+        {adjustingItem && (
+          <StockAdjustDialog
+            item={adjustingItem}
+            onAdjust={adjustStock}
+            onClose={() => setAdjustingItem(null)}
+          />
+        )}
+
         {/* Reports Modal */}
         <ReportsModal
           isOpen={showReportsModal}
           onClose={() => setShowReportsModal(false)}
           items={items}
+          suggestions={restockSuggestions}
         />
 
         {/* Order Modal */}
@@ -698,6 +948,15 @@ const Dashboard = () => {
           isOpen={showOrderModal}
           onClose={() => setShowOrderModal(false)}
           items={items}
+          suggestions={restockSuggestions}
+        />
+
+        {/* Log Bowl Modal */}
+        <LogBowlModal
+          isOpen={showLogBowlModal}
+          onClose={() => setShowLogBowlModal(false)}
+          items={items}
+          onLog={logConsumption}
         />
 
         {/* Cart Modals */}
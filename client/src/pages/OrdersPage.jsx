@@ -1,8 +1,85 @@
 import { useState, useEffect } from 'react';
-import { ordersAPI } from '../utils/api';
+import { ordersAPI, inventoryAPI } from '../utils/api';
+import { useAuth } from '../hooks/useAuth';
 import LoadingSpinner from '../components/LoadingSpinner';
+import BarcodeScanInput from '../components/BarcodeScanInput';
 import jsPDF from 'jspdf';
 
+/**
+ * Obtiene el texto descriptivo del origen de un pedido
+ * @function getOrderTypeText
+ * @param {Object} order - Pedido con su proveedor (si lo tiene)
+ * @returns {string} Nombre del proveedor, la marca en pedidos antiguos por marca o "General"
+ */
+const getOrderTypeText = (order) => {
+  if (order.supplier) return `Proveedor: ${order.supplier.name}`;
+  if (order.type === 'brand' && order.brand) return `Marca: ${order.brand}`;
+  return 'General';
+};
+
+/**
+ * Obtiene el color del badge según el estado del pedido
+ * @function getStatusBadgeColor
+ * @param {string} status - Estado del pedido
+ * @returns {string} Clases CSS para el badge
+ */
+const getStatusBadgeColor = (status) => {
+  switch (status) {
+    case 'draft':
+      return 'bg-gray-100 text-gray-800';
+    case 'sent':
+      return 'bg-yellow-100 text-yellow-800';
+    case 'partial':
+      return 'bg-blue-100 text-blue-800';
+    case 'completed':
+      return 'bg-green-100 text-green-800';
+    case 'closed_short':
+      return 'bg-orange-100 text-orange-800';
+    case 'cancelled':
+      return 'bg-red-100 text-red-800';
+    default:
+      return 'bg-gray-100 text-gray-800';
+  }
+};
+
+/**
+ * Traduce el estado del pedido al español
+ * @function getStatusText
+ * @param {string} status - Estado del pedido en inglés
+ * @returns {string} Estado traducido al español
+ */
+const getStatusText = (status) => {
+  switch (status) {
+    case 'draft':
+      return 'Borrador';
+    case 'sent':
+      return 'Enviado';
+    case 'partial':
+      return 'Parcial';
+    case 'completed':
+      return 'Completado';
+    case 'closed_short':
+      return 'Cerrado con faltas';
+    case 'cancelled':
+      return 'Cancelado';
+    case 'overdue':
+      return 'Retrasado';
+    default:
+      return status;
+  }
+};
+
+/**
+ * Indica si un pedido enviado ha superado su fecha de entrega prevista
+ * @function isOrderOverdue
+ * @param {Object} order - Pedido con status y expectedDeliveryAt
+ * @returns {boolean} true si sigue esperando mercancía y la fecha prevista ya pasó
+ */
+const isOrderOverdue = (order) =>
+  (order.status === 'sent' || order.status === 'partial') &&
+  !!order.expectedDeliveryAt &&
+  new Date(order.expectedDeliveryAt) < new Date();
+
 /**
  * Página principal para gestionar pedidos de reposición
  * @function OrdersPage
@@ -13,10 +90,11 @@ import jsPDF from 'jspdf';
  * confirmar recepción y ver detalles de cada pedido
  */
 const OrdersPage = ({ refreshInventory }) => {
+  const { user } = useAuth();
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [filter, setFilter] = useState('all'); // 'all', 'pending', 'completed', 'cancelled'
+  const [filter, setFilter] = useState('all'); // 'all', 'draft', 'sent', 'overdue', 'partial', 'completed', 'closed_short', 'cancelled'
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [showDetailModal, setShowDetailModal] = useState(false);
   const [showConfirmModal, setShowConfirmModal] = useState(false);
@@ -56,6 +134,7 @@ const OrdersPage = ({ refreshInventory }) => {
    */
   const filteredOrders = Array.isArray(orders) ? orders.filter(order => {
     if (filter === 'all') return true;
+    if (filter === 'overdue') return isOrderOverdue(order);
     return order.status === filter;
   }) : [];
 
@@ -107,7 +186,62 @@ const OrdersPage = ({ refreshInventory }) => {
   };
 
   /**
-   * Cancela un pedido pendiente
+   * Marca un pedido en borrador como enviado al proveedor
+   * @function handleSendOrder
+   * @async
+   * @param {Object} order - Pedido a enviar
+   * @returns {Promise<void>} No retorna valor
+   */
+  const handleSendOrder = async (order) => {
+    if (!confirm(`¿Marcar el pedido ${order.orderNumber} como enviado al proveedor? Sus líneas dejarán de ser editables.`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const sentOrder = await ordersAPI.send(order.id);
+      await fetchOrders();
+      alert(
+        `Pedido ${order.orderNumber} enviado.` +
+        (sentOrder.expectedDeliveryAt
+          ? ` Entrega prevista: ${new Date(sentOrder.expectedDeliveryAt).toLocaleDateString('es-ES')}`
+          : '')
+      );
+    } catch (error) {
+      alert(`Error enviando pedido: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Cierra un pedido parcial anulando las cantidades que faltan por recibir
+   * @function handleCloseShortOrder
+   * @async
+   * @param {Object} order - Pedido parcial a cerrar
+   * @returns {Promise<void>} No retorna valor
+   */
+  const handleCloseShortOrder = async (order) => {
+    const reason = prompt(
+      `¿Cerrar el pedido ${order.orderNumber} con faltas?\n` +
+      'Las cantidades pendientes se anularán y lo ya recibido se mantiene.\n\nMotivo (opcional):'
+    );
+    if (reason === null) return; // Usuario canceló
+
+    try {
+      setLoading(true);
+      await ordersAPI.closeShort(order.id, { reason });
+      await fetchOrders();
+      alert(`Pedido ${order.orderNumber} cerrado con faltas.`);
+    } catch (error) {
+      alert(`Error cerrando pedido: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Cancela un pedido en borrador o enviado
    * @function handleCancelOrder
    * @async
    * @param {Object} order - Pedido a cancelar
@@ -223,9 +357,10 @@ const OrdersPage = ({ refreshInventory }) => {
         doc.setFontSize(10);
         doc.setFont('helvetica', 'bold');
         doc.text('PRODUCTO', margin + 3, yPos + 6);
-        doc.text('MARCA', margin + 70, yPos + 6);
+        doc.text('REF.', margin + 55, yPos + 6);
+        doc.text('MARCA', margin + 85, yPos + 6);
         doc.text('PESO', margin + 120, yPos + 6);
-        doc.text('CANTIDAD', margin + 150, yPos + 6);
+        doc.text('CANTIDAD', margin + 145, yPos + 6);
         
         return yPos + 20;
       };
@@ -259,10 +394,20 @@ const OrdersPage = ({ refreshInventory }) => {
           ? item.inventoryItem.marca.substring(0, 12) + '...'
           : item.inventoryItem.marca;
         
+        // Referencia del proveedor y cajas completas si el producto se vende por cajas
+        const supplierSku = item.inventoryItem.supplierSku || '-';
+        const skuText = supplierSku.length > 14 ? supplierSku.substring(0, 11) + '...' : supplierSku;
+        const quantity = item.quantityOrdered || 0;
+        const packSize = item.inventoryItem.packSize || 1;
+        const quantityText = packSize > 1 && quantity > 0
+          ? `${quantity} (${Math.ceil(quantity / packSize)}x${packSize})`
+          : quantity.toString();
+
         doc.text(productName, margin + 3, yPos + 3);
-        doc.text(brandName, margin + 70, yPos + 3);
+        doc.text(skuText, margin + 55, yPos + 3);
+        doc.text(brandName, margin + 85, yPos + 3);
         doc.text(`${item.inventoryItem.peso}g`, margin + 120, yPos + 3);
-        doc.text((item.quantityOrdered || 0).toString(), margin + 155, yPos + 3, { align: 'center' });
+        doc.text(quantityText, margin + 155, yPos + 3, { align: 'center' });
         
         return yPos + lineHeight + 2;
       };
@@ -298,7 +443,8 @@ const OrdersPage = ({ refreshInventory }) => {
       let itemsPerPage = 0;
       const maxItemsPerPage = 25; // Más items por página con el nuevo diseño
       
-      order.items.forEach((item, index) => {
+      // Las sustituciones no se pidieron al proveedor, así que no aparecen en el pedido
+      order.items.filter(item => !item.isSubstitution).forEach((item, index) => {
         // Verificar si necesitamos una nueva página
         yPosition = checkAndAddPage(yPosition, lineHeight + 5);
         
@@ -365,48 +511,6 @@ const OrdersPage = ({ refreshInventory }) => {
     }
   };
 
-  /**
-   * Obtiene el color del badge según el estado del pedido
-   * @function getStatusBadgeColor
-   * @param {string} status - Estado del pedido
-   * @returns {string} Clases CSS para el badge
-   */
-  const getStatusBadgeColor = (status) => {
-    switch (status) {
-      case 'pending':
-        return 'bg-yellow-100 text-yellow-800';
-      case 'partial':
-        return 'bg-blue-100 text-blue-800';
-      case 'completed':
-        return 'bg-green-100 text-green-800';
-      case 'cancelled':
-        return 'bg-red-100 text-red-800';
-      default:
-        return 'bg-gray-100 text-gray-800';
-    }
-  };
-
-  /**
-   * Traduce el estado del pedido al español
-   * @function getStatusText
-   * @param {string} status - Estado del pedido en inglés
-   * @returns {string} Estado traducido al español
-   */
-  const getStatusText = (status) => {
-    switch (status) {
-      case 'pending':
-        return 'Pendiente';
-      case 'partial':
-        return 'Parcial';
-      case 'completed':
-        return 'Completado';
-      case 'cancelled':
-        return 'Cancelado';
-      default:
-        return status;
-    }
-  };
-
   if (loading && orders.length === 0) {
     return <LoadingSpinner />;
   }
@@ -440,9 +544,12 @@ const OrdersPage = ({ refreshInventory }) => {
         <div className="flex flex-wrap gap-2 sm:gap-3">
           {[
             { key: 'all', label: 'Todos', count: Array.isArray(orders) ? orders.length : 0 },
-            { key: 'pending', label: 'Pendientes', count: Array.isArray(orders) ? orders.filter(o => o.status === 'pending').length : 0 },
+            { key: 'draft', label: 'Borradores', count: Array.isArray(orders) ? orders.filter(o => o.status === 'draft').length : 0 },
+            { key: 'sent', label: 'Enviados', count: Array.isArray(orders) ? orders.filter(o => o.status === 'sent').length : 0 },
+            { key: 'overdue', label: 'Retrasados', count: Array.isArray(orders) ? orders.filter(isOrderOverdue).length : 0 },
             { key: 'partial', label: 'Parciales', count: Array.isArray(orders) ? orders.filter(o => o.status === 'partial').length : 0 },
             { key: 'completed', label: 'Completados', count: Array.isArray(orders) ? orders.filter(o => o.status === 'completed').length : 0 },
+            { key: 'closed_short', label: 'Con faltas', count: Array.isArray(orders) ? orders.filter(o => o.status === 'closed_short').length : 0 },
             { key: 'cancelled', label: 'Cancelados', count: Array.isArray(orders) ? orders.filter(o => o.status === 'cancelled').length : 0 }
           ].map(filterOption => (
             <button
@@ -484,7 +591,7 @@ const OrdersPage = ({ refreshInventory }) => {
                     Pedido
                   </th>
                   <th className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">
-                    Tipo/Marca
+                    Proveedor/Tipo
                   </th>
                   <th className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">
                     Items
@@ -505,7 +612,10 @@ const OrdersPage = ({ refreshInventory }) => {
               </thead>
               <tbody className="divide-y divide-gray-700">
                 {filteredOrders.map((order) => (
-                  <tr key={order.id} className="hover:bg-gray-700 transition-colors">
+                  <tr
+                    key={order.id}
+                    className={`hover:bg-gray-700 transition-colors ${isOrderOverdue(order) ? 'bg-red-900 bg-opacity-30' : ''}`}
+                  >
                     <td className="px-3 sm:px-6 py-4 whitespace-nowrap">
                       <div>
                         <div className="text-sm font-medium text-white">
@@ -518,7 +628,7 @@ const OrdersPage = ({ refreshInventory }) => {
                     </td>
                     <td className="px-3 sm:px-6 py-4 whitespace-nowrap">
                       <div className="text-xs sm:text-sm text-white">
-                        {order.type === 'general' ? 'General' : `Marca: ${order.brand}`}
+                        {getOrderTypeText(order)}
                       </div>
                     </td>
                     <td className="px-3 sm:px-6 py-4 whitespace-nowrap text-xs sm:text-sm text-white">
@@ -531,12 +641,20 @@ const OrdersPage = ({ refreshInventory }) => {
                       <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusBadgeColor(order.status)}`}>
                         {getStatusText(order.status)}
                       </span>
+                      {isOrderOverdue(order) && (
+                        <div className="text-xs text-red-400 font-semibold mt-1">⏰ Retrasado</div>
+                      )}
                     </td>
                     <td className="px-3 sm:px-6 py-4 whitespace-nowrap text-xs sm:text-sm text-gray-300">
                       <div>{new Date(order.createdAt).toLocaleDateString('es-ES')}</div>
                       <div className="text-xs text-gray-400">
                         {new Date(order.createdAt).toLocaleTimeString('es-ES')}
                       </div>
+                      {order.expectedDeliveryAt && (order.status === 'sent' || order.status === 'partial') && (
+                        <div className={`text-xs ${isOrderOverdue(order) ? 'text-red-400' : 'text-gray-400'}`}>
+                          Entrega: {new Date(order.expectedDeliveryAt).toLocaleDateString('es-ES')}
+                        </div>
+                      )}
                     </td>
                     <td className="px-3 sm:px-6 py-4 whitespace-nowrap text-sm">
                       <div className="flex gap-1 sm:gap-2">
@@ -554,23 +672,41 @@ const OrdersPage = ({ refreshInventory }) => {
                         >
                           📄
                         </button>
-                        {(order.status === 'pending' || order.status === 'partial') && (
-                          <>
-                            <button
-                              onClick={() => handleConfirmOrder(order)}
-                              className="text-green-400 hover:text-green-300 transition-colors text-lg sm:text-base"
-                              title="Confirmar recepción completa"
-                            >
-                              ✅
-                            </button>
-                            <button
-                              onClick={() => handleCancelOrder(order)}
-                              className="text-red-400 hover:text-red-300 transition-colors text-lg sm:text-base"
-                              title="Cancelar pedido"
-                            >
-                              ❌
-                            </button>
-                          </>
+                        {order.status === 'draft' && (
+                          <button
+                            onClick={() => handleSendOrder(order)}
+                            className="text-yellow-400 hover:text-yellow-300 transition-colors text-lg sm:text-base"
+                            title="Marcar como enviado"
+                          >
+                            📤
+                          </button>
+                        )}
+                        {(order.status === 'sent' || order.status === 'partial') && (
+                          <button
+                            onClick={() => handleConfirmOrder(order)}
+                            className="text-green-400 hover:text-green-300 transition-colors text-lg sm:text-base"
+                            title="Confirmar recepción completa"
+                          >
+                            ✅
+                          </button>
+                        )}
+                        {order.status === 'partial' && (
+                          <button
+                            onClick={() => handleCloseShortOrder(order)}
+                            className="text-orange-400 hover:text-orange-300 transition-colors text-lg sm:text-base"
+                            title="Cerrar con faltas"
+                          >
+                            ✂️
+                          </button>
+                        )}
+                        {(order.status === 'draft' || order.status === 'sent') && (
+                          <button
+                            onClick={() => handleCancelOrder(order)}
+                            className="text-red-400 hover:text-red-300 transition-colors text-lg sm:text-base"
+                            title="Cancelar pedido"
+                          >
+                            ❌
+                          </button>
                         )}
                       </div>
                     </td>
@@ -586,6 +722,7 @@ const OrdersPage = ({ refreshInventory }) => {
       {showDetailModal && selectedOrder && (
         <OrderDetailModal
           order={selectedOrder}
+          isAdmin={user?.role === 'admin'}
           onClose={() => {
             setShowDetailModal(false);
             setSelectedOrder(null);
@@ -630,26 +767,47 @@ const OrdersPage = ({ refreshInventory }) => {
  * @function OrderDetailModal
  * @param {Object} props - Props del componente
  * @param {Object} props.order - Pedido a mostrar
+ * @param {boolean} props.isAdmin - Si el usuario puede revertir recepciones
  * @param {Function} props.onClose - Función para cerrar el modal
  * @param {Function} props.onRefresh - Función para refrescar datos
  * @returns {JSX.Element} Modal con detalles del pedido
  */
-const OrderDetailModal = ({ order, onClose, onRefresh }) => {
+const OrderDetailModal = ({ order, isAdmin, onClose, onRefresh }) => {
   const [loading, setLoading] = useState(false);
   const [receivingItem, setReceivingItem] = useState(null);
   const [receiveQuantity, setReceiveQuantity] = useState('');
   const [receiveNotes, setReceiveNotes] = useState('');
+  const [reversingItem, setReversingItem] = useState(null);
+  const [reverseQuantity, setReverseQuantity] = useState('');
+  const [reverseReason, setReverseReason] = useState('');
+  const [receiveOverDelivery, setReceiveOverDelivery] = useState(false);
+  const [showSubstitution, setShowSubstitution] = useState(false);
+  const [availableProducts, setAvailableProducts] = useState([]);
+  const [substitution, setSubstitution] = useState({ inventoryItemId: '', substituteForId: '', quantityReceived: '', notes: '' });
+  const [editingItemId, setEditingItemId] = useState(null);
+  const [editQuantity, setEditQuantity] = useState('');
+  const [showAddLine, setShowAddLine] = useState(false);
+  const [newLine, setNewLine] = useState({ inventoryItemId: '', quantityOrdered: '' });
+  const [showScanReceive, setShowScanReceive] = useState(false);
+  const [scanCounts, setScanCounts] = useState({});
+  const [scanMessage, setScanMessage] = useState(null);
+
+  const canEdit = order.status === 'draft' || order.status === 'sent';
+  const canReceive = order.status === 'sent' || order.status === 'partial';
+  const canReverse = isAdmin && ['sent', 'partial', 'completed'].includes(order.status);
 
   /**
    * Inicia el proceso de recepción de un item
    * @function handleReceiveItem
    * @param {Object} item - Item a recepcionar
+   * @param {boolean} [overDelivery=false] - Si se recepciona un exceso de entrega
    * @returns {void} No retorna valor
    */
-  const handleReceiveItem = (item) => {
+  const handleReceiveItem = (item, overDelivery = false) => {
     setReceivingItem(item);
     setReceiveQuantity('');
     setReceiveNotes('');
+    setReceiveOverDelivery(overDelivery);
   };
 
   /**
@@ -669,13 +827,14 @@ const OrderDetailModal = ({ order, onClose, onRefresh }) => {
       }
 
       const maxQuantity = receivingItem.quantityOrdered - receivingItem.quantityReceived;
-      if (quantity > maxQuantity) {
-        alert(`No puedes recepcionar más de ${maxQuantity} unidades`);
+      if (quantity > maxQuantity && !receiveOverDelivery) {
+        alert(`No puedes recepcionar más de ${maxQuantity} unidades sin marcar exceso de entrega`);
         return;
       }
 
       const result = await ordersAPI.receiveItem(order.id, receivingItem.id, {
         quantityReceived: quantity,
+        overDelivery: receiveOverDelivery,
         notes: receiveNotes
       });
 
@@ -697,6 +856,318 @@ const OrderDetailModal = ({ order, onClose, onRefresh }) => {
     }
   };
 
+  /**
+   * Suma una unidad escaneada a la línea del pedido del producto leído
+   * @function handleScanReceive
+   * @async
+   * @param {string} code - Código de barras leído
+   * @returns {Promise<void>} No retorna valor
+   * @description Si el producto está en varias líneas se usa la primera que aún tenga unidades
+   * pendientes contando lo ya escaneado. Las unidades no se recepcionan hasta confirmar
+   */
+  const handleScanReceive = async (code) => {
+    try {
+      const product = await inventoryAPI.getByBarcode(code);
+      const lines = order.items.filter(line => line.inventoryItemId === product.id && line.status !== 'cancelled');
+      if (lines.length === 0) {
+        setScanMessage({ type: 'error', text: `${product.marca} - ${product.nombre} no está en este pedido` });
+        return;
+      }
+
+      const line = lines.find(candidate =>
+        (candidate.quantityOrdered || 0) - (candidate.quantityReceived || 0) - (scanCounts[candidate.id] || 0) > 0
+      ) || lines[0];
+      const scanned = (scanCounts[line.id] || 0) + 1;
+      const pending = (line.quantityOrdered || 0) - (line.quantityReceived || 0);
+
+      setScanCounts(prev => ({ ...prev, [line.id]: scanned }));
+      setScanMessage({
+        type: scanned > pending ? 'warning' : 'success',
+        text: `${product.nombre}: ${scanned} escaneada(s) de ${Math.max(pending, 0)} pendiente(s)`
+      });
+    } catch (error) {
+      setScanMessage({ type: 'error', text: error.response?.data?.error || 'Error buscando el código' });
+    }
+  };
+
+  /**
+   * Recepciona las unidades escaneadas de cada línea mediante el endpoint de recepción
+   * @function executeScanReceive
+   * @async
+   * @returns {Promise<void>} No retorna valor
+   * @description Si alguna línea supera lo pendiente se pide confirmación para recepcionarla como
+   * exceso de entrega. Las líneas que fallan conservan su recuento para poder reintentarlas
+   */
+  const executeScanReceive = async () => {
+    const entries = order.items
+      .filter(line => scanCounts[line.id])
+      .map(line => ({
+        line,
+        quantity: scanCounts[line.id],
+        overDelivery: scanCounts[line.id] > (line.quantityOrdered || 0) - (line.quantityReceived || 0)
+      }));
+
+    const excess = entries.filter(entry => entry.overDelivery);
+    if (excess.length > 0 && !confirm(
+      `Hay más unidades escaneadas de lo pendiente en:\n${excess.map(entry => `- ${entry.line.inventoryItem.nombre}`).join('\n')}\n\n¿Recepcionarlas como exceso de entrega?`
+    )) {
+      return;
+    }
+
+    setLoading(true);
+    const failed = {};
+    const errors = [];
+    for (const { line, quantity, overDelivery } of entries) {
+      try {
+        await ordersAPI.receiveItem(order.id, line.id, {
+          quantityReceived: quantity,
+          overDelivery,
+          notes: 'Recepción con escáner'
+        });
+      } catch (error) {
+        failed[line.id] = quantity;
+        errors.push(`${line.inventoryItem.nombre}: ${error.response?.data?.error || error.message}`);
+      }
+    }
+    setScanCounts(failed);
+    setLoading(false);
+
+    if (errors.length > 0) {
+      alert(`Algunas líneas no se pudieron recepcionar:\n\n${errors.join('\n')}`);
+    } else {
+      setScanMessage({ type: 'success', text: `Recepcionadas ${entries.reduce((sum, entry) => sum + entry.quantity, 0)} unidades` });
+    }
+
+    if (onRefresh) {
+      await onRefresh();
+    }
+  };
+
+  /**
+   * Carga los productos del inventario que aún no están en el pedido
+   * @function loadAvailableProducts
+   * @async
+   * @returns {Promise<boolean>} true si se cargaron correctamente
+   */
+  const loadAvailableProducts = async () => {
+    try {
+      const products = await inventoryAPI.getAll();
+      const orderProductIds = new Set(order.items.map(item => item.inventoryItemId));
+      setAvailableProducts(products.filter(product => !orderProductIds.has(product.id)));
+      return true;
+    } catch (error) {
+      alert(`Error cargando productos: ${error.response?.data?.error || error.message}`);
+      return false;
+    }
+  };
+
+  /**
+   * Abre el formulario de sustitución cargando los productos del inventario
+   * @function handleOpenSubstitution
+   * @async
+   * @returns {Promise<void>} No retorna valor
+   */
+  const handleOpenSubstitution = async () => {
+    setSubstitution({ inventoryItemId: '', substituteForId: '', quantityReceived: '', notes: '' });
+    setShowSubstitution(true);
+    if (!(await loadAvailableProducts())) {
+      setShowSubstitution(false);
+    }
+  };
+
+  /**
+   * Muestra el formulario para añadir una línea al pedido
+   * @function handleOpenAddLine
+   * @async
+   * @returns {Promise<void>} No retorna valor
+   */
+  const handleOpenAddLine = async () => {
+    setNewLine({ inventoryItemId: '', quantityOrdered: '' });
+    setShowAddLine(true);
+    if (!(await loadAvailableProducts())) {
+      setShowAddLine(false);
+    }
+  };
+
+  /**
+   * Ejecuta una modificación de líneas del pedido y refresca los datos
+   * @function runLineChange
+   * @async
+   * @param {Function} change - Llamada a la API que realiza el cambio
+   * @returns {Promise<boolean>} true si el cambio se guardó
+   */
+  const runLineChange = async (change) => {
+    try {
+      setLoading(true);
+      await change();
+      if (onRefresh) {
+        await onRefresh();
+      }
+      return true;
+    } catch (error) {
+      alert(`Error modificando el pedido: ${error.response?.data?.error || error.message}`);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Añade la línea del formulario al pedido
+   * @function handleAddLine
+   * @async
+   * @returns {Promise<void>} No retorna valor
+   */
+  const handleAddLine = async () => {
+    const quantity = parseInt(newLine.quantityOrdered);
+    if (!newLine.inventoryItemId || !quantity || quantity <= 0) {
+      alert('Selecciona un producto y una cantidad válida');
+      return;
+    }
+
+    const saved = await runLineChange(() => ordersAPI.addItem(order.id, {
+      inventoryItemId: parseInt(newLine.inventoryItemId),
+      quantityOrdered: quantity
+    }));
+    if (saved) {
+      setShowAddLine(false);
+    }
+  };
+
+  /**
+   * Guarda la nueva cantidad de la línea en edición
+   * @function handleSaveQuantity
+   * @async
+   * @param {Object} item - Item del pedido
+   * @returns {Promise<void>} No retorna valor
+   */
+  const handleSaveQuantity = async (item) => {
+    const quantity = parseInt(editQuantity);
+    if (!quantity || quantity <= 0) {
+      alert('Ingresa una cantidad válida');
+      return;
+    }
+
+    const saved = await runLineChange(() => ordersAPI.updateItem(order.id, item.id, { quantityOrdered: quantity }));
+    if (saved) {
+      setEditingItemId(null);
+    }
+  };
+
+  /**
+   * Elimina una línea del pedido tras confirmarlo
+   * @function handleRemoveLine
+   * @async
+   * @param {Object} item - Item del pedido
+   * @returns {Promise<void>} No retorna valor
+   */
+  const handleRemoveLine = async (item) => {
+    if (!confirm(`¿Quitar ${item.inventoryItem.nombre} del pedido?`)) {
+      return;
+    }
+    await runLineChange(() => ordersAPI.removeItem(order.id, item.id));
+  };
+
+  /**
+   * Registra la recepción de un producto sustituto
+   * @function executeSubstitution
+   * @async
+   * @returns {Promise<void>} No retorna valor
+   */
+  const executeSubstitution = async () => {
+    try {
+      setLoading(true);
+      const quantity = parseInt(substitution.quantityReceived);
+
+      if (!substitution.inventoryItemId) {
+        alert('Selecciona el producto recibido');
+        return;
+      }
+
+      if (!quantity || quantity <= 0) {
+        alert('Ingresa una cantidad válida');
+        return;
+      }
+
+      await ordersAPI.receiveSubstitution(order.id, {
+        inventoryItemId: parseInt(substitution.inventoryItemId),
+        substituteForId: substitution.substituteForId ? parseInt(substitution.substituteForId) : null,
+        quantityReceived: quantity,
+        notes: substitution.notes
+      });
+
+      alert(`Sustitución recepcionada. Stock actualizado: +${quantity} unidades`);
+      setShowSubstitution(false);
+
+      if (onRefresh) {
+        await onRefresh();
+      }
+    } catch (error) {
+      alert(`Error recepcionando sustitución: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Inicia el proceso de reversión de la recepción de un item
+   * @function handleReverseItem
+   * @param {Object} item - Item cuya recepción se revierte
+   * @returns {void} No retorna valor
+   */
+  const handleReverseItem = (item) => {
+    setReversingItem(item);
+    setReverseQuantity('');
+    setReverseReason('');
+  };
+
+  /**
+   * Ejecuta la reversión de la recepción del item
+   * @function executeReverseItem
+   * @async
+   * @returns {Promise<void>} No retorna valor
+   */
+  const executeReverseItem = async () => {
+    try {
+      setLoading(true);
+      const quantity = parseInt(reverseQuantity);
+
+      if (!quantity || quantity <= 0) {
+        alert('Ingresa una cantidad válida');
+        return;
+      }
+
+      if (quantity > (reversingItem.quantityReceived || 0)) {
+        alert(`No puedes revertir más de ${reversingItem.quantityReceived || 0} unidades`);
+        return;
+      }
+
+      if (!reverseReason.trim()) {
+        alert('Indica el motivo de la reversión');
+        return;
+      }
+
+      await ordersAPI.reverseItem(order.id, reversingItem.id, {
+        quantity,
+        reason: reverseReason
+      });
+
+      alert(`Recepción revertida. Stock actualizado: -${quantity} unidades`);
+
+      setReversingItem(null);
+      setReverseQuantity('');
+      setReverseReason('');
+
+      if (onRefresh) {
+        await onRefresh();
+      }
+    } catch (error) {
+      alert(`Error revirtiendo recepción: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   /**
    * Obtiene el color del badge según el estado del item
    * @function getItemStatusColor
@@ -711,6 +1182,10 @@ const OrderDetailModal = ({ order, onClose, onRefresh }) => {
         return 'bg-blue-100 text-blue-800';
       case 'completed':
         return 'bg-green-100 text-green-800';
+      case 'closed_short':
+        return 'bg-orange-100 text-orange-800';
+      case 'cancelled':
+        return 'bg-red-100 text-red-800';
       default:
         return 'bg-gray-100 text-gray-800';
     }
@@ -730,6 +1205,10 @@ const OrderDetailModal = ({ order, onClose, onRefresh }) => {
         return 'Parcial';
       case 'completed':
         return 'Completado';
+      case 'closed_short':
+        return 'Cerrado con faltas';
+      case 'cancelled':
+        return 'Anulado';
       default:
         return status;
     }
@@ -764,7 +1243,7 @@ const OrderDetailModal = ({ order, onClose, onRefresh }) => {
                 <div className="flex justify-between">
                   <span className="text-gray-400">Tipo:</span>
                   <span className="text-white">
-                    {order.type === 'general' ? 'General' : `Marca: ${order.brand}`}
+                    {getOrderTypeText(order)}
                   </span>
                 </div>
                 <div className="flex justify-between">
@@ -773,8 +1252,23 @@ const OrderDetailModal = ({ order, onClose, onRefresh }) => {
                 </div>
                 <div className="flex justify-between">
                   <span className="text-gray-400">Estado:</span>
-                  <span className="text-white">{order.status === 'pending' ? 'Pendiente' : order.status === 'completed' ? 'Completado' : 'Cancelado'}</span>
+                  <span className="text-white">{getStatusText(order.status)}</span>
                 </div>
+                {order.sentAt && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Enviado:</span>
+                    <span className="text-white">{new Date(order.sentAt).toLocaleString('es-ES')}</span>
+                  </div>
+                )}
+                {order.expectedDeliveryAt && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Entrega prevista:</span>
+                    <span className={isOrderOverdue(order) ? 'text-red-400 font-semibold' : 'text-white'}>
+                      {new Date(order.expectedDeliveryAt).toLocaleDateString('es-ES')}
+                      {isOrderOverdue(order) && ' ⏰ Retrasado'}
+                    </span>
+                  </div>
+                )}
               </div>
             </div>
 
@@ -809,7 +1303,111 @@ const OrderDetailModal = ({ order, onClose, onRefresh }) => {
 
           {/* Items del Pedido */}
           <div className="bg-gray-900 rounded-lg p-4">
-            <h3 className="text-lg font-medium text-white mb-3">Productos del Pedido</h3>
+            <div className="flex justify-between items-center mb-3">
+              <h3 className="text-lg font-medium text-white">Productos del Pedido</h3>
+              {canReceive && (
+                <button
+                  onClick={() => {
+                    setShowScanReceive(prev => !prev);
+                    setScanMessage(null);
+                  }}
+                  className="text-green-400 hover:text-green-300 transition-colors text-sm"
+                >
+                  📷 {showScanReceive ? 'Cerrar escáner' : 'Recepcionar con escáner'}
+                </button>
+              )}
+              {canReceive && (
+                <button
+                  onClick={handleOpenSubstitution}
+                  className="text-purple-400 hover:text-purple-300 transition-colors text-sm"
+                >
+                  🔄 Recepcionar sustitución
+                </button>
+              )}
+              {canEdit && !showAddLine && (
+                <button
+                  onClick={handleOpenAddLine}
+                  className="text-blue-400 hover:text-blue-300 transition-colors text-sm"
+                >
+                  ➕ Añadir producto
+                </button>
+              )}
+            </div>
+            {canReceive && showScanReceive && (
+              <div className="mb-3 bg-gray-800 rounded-lg p-3 space-y-2">
+                <BarcodeScanInput
+                  onScan={handleScanReceive}
+                  disabled={loading}
+                  placeholder="Escanea cada unidad recibida..."
+                />
+                {scanMessage && (
+                  <p className={`text-sm ${
+                    scanMessage.type === 'error' ? 'text-red-300' : scanMessage.type === 'warning' ? 'text-orange-300' : 'text-green-300'
+                  }`}>
+                    {scanMessage.text}
+                  </p>
+                )}
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-sm text-gray-400">
+                    {Object.values(scanCounts).reduce((sum, quantity) => sum + quantity, 0)} unidad(es) escaneadas
+                  </span>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => setScanCounts({})}
+                      disabled={loading || Object.keys(scanCounts).length === 0}
+                      className="px-3 py-2 bg-gray-700 text-gray-300 rounded-lg hover:bg-gray-600 transition-colors text-sm disabled:opacity-50"
+                    >
+                      Vaciar
+                    </button>
+                    <button
+                      onClick={executeScanReceive}
+                      disabled={loading || Object.keys(scanCounts).length === 0}
+                      className="px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors text-sm disabled:opacity-50"
+                    >
+                      ✓ Recepcionar escaneados
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )}
+            {canEdit && showAddLine && (
+              <div className="flex flex-wrap items-center gap-2 mb-3 bg-gray-800 rounded-lg p-3">
+                <select
+                  value={newLine.inventoryItemId}
+                  onChange={(e) => setNewLine({ ...newLine, inventoryItemId: e.target.value })}
+                  className="flex-1 min-w-[200px] bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Selecciona un producto</option>
+                  {availableProducts.map((product) => (
+                    <option key={product.id} value={product.id}>
+                      {product.marca} - {product.nombre} ({product.peso}g)
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="1"
+                  value={newLine.quantityOrdered}
+                  onChange={(e) => setNewLine({ ...newLine, quantityOrdered: e.target.value })}
+                  className="w-24 bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Cantidad"
+                />
+                <button
+                  onClick={handleAddLine}
+                  disabled={loading}
+                  className="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:opacity-50"
+                >
+                  Añadir
+                </button>
+                <button
+                  onClick={() => setShowAddLine(false)}
+                  disabled={loading}
+                  className="px-3 py-2 bg-gray-700 text-gray-300 rounded-lg hover:bg-gray-600 transition-colors text-sm disabled:opacity-50"
+                >
+                  Cancelar
+                </button>
+              </div>
+            )}
             <div className="overflow-x-auto">
               <table className="w-full text-sm">
                 <thead>
@@ -822,7 +1420,7 @@ const OrderDetailModal = ({ order, onClose, onRefresh }) => {
                     <th className="text-center py-2 text-gray-400">Estado</th>
                     <th className="text-right py-2 text-gray-400">Precio Unit.</th>
                     <th className="text-right py-2 text-gray-400">Subtotal</th>
-                    {(order.status === 'pending' || order.status === 'partial') && (
+                    {(canEdit || canReceive || canReverse) && (
                       <th className="text-center py-2 text-gray-400">Acciones</th>
                     )}
                   </tr>
@@ -832,11 +1430,70 @@ const OrderDetailModal = ({ order, onClose, onRefresh }) => {
                     const pendingQuantity = (item.quantityOrdered || 0) - (item.quantityReceived || 0);
                     return (
                       <tr key={item.id} className="border-b border-gray-800">
-                        <td className="py-2 text-white">{item.inventoryItem.nombre}</td>
+                        <td className="py-2 text-white">
+                          {item.inventoryItem.nombre}
+                          {item.isSubstitution && (
+                            <div className="text-xs text-purple-300">
+                              🔄 Sustitución{item.substituteForId && (() => {
+                                const substituted = order.items.find(other => other.id === item.substituteForId);
+                                return substituted ? ` de ${substituted.inventoryItem.nombre}` : '';
+                              })()}
+                            </div>
+                          )}
+                          {!item.isSubstitution && item.quantityReceived > item.quantityOrdered && (
+                            <div className="text-xs text-orange-300">
+                              ➕ Exceso de entrega: +{item.quantityReceived - item.quantityOrdered}
+                            </div>
+                          )}
+                          {item.quantityCancelled > 0 && (
+                            <div className="text-xs text-red-300">
+                              ✂️ Anuladas: {item.quantityCancelled}
+                            </div>
+                          )}
+                        </td>
                         <td className="text-center py-2 text-gray-300">{item.inventoryItem.marca}</td>
                         <td className="text-center py-2 text-gray-300">{item.inventoryItem.peso}g</td>
-                        <td className="text-center py-2 text-yellow-400">{item.quantityOrdered || 0}</td>
-                        <td className="text-center py-2 text-green-400">{item.quantityReceived || 0}</td>
+                        <td className="text-center py-2 text-yellow-400">
+                          {editingItemId === item.id ? (
+                            <div className="flex items-center justify-center gap-1">
+                              <input
+                                type="number"
+                                min="1"
+                                value={editQuantity}
+                                onChange={(e) => setEditQuantity(e.target.value)}
+                                onKeyDown={(e) => e.key === 'Enter' && handleSaveQuantity(item)}
+                                className="w-16 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white text-center focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                autoFocus
+                              />
+                              <button
+                                onClick={() => handleSaveQuantity(item)}
+                                disabled={loading}
+                                className="text-green-400 hover:text-green-300 disabled:opacity-50"
+                                title="Guardar cantidad"
+                              >
+                                ✓
+                              </button>
+                              <button
+                                onClick={() => setEditingItemId(null)}
+                                disabled={loading}
+                                className="text-gray-400 hover:text-white disabled:opacity-50"
+                                title="Descartar"
+                              >
+                                ✕
+                              </button>
+                            </div>
+                          ) : (
+                            item.quantityOrdered || 0
+                          )}
+                        </td>
+                        <td className="text-center py-2 text-green-400">
+                          {item.quantityReceived || 0}
+                          {scanCounts[item.id] > 0 && (
+                            <span className="ml-1 text-xs text-green-300" title="Escaneadas pendientes de recepcionar">
+                              (+{scanCounts[item.id]})
+                            </span>
+                          )}
+                        </td>
                         <td className="text-center py-2">
                           <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getItemStatusColor(item.status || 'pending')}`}>
                             {getItemStatusText(item.status || 'pending')}
@@ -846,19 +1503,63 @@ const OrderDetailModal = ({ order, onClose, onRefresh }) => {
                         <td className="text-right py-2 text-green-400">
                           {((item.quantityOrdered || 0) * item.priceAtTime).toFixed(2)}€
                         </td>
-                        {(order.status === 'pending' || order.status === 'partial') && (
+                        {(canEdit || canReceive || canReverse) && (
                           <td className="text-center py-2">
-                            {pendingQuantity > 0 ? (
-                              <button
-                                onClick={() => handleReceiveItem(item)}
-                                className="text-blue-400 hover:text-blue-300 transition-colors text-xs"
-                                title={`Recepcionar (pendiente: ${pendingQuantity})`}
-                              >
-                                📦 Recepcionar
-                              </button>
-                            ) : (
-                              <span className="text-gray-500 text-xs">✅ Completo</span>
-                            )}
+                            <div className="flex flex-col items-center gap-1">
+                              {canEdit && editingItemId !== item.id && (
+                                <div className="flex gap-2">
+                                  <button
+                                    onClick={() => {
+                                      setEditingItemId(item.id);
+                                      setEditQuantity(String(item.quantityOrdered));
+                                    }}
+                                    className="text-yellow-400 hover:text-yellow-300 transition-colors text-xs"
+                                    title="Cambiar cantidad"
+                                  >
+                                    ✏️ Editar
+                                  </button>
+                                  <button
+                                    onClick={() => handleRemoveLine(item)}
+                                    disabled={loading}
+                                    className="text-red-400 hover:text-red-300 transition-colors text-xs disabled:opacity-50"
+                                    title="Quitar del pedido"
+                                  >
+                                    🗑️ Quitar
+                                  </button>
+                                </div>
+                              )}
+                              {canReceive && (pendingQuantity > 0 ? (
+                                <button
+                                  onClick={() => handleReceiveItem(item)}
+                                  className="text-blue-400 hover:text-blue-300 transition-colors text-xs"
+                                  title={`Recepcionar (pendiente: ${pendingQuantity})`}
+                                >
+                                  📦 Recepcionar
+                                </button>
+                              ) : (
+                                <>
+                                  <span className="text-gray-500 text-xs">✅ Completo</span>
+                                  {!item.isSubstitution && (
+                                    <button
+                                      onClick={() => handleReceiveItem(item, true)}
+                                      className="text-orange-400 hover:text-orange-300 transition-colors text-xs"
+                                      title="Recepcionar unidades de más"
+                                    >
+                                      ➕ Exceso
+                                    </button>
+                                  )}
+                                </>
+                              ))}
+                              {canReverse && (item.quantityReceived || 0) > 0 && (
+                                <button
+                                  onClick={() => handleReverseItem(item)}
+                                  className="text-red-400 hover:text-red-300 transition-colors text-xs"
+                                  title={`Revertir recepción (recibido: ${item.quantityReceived})`}
+                                >
+                                  ↩️ Revertir
+                                </button>
+                              )}
+                            </div>
                           </td>
                         )}
                       </tr>
@@ -869,6 +1570,27 @@ const OrderDetailModal = ({ order, onClose, onRefresh }) => {
             </div>
           </div>
 
+          {/* Historial de cambios */}
+          {order.changes && order.changes.length > 0 && (
+            <div className="bg-gray-900 rounded-lg p-4 mt-6">
+              <h3 className="text-lg font-medium text-white mb-3">Historial de cambios</h3>
+              <ul className="space-y-1 text-sm">
+                {order.changes.map((change) => (
+                  <li key={change.id} className="text-gray-300">
+                    <span className="text-gray-500">
+                      {new Date(change.createdAt).toLocaleString('es-ES')}
+                    </span>
+                    {' · '}
+                    {change.action === 'add' && `Añadido ${change.itemName} (${change.newQuantity} uds.)`}
+                    {change.action === 'update' && `${change.itemName}: ${change.previousQuantity} → ${change.newQuantity} uds.`}
+                    {change.action === 'remove' && `Quitado ${change.itemName} (${change.previousQuantity} uds.)`}
+                    {change.userName && <span className="text-gray-500"> por {change.userName}</span>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {/* Notas */}
           {order.notes && (
             <div className="bg-gray-900 rounded-lg p-4 mt-6">
@@ -909,7 +1631,7 @@ const OrderDetailModal = ({ order, onClose, onRefresh }) => {
                   <div>Cantidad pedida: {receivingItem.quantityOrdered}</div>
                   <div>Ya recibido: {receivingItem.quantityReceived || 0}</div>
                   <div className="text-yellow-400">
-                    Pendiente: {(receivingItem.quantityOrdered || 0) - (receivingItem.quantityReceived || 0)}
+                    Pendiente: {Math.max((receivingItem.quantityOrdered || 0) - (receivingItem.quantityReceived || 0), 0)}
                   </div>
                 </div>
               </div>
@@ -921,12 +1643,21 @@ const OrderDetailModal = ({ order, onClose, onRefresh }) => {
                 <input
                   type="number"
                   min="1"
-                  max={(receivingItem.quantityOrdered || 0) - (receivingItem.quantityReceived || 0)}
+                  max={receiveOverDelivery ? undefined : (receivingItem.quantityOrdered || 0) - (receivingItem.quantityReceived || 0)}
                   value={receiveQuantity}
                   onChange={(e) => setReceiveQuantity(e.target.value)}
                   className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
                   placeholder="Cantidad recibida"
                 />
+                <label className="flex items-center mt-2 text-sm text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={receiveOverDelivery}
+                    onChange={(e) => setReceiveOverDelivery(e.target.checked)}
+                    className="mr-2"
+                  />
+                  El proveedor ha enviado más de lo pedido (exceso de entrega)
+                </label>
               </div>
 
               <div className="mb-4">
@@ -969,6 +1700,194 @@ const OrderDetailModal = ({ order, onClose, onRefresh }) => {
           </div>
         </div>
       )}
+
+      {/* Modal de Sustitución */}
+      {showSubstitution && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-gray-800 rounded-lg shadow-xl w-full max-w-md">
+            <div className="p-6 border-b border-gray-700">
+              <h3 className="text-xl font-semibold text-white">
+                Recepcionar Sustitución
+              </h3>
+              <p className="text-gray-300 mt-1">
+                Producto recibido que no estaba en el pedido {order.orderNumber}
+              </p>
+            </div>
+
+            <div className="p-6">
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Producto recibido:
+                </label>
+                <select
+                  value={substitution.inventoryItemId}
+                  onChange={(e) => setSubstitution({ ...substitution, inventoryItemId: e.target.value })}
+                  className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+                >
+                  <option value="">Selecciona un producto</option>
+                  {availableProducts.map((product) => (
+                    <option key={product.id} value={product.id}>
+                      {product.marca} - {product.nombre} ({product.peso}g)
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Sustituye a (opcional):
+                </label>
+                <select
+                  value={substitution.substituteForId}
+                  onChange={(e) => setSubstitution({ ...substitution, substituteForId: e.target.value })}
+                  className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+                >
+                  <option value="">Ninguno</option>
+                  {order.items.filter(item => !item.isSubstitution).map((item) => (
+                    <option key={item.id} value={item.id}>
+                      {item.inventoryItem.marca} - {item.inventoryItem.nombre}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Cantidad recibida:
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  value={substitution.quantityReceived}
+                  onChange={(e) => setSubstitution({ ...substitution, quantityReceived: e.target.value })}
+                  className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  placeholder="Cantidad recibida"
+                />
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Notas (opcional):
+                </label>
+                <textarea
+                  value={substitution.notes}
+                  onChange={(e) => setSubstitution({ ...substitution, notes: e.target.value })}
+                  placeholder="Ej: Sabor agotado, el proveedor envía otro similar..."
+                  className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  rows={3}
+                />
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-3 p-6 border-t border-gray-700">
+              <button
+                onClick={() => setShowSubstitution(false)}
+                disabled={loading}
+                className="px-4 py-2 bg-gray-700 text-gray-300 rounded-lg hover:bg-gray-600 transition-colors disabled:opacity-50"
+              >
+                Cancelar
+              </button>
+              <button
+                onClick={executeSubstitution}
+                disabled={loading || !substitution.inventoryItemId || !substitution.quantityReceived}
+                className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors disabled:opacity-50 flex items-center"
+              >
+                {loading ? (
+                  <>
+                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                    Recepcionando...
+                  </>
+                ) : (
+                  'Recepcionar'
+                )}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Modal de Reversión de Recepción */}
+      {reversingItem && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-gray-800 rounded-lg shadow-xl w-full max-w-md">
+            <div className="p-6 border-b border-gray-700">
+              <h3 className="text-xl font-semibold text-white">
+                Revertir Recepción
+              </h3>
+              <p className="text-gray-300 mt-1">
+                {reversingItem.inventoryItem.nombre} ({reversingItem.inventoryItem.marca})
+              </p>
+            </div>
+
+            <div className="p-6">
+              <div className="bg-gray-900 rounded-lg p-3 mb-4">
+                <div className="text-sm text-gray-400 mb-1">Información del item:</div>
+                <div className="text-white text-sm space-y-1">
+                  <div>Cantidad pedida: {reversingItem.quantityOrdered}</div>
+                  <div className="text-green-400">Ya recibido: {reversingItem.quantityReceived || 0}</div>
+                  <div>Stock actual: {reversingItem.inventoryItem.stock}</div>
+                </div>
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Cantidad a revertir:
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  max={reversingItem.quantityReceived || 0}
+                  value={reverseQuantity}
+                  onChange={(e) => setReverseQuantity(e.target.value)}
+                  className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-red-500"
+                  placeholder="Unidades a descontar"
+                />
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Motivo:
+                </label>
+                <textarea
+                  value={reverseReason}
+                  onChange={(e) => setReverseReason(e.target.value)}
+                  placeholder="Ej: Cantidad introducida por error, devolución al proveedor..."
+                  className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-red-500"
+                  rows={3}
+                />
+              </div>
+
+              <p className="text-xs text-gray-400">
+                Las unidades se descontarán del stock y el estado del pedido se recalculará.
+              </p>
+            </div>
+
+            <div className="flex justify-end gap-3 p-6 border-t border-gray-700">
+              <button
+                onClick={() => setReversingItem(null)}
+                disabled={loading}
+                className="px-4 py-2 bg-gray-700 text-gray-300 rounded-lg hover:bg-gray-600 transition-colors disabled:opacity-50"
+              >
+                Cancelar
+              </button>
+              <button
+                onClick={executeReverseItem}
+                disabled={loading || !reverseQuantity || !reverseReason.trim()}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50 flex items-center"
+              >
+                {loading ? (
+                  <>
+                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                    Revirtiendo...
+                  </>
+                ) : (
+                  'Revertir'
+                )}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -90,13 +90,87 @@ export const authAPI = {
 // Funciones de inventario
 export const inventoryAPI = {
   /**
-   * Obtiene todos los productos del inventario
+   * Obtiene una página de productos del inventario
+   * @function getPage
+   * @async
+   * @param {Object} [params] - Búsqueda (q), filtros (tipo, stock: low/out/ok, minPrice, maxPrice,
+   * archived: include/only), orden (sort, order) y paginación (page y pageSize o cursor)
+   * @returns {Promise<Object>} { items, total, page, pageSize, totalPages, nextCursor }
+   */
+  getPage: async (params = {}) => {
+    const response = await api.get('/inventory', { params });
+    return response.data;
+  },
+
+  /**
+   * Busca productos por marca y nombre tolerando erratas, tildes y abreviaturas
+   * @function search
+   * @async
+   * @param {Object} params - Texto buscado (q), límite de resultados (limit) y los mismos filtros que getPage
+   * @returns {Promise<Object>} { total, results } ordenados por relevancia, cada uno con item,
+   * score y highlights (rangos { start, end } que coinciden en marca y nombre)
+   */
+  search: async (params) => {
+    const response = await api.get('/inventory/search', { params });
+    return response.data;
+  },
+
+  /**
+   * Obtiene todos los productos del inventario que cumplen los filtros, sin paginar
    * @function getAll
    * @async
-   * @returns {Promise<Array>} Lista de todos los productos
+   * @param {Object} [params] - Mismos filtros y orden que getPage
+   * @returns {Promise<Array>} Lista de productos (por defecto solo los activos)
    */
-  getAll: async () => {
-    const response = await api.get('/inventory');
+  getAll: async (params = {}) => {
+    const response = await api.get('/inventory', { params: { ...params, format: 'array' } });
+    return response.data;
+  },
+
+  /**
+   * Obtiene los totales del inventario activo (productos, unidades, por tipo, stock bajo y agotados)
+   * @function getStats
+   * @async
+   * @returns {Promise<Object>} { total, totalUnits, byType, lowStock, outOfStock }
+   */
+  getStats: async () => {
+    const response = await api.get('/inventory/stats');
+    return response.data;
+  },
+
+  /**
+   * Obtiene el producto al que pertenece un código de barras (principal o alternativo)
+   * @function getByBarcode
+   * @async
+   * @param {string} code - Código leído
+   * @returns {Promise<Object>} Producto con su proveedor y códigos alternativos (404 si no existe)
+   */
+  getByBarcode: async (code) => {
+    const response = await api.get(`/inventory/by-barcode/${encodeURIComponent(code)}`);
+    return response.data;
+  },
+
+  /**
+   * Obtiene la previsión de consumo, días de cobertura y fecha de rotura de cada producto
+   * @function getForecast
+   * @async
+   * @param {Object} [params] - Opciones (days, seasonality, inventoryItemId o inventoryItemIds separados por comas)
+   * @returns {Promise<Object>} { days, seasonality, items } con la previsión por producto
+   */
+  getForecast: async (params = {}) => {
+    const response = await api.get('/inventory/forecast', { params });
+    return response.data;
+  },
+
+  /**
+   * Obtiene el historial de auditoría de los datos de reposición de los productos
+   * @function getChanges
+   * @async
+   * @param {Object} [params] - Filtros (inventoryItemId, field, limit)
+   * @returns {Promise<Array>} Cambios del más reciente al más antiguo
+   */
+  getChanges: async (params = {}) => {
+    const response = await api.get('/inventory/changes', { params });
     return response.data;
   },
   
@@ -124,17 +198,91 @@ export const inventoryAPI = {
     const response = await api.put(`/inventory/${id}`, item);
     return response.data;
   },
+
+  /**
+   * Aplica los mismos cambios a varios productos (todo o nada)
+   * @function bulkUpdate
+   * @async
+   * @param {number[]} ids - IDs de los productos
+   * @param {Object} changes - Cambios: precio ({ mode: set, percent o amount, value }), minStock, tipo y/o archived
+   * @returns {Promise<Object>} { updated, results, items } con el resultado por producto y los productos actualizados
+   */
+  bulkUpdate: async (ids, changes) => {
+    const response = await api.patch('/inventory/bulk', { ids, ...changes });
+    return response.data;
+  },
   
   /**
-   * Elimina un producto del inventario
+   * Elimina un producto del inventario (se archiva, igual que archive)
    * @function delete
    * @async
    * @param {number} id - ID del producto a eliminar
-   * @returns {Promise<Object>} Confirmación de eliminación
+   * @returns {Promise<Object>} Confirmación y producto archivado
    */
   delete: async (id) => {
     const response = await api.delete(`/inventory/${id}`);
     return response.data;
+  },
+
+  /**
+   * Archiva un producto: deja de aparecer en el inventario y en los nuevos pedidos
+   * @function archive
+   * @async
+   * @param {number} id - ID del producto
+   * @returns {Promise<Object>} Producto archivado
+   */
+  archive: async (id) => {
+    const response = await api.post(`/inventory/${id}/archive`);
+    return response.data;
+  },
+
+  /**
+   * Restaura un producto archivado
+   * @function restore
+   * @async
+   * @param {number} id - ID del producto
+   * @returns {Promise<Object>} Producto restaurado
+   */
+  restore: async (id) => {
+    const response = await api.post(`/inventory/${id}/restore`);
+    return response.data;
+  },
+
+  /**
+   * Obtiene el historial de movimientos de stock de un producto
+   * @function getMovements
+   * @async
+   * @param {number} id - ID del producto
+   * @param {Object} [params] - Parámetros opcionales (limit)
+   * @returns {Promise<Array>} Movimientos del producto, del más reciente al más antiguo
+   */
+  getMovements: async (id, params = {}) => {
+    const response = await api.get(`/inventory/${id}/movements`, { params });
+    return response.data;
+  },
+
+  /**
+   * Obtiene los motivos disponibles para ajustar el stock
+   * @function getAdjustReasons
+   * @async
+   * @returns {Promise<Array>} Lista de motivos con code y label
+   */
+  getAdjustReasons: async () => {
+    const response = await api.get('/inventory/adjust-reasons');
+    return response.data;
+  },
+
+  /**
+   * Ajusta el stock de un producto sumando o restando unidades
+   * @function adjust
+   * @async
+   * @param {number} id - ID del producto
+   * @param {Object} data - Datos del ajuste (delta, reason, notes)
+   * @returns {Promise<Object>} Producto actualizado (item) y movimiento registrado (movement)
+   */
+  adjust: async (id, data) => {
+    const response = await api.post(`/inventory/${id}/adjust`, data);
+    return response.data;
   }
 };
 
@@ -179,6 +327,59 @@ export const ordersAPI = {
     return response.data;
   },
   
+  /**
+   * Añade una línea a un pedido en borrador o enviado
+   * @function addItem
+   * @async
+   * @param {number} orderId - ID del pedido
+   * @param {Object} data - Línea a añadir (inventoryItemId, quantityOrdered)
+   * @returns {Promise<Object>} Pedido actualizado con totales e historial de cambios
+   */
+  addItem: async (orderId, data) => {
+    const response = await api.post(`/orders/${orderId}/items`, data);
+    return response.data;
+  },
+  
+  /**
+   * Cambia la cantidad pedida de una línea
+   * @function updateItem
+   * @async
+   * @param {number} orderId - ID del pedido
+   * @param {number} itemId - ID del item del pedido
+   * @param {Object} data - Nueva cantidad (quantityOrdered)
+   * @returns {Promise<Object>} Pedido actualizado con totales e historial de cambios
+   */
+  updateItem: async (orderId, itemId, data) => {
+    const response = await api.put(`/orders/${orderId}/items/${itemId}`, data);
+    return response.data;
+  },
+  
+  /**
+   * Quita una línea de un pedido en borrador o enviado
+   * @function removeItem
+   * @async
+   * @param {number} orderId - ID del pedido
+   * @param {number} itemId - ID del item del pedido
+   * @returns {Promise<Object>} Pedido actualizado con totales e historial de cambios
+   */
+  removeItem: async (orderId, itemId) => {
+    const response = await api.delete(`/orders/${orderId}/items/${itemId}`);
+    return response.data;
+  },
+  
+  /**
+   * Marca un pedido en borrador como enviado al proveedor
+   * @function send
+   * @async
+   * @param {number} id - ID del pedido
+   * @param {Object} data - Datos del envío (expectedDeliveryAt opcional)
+   * @returns {Promise<Object>} Pedido actualizado con fechas de envío y entrega prevista
+   */
+  send: async (id, data = {}) => {
+    const response = await api.put(`/orders/${id}/send`, data);
+    return response.data;
+  },
+  
   /**
    * Confirma la recepción de un pedido
    * @function confirm
@@ -207,7 +408,47 @@ export const ordersAPI = {
   },
   
   /**
-   * Cancela un pedido pendiente
+   * Recepciona un producto que no estaba en el pedido como sustitución
+   * @function receiveSubstitution
+   * @async
+   * @param {number} orderId - ID del pedido
+   * @param {Object} data - Datos de la sustitución (inventoryItemId, quantityReceived, substituteForId, notes)
+   * @returns {Promise<Object>} Item creado, pedido recalculado y cambio en el stock
+   */
+  receiveSubstitution: async (orderId, data) => {
+    const response = await api.post(`/orders/${orderId}/substitutions`, data);
+    return response.data;
+  },
+  
+  /**
+   * Revierte total o parcialmente la recepción de un item (solo administradores)
+   * @function reverseItem
+   * @async
+   * @param {number} orderId - ID del pedido
+   * @param {number} itemId - ID del item del pedido
+   * @param {Object} data - Datos de la reversión (quantity, reason)
+   * @returns {Promise<Object>} Item actualizado, pedido recalculado y cambio en el stock
+   */
+  reverseItem: async (orderId, itemId, data) => {
+    const response = await api.put(`/orders/${orderId}/items/${itemId}/reverse`, data);
+    return response.data;
+  },
+  
+  /**
+   * Cierra un pedido parcial anulando las cantidades pendientes
+   * @function closeShort
+   * @async
+   * @param {number} id - ID del pedido
+   * @param {Object} data - Datos del cierre (razón opcional)
+   * @returns {Promise<Object>} Pedido actualizado con status closed_short
+   */
+  closeShort: async (id, data = {}) => {
+    const response = await api.put(`/orders/${id}/close-short`, data);
+    return response.data;
+  },
+  
+  /**
+   * Cancela un pedido en borrador o enviado sin recepciones
    * @function cancel
    * @async
    * @param {number} id - ID del pedido a cancelar
@@ -220,4 +461,354 @@ export const ordersAPI = {
   }
 };
 
+/**
+ * API de consumo de tabaco en gramos
+ * @namespace consumptionAPI
+ */
+// Funciones de consumo
+export const consumptionAPI = {
+  /**
+   * Obtiene la configuración de consumo (gramos por cazoleta por defecto)
+   * @function getConfig
+   * @async
+   * @returns {Promise<Object>} Configuración con gramsPerBowl
+   */
+  getConfig: async () => {
+    const response = await api.get('/consumption/config');
+    return response.data;
+  },
+
+  /**
+   * Obtiene los últimos registros de consumo
+   * @function getAll
+   * @async
+   * @param {Object} [params] - Filtros opcionales (inventoryItemId, limit)
+   * @returns {Promise<Array>} Registros de consumo
+   */
+  getAll: async (params = {}) => {
+    const response = await api.get('/consumption', { params });
+    return response.data;
+  },
+
+  /**
+   * Registra un consumo en gramos o cazoletas
+   * @function log
+   * @async
+   * @param {Object} data - Datos del consumo (inventoryItemId, grams o bowls, gramsPerBowl, notes)
+   * @returns {Promise<Object>} Registro creado (log) y producto actualizado (item)
+   */
+  log: async (data) => {
+    const response = await api.post('/consumption', data);
+    return response.data;
+  }
+};
+
+/**
+ * API de recuentos físicos de stock
+ * @namespace countsAPI
+ */
+// Funciones de recuentos
+export const countsAPI = {
+  /**
+   * Obtiene todos los recuentos
+   * @function getAll
+   * @async
+   * @param {Object} [params] - Filtros opcionales (status)
+   * @returns {Promise<Array>} Lista de recuentos con líneas totales y contadas
+   */
+  getAll: async (params = {}) => {
+    const response = await api.get('/counts', { params });
+    return response.data;
+  },
+
+  /**
+   * Obtiene un recuento con sus líneas y el informe de diferencias
+   * @function getById
+   * @async
+   * @param {number} id - ID del recuento
+   * @returns {Promise<Object>} Recuento con lines y summary
+   */
+  getById: async (id) => {
+    const response = await api.get(`/counts/${id}`);
+    return response.data;
+  },
+
+  /**
+   * Abre un nuevo recuento
+   * @function create
+   * @async
+   * @param {Object} data - Alcance del recuento (marca, tipo) y notas opcionales
+   * @returns {Promise<Object>} Recuento creado
+   */
+  create: async (data) => {
+    const response = await api.post('/counts', data);
+    return response.data;
+  },
+
+  /**
+   * Registra la cantidad contada de una línea
+   * @function updateLine
+   * @async
+   * @param {number} id - ID del recuento
+   * @param {number} lineId - ID de la línea
+   * @param {number|null} countedQuantity - Cantidad contada o null para borrarla
+   * @returns {Promise<Object>} Línea actualizada con su diferencia
+   */
+  updateLine: async (id, lineId, countedQuantity) => {
+    const response = await api.put(`/counts/${id}/lines/${lineId}`, { countedQuantity });
+    return response.data;
+  },
+
+  /**
+   * Aprueba un recuento y aplica las diferencias al stock (solo administradores)
+   * @function approve
+   * @async
+   * @param {number} id - ID del recuento
+   * @returns {Promise<Object>} Recuento aprobado y ajustes aplicados
+   */
+  approve: async (id) => {
+    const response = await api.post(`/counts/${id}/approve`);
+    return response.data;
+  },
+
+  /**
+   * Cancela un recuento abierto (solo administradores)
+   * @function cancel
+   * @async
+   * @param {number} id - ID del recuento
+   * @returns {Promise<Object>} Recuento cancelado
+   */
+  cancel: async (id) => {
+    const response = await api.post(`/counts/${id}/cancel`);
+    return response.data;
+  }
+};
+
+/**
+ * API de proveedores
+ * @namespace suppliersAPI
+ */
+// Funciones de proveedores
+export const suppliersAPI = {
+  /**
+   * Obtiene todos los proveedores con sus marcas asignadas
+   * @function getAll
+   * @async
+   * @returns {Promise<Array>} Lista de proveedores
+   */
+  getAll: async () => {
+    const response = await api.get('/suppliers');
+    return response.data;
+  },
+
+  /**
+   * Crea un proveedor (solo administradores)
+   * @function create
+   * @async
+   * @param {Object} data - Datos del proveedor (name, contact, email, phone, leadTimeDays, minOrderValue, notes)
+   * @returns {Promise<Object>} Proveedor creado
+   */
+  create: async (data) => {
+    const response = await api.post('/suppliers', data);
+    return response.data;
+  },
+
+  /**
+   * Actualiza un proveedor (solo administradores)
+   * @function update
+   * @async
+   * @param {number} id - ID del proveedor
+   * @param {Object} data - Campos a actualizar
+   * @returns {Promise<Object>} Proveedor actualizado
+   */
+  update: async (id, data) => {
+    const response = await api.put(`/suppliers/${id}`, data);
+    return response.data;
+  },
+
+  /**
+   * Asigna las marcas que suministra un proveedor (solo administradores)
+   * @function setBrands
+   * @async
+   * @param {number} id - ID del proveedor
+   * @param {Array<string>} brands - Marcas del proveedor
+   * @returns {Promise<Object>} Proveedor actualizado con sus marcas
+   */
+  setBrands: async (id, brands) => {
+    const response = await api.put(`/suppliers/${id}/brands`, { brands });
+    return response.data;
+  },
+
+  /**
+   * Elimina un proveedor (solo administradores)
+   * @function delete
+   * @async
+   * @param {number} id - ID del proveedor
+   * @returns {Promise<Object>} Mensaje de confirmación
+   */
+  delete: async (id) => {
+    const response = await api.delete(`/suppliers/${id}`);
+    return response.data;
+  }
+};
+
+/**
+ * API de plantillas de pedido y pedidos recurrentes
+ * @namespace orderTemplatesAPI
+ */
+// Funciones de plantillas de pedido
+export const orderTemplatesAPI = {
+  /**
+   * Obtiene todas las plantillas con sus líneas y cantidades sugeridas
+   * @function getAll
+   * @async
+   * @returns {Promise<Array>} Lista de plantillas ordenadas por nombre
+   */
+  getAll: async () => {
+    const response = await api.get('/order-templates');
+    return response.data;
+  },
+
+  /**
+   * Crea una plantilla de pedido
+   * @function create
+   * @async
+   * @param {Object} templateData - Datos de la plantilla (name, supplierId, recurrenceWeekday, items)
+   * @returns {Promise<Object>} Plantilla creada
+   */
+  create: async (templateData) => {
+    const response = await api.post('/order-templates', templateData);
+    return response.data;
+  },
+
+  /**
+   * Actualiza una plantilla de pedido (si se envían items sustituyen a los anteriores)
+   * @function update
+   * @async
+   * @param {number} id - ID de la plantilla
+   * @param {Object} templateData - Campos a actualizar
+   * @returns {Promise<Object>} Plantilla actualizada
+   */
+  update: async (id, templateData) => {
+    const response = await api.put(`/order-templates/${id}`, templateData);
+    return response.data;
+  },
+
+  /**
+   * Elimina una plantilla de pedido
+   * @function delete
+   * @async
+   * @param {number} id - ID de la plantilla
+   * @returns {Promise<Object>} Mensaje de confirmación
+   */
+  delete: async (id) => {
+    const response = await api.delete(`/order-templates/${id}`);
+    return response.data;
+  },
+
+  /**
+   * Genera un pedido en borrador a partir de una plantilla
+   * @function generateOrder
+   * @async
+   * @param {number} id - ID de la plantilla
+   * @param {Object} [options] - Opciones (recompute: recalcular cantidades con el stock actual)
+   * @returns {Promise<Object>} Pedido creado
+   */
+  generateOrder: async (id, options = {}) => {
+    const response = await api.post(`/order-templates/${id}/orders`, options);
+    return response.data;
+  }
+};
+
+/**
+ * API de sugerencias de reposición
+ * @namespace restockAPI
+ */
+// Funciones de reposición
+export const restockAPI = {
+  /**
+   * Obtiene las cantidades sugeridas de reposición calculadas en el servidor
+   * @function getSuggestions
+   * @async
+   * @param {Object} [params] - Política y filtros (policy, packSize, useVelocity, tipo, marca, supplierId, includeAll...)
+   * @returns {Promise<Object>} { options, items, suppliers } con la configuración aplicada,
+   * las sugerencias por producto y el resumen por proveedor
+   */
+  getSuggestions: async (params = {}) => {
+    const response = await api.get('/restock/suggestions', { params });
+    return response.data;
+  },
+
+  /**
+   * Obtiene las recomendaciones de stock mínimo (solo admin)
+   * @function getMinStockRecommendations
+   * @async
+   * @param {Object} [params] - Filtros (status: pending, accepted, dismissed o all)
+   * @returns {Promise<Object>} { config, recommendations }
+   */
+  getMinStockRecommendations: async (params = {}) => {
+    const response = await api.get('/restock/min-stock', { params });
+    return response.data;
+  },
+
+  /**
+   * Recalcula las recomendaciones de stock mínimo (solo admin)
+   * @function recalculateMinStock
+   * @async
+   * @param {number} [safetyFactor] - Factor de seguridad a aplicar
+   * @returns {Promise<Object>} { pending, removed }
+   */
+  recalculateMinStock: async (safetyFactor) => {
+    const response = await api.post('/restock/min-stock/recalculate', { safetyFactor });
+    return response.data;
+  },
+
+  /**
+   * Acepta recomendaciones de stock mínimo y actualiza los productos (solo admin)
+   * @function acceptMinStock
+   * @async
+   * @param {number[]} ids - IDs de las recomendaciones
+   * @returns {Promise<Object>} { applied, skipped }
+   */
+  acceptMinStock: async (ids) => {
+    const response = await api.post('/restock/min-stock/accept', { ids });
+    return response.data;
+  },
+
+  /**
+   * Descarta recomendaciones de stock mínimo (solo admin)
+   * @function dismissMinStock
+   * @async
+   * @param {number[]} ids - IDs de las recomendaciones
+   * @returns {Promise<Object>} { dismissed }
+   */
+  dismissMinStock: async (ids) => {
+    const response = await api.post('/restock/min-stock/dismiss', { ids });
+    return response.data;
+  }
+};
+
+/**
+ * API de importación de datos (solo admin)
+ * @namespace importAPI
+ */
+// Funciones de importación
+export const importAPI = {
+  /**
+   * Importa productos del inventario desde un archivo CSV o XLSX
+   * @function importInventory
+   * @async
+   * @param {File} file - Archivo con las columnas de la exportación de inventario
+   * @param {Object} [params] - Opciones (mode: create, update o upsert; dryRun: false para aplicar)
+   * @returns {Promise<Object>} { summary, rows } con la acción prevista y los errores de cada fila
+   */
+  importInventory: async (file, params = {}) => {
+    const response = await api.post('/import/inventory', file, {
+      params,
+      headers: { 'Content-Type': file.type || 'application/octet-stream' }
+    });
+    return response.data;
+  }
+};
+
 export default api;
\ No newline at end of file
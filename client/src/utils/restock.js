@@ -0,0 +1,50 @@
+/**
+ * Formatea una cantidad a pedir indicando las cajas del proveedor
+ * @function formatPackQuantity
+ * @param {number} quantity - Unidades a pedir
+ * @param {number} [packSize=1] - Unidades por caja del producto
+ * @returns {string} Unidades y, si el producto se vende en cajas, cuántas cajas son (ej: "20 (2 cajas de 10)")
+ */
+export const formatPackQuantity = (quantity, packSize = 1) => {
+  if (!packSize || packSize <= 1 || !quantity) {
+    return `${quantity}`;
+  }
+
+  const packs = quantity / packSize;
+  const packsText = Number.isInteger(packs) ? `${packs}` : packs.toFixed(1);
+  return `${quantity} (${packsText} ${packs === 1 ? 'caja' : 'cajas'} de ${packSize})`;
+};
+
+/**
+ * Nombre del producto con la referencia del proveedor, para los documentos de pedido
+ * @function formatProductWithSku
+ * @param {Object} item - Producto con nombre y supplierSku
+ * @returns {string} Nombre seguido de la referencia del proveedor si la tiene
+ */
+export const formatProductWithSku = (item) =>
+  item.supplierSku ? `${item.nombre} [Ref. ${item.supplierSku}]` : item.nombre;
+
+/**
+ * Formatea los niveles de stock de un producto para los informes
+ * @function formatStockLevels
+ * @param {Object} item - Producto con minStock y maxStock
+ * @returns {string} Stock mínimo, o "mínimo / máximo" si tiene stock máximo
+ */
+export const formatStockLevels = (item) =>
+  item.maxStock !== null && item.maxStock !== undefined ? `${item.minStock} / ${item.maxStock}` : `${item.minStock}`;
+
+/**
+ * Formatea los días de cobertura de stock de la previsión
+ * @function formatDaysOfCover
+ * @param {Object|undefined} forecast - Previsión del producto (daysOfCover y stockoutDate)
+ * @returns {string} Días que durará el stock y fecha prevista de rotura, "Agotado", "Sin consumo"
+ * si no hay consumo registrado o "-" si no hay previsión
+ */
+export const formatDaysOfCover = (forecast) => {
+  if (!forecast) return '-';
+  if (forecast.daysOfCover === null) return 'Sin consumo';
+  if (forecast.daysOfCover === 0) return 'Agotado';
+
+  const stockoutDate = new Date(forecast.stockoutDate).toLocaleDateString('es-ES', { day: '2-digit', month: '2-digit' });
+  return `${forecast.daysOfCover.toLocaleString('es-ES')} días (${stockoutDate})`;
+};
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "StockMovement" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "inventoryItemId" INTEGER NOT NULL,
+    "delta" INTEGER NOT NULL,
+    "resultingStock" INTEGER NOT NULL,
+    "reason" TEXT NOT NULL,
+    "notes" TEXT,
+    "userId" INTEGER,
+    "userName" TEXT,
+    "orderItemId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "StockMovement_inventoryItemId_fkey" FOREIGN KEY ("inventoryItemId") REFERENCES "InventoryItem" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "StockMovement_orderItemId_fkey" FOREIGN KEY ("orderItemId") REFERENCES "OrderItem" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "StockMovement_inventoryItemId_createdAt_idx" ON "StockMovement"("inventoryItemId", "createdAt");
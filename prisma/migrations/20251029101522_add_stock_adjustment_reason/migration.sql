@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "StockMovement" ADD COLUMN "adjustmentReason" TEXT;
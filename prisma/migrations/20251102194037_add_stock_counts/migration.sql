@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "StockCount" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "marca" TEXT,
+    "tipo" TEXT,
+    "notes" TEXT,
+    "createdById" INTEGER,
+    "createdByName" TEXT,
+    "approvedById" INTEGER,
+    "approvedByName" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "approvedAt" DATETIME,
+    "cancelledAt" DATETIME
+);
+
+-- CreateTable
+CREATE TABLE "StockCountLine" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "countId" INTEGER NOT NULL,
+    "inventoryItemId" INTEGER NOT NULL,
+    "expectedStock" INTEGER NOT NULL,
+    "countedQuantity" INTEGER,
+    "countedAt" DATETIME,
+    "countedByName" TEXT,
+    CONSTRAINT "StockCountLine_countId_fkey" FOREIGN KEY ("countId") REFERENCES "StockCount" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "StockCountLine_inventoryItemId_fkey" FOREIGN KEY ("inventoryItemId") REFERENCES "InventoryItem" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockCountLine_countId_inventoryItemId_key" ON "StockCountLine"("countId", "inventoryItemId");
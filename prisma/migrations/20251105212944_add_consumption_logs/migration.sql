@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "InventoryItem" ADD COLUMN "openedGrams" INTEGER;
+
+-- CreateTable
+CREATE TABLE "ConsumptionLog" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "inventoryItemId" INTEGER NOT NULL,
+    "grams" INTEGER NOT NULL,
+    "bowls" INTEGER,
+    "tinsFinished" INTEGER NOT NULL DEFAULT 0,
+    "openedGramsAfter" INTEGER,
+    "notes" TEXT,
+    "userId" INTEGER,
+    "userName" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "ConsumptionLog_inventoryItemId_fkey" FOREIGN KEY ("inventoryItemId") REFERENCES "InventoryItem" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "ConsumptionLog_inventoryItemId_createdAt_idx" ON "ConsumptionLog"("inventoryItemId", "createdAt");
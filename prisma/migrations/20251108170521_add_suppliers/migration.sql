@@ -0,0 +1,60 @@
+-- CreateTable
+CREATE TABLE "Supplier" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "contact" TEXT,
+    "email" TEXT,
+    "phone" TEXT,
+    "leadTimeDays" INTEGER NOT NULL DEFAULT 0,
+    "minOrderValue" REAL NOT NULL DEFAULT 0,
+    "notes" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_InventoryItem" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "tipo" TEXT NOT NULL,
+    "marca" TEXT NOT NULL,
+    "nombre" TEXT NOT NULL,
+    "peso" INTEGER NOT NULL,
+    "stock" INTEGER NOT NULL,
+    "minStock" INTEGER NOT NULL DEFAULT 0,
+    "precio" REAL NOT NULL DEFAULT 0,
+    "openedGrams" INTEGER,
+    "supplierId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "InventoryItem_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_InventoryItem" ("createdAt", "id", "marca", "minStock", "nombre", "openedGrams", "peso", "precio", "stock", "tipo", "updatedAt") SELECT "createdAt", "id", "marca", "minStock", "nombre", "openedGrams", "peso", "precio", "stock", "tipo", "updatedAt" FROM "InventoryItem";
+DROP TABLE "InventoryItem";
+ALTER TABLE "new_InventoryItem" RENAME TO "InventoryItem";
+CREATE TABLE "new_Order" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "orderNumber" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "brand" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "totalItems" INTEGER NOT NULL,
+    "totalPrice" REAL NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" DATETIME,
+    "notes" TEXT,
+    "userId" INTEGER NOT NULL,
+    "supplierId" INTEGER,
+    CONSTRAINT "Order_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Order_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Order" ("brand", "completedAt", "createdAt", "id", "notes", "orderNumber", "status", "totalItems", "totalPrice", "type", "userId") SELECT "brand", "completedAt", "createdAt", "id", "notes", "orderNumber", "status", "totalItems", "totalPrice", "type", "userId" FROM "Order";
+DROP TABLE "Order";
+ALTER TABLE "new_Order" RENAME TO "Order";
+CREATE UNIQUE INDEX "Order_orderNumber_key" ON "Order"("orderNumber");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Supplier_name_key" ON "Supplier"("name");
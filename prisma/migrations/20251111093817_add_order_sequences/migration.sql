@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "Supplier" ADD COLUMN "orderPrefix" TEXT;
+
+-- CreateTable
+CREATE TABLE "OrderSequence" (
+    "key" TEXT NOT NULL PRIMARY KEY,
+    "lastValue" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- Continuar la numeración de los pedidos existentes (ORD-YYYY-XXX)
+INSERT INTO "OrderSequence" ("key", "lastValue", "updatedAt")
+SELECT substr("orderNumber", 1, 9) || '{seq}', MAX(CAST(substr("orderNumber", 10) AS INTEGER)), CURRENT_TIMESTAMP
+FROM "Order"
+WHERE "orderNumber" LIKE 'ORD-____-%'
+GROUP BY substr("orderNumber", 1, 9);
@@ -0,0 +1,31 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Order" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "orderNumber" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "brand" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'draft',
+    "totalItems" INTEGER NOT NULL,
+    "totalPrice" REAL NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sentAt" DATETIME,
+    "expectedDeliveryAt" DATETIME,
+    "completedAt" DATETIME,
+    "notes" TEXT,
+    "userId" INTEGER NOT NULL,
+    "supplierId" INTEGER,
+    CONSTRAINT "Order_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Order_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Order" ("brand", "completedAt", "createdAt", "id", "notes", "orderNumber", "status", "supplierId", "totalItems", "totalPrice", "type", "userId") SELECT "brand", "completedAt", "createdAt", "id", "notes", "orderNumber", "status", "supplierId", "totalItems", "totalPrice", "type", "userId" FROM "Order";
+DROP TABLE "Order";
+ALTER TABLE "new_Order" RENAME TO "Order";
+CREATE UNIQUE INDEX "Order_orderNumber_key" ON "Order"("orderNumber");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- Los pedidos existentes ya se habían enviado al proveedor: "pending" pasa a "sent"
+UPDATE "Order" SET "status" = 'sent' WHERE "status" = 'pending';
+UPDATE "Order" SET "sentAt" = "createdAt" WHERE "status" <> 'draft';
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "OrderChange" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "orderId" INTEGER NOT NULL,
+    "action" TEXT NOT NULL,
+    "inventoryItemId" INTEGER,
+    "itemName" TEXT NOT NULL,
+    "previousQuantity" INTEGER,
+    "newQuantity" INTEGER,
+    "userId" INTEGER,
+    "userName" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "OrderChange_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "OrderChange_orderId_createdAt_idx" ON "OrderChange"("orderId", "createdAt");
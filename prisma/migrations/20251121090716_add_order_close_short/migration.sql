@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "OrderItem" ADD COLUMN "quantityCancelled" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "OrderTemplate" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "supplierId" INTEGER,
+    "notes" TEXT,
+    "recurrenceWeekday" INTEGER,
+    "lastGeneratedAt" DATETIME,
+    "createdById" INTEGER,
+    "createdByName" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "OrderTemplate_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "OrderTemplateItem" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "templateId" INTEGER NOT NULL,
+    "inventoryItemId" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    CONSTRAINT "OrderTemplateItem_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "OrderTemplate" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "OrderTemplateItem_inventoryItemId_fkey" FOREIGN KEY ("inventoryItemId") REFERENCES "InventoryItem" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrderTemplate_name_key" ON "OrderTemplate"("name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrderTemplateItem_templateId_inventoryItemId_key" ON "OrderTemplateItem"("templateId", "inventoryItemId");
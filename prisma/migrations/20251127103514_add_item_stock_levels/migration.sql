@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "InventoryItem" ADD COLUMN "maxStock" INTEGER;
+ALTER TABLE "InventoryItem" ADD COLUMN "packSize" INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE "InventoryItem" ADD COLUMN "supplierSku" TEXT;
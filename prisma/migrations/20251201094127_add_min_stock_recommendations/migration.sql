@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "InventoryItemChange" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "inventoryItemId" INTEGER NOT NULL,
+    "field" TEXT NOT NULL,
+    "previousValue" TEXT,
+    "newValue" TEXT,
+    "source" TEXT NOT NULL,
+    "userId" INTEGER,
+    "userName" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "InventoryItemChange_inventoryItemId_fkey" FOREIGN KEY ("inventoryItemId") REFERENCES "InventoryItem" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "MinStockRecommendation" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "inventoryItemId" INTEGER NOT NULL,
+    "currentMinStock" INTEGER NOT NULL,
+    "recommendedMinStock" INTEGER NOT NULL,
+    "dailyUsage" REAL NOT NULL,
+    "leadTimeDays" INTEGER NOT NULL,
+    "safetyFactor" REAL NOT NULL,
+    "sampleDays" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "calculatedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "reviewedAt" DATETIME,
+    "reviewedByName" TEXT,
+    CONSTRAINT "MinStockRecommendation_inventoryItemId_fkey" FOREIGN KEY ("inventoryItemId") REFERENCES "InventoryItem" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "InventoryItemChange_inventoryItemId_createdAt_idx" ON "InventoryItemChange"("inventoryItemId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MinStockRecommendation_inventoryItemId_key" ON "MinStockRecommendation"("inventoryItemId");
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "InventoryItem" ADD COLUMN "barcode" TEXT;
+
+-- CreateTable
+CREATE TABLE "InventoryItemBarcode" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "inventoryItemId" INTEGER NOT NULL,
+    "code" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "InventoryItemBarcode_inventoryItemId_fkey" FOREIGN KEY ("inventoryItemId") REFERENCES "InventoryItem" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "InventoryItem_barcode_key" ON "InventoryItem"("barcode");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "InventoryItemBarcode_code_key" ON "InventoryItemBarcode"("code");
@@ -0,0 +1,194 @@
+import express from "express";
+import { PrismaClient } from "@prisma/client";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import { recordStockChange } from "../utils/stockMovements.js";
+import { AppError } from "../utils/errors.js";
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Aplicar middleware de autenticación a todas las rutas
+router.use(authMiddleware);
+
+/**
+ * Obtiene los gramos por cazoleta por defecto
+ * @function getGramsPerBowl
+ * @returns {number} Valor de la variable de entorno GRAMS_PER_BOWL o 20 si no está definida
+ */
+const getGramsPerBowl = () => parseInt(process.env.GRAMS_PER_BOWL) || 20;
+
+/**
+ * Calcula el efecto de consumir una cantidad de gramos sobre la lata abierta y el stock
+ * @function computeConsumption
+ * @param {Object} item - Producto del inventario (stock, peso y openedGrams)
+ * @param {number} grams - Gramos a consumir
+ * @returns {Object} Latas terminadas (tinsFinished) y gramos restantes en la lata abierta (openedGrams)
+ * @throws {AppError} Si no hay gramos suficientes entre la lata abierta y el stock
+ * @description La lata abierta sigue contando como una unidad de stock hasta que se termina.
+ * Si no hay lata abierta se empieza una nueva con el peso completo del producto
+ */
+const computeConsumption = (item, grams) => {
+  if (item.stock <= 0) {
+    throw new AppError("No hay stock de este producto", 400);
+  }
+
+  const currentTinGrams = item.openedGrams ?? item.peso;
+  const availableGrams = currentTinGrams + (item.stock - 1) * item.peso;
+  if (grams > availableGrams) {
+    throw new AppError(`No hay suficiente tabaco: quedan ${availableGrams}g en stock`, 400);
+  }
+
+  let remaining = currentTinGrams - grams;
+  let tinsFinished = 0;
+  while (remaining <= 0) {
+    tinsFinished++;
+    if (remaining === 0) break;
+    remaining += item.peso;
+  }
+
+  return {
+    tinsFinished,
+    openedGrams: remaining > 0 ? remaining : null
+  };
+};
+
+/**
+ * Obtiene la configuración de consumo
+ * @function getConsumptionConfig
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ * @returns {Object} Gramos por cazoleta por defecto
+ */
+// GET /api/consumption/config - Configuración de consumo
+router.get("/config", (req, res) => {
+  res.json({ gramsPerBowl: getGramsPerBowl() });
+});
+
+/**
+ * Obtiene los últimos registros de consumo
+ * @function getConsumptionLogs
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.inventoryItemId] - Filtrar por producto
+ * @param {string} [req.query.limit] - Número máximo de registros (por defecto 50)
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Array>} Registros de consumo del más reciente al más antiguo
+ */
+// GET /api/consumption - Últimos consumos
+router.get("/", async (req, res) => {
+  try {
+    const { inventoryItemId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const logs = await prisma.consumptionLog.findMany({
+      where: inventoryItemId ? { inventoryItemId: parseInt(inventoryItemId) } : {},
+      include: {
+        inventoryItem: {
+          select: {
+            marca: true,
+            nombre: true,
+            peso: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+
+    res.json(logs);
+  } catch (error) {
+    console.error("Error obteniendo consumos:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Registra el consumo de tabaco en gramos
+ * @function logConsumption
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.body - Datos del consumo
+ * @param {number} req.body.inventoryItemId - ID del producto consumido
+ * @param {number} [req.body.grams] - Gramos consumidos
+ * @param {number} [req.body.bowls] - Número de cazoletas (si no se indican gramos)
+ * @param {number} [req.body.gramsPerBowl] - Gramos por cazoleta (por defecto GRAMS_PER_BOWL o 20)
+ * @param {string} [req.body.notes] - Observaciones
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Registro de consumo y producto actualizado
+ * @description Descuenta los gramos de la lata abierta. Cada lata que se termina resta una
+ * unidad de stock y queda registrada como movimiento "consumption", todo en una transacción
+ */
+// POST /api/consumption - Registrar consumo
+router.post("/", async (req, res) => {
+  try {
+    const { inventoryItemId, notes } = req.body;
+    const bowls = req.body.bowls !== undefined ? parseInt(req.body.bowls) : null;
+    const gramsPerBowl = parseInt(req.body.gramsPerBowl) || getGramsPerBowl();
+    const grams = req.body.grams !== undefined ? parseInt(req.body.grams) : bowls * gramsPerBowl;
+
+    if (!inventoryItemId) {
+      return res.status(400).json({ error: "El producto es obligatorio" });
+    }
+
+    if (!Number.isInteger(grams) || grams <= 0) {
+      return res.status(400).json({ error: "Indica los gramos o el número de cazoletas consumidas" });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const item = await tx.inventoryItem.findUnique({
+        where: { id: parseInt(inventoryItemId) }
+      });
+
+      if (!item) {
+        throw new AppError("Producto no encontrado", 404);
+      }
+
+      if (!item.peso || item.peso <= 0) {
+        throw new AppError("El producto no tiene un peso válido para registrar consumo en gramos", 400);
+      }
+
+      const { tinsFinished, openedGrams } = computeConsumption(item, grams);
+
+      let updatedItem = await tx.inventoryItem.update({
+        where: { id: item.id },
+        data: { openedGrams }
+      });
+
+      if (tinsFinished > 0) {
+        ({ item: updatedItem } = await recordStockChange(tx, {
+          inventoryItemId: item.id,
+          delta: -tinsFinished,
+          reason: 'consumption',
+          user: req.user,
+          notes: `Consumo de ${grams}g`
+        }));
+      }
+
+      const log = await tx.consumptionLog.create({
+        data: {
+          inventoryItemId: item.id,
+          grams,
+          bowls,
+          tinsFinished,
+          openedGramsAfter: openedGrams,
+          notes: notes || null,
+          userId: req.user.userId,
+          userName: req.user.name
+        }
+      });
+
+      return { log, item: updatedItem };
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error("Error registrando consumo:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+export default router;
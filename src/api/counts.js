@@ -0,0 +1,429 @@
+import express from "express";
+import { PrismaClient } from "@prisma/client";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import { recordStockChange } from "../utils/stockMovements.js";
+import { AppError } from "../utils/errors.js";
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Aplicar middleware de autenticación a todas las rutas
+router.use(authMiddleware);
+
+/**
+ * Include común para devolver un recuento con sus líneas y productos
+ * @type {Object}
+ */
+const countInclude = {
+  lines: {
+    include: {
+      inventoryItem: {
+        select: {
+          id: true,
+          tipo: true,
+          marca: true,
+          nombre: true,
+          peso: true,
+          stock: true,
+          precio: true
+        }
+      }
+    },
+    orderBy: [
+      { inventoryItem: { marca: 'asc' } },
+      { inventoryItem: { nombre: 'asc' } }
+    ]
+  }
+};
+
+/**
+ * Calcula el informe de diferencias de un recuento
+ * @function buildVarianceReport
+ * @param {Object} count - Recuento con sus líneas e inventoryItem incluidos
+ * @returns {Object} Resumen con líneas contadas, pendientes y diferencias en unidades y valor
+ * @description La diferencia de cada línea es cantidad contada - stock esperado. Las líneas
+ * sin contar no generan diferencia
+ */
+const buildVarianceReport = (count) => {
+  const lines = count.lines.map(line => {
+    const variance = line.countedQuantity === null ? null : line.countedQuantity - line.expectedStock;
+    return {
+      ...line,
+      variance,
+      varianceValue: variance === null ? null : variance * line.inventoryItem.precio
+    };
+  });
+
+  const countedLines = lines.filter(line => line.countedQuantity !== null);
+  const varianceLines = countedLines.filter(line => line.variance !== 0);
+
+  return {
+    lines,
+    summary: {
+      totalLines: lines.length,
+      countedLines: countedLines.length,
+      pendingLines: lines.length - countedLines.length,
+      linesWithVariance: varianceLines.length,
+      unitsMissing: varianceLines.filter(line => line.variance < 0).reduce((sum, line) => sum - line.variance, 0),
+      unitsSurplus: varianceLines.filter(line => line.variance > 0).reduce((sum, line) => sum + line.variance, 0),
+      netVariance: varianceLines.reduce((sum, line) => sum + line.variance, 0),
+      netVarianceValue: varianceLines.reduce((sum, line) => sum + line.varianceValue, 0)
+    }
+  };
+};
+
+/**
+ * Obtiene todos los recuentos de stock
+ * @function getStockCounts
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.status] - Filtrar por estado ("open", "approved", "cancelled")
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Array>} Recuentos con el número de líneas totales y contadas
+ * @description Lista los recuentos del más reciente al más antiguo
+ */
+// GET /api/counts - Obtener todos los recuentos
+router.get("/", async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const counts = await prisma.stockCount.findMany({
+      where: status ? { status } : {},
+      include: {
+        lines: {
+          select: { countedQuantity: true }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(counts.map(({ lines, ...count }) => ({
+      ...count,
+      totalLines: lines.length,
+      countedLines: lines.filter(line => line.countedQuantity !== null).length
+    })));
+  } catch (error) {
+    console.error("Error obteniendo recuentos:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Abre una nueva sesión de recuento físico
+ * @function createStockCount
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.body - Datos del recuento
+ * @param {string} [req.body.marca] - Limitar el recuento a una marca
+ * @param {string} [req.body.tipo] - Limitar el recuento a un tipo de producto
+ * @param {string} [req.body.notes] - Notas del recuento
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Recuento creado con una línea por cada producto incluido
+ * @description Crea una línea por producto del alcance con el stock actual como stock esperado
+ */
+// POST /api/counts - Abrir nuevo recuento
+router.post("/", async (req, res) => {
+  try {
+    const { marca, tipo, notes } = req.body;
+
+    const where = { archivedAt: null };
+    if (marca) where.marca = marca;
+    if (tipo) where.tipo = tipo;
+
+    const items = await prisma.inventoryItem.findMany({
+      where,
+      select: { id: true, stock: true }
+    });
+
+    if (items.length === 0) {
+      return res.status(400).json({ error: "No hay productos que coincidan con el alcance del recuento" });
+    }
+
+    const count = await prisma.stockCount.create({
+      data: {
+        marca: marca || null,
+        tipo: tipo || null,
+        notes: notes || null,
+        createdById: req.user.userId,
+        createdByName: req.user.name,
+        lines: {
+          create: items.map(item => ({
+            inventoryItemId: item.id,
+            expectedStock: item.stock
+          }))
+        }
+      },
+      include: countInclude
+    });
+
+    res.status(201).json({ ...count, ...buildVarianceReport(count) });
+  } catch (error) {
+    console.error("Error creando recuento:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Obtiene un recuento con sus líneas y el informe de diferencias
+ * @function getStockCountById
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {string} req.params.id - ID del recuento
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Recuento con lines (incluyendo variance) y summary
+ * @description Devuelve todo lo necesario para la pantalla de recuento y el informe de diferencias
+ */
+// GET /api/counts/:id - Obtener un recuento
+router.get("/:id", async (req, res) => {
+  try {
+    const count = await prisma.stockCount.findUnique({
+      where: { id: parseInt(req.params.id) },
+      include: countInclude
+    });
+
+    if (!count) {
+      return res.status(404).json({ error: "Recuento no encontrado" });
+    }
+
+    res.json({ ...count, ...buildVarianceReport(count) });
+  } catch (error) {
+    console.error("Error obteniendo recuento:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Registra la cantidad contada de un producto en un recuento abierto
+ * @function updateStockCountLine
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {string} req.params.id - ID del recuento
+ * @param {string} req.params.lineId - ID de la línea del recuento
+ * @param {Object} req.body - Datos del conteo
+ * @param {number|null} req.body.countedQuantity - Cantidad contada (null para borrar el conteo)
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Línea actualizada con su diferencia
+ * @description Al contar se toma el stock actual del producto como stock esperado, de modo que
+ * los movimientos ocurridos desde que se abrió el recuento no se cuentan como diferencia
+ */
+// PUT /api/counts/:id/lines/:lineId - Registrar conteo de un producto
+router.put("/:id/lines/:lineId", async (req, res) => {
+  try {
+    const { id, lineId } = req.params;
+    const { countedQuantity } = req.body;
+
+    const clearing = countedQuantity === null || countedQuantity === '';
+    // Number y no parseInt, para rechazar valores como "5abc" o "3.9" en lugar de truncarlos
+    const quantity = typeof countedQuantity === 'number' || (typeof countedQuantity === 'string' && countedQuantity.trim() !== '')
+      ? Number(countedQuantity)
+      : NaN;
+    if (!clearing && (!Number.isInteger(quantity) || quantity < 0)) {
+      return res.status(400).json({ error: "La cantidad contada debe ser un número entero mayor o igual a 0" });
+    }
+
+    const line = await prisma.stockCountLine.findFirst({
+      where: {
+        id: parseInt(lineId),
+        countId: parseInt(id)
+      },
+      include: {
+        count: true,
+        inventoryItem: {
+          select: { stock: true }
+        }
+      }
+    });
+
+    if (!line) {
+      return res.status(404).json({ error: "Línea del recuento no encontrada" });
+    }
+
+    if (line.count.status !== 'open') {
+      return res.status(400).json({ error: "Solo se pueden modificar recuentos abiertos" });
+    }
+
+    const updatedLine = await prisma.stockCountLine.update({
+      where: { id: line.id },
+      data: clearing ? {
+        countedQuantity: null,
+        countedAt: null,
+        countedByName: null
+      } : {
+        countedQuantity: quantity,
+        expectedStock: line.inventoryItem.stock,
+        countedAt: new Date(),
+        countedByName: req.user.name
+      },
+      include: countInclude.lines.include
+    });
+
+    res.json({
+      ...updatedLine,
+      variance: updatedLine.countedQuantity === null ? null : updatedLine.countedQuantity - updatedLine.expectedStock
+    });
+  } catch (error) {
+    console.error("Error registrando conteo:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Aprueba un recuento y aplica las diferencias como ajustes de stock
+ * @function approveStockCount
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {string} req.params.id - ID del recuento
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Recuento aprobado, informe de diferencias y ajustes aplicados
+ * @description Solo administradores. Cada línea contada con diferencia genera un movimiento
+ * "manual-adjust" con motivo "count-correction". Todo se aplica en una única transacción
+ */
+// POST /api/counts/:id/approve - Aprobar recuento
+router.post("/:id/approve", async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Acceso denegado. Se requieren permisos de administrador." });
+    }
+
+    const countId = parseInt(req.params.id);
+
+    const result = await prisma.$transaction(async (tx) => {
+      const existingCount = await tx.stockCount.findUnique({
+        where: { id: countId }
+      });
+
+      if (!existingCount) {
+        throw new AppError("Recuento no encontrado", 404);
+      }
+
+      // Reclamar el recuento de forma atómica: si otra petición lo ha aprobado o cancelado
+      // entre medias, no se actualiza ninguna fila y no se aplican los ajustes dos veces
+      const { count: claimedCounts } = await tx.stockCount.updateMany({
+        where: {
+          id: countId,
+          status: 'open'
+        },
+        data: {
+          status: 'approved',
+          approvedAt: new Date(),
+          approvedById: req.user.userId,
+          approvedByName: req.user.name
+        }
+      });
+
+      if (claimedCounts === 0) {
+        throw new AppError("Solo se pueden aprobar recuentos abiertos", 400);
+      }
+
+      const count = await tx.stockCount.findUnique({
+        where: { id: countId },
+        include: countInclude
+      });
+
+      const report = buildVarianceReport(count);
+      if (report.summary.countedLines === 0) {
+        throw new AppError("El recuento no tiene ningún producto contado", 400);
+      }
+
+      const adjustments = [];
+      for (const line of report.lines) {
+        if (!line.variance) {
+          continue;
+        }
+
+        const { item } = await recordStockChange(tx, {
+          inventoryItemId: line.inventoryItemId,
+          delta: line.variance,
+          reason: 'manual-adjust',
+          adjustmentReason: 'count-correction',
+          user: req.user,
+          notes: `Recuento #${count.id}`
+        });
+
+        if (item.stock < 0) {
+          throw new AppError(
+            `El ajuste de ${line.inventoryItem.marca} - ${line.inventoryItem.nombre} dejaría el stock en negativo. Vuelve a contar este producto`,
+            400
+          );
+        }
+
+        adjustments.push({
+          itemId: line.inventoryItemId,
+          itemName: line.inventoryItem.nombre,
+          variance: line.variance,
+          newStock: item.stock
+        });
+      }
+
+      return { count: { ...count, ...report }, adjustments };
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error("Error aprobando recuento:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Cancela un recuento abierto sin modificar el stock
+ * @function cancelStockCount
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {string} req.params.id - ID del recuento
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Recuento cancelado
+ * @description Solo administradores
+ */
+// POST /api/counts/:id/cancel - Cancelar recuento
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Acceso denegado. Se requieren permisos de administrador." });
+    }
+
+    const countId = parseInt(req.params.id);
+
+    const cancelledCount = await prisma.$transaction(async (tx) => {
+      const existingCount = await tx.stockCount.findUnique({
+        where: { id: countId }
+      });
+
+      if (!existingCount) {
+        throw new AppError("Recuento no encontrado", 404);
+      }
+
+      // Reclamar el recuento de forma atómica para no cancelar uno que se está aprobando
+      const { count: claimedCounts } = await tx.stockCount.updateMany({
+        where: {
+          id: countId,
+          status: 'open'
+        },
+        data: {
+          status: 'cancelled',
+          cancelledAt: new Date()
+        }
+      });
+
+      if (claimedCounts === 0) {
+        throw new AppError("Solo se pueden cancelar recuentos abiertos", 400);
+      }
+
+      return tx.stockCount.findUnique({ where: { id: countId } });
+    });
+
+    res.json(cancelledCount);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error("Error cancelando recuento:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+export default router;
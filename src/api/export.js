@@ -5,6 +5,7 @@ import XLSX from 'xlsx';
 import pkg from 'jspdf';
 const { jsPDF } = pkg;
 import 'jspdf-autotable';
+import { resolveLabelLayout, renderLabelSheet } from "../utils/labels.js";
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -27,7 +28,9 @@ router.use((req, res, next) => {
  * @param {Object} req - Objeto request de Express
  * @param {Object} res - Objeto response de Express
  * @returns {Promise<Buffer>} Archivo Excel con los datos del inventario
- * @description Genera un archivo Excel con todos los productos del inventario
+ * @description Genera un archivo Excel con todos los productos del inventario, incluyendo
+ * los datos de reposición (stock máximo, unidades por caja y referencia del proveedor). Los
+ * productos archivados se incluyen con estado "Archivado" pero no cuentan en el resumen
  */
 router.get("/inventory", async (req, res) => {
 	try {
@@ -47,7 +50,9 @@ router.get("/inventory", async (req, res) => {
 		const excelData = items.map(item => {
 			// Determinar estado del stock
 			let estadoStock = 'Normal';
-			if (item.stock === 0) {
+			if (item.archivedAt) {
+				estadoStock = 'Archivado';
+			} else if (item.stock === 0) {
 				estadoStock = 'Sin Stock';
 			} else if (item.stock < item.minStock) {
 				estadoStock = 'Stock Bajo';
@@ -59,6 +64,9 @@ router.get("/inventory", async (req, res) => {
 				'Peso': `${item.peso}g`,
 				'Stock': item.stock,
 				'Stock Mínimo': item.minStock,
+				'Stock Máximo': item.maxStock ?? '',
+				'Uds. por Caja': item.packSize,
+				'Ref. Proveedor': item.supplierSku || '',
 				'Estado': estadoStock,
 				'Precio': `${item.precio.toFixed(2)}€`,
 				'Tipo': item.tipo,
@@ -66,21 +74,22 @@ router.get("/inventory", async (req, res) => {
 			};
 		});
 
-		// Calcular totales
-		const totalProductos = items.length;
-		const totalStock = items.reduce((sum, item) => sum + item.stock, 0);
-		const valorTotalInventario = items.reduce((sum, item) => sum + (item.stock * item.precio), 0);
-		const productosStockBajo = items.filter(item => item.stock < item.minStock && item.stock > 0).length;
-		const productosSinStock = items.filter(item => item.stock === 0).length;
+		// Calcular totales (solo productos activos)
+		const activeItems = items.filter(item => !item.archivedAt);
+		const totalProductos = activeItems.length;
+		const totalStock = activeItems.reduce((sum, item) => sum + item.stock, 0);
+		const valorTotalInventario = activeItems.reduce((sum, item) => sum + (item.stock * item.precio), 0);
+		const productosStockBajo = activeItems.filter(item => item.stock < item.minStock && item.stock > 0).length;
+		const productosSinStock = activeItems.filter(item => item.stock === 0).length;
 
 		// Agregar filas de resumen
 		excelData.push({});
-		excelData.push({ 'Marca': 'RESUMEN DEL INVENTARIO', 'Nombre': '', 'Peso': '', 'Stock': '', 'Stock Mínimo': '', 'Estado': '', 'Precio': '', 'Tipo': '', 'Valor Total': '' });
-		excelData.push({ 'Marca': 'Total de productos:', 'Nombre': totalProductos, 'Peso': '', 'Stock': '', 'Stock Mínimo': '', 'Estado': '', 'Precio': '', 'Tipo': '', 'Valor Total': '' });
-		excelData.push({ 'Marca': 'Total unidades en stock:', 'Nombre': totalStock, 'Peso': '', 'Stock': '', 'Stock Mínimo': '', 'Estado': '', 'Precio': '', 'Tipo': '', 'Valor Total': '' });
-		excelData.push({ 'Marca': 'Valor total del inventario:', 'Nombre': `${valorTotalInventario.toFixed(2)}€`, 'Peso': '', 'Stock': '', 'Stock Mínimo': '', 'Estado': '', 'Precio': '', 'Tipo': '', 'Valor Total': '' });
-		excelData.push({ 'Marca': 'Productos con stock bajo:', 'Nombre': productosStockBajo, 'Peso': '', 'Stock': '', 'Stock Mínimo': '', 'Estado': '', 'Precio': '', 'Tipo': '', 'Valor Total': '' });
-		excelData.push({ 'Marca': 'Productos sin stock:', 'Nombre': productosSinStock, 'Peso': '', 'Stock': '', 'Stock Mínimo': '', 'Estado': '', 'Precio': '', 'Tipo': '', 'Valor Total': '' });
+		excelData.push({ 'Marca': 'RESUMEN DEL INVENTARIO', 'Nombre': '', 'Peso': '', 'Stock': '', 'Stock Mínimo': '', 'Stock Máximo': '', 'Uds. por Caja': '', 'Ref. Proveedor': '', 'Estado': '', 'Precio': '', 'Tipo': '', 'Valor Total': '' });
+		excelData.push({ 'Marca': 'Total de productos:', 'Nombre': totalProductos, 'Peso': '', 'Stock': '', 'Stock Mínimo': '', 'Stock Máximo': '', 'Uds. por Caja': '', 'Ref. Proveedor': '', 'Estado': '', 'Precio': '', 'Tipo': '', 'Valor Total': '' });
+		excelData.push({ 'Marca': 'Total unidades en stock:', 'Nombre': totalStock, 'Peso': '', 'Stock': '', 'Stock Mínimo': '', 'Stock Máximo': '', 'Uds. por Caja': '', 'Ref. Proveedor': '', 'Estado': '', 'Precio': '', 'Tipo': '', 'Valor Total': '' });
+		excelData.push({ 'Marca': 'Valor total del inventario:', 'Nombre': `${valorTotalInventario.toFixed(2)}€`, 'Peso': '', 'Stock': '', 'Stock Mínimo': '', 'Stock Máximo': '', 'Uds. por Caja': '', 'Ref. Proveedor': '', 'Estado': '', 'Precio': '', 'Tipo': '', 'Valor Total': '' });
+		excelData.push({ 'Marca': 'Productos con stock bajo:', 'Nombre': productosStockBajo, 'Peso': '', 'Stock': '', 'Stock Mínimo': '', 'Stock Máximo': '', 'Uds. por Caja': '', 'Ref. Proveedor': '', 'Estado': '', 'Precio': '', 'Tipo': '', 'Valor Total': '' });
+		excelData.push({ 'Marca': 'Productos sin stock:', 'Nombre': productosSinStock, 'Peso': '', 'Stock': '', 'Stock Mínimo': '', 'Stock Máximo': '', 'Uds. por Caja': '', 'Ref. Proveedor': '', 'Estado': '', 'Precio': '', 'Tipo': '', 'Valor Total': '' });
 
 		// Crear libro de trabajo
 		const workbook = XLSX.utils.book_new();
@@ -93,6 +102,9 @@ router.get("/inventory", async (req, res) => {
 			{ width: 10 }, // Peso
 			{ width: 10 }, // Stock
 			{ width: 15 }, // Stock Mínimo
+			{ width: 15 }, // Stock Máximo
+			{ width: 14 }, // Uds. por Caja
+			{ width: 18 }, // Ref. Proveedor
 			{ width: 15 }, // Estado
 			{ width: 12 }, // Precio
 			{ width: 12 }, // Tipo
@@ -119,6 +131,64 @@ router.get("/inventory", async (req, res) => {
 	}
 });
 
+/**
+ * Describe la recepción de un item de pedido para la exportación
+ * @function getReceiptText
+ * @param {Object} item - Item del pedido con su producto
+ * @param {Array} orderItems - Items del pedido (para localizar el producto sustituido)
+ * @returns {string} Cantidad recibida con el exceso de entrega o el producto sustituido
+ */
+const getReceiptText = (item, orderItems) => {
+	if (item.isSubstitution) {
+		const substituted = orderItems.find(other => other.id === item.substituteForId);
+		return substituted
+			? `${item.quantityReceived} (sustituye a ${substituted.inventoryItem.marca} - ${substituted.inventoryItem.nombre})`
+			: `${item.quantityReceived} (sustitución)`;
+	}
+
+	const excess = item.quantityReceived - item.quantityOrdered;
+	if (excess > 0) {
+		return `${item.quantityReceived} de ${item.quantityOrdered} (exceso +${excess})`;
+	}
+	return item.quantityCancelled > 0
+		? `${item.quantityReceived} de ${item.quantityOrdered} (${item.quantityCancelled} anulados)`
+		: `${item.quantityReceived} de ${item.quantityOrdered}`;
+};
+
+/**
+ * Describe un producto de un pedido para la exportación
+ * @function getOrderItemText
+ * @param {Object} inventoryItem - Producto (marca, nombre, peso, caja y referencia del proveedor)
+ * @returns {string} Marca, nombre y peso, seguidos de la referencia y la caja del proveedor si las tiene
+ */
+const getOrderItemText = (inventoryItem) => {
+	let text = `${inventoryItem.marca} - ${inventoryItem.nombre} (${inventoryItem.peso}g)`;
+	if (inventoryItem.supplierSku) {
+		text += ` · Ref. ${inventoryItem.supplierSku}`;
+	}
+	if (inventoryItem.packSize > 1) {
+		text += ` · Caja de ${inventoryItem.packSize}`;
+	}
+	return text;
+};
+
+/**
+ * Calcula la tasa de servicio de un pedido
+ * @function getFillRate
+ * @param {Object} order - Pedido con sus items
+ * @returns {number} Porcentaje (0-100) de las unidades pedidas que se han recibido. Los excesos
+ * de entrega no cuentan por encima de lo pedido y las sustituciones no se incluyen
+ */
+const getFillRate = (order) => {
+	const orderedItems = order.items.filter(item => !item.isSubstitution);
+	const ordered = orderedItems.reduce((sum, item) => sum + item.quantityOrdered, 0);
+	if (ordered === 0) {
+		return 0;
+	}
+	const received = orderedItems.reduce((sum, item) => sum + Math.min(item.quantityReceived, item.quantityOrdered), 0);
+	return Math.round((received / ordered) * 100);
+};
+
 /**
  * Exporta datos de pedidos en formato Excel con múltiples tablas
  * @function exportOrders
@@ -126,7 +196,9 @@ router.get("/inventory", async (req, res) => {
  * @param {Object} req - Objeto request de Express
  * @param {Object} res - Objeto response de Express
  * @returns {Promise<Buffer>} Archivo Excel con los datos de pedidos
- * @description Genera un archivo Excel con todos los pedidos, cada uno en su propia tabla
+ * @description Genera un archivo Excel con todos los pedidos, cada uno en su propia tabla.
+ * La columna Recepcion indica la tasa de servicio de cada pedido y lo recibido de cada producto,
+ * marcando los excesos de entrega, las cantidades anuladas y los productos recibidos como sustitución
  */
 router.get("/orders", async (req, res) => {
 	try {
@@ -144,7 +216,9 @@ router.get("/orders", async (req, res) => {
 							select: {
 								marca: true,
 								nombre: true,
-								peso: true
+								peso: true,
+								packSize: true,
+								supplierSku: true
 							}
 						}
 					}
@@ -171,7 +245,8 @@ router.get("/orders", async (req, res) => {
 					year: 'numeric'
 				}),
 				'Articulos': order.totalItems,
-				'ImporteTotal': `${order.totalPrice.toFixed(2)}€`
+				'ImporteTotal': `${order.totalPrice.toFixed(2)}€`,
+				'Recepcion': order.status === 'cancelled' ? 'Cancelado' : `Servido: ${getFillRate(order)}%`
 			});
 
 			// Detalles de los productos
@@ -181,8 +256,11 @@ router.get("/orders", async (req, res) => {
 					'NumeroPedido': '', // Vacío para líneas de detalle
 					'Usuario': '', // Vacío para líneas de detalle
 					'Fecha': '', // Vacío para líneas de detalle
-					'Articulos': `${item.inventoryItem.marca} - ${item.inventoryItem.nombre} (${item.inventoryItem.peso}g)`,
-					'ImporteTotal': `${item.quantityOrdered} x ${item.priceAtTime.toFixed(2)}€ = ${subtotal.toFixed(2)}€`
+					'Articulos': getOrderItemText(item.inventoryItem),
+					'ImporteTotal': item.isSubstitution
+						? `Sustitución (${item.priceAtTime.toFixed(2)}€/ud)`
+						: `${item.quantityOrdered} x ${item.priceAtTime.toFixed(2)}€ = ${subtotal.toFixed(2)}€`,
+					'Recepcion': getReceiptText(item, order.items)
 				});
 			});
 
@@ -193,7 +271,8 @@ router.get("/orders", async (req, res) => {
 					'Usuario': '',
 					'Fecha': '',
 					'Articulos': '─────────────────────────────────────────',
-					'ImporteTotal': ''
+					'ImporteTotal': '',
+					'Recepcion': ''
 				});
 			}
 		});
@@ -208,7 +287,8 @@ router.get("/orders", async (req, res) => {
 			{ width: 25 }, // Usuario
 			{ width: 15 }, // Fecha
 			{ width: 50 }, // Articulos
-			{ width: 30 }  // ImporteTotal
+			{ width: 30 }, // ImporteTotal
+			{ width: 45 }  // Recepcion
 		];
 
 		// Configurar estilos (headers en negrita)
@@ -252,12 +332,13 @@ router.get("/orders", async (req, res) => {
  * @param {Object} req - Objeto request de Express
  * @param {Object} res - Objeto response de Express
  * @returns {Promise<Buffer>} Archivo PDF con los datos del inventario
- * @description Genera un archivo PDF con todos los productos del inventario
+ * @description Genera un archivo PDF con los productos activos del inventario (sin archivados)
  */
 router.get("/inventory-pdf", async (req, res) => {
 	try {
-		// Obtener todos los productos del inventario
+		// Obtener los productos activos del inventario
 		const items = await prisma.inventoryItem.findMany({
+			where: { archivedAt: null },
 			orderBy: [
 				{ tipo: 'asc' },
 				{ marca: 'asc' },
@@ -314,9 +395,12 @@ router.get("/inventory-pdf", async (req, res) => {
 				item.tipo,
 				item.marca,
 				item.nombre,
+				item.supplierSku || '-',
 				`${item.peso}g`,
 				item.stock.toString(),
 				item.minStock.toString(),
+				item.maxStock !== null ? item.maxStock.toString() : '-',
+				item.packSize.toString(),
 				estadoStock,
 				`${item.precio.toFixed(2)}€`,
 				`${(item.stock * item.precio).toFixed(2)}€`
@@ -326,7 +410,7 @@ router.get("/inventory-pdf", async (req, res) => {
 		// Generar tabla con autoTable
 		doc.autoTable({
 			startY: 45,
-			head: [['Tipo', 'Marca', 'Nombre', 'Peso', 'Stock', 'Min', 'Estado', 'Precio', 'Valor']],
+			head: [['Tipo', 'Marca', 'Nombre', 'Ref.', 'Peso', 'Stock', 'Min', 'Max', 'Caja', 'Estado', 'Precio', 'Valor']],
 			body: tableData,
 			theme: 'grid',
 			styles: {
@@ -341,22 +425,25 @@ router.get("/inventory-pdf", async (req, res) => {
 				halign: 'center'
 			},
 			columnStyles: {
-				0: { cellWidth: 20, halign: 'left' },   // Tipo
-				1: { cellWidth: 30, halign: 'left' },   // Marca
-				2: { cellWidth: 60, halign: 'left' },   // Nombre
-				3: { cellWidth: 18, halign: 'center' }, // Peso
-				4: { cellWidth: 15, halign: 'center' }, // Stock
-				5: { cellWidth: 15, halign: 'center' }, // Min
-				6: { cellWidth: 25, halign: 'center' }, // Estado
-				7: { cellWidth: 20, halign: 'right' },  // Precio
-				8: { cellWidth: 25, halign: 'right' }   // Valor
+				0: { cellWidth: 18, halign: 'left' },   // Tipo
+				1: { cellWidth: 28, halign: 'left' },   // Marca
+				2: { cellWidth: 50, halign: 'left' },   // Nombre
+				3: { cellWidth: 22, halign: 'left' },   // Ref.
+				4: { cellWidth: 15, halign: 'center' }, // Peso
+				5: { cellWidth: 14, halign: 'center' }, // Stock
+				6: { cellWidth: 13, halign: 'center' }, // Min
+				7: { cellWidth: 13, halign: 'center' }, // Max
+				8: { cellWidth: 12, halign: 'center' }, // Caja
+				9: { cellWidth: 24, halign: 'center' }, // Estado
+				10: { cellWidth: 20, halign: 'right' }, // Precio
+				11: { cellWidth: 24, halign: 'right' }  // Valor
 			},
 			alternateRowStyles: {
 				fillColor: [245, 245, 245]
 			},
 			didParseCell: function(data) {
 				// Colorear las celdas de estado según el valor
-				if (data.column.index === 6) {
+				if (data.column.index === 9) {
 					const cellText = data.cell.text[0];
 					if (cellText.includes('Sin Stock')) {
 						data.cell.styles.textColor = [231, 76, 60]; // Rojo
@@ -409,4 +496,99 @@ router.get("/inventory-pdf", async (req, res) => {
 	}
 });
 
+/**
+ * Exporta etiquetas de estantería en PDF
+ * @function exportLabels
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.ids] - IDs de los productos separados por comas
+ * @param {string} [req.query.marca] - Marca cuyos productos activos se etiquetan
+ * @param {string} [req.query.layout=a4-3x8] - Formato de la hoja (a4-3x8, a4-3x7, a4-2x7 o a4-4x10)
+ * @param {string} [req.query.columns] - Columnas de una rejilla propia (junto con rows)
+ * @param {string} [req.query.rows] - Filas de una rejilla propia (junto con columns)
+ * @param {string} [req.query.margin] - Margen de la hoja en mm para la rejilla propia
+ * @param {string} [req.query.copies=1] - Etiquetas por producto (1-100)
+ * @param {string} [req.query.skip=0] - Posiciones ya usadas al principio de la primera hoja
+ * @param {string} [req.query.border] - "true" para dibujar el contorno de cada etiqueta
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Buffer>} Archivo PDF con una etiqueta por producto y copia
+ * @description Cada etiqueta muestra marca, nombre, peso, precio y el código de barras del
+ * producto (EAN si es un EAN-13, EAN-8 o UPC-A válido y Code128 en otro caso). Se debe indicar
+ * ids, marca o ambos; los productos se ordenan por marca y nombre
+ */
+router.get("/labels", async (req, res) => {
+	try {
+		const { ids, marca, copies, skip, border } = req.query;
+
+		if (!ids && !marca) {
+			return res.status(400).json({ error: "Indica los productos (ids) o la marca de las etiquetas" });
+		}
+
+		const where = {};
+		if (ids) {
+			const idList = String(ids).split(',').map(id => id.trim()).filter(Boolean).map(Number);
+			if (idList.length === 0 || idList.some(id => !Number.isInteger(id) || id <= 0)) {
+				return res.status(400).json({ error: "La lista de IDs no es válida" });
+			}
+			where.id = { in: idList };
+		}
+		if (marca) {
+			where.marca = String(marca);
+			where.archivedAt = null;
+		}
+
+		const { layout, error } = resolveLabelLayout(req.query);
+		if (error) {
+			return res.status(400).json({ error });
+		}
+
+		const copyCount = copies === undefined || copies === '' ? 1 : parseInt(copies);
+		if (isNaN(copyCount) || copyCount < 1 || copyCount > 100) {
+			return res.status(400).json({ error: "Las copias deben estar entre 1 y 100" });
+		}
+
+		const perPage = layout.columns * layout.rows;
+		const skipCount = skip === undefined || skip === '' ? 0 : parseInt(skip);
+		if (isNaN(skipCount) || skipCount < 0 || skipCount >= perPage) {
+			return res.status(400).json({ error: `Las posiciones a saltar deben estar entre 0 y ${perPage - 1}` });
+		}
+
+		const items = await prisma.inventoryItem.findMany({
+			where,
+			orderBy: [
+				{ marca: 'asc' },
+				{ nombre: 'asc' }
+			]
+		});
+
+		if (items.length === 0) {
+			return res.status(404).json({ error: "No hay productos para etiquetar" });
+		}
+
+		// Limitar el tamaño del documento
+		if (items.length * copyCount > 5000) {
+			return res.status(400).json({ error: "Demasiadas etiquetas (máximo 5000 por documento)" });
+		}
+
+		const pdfBuffer = renderLabelSheet(items, layout, {
+			copies: copyCount,
+			skip: skipCount,
+			border: border === 'true'
+		});
+
+		// Configurar headers para descarga
+		const filename = `etiquetas-koloa-${new Date().toISOString().split('T')[0]}.pdf`;
+
+		res.setHeader('Content-Type', 'application/pdf');
+		res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+		res.setHeader('Content-Length', pdfBuffer.length);
+
+		res.end(pdfBuffer, 'binary');
+	} catch (error) {
+		console.error("Error exportando etiquetas:", error);
+		res.status(500).json({ error: "Error interno del servidor" });
+	}
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,82 @@
+import express from "express";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import { IMPORT_MODES, readImportFile, planInventoryImport, applyInventoryImport } from "../utils/inventoryImport.js";
+
+const router = express.Router();
+
+// Aplicar middleware de autenticación a todas las rutas
+router.use(authMiddleware);
+
+// Middleware para verificar permisos de administrador
+router.use((req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: "Acceso denegado. Se requieren permisos de administrador." });
+  }
+  next();
+});
+
+/**
+ * Importa productos del inventario desde un archivo CSV o XLSX
+ * @function importInventory
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Buffer} req.body - Contenido del archivo (cuerpo binario de la petición)
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.mode=upsert] - "create" (solo altas), "update" (solo productos
+ * existentes) o "upsert" (ambos)
+ * @param {string} [req.query.dryRun=true] - "false" para aplicar los cambios
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Resumen por acción y, por fila, la acción prevista, los cambios
+ * campo a campo y los errores de validación. Al aplicar, además los productos creados y actualizados
+ * @description Acepta las mismas columnas que genera la exportación de inventario (Tipo, Marca,
+ * Nombre, Peso, Stock, Stock Mínimo, Stock Máximo, Uds. por Caja, Ref. Proveedor y Precio).
+ * Los productos se identifican por marca, nombre y peso. Por defecto solo simula; la importación
+ * solo se aplica si ninguna fila tiene errores y se hace en una única transacción
+ */
+// POST /api/import/inventory - Importar productos desde CSV o XLSX
+router.post("/inventory", express.raw({ type: () => true, limit: '5mb' }), async (req, res) => {
+  try {
+    const mode = req.query.mode || 'upsert';
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Modo de importación no válido. Valores permitidos: ${IMPORT_MODES.join(', ')}` });
+    }
+    const dryRun = req.query.dryRun !== 'false';
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: "Adjunta un archivo CSV o XLSX" });
+    }
+
+    const { rows, columns, error } = readImportFile(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!columns.includes('Marca') || !columns.includes('Nombre') || !columns.includes('Peso')) {
+      return res.status(400).json({ error: "El archivo debe tener las columnas Marca, Nombre y Peso" });
+    }
+    if (rows.length === 0) {
+      return res.status(400).json({ error: "El archivo no contiene productos" });
+    }
+
+    const plan = await planInventoryImport(rows, columns, mode);
+    if (dryRun) {
+      return res.json({ dryRun, mode, ...plan });
+    }
+
+    if (plan.summary.error > 0) {
+      return res.status(400).json({
+        error: `Hay ${plan.summary.error} fila(s) con errores. Corrígelas antes de importar`,
+        dryRun,
+        mode,
+        ...plan
+      });
+    }
+
+    const result = await applyInventoryImport(plan.rows, req.user);
+    res.json({ dryRun, mode, ...plan, ...result });
+  } catch (error) {
+    console.error("Error importando inventario:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+export default router;
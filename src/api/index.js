@@ -5,6 +5,12 @@ import ordersRoutes from "./orders.js";
 import usersRoutes from "./usersRoutes.js";
 import logsRoutes from "./logs.js";
 import exportRoutes from "./export.js";
+import importRoutes from "./import.js";
+import countsRoutes from "./counts.js";
+import consumptionRoutes from "./consumption.js";
+import suppliersRoutes from "./suppliers.js";
+import orderTemplatesRoutes from "./orderTemplates.js";
+import restockRoutes from "./restock.js";
 
 const router = express.Router();
 
@@ -17,6 +23,21 @@ router.use("/inventory", inventoryRoutes);
 // Rutas de pedidos
 router.use("/orders", ordersRoutes);
 
+// Rutas de proveedores
+router.use("/suppliers", suppliersRoutes);
+
+// Rutas de plantillas de pedido y pedidos recurrentes
+router.use("/order-templates", orderTemplatesRoutes);
+
+// Rutas de sugerencias de reposición
+router.use("/restock", restockRoutes);
+
+// Rutas de recuentos físicos de stock
+router.use("/counts", countsRoutes);
+
+// Rutas de consumo de tabaco en gramos
+router.use("/consumption", consumptionRoutes);
+
 // Rutas de usuarios (solo para administradores)
 router.use("/users", usersRoutes);
 
@@ -26,4 +47,7 @@ router.use("/logs", logsRoutes);
 // Rutas de exportación (solo para administradores)
 router.use("/export", exportRoutes);
 
+// Rutas de importación (solo para administradores)
+router.use("/import", importRoutes);
+
 export default router;
\ No newline at end of file
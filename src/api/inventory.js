@@ -1,6 +1,12 @@
 import express from "express";
 import { PrismaClient } from "@prisma/client";
 import authMiddleware from "../middlewares/authMiddleware.js";
+import { recordStockChange, getAdjustmentReasons } from "../utils/stockMovements.js";
+import { AppError } from "../utils/errors.js";
+import { getForecast, getForecastConfig } from "../utils/forecast.js";
+import { recordItemChanges, AUDITED_ITEM_FIELDS } from "../utils/itemChanges.js";
+import { searchProducts } from "../utils/productSearch.js";
+import { parseBarcodeFields, saveBarcodes, findItemByBarcode, normalizeBarcode, ALTERNATE_BARCODES_INCLUDE } from "../utils/barcodes.js";
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -9,28 +15,658 @@ const prisma = new PrismaClient();
 router.use(authMiddleware);
 
 /**
- * Obtiene todos los productos del inventario
+ * Relaciones que se incluyen al devolver productos (proveedor y códigos de barras alternativos)
+ * @type {Object}
+ */
+const ITEM_INCLUDE = {
+  supplier: {
+    select: {
+      id: true,
+      name: true
+    }
+  },
+  alternateBarcodes: ALTERNATE_BARCODES_INCLUDE
+};
+
+/**
+ * Construye los datos de reposición de un producto (stock máximo, caja y referencia del proveedor)
+ * @function parseRestockFields
+ * @param {Object} body - Cuerpo de la petición
+ * @returns {Object} { data } con los campos enviados o { error } si algún valor no es válido
+ */
+const parseRestockFields = (body) => {
+  const { maxStock, packSize, supplierSku } = body;
+  const data = {};
+
+  if (maxStock !== undefined) {
+    if (maxStock === null || maxStock === '') {
+      data.maxStock = null;
+    } else {
+      const value = parseInt(maxStock);
+      if (isNaN(value) || value < 0) {
+        return { error: "El stock máximo debe ser un número entero positivo" };
+      }
+      data.maxStock = value;
+    }
+  }
+
+  if (packSize !== undefined) {
+    const value = packSize === null || packSize === '' ? 1 : parseInt(packSize);
+    if (isNaN(value) || value < 1) {
+      return { error: "Las unidades por caja deben ser un número entero mayor que 0" };
+    }
+    data.packSize = value;
+  }
+
+  if (supplierSku !== undefined) data.supplierSku = supplierSku?.trim() || null;
+
+  return { data };
+};
+
+/**
+ * Comprueba que el stock máximo de un producto no quede por debajo de su stock mínimo
+ * @function validateStockLevels
+ * @param {Object} item - Producto con minStock y maxStock
+ * @returns {string|null} Mensaje de error o null si es válido
+ */
+const validateStockLevels = (item) =>
+  item.maxStock !== null && item.maxStock !== undefined && item.maxStock < item.minStock
+    ? "El stock máximo no puede ser menor que el stock mínimo"
+    : null;
+
+/**
+ * Modos de cambio de precio en la edición en bloque
+ * @type {string[]}
+ * @description "set" fija el precio, "percent" lo sube o baja un porcentaje y "amount" le suma
+ * o resta una cantidad en euros
+ */
+const BULK_PRICE_MODES = ['set', 'percent', 'amount'];
+
+/**
+ * Valida los cambios de una edición en bloque
+ * @function parseBulkChanges
+ * @param {Object} body - Cuerpo de la petición
+ * @returns {Object} { changes } con los cambios a aplicar o { error } si alguno no es válido
+ */
+const parseBulkChanges = (body) => {
+  const { precio, minStock, tipo, archived } = body;
+  const changes = {};
+
+  if (precio !== undefined) {
+    const value = parseFloat(precio?.value);
+    if (!BULK_PRICE_MODES.includes(precio?.mode) || isNaN(value)) {
+      return { error: `Cambio de precio no válido. Modos permitidos: ${BULK_PRICE_MODES.join(', ')}` };
+    }
+    changes.precio = { mode: precio.mode, value };
+  }
+
+  if (minStock !== undefined) {
+    const value = parseInt(minStock);
+    if (isNaN(value) || value < 0) {
+      return { error: "El stock mínimo debe ser un número entero positivo" };
+    }
+    changes.minStock = value;
+  }
+
+  if (tipo !== undefined) {
+    if (!['Tabaco', 'Producto'].includes(tipo)) {
+      return { error: "Tipo no válido. Valores permitidos: Tabaco, Producto" };
+    }
+    changes.tipo = tipo;
+  }
+
+  if (archived !== undefined) {
+    if (typeof archived !== 'boolean') {
+      return { error: "archived debe ser true (archivar) o false (restaurar)" };
+    }
+    changes.archived = archived;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: "Indica al menos un cambio (precio, minStock, tipo o archived)" };
+  }
+
+  return { changes };
+};
+
+/**
+ * Calcula el nuevo precio de un producto en la edición en bloque
+ * @function computeBulkPrice
+ * @param {number} precio - Precio actual
+ * @param {Object} change - Cambio de precio ({ mode, value })
+ * @returns {number} Precio resultante redondeado a céntimos
+ */
+const computeBulkPrice = (precio, { mode, value }) => {
+  let result = value;
+  if (mode === 'percent') result = precio * (1 + value / 100);
+  if (mode === 'amount') result = precio + value;
+  return Math.round(result * 100) / 100;
+};
+
+/**
+ * Estados de pedido que impiden archivar un producto
+ * @type {string[]}
+ * @description Un producto con líneas en pedidos aún abiertos debe seguir activo hasta que se
+ * reciban, se cierren o se cancelen
+ */
+const ACTIVE_ORDER_STATUSES = ['draft', 'sent', 'partial'];
+
+/**
+ * Consulta de Prisma para incluir los pedidos activos de un producto
+ * @type {Object}
+ */
+const ACTIVE_ORDER_ITEMS_INCLUDE = {
+  orderItems: {
+    where: { order: { status: { in: ACTIVE_ORDER_STATUSES } } },
+    select: { order: { select: { orderNumber: true } } }
+  }
+};
+
+/**
+ * Archiva un producto
+ * @function archiveItem
+ * @async
+ * @param {Object} tx - Cliente de Prisma de la transacción en curso
+ * @param {number} id - ID del producto
+ * @returns {Promise<Object>} Producto archivado
+ * @description Lanza AppError si el producto no existe, ya está archivado o tiene pedidos
+ * activos. El producto se conserva para el historial de pedidos, movimientos y exportaciones;
+ * se descarta su recomendación de stock mínimo pendiente
+ */
+const archiveItem = async (tx, id) => {
+  const item = await tx.inventoryItem.findUnique({
+    where: { id },
+    include: ACTIVE_ORDER_ITEMS_INCLUDE
+  });
+
+  if (!item) {
+    throw new AppError("Producto no encontrado", 404);
+  }
+
+  const activeOrders = [...new Set(item.orderItems.map(orderItem => orderItem.order.orderNumber))];
+  if (activeOrders.length > 0) {
+    throw new AppError(`No se puede archivar este producto porque está en los siguientes pedidos activos: ${activeOrders.join(', ')}. Recíbelos, ciérralos o cancélalos primero.`, 400);
+  }
+
+  // Archivar de forma atómica: si otra petición lo ha archivado entre medias no se actualiza ninguna fila
+  const { count } = await tx.inventoryItem.updateMany({
+    where: { id, archivedAt: null },
+    data: { archivedAt: new Date() }
+  });
+
+  if (count === 0) {
+    throw new AppError("El producto ya está archivado", 400);
+  }
+
+  await tx.minStockRecommendation.deleteMany({
+    where: { inventoryItemId: id, status: 'pending' }
+  });
+
+  return tx.inventoryItem.findUnique({ where: { id } });
+};
+
+/**
+ * Campos por los que se puede ordenar el listado de inventario
+ * @type {string[]}
+ */
+const INVENTORY_SORT_FIELDS = ['createdAt', 'updatedAt', 'tipo', 'marca', 'nombre', 'peso', 'stock', 'minStock', 'precio'];
+
+/**
+ * Estados de stock por los que se puede filtrar el listado de inventario
+ * @type {string[]}
+ * @description "low" tiene stock pero por debajo del mínimo, "out" no tiene stock y "ok" tiene
+ * stock igual o superior al mínimo (mismo criterio que el panel de inventario)
+ */
+const INVENTORY_STOCK_STATUSES = ['low', 'out', 'ok'];
+
+/**
+ * Tamaño de página por defecto y máximo del listado de inventario
+ * @type {Object}
+ */
+const INVENTORY_PAGE_SIZE = { default: 50, max: 200 };
+
+/**
+ * Construye el filtro, el orden y la paginación del listado de inventario
+ * @function parseInventoryQuery
+ * @param {Object} query - Parámetros de consulta de la petición
+ * @returns {Object} { where, orderBy, page, pageSize, cursor } o { error } si algún parámetro no es válido
+ */
+const parseInventoryQuery = (query) => {
+  const { q, tipo, stock, minPrice, maxPrice, archived, sort = 'createdAt', order, page, pageSize, cursor } = query;
+  const conditions = [];
+
+  if (archived === 'only') {
+    conditions.push({ archivedAt: { not: null } });
+  } else if (archived !== 'include') {
+    conditions.push({ archivedAt: null });
+  }
+
+  // Cada palabra de la búsqueda debe aparecer en la marca o en el nombre
+  const terms = typeof q === 'string' ? q.trim().split(/\s+/).filter(Boolean) : [];
+  for (const term of terms) {
+    conditions.push({ OR: [{ marca: { contains: term } }, { nombre: { contains: term } }] });
+  }
+
+  if (tipo) {
+    conditions.push({ tipo: String(tipo) });
+  }
+
+  if (stock !== undefined) {
+    if (!INVENTORY_STOCK_STATUSES.includes(stock)) {
+      return { error: `Estado de stock no válido. Valores permitidos: ${INVENTORY_STOCK_STATUSES.join(', ')}` };
+    }
+    const minStockField = prisma.inventoryItem.fields.minStock;
+    if (stock === 'out') {
+      conditions.push({ stock: 0 });
+    } else if (stock === 'low') {
+      conditions.push({ stock: { gt: 0, lt: minStockField } });
+    } else {
+      conditions.push({ stock: { gt: 0 } }, { stock: { gte: minStockField } });
+    }
+  }
+
+  const price = {};
+  for (const [key, value] of [['gte', minPrice], ['lte', maxPrice]]) {
+    if (value === undefined || value === '') continue;
+    const parsed = parseFloat(value);
+    if (isNaN(parsed) || parsed < 0) {
+      return { error: "El rango de precios debe ser un número positivo" };
+    }
+    price[key] = parsed;
+  }
+  if (price.gte !== undefined && price.lte !== undefined && price.gte > price.lte) {
+    return { error: "El precio mínimo no puede ser mayor que el máximo" };
+  }
+  if (Object.keys(price).length > 0) {
+    conditions.push({ precio: price });
+  }
+
+  if (!INVENTORY_SORT_FIELDS.includes(sort)) {
+    return { error: `Campo de ordenación no válido. Valores permitidos: ${INVENTORY_SORT_FIELDS.join(', ')}` };
+  }
+  const direction = order || (query.sort === undefined ? 'desc' : 'asc');
+  if (direction !== 'asc' && direction !== 'desc') {
+    return { error: "La dirección de ordenación debe ser asc o desc" };
+  }
+
+  const size = pageSize === undefined ? INVENTORY_PAGE_SIZE.default : parseInt(pageSize);
+  if (isNaN(size) || size < 1 || size > INVENTORY_PAGE_SIZE.max) {
+    return { error: `El tamaño de página debe estar entre 1 y ${INVENTORY_PAGE_SIZE.max}` };
+  }
+  const pageNumber = page === undefined ? 1 : parseInt(page);
+  if (isNaN(pageNumber) || pageNumber < 1) {
+    return { error: "La página debe ser un número entero mayor que 0" };
+  }
+  const cursorId = cursor === undefined ? null : parseInt(cursor);
+  if (cursorId !== null && isNaN(cursorId)) {
+    return { error: "Cursor no válido" };
+  }
+
+  return {
+    where: { AND: conditions },
+    // El ID desempata para que la paginación sea estable con valores repetidos
+    orderBy: [{ [sort]: direction }, { id: direction }],
+    page: pageNumber,
+    pageSize: size,
+    cursor: cursorId
+  };
+};
+
+/**
+ * Obtiene los productos del inventario con búsqueda, filtros, orden y paginación
  * @function getInventoryItems
  * @async
  * @param {Object} req - Objeto request de Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.q] - Texto a buscar en la marca y el nombre (todas las palabras deben aparecer)
+ * @param {string} [req.query.tipo] - Tipo de producto
+ * @param {string} [req.query.stock] - Estado de stock: "low", "out" u "ok"
+ * @param {string} [req.query.minPrice] - Precio mínimo
+ * @param {string} [req.query.maxPrice] - Precio máximo
+ * @param {string} [req.query.archived] - "include" para incluir los productos archivados u
+ * "only" para obtener solo los archivados
+ * @param {string} [req.query.sort=createdAt] - Campo de ordenación
+ * @param {string} [req.query.order] - "asc" o "desc" (por defecto desc si no se indica sort y asc si se indica)
+ * @param {string} [req.query.page=1] - Página (paginación por páginas)
+ * @param {string} [req.query.pageSize=50] - Productos por página (máximo 200)
+ * @param {string} [req.query.cursor] - ID del último producto recibido (paginación por cursor; ignora page)
+ * @param {string} [req.query.format] - "array" para recibir todos los productos que cumplen los
+ * filtros como lista, sin paginar (formato anterior)
  * @param {Object} res - Objeto response de Express
- * @returns {Promise<Array>} Lista de todos los productos ordenados por fecha de creación
- * @description Consulta la base de datos y retorna todos los items del inventario
+ * @returns {Promise<Object|Array>} { items, total, page, pageSize, totalPages, nextCursor } o la
+ * lista de productos si format es "array"
+ * @description Retorna los items del inventario con su proveedor. Por defecto no incluye los
+ * productos archivados. total es el número de productos que cumplen los filtros; nextCursor es
+ * null en la última página. Con cursor, page es null
  */
-// GET /api/inventory - Obtener todos los productos
+// GET /api/inventory - Obtener productos (búsqueda, filtros y paginación)
 router.get("/", async (req, res) => {
   try {
-    const items = await prisma.inventoryItem.findMany({
-      orderBy: { createdAt: 'desc' }
+    const { where, orderBy, page, pageSize, cursor, error } = parseInventoryQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (req.query.format === 'array') {
+      const items = await prisma.inventoryItem.findMany({ where, include: ITEM_INCLUDE, orderBy });
+      return res.json(items);
+    }
+
+    // Se pide un producto de más para saber si hay página siguiente
+    const [total, rows] = await Promise.all([
+      prisma.inventoryItem.count({ where }),
+      prisma.inventoryItem.findMany({
+        where,
+        include: ITEM_INCLUDE,
+        orderBy,
+        take: pageSize + 1,
+        ...(cursor !== null ? { cursor: { id: cursor }, skip: 1 } : { skip: (page - 1) * pageSize })
+      })
+    ]);
+    const items = rows.slice(0, pageSize);
+
+    res.json({
+      items,
+      total,
+      page: cursor !== null ? null : page,
+      pageSize,
+      totalPages: Math.ceil(total / pageSize),
+      nextCursor: rows.length > pageSize ? items[items.length - 1].id : null
     });
-    
-    res.json(items);
   } catch (error) {
     console.error("Error obteniendo inventario:", error);
     res.status(500).json({ error: "Error interno del servidor" });
   }
 });
 
+/**
+ * Busca productos por marca y nombre tolerando erratas, tildes y abreviaturas
+ * @function searchInventoryItems
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} req.query.q - Texto buscado
+ * @param {string} [req.query.limit=50] - Número máximo de resultados (máximo 200)
+ * @param {string} [req.query.tipo] - Tipo de producto
+ * @param {string} [req.query.stock] - Estado de stock: "low", "out" u "ok"
+ * @param {string} [req.query.minPrice] - Precio mínimo
+ * @param {string} [req.query.maxPrice] - Precio máximo
+ * @param {string} [req.query.archived] - "include" para incluir los archivados u "only" para solo archivados
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} { total, results } donde cada resultado tiene el producto (item), su
+ * puntuación (score) y los rangos { start, end } que coinciden en la marca y el nombre (highlights)
+ * @description "pinkmn" encuentra "Pinkman", "limon" encuentra "Limón" y "af pink" encuentra
+ * "Al Fakher Pinkman". Los resultados se ordenan por relevancia; admite los mismos filtros que el
+ * listado de inventario
+ */
+// GET /api/inventory/search - Búsqueda aproximada de productos
+router.get("/search", async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+      return res.status(400).json({ error: "Indica el texto a buscar" });
+    }
+
+    const limit = req.query.limit === undefined ? INVENTORY_PAGE_SIZE.default : parseInt(req.query.limit);
+    if (isNaN(limit) || limit < 1 || limit > INVENTORY_PAGE_SIZE.max) {
+      return res.status(400).json({ error: `El límite debe estar entre 1 y ${INVENTORY_PAGE_SIZE.max}` });
+    }
+
+    // La búsqueda de texto se hace aquí; del listado solo se reutilizan los filtros
+    const { where, error } = parseInventoryQuery({
+      tipo: req.query.tipo,
+      stock: req.query.stock,
+      minPrice: req.query.minPrice,
+      maxPrice: req.query.maxPrice,
+      archived: req.query.archived
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const items = await prisma.inventoryItem.findMany({ where, include: ITEM_INCLUDE });
+
+    res.json(searchProducts(items, q, { limit }));
+  } catch (error) {
+    console.error("Error buscando productos:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Obtiene el producto al que pertenece un código de barras
+ * @function getInventoryItemByBarcode
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.params - Parámetros de la URL
+ * @param {string} req.params.code - Código de barras leído (principal o alternativo)
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Producto con su proveedor y códigos alternativos, o 404 si el código
+ * no está asignado
+ * @description Pensado para los lectores USB, que escriben el código como un teclado. También
+ * devuelve productos archivados (con archivedAt) para que el cliente pueda avisar de ello
+ */
+// GET /api/inventory/by-barcode/:code - Buscar producto por código de barras
+router.get("/by-barcode/:code", async (req, res) => {
+  try {
+    const code = normalizeBarcode(req.params.code);
+    if (!code) {
+      return res.status(400).json({ error: "Indica el código de barras" });
+    }
+
+    const found = await findItemByBarcode(prisma, code);
+    if (!found) {
+      return res.status(404).json({ error: `No hay ningún producto con el código ${code}` });
+    }
+
+    const item = await prisma.inventoryItem.findUnique({ where: { id: found.id }, include: ITEM_INCLUDE });
+    res.json(item);
+  } catch (error) {
+    console.error("Error buscando producto por código de barras:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Obtiene los totales del inventario activo para el panel
+ * @function getInventoryStats
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} { total, totalUnits, byType, lowStock, outOfStock } con el número de
+ * productos activos, las unidades en stock, los productos por tipo y los que tienen stock bajo o
+ * están agotados
+ * @description Se calcula con consultas de recuento en la base de datos para que el panel no
+ * tenga que descargar el inventario completo. Usa los mismos criterios que el filtro stock del listado
+ */
+// GET /api/inventory/stats - Totales del inventario
+router.get("/stats", async (req, res) => {
+  try {
+    const active = { archivedAt: null };
+    const minStockField = prisma.inventoryItem.fields.minStock;
+
+    const [totals, byType, lowStock, outOfStock] = await Promise.all([
+      prisma.inventoryItem.aggregate({ where: active, _count: { _all: true }, _sum: { stock: true } }),
+      prisma.inventoryItem.groupBy({ by: ['tipo'], where: active, _count: { _all: true } }),
+      prisma.inventoryItem.count({ where: { ...active, stock: { gt: 0, lt: minStockField } } }),
+      prisma.inventoryItem.count({ where: { ...active, stock: 0 } })
+    ]);
+
+    res.json({
+      total: totals._count._all,
+      totalUnits: totals._sum.stock || 0,
+      byType: Object.fromEntries(byType.map(group => [group.tipo, group._count._all])),
+      lowStock,
+      outOfStock
+    });
+  } catch (error) {
+    console.error("Error calculando totales del inventario:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Obtiene la previsión de consumo y cobertura de stock de los productos
+ * @function getInventoryForecast
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.days] - Días completos de histórico a analizar (por defecto FORECAST_DAYS o 28)
+ * @param {string} [req.query.seasonality] - "true" para proyectar con el uso medio de cada día de
+ * la semana (por defecto FORECAST_WEEKDAY_SEASONALITY)
+ * @param {string} [req.query.inventoryItemId] - Limitar a un producto
+ * @param {string} [req.query.inventoryItemIds] - Limitar a varios productos (IDs separados por comas)
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Configuración aplicada y, por producto, uso diario medio, uso por día
+ * de la semana (0 = domingo), días de cobertura y fecha prevista de rotura de stock
+ * @description El uso diario se deriva del historial de movimientos sin contar los días en que
+ * el producto estuvo agotado. daysOfCover y stockoutDate son null si no hay consumo registrado
+ */
+// GET /api/inventory/forecast - Previsión de consumo y cobertura
+router.get("/forecast", async (req, res) => {
+  try {
+    const options = {};
+    if (req.query.days !== undefined) {
+      const days = parseInt(req.query.days);
+      if (isNaN(days) || days < 1 || days > 365) {
+        return res.status(400).json({ error: "Los días de histórico deben estar entre 1 y 365" });
+      }
+      options.days = days;
+    }
+    if (req.query.seasonality !== undefined) {
+      options.seasonality = req.query.seasonality === 'true';
+    }
+    if (req.query.inventoryItemId) {
+      options.inventoryItemIds = [parseInt(req.query.inventoryItemId)];
+    } else if (req.query.inventoryItemIds) {
+      const ids = String(req.query.inventoryItemIds).split(',').map(id => parseInt(id));
+      if (ids.some(id => isNaN(id))) {
+        return res.status(400).json({ error: "La lista de productos no es válida" });
+      }
+      options.inventoryItemIds = ids;
+    }
+
+    const config = { ...getForecastConfig(), ...options };
+    const forecast = await getForecast(config);
+
+    res.json({
+      days: config.days,
+      seasonality: config.seasonality,
+      items: forecast
+    });
+  } catch (error) {
+    console.error("Error calculando previsión de inventario:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Obtiene el historial de auditoría de los datos de reposición de los productos
+ * @function getInventoryItemChanges
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.inventoryItemId] - Limitar a un producto
+ * @param {string} [req.query.field] - Limitar a un campo (minStock, maxStock, packSize, supplierSku o supplierId)
+ * @param {string} [req.query.limit] - Número máximo de cambios a devolver (por defecto 50)
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Array>} Cambios con el producto, valor anterior y nuevo, origen y usuario,
+ * del más reciente al más antiguo
+ */
+// GET /api/inventory/changes - Historial de auditoría de productos
+router.get("/changes", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const where = {};
+
+    if (req.query.inventoryItemId) {
+      where.inventoryItemId = parseInt(req.query.inventoryItemId);
+    }
+    if (req.query.field) {
+      if (!AUDITED_ITEM_FIELDS.includes(req.query.field)) {
+        return res.status(400).json({ error: `Campo no válido. Valores permitidos: ${AUDITED_ITEM_FIELDS.join(', ')}` });
+      }
+      where.field = req.query.field;
+    }
+
+    const changes = await prisma.inventoryItemChange.findMany({
+      where,
+      include: {
+        inventoryItem: {
+          select: { id: true, marca: true, nombre: true }
+        }
+      },
+      orderBy: [
+        { createdAt: 'desc' },
+        { id: 'desc' }
+      ],
+      take: limit
+    });
+
+    res.json(changes);
+  } catch (error) {
+    console.error("Error obteniendo historial de cambios:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Obtiene el historial de movimientos de stock de un producto
+ * @function getInventoryItemMovements
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.params - Parámetros de la URL
+ * @param {string} req.params.id - ID del producto
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.limit] - Número máximo de movimientos a devolver (por defecto 50)
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Array>} Movimientos del producto, del más reciente al más antiguo
+ * @description Devuelve cada variación de stock con su motivo, usuario y pedido relacionado
+ */
+// GET /api/inventory/:id/movements - Historial de movimientos de stock
+router.get("/:id/movements", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const item = await prisma.inventoryItem.findUnique({
+      where: { id: parseInt(id) },
+      select: { id: true }
+    });
+
+    if (!item) {
+      return res.status(404).json({ error: "Producto no encontrado" });
+    }
+
+    const movements = await prisma.stockMovement.findMany({
+      where: { inventoryItemId: item.id },
+      include: {
+        orderItem: {
+          select: {
+            id: true,
+            order: {
+              select: {
+                id: true,
+                orderNumber: true
+              }
+            }
+          }
+        }
+      },
+      orderBy: [
+        { createdAt: 'desc' },
+        { id: 'desc' }
+      ],
+      take: limit
+    });
+
+    res.json(movements);
+  } catch (error) {
+    console.error("Error obteniendo movimientos de stock:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
 /**
  * Crea un nuevo producto en el inventario
  * @function createInventoryItem
@@ -44,14 +680,23 @@ router.get("/", async (req, res) => {
  * @param {number} req.body.stock - Cantidad actual en stock
  * @param {number} req.body.minStock - Stock mínimo requerido
  * @param {number} req.body.precio - Precio del producto
+ * @param {number} [req.body.supplierId] - Proveedor por defecto
+ * @param {number|null} [req.body.maxStock] - Stock objetivo hasta el que se repone
+ * @param {number} [req.body.packSize=1] - Unidades por caja del proveedor
+ * @param {string} [req.body.supplierSku] - Referencia del producto en el proveedor
+ * @param {string} [req.body.barcode] - Código de barras principal (EAN)
+ * @param {string[]} [req.body.alternateBarcodes] - Códigos de barras alternativos
  * @param {Object} res - Objeto response de Express
  * @returns {Promise<Object>} El nuevo producto creado con su ID asignado
- * @description Valida los campos obligatorios y crea un nuevo item en la base de datos
+ * @description Valida los campos obligatorios y crea un nuevo item en la base de datos.
+ * El stock inicial queda registrado como movimiento "initial". Si no se indica proveedor
+ * se usa el que ya tengan asignado otros productos de la misma marca. Los códigos de barras
+ * no pueden estar asignados a otro producto
  */
 // POST /api/inventory - Crear nuevo producto
 router.post("/", async (req, res) => {
   try {
-    const { tipo, marca, nombre, peso, stock, minStock, precio } = req.body;
+    const { tipo, marca, nombre, peso, stock, minStock, precio, supplierId } = req.body;
 
     // Validaciones básicas
     if (!tipo || !marca || !nombre || peso === undefined || stock === undefined) {
@@ -60,25 +705,180 @@ router.post("/", async (req, res) => {
       });
     }
 
-    const newItem = await prisma.inventoryItem.create({
-      data: {
-        tipo,
-        marca,
-        nombre,
-        peso: parseInt(peso),
-        stock: parseInt(stock),
-        minStock: parseInt(minStock) || 0,
-        precio: parseFloat(precio) || 0
+    const { data: restockData, error } = parseRestockFields(req.body);
+    const levelsError = error || validateStockLevels({ minStock: parseInt(minStock) || 0, ...restockData });
+    if (levelsError) {
+      return res.status(400).json({ error: levelsError });
+    }
+
+    const { data: barcodeData, error: barcodeError } = parseBarcodeFields(req.body);
+    if (barcodeError) {
+      return res.status(400).json({ error: barcodeError });
+    }
+
+    // Heredar el proveedor de la marca si no se indica uno
+    let defaultSupplierId = supplierId ? parseInt(supplierId) : null;
+    if (!defaultSupplierId) {
+      const sameBrandItem = await prisma.inventoryItem.findFirst({
+        where: { marca, supplierId: { not: null } },
+        select: { supplierId: true }
+      });
+      defaultSupplierId = sameBrandItem?.supplierId ?? null;
+    }
+
+    // Crear el producto con stock 0 y registrar el stock inicial como movimiento
+    const newItem = await prisma.$transaction(async (tx) => {
+      const created = await tx.inventoryItem.create({
+        data: {
+          tipo,
+          marca,
+          nombre,
+          peso: parseInt(peso),
+          stock: 0,
+          minStock: parseInt(minStock) || 0,
+          precio: parseFloat(precio) || 0,
+          supplierId: defaultSupplierId,
+          ...restockData
+        }
+      });
+
+      await saveBarcodes(tx, created.id, barcodeData);
+
+      const initialStock = parseInt(stock);
+      if (initialStock) {
+        await recordStockChange(tx, {
+          inventoryItemId: created.id,
+          delta: initialStock,
+          reason: 'initial',
+          user: req.user
+        });
       }
+
+      return tx.inventoryItem.findUnique({ where: { id: created.id }, include: ITEM_INCLUDE });
     });
 
     res.status(201).json(newItem);
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: "El código de barras ya está asignado a otro producto" });
+    }
+    if (error.code === 'P2003') {
+      return res.status(400).json({ error: "Proveedor no encontrado" });
+    }
     console.error("Error creando producto:", error);
     res.status(500).json({ error: "Error interno del servidor" });
   }
 });
 
+/**
+ * Aplica los mismos cambios a varios productos
+ * @function bulkUpdateInventoryItems
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.body - Cuerpo de la petición
+ * @param {number[]} req.body.ids - IDs de los productos
+ * @param {Object} [req.body.precio] - Cambio de precio: { mode: "set" | "percent" | "amount", value }
+ * @param {number} [req.body.minStock] - Nuevo stock mínimo
+ * @param {string} [req.body.tipo] - Nuevo tipo ("Tabaco" o "Producto")
+ * @param {boolean} [req.body.archived] - true para archivar los productos, false para restaurarlos
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Número de productos actualizados y resultado por producto (valores
+ * anteriores y nuevos, o el error que impide aplicarlo)
+ * @description Se aplica todo o nada en una transacción: si algún producto no existe, quedaría
+ * con un valor no válido (precio negativo o stock mínimo por encima del máximo) o no se puede
+ * archivar por tener pedidos activos, no se cambia ninguno y se responde 400 con el resultado
+ * de cada producto. Los cambios de stock mínimo quedan en el historial de auditoría
+ */
+// PATCH /api/inventory/bulk - Editar varios productos a la vez
+router.patch("/bulk", async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body.ids) ? [...new Set(req.body.ids.map(id => parseInt(id)))] : [];
+    if (ids.length === 0 || ids.some(id => isNaN(id))) {
+      return res.status(400).json({ error: "Selecciona al menos un producto" });
+    }
+
+    const { changes, error } = parseBulkChanges(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const items = await tx.inventoryItem.findMany({
+        where: { id: { in: ids } },
+        include: ACTIVE_ORDER_ITEMS_INCLUDE
+      });
+      const itemsById = new Map(items.map(item => [item.id, item]));
+
+      // Se calculan y validan todos los productos antes de escribir ninguno
+      const results = ids.map(id => {
+        const item = itemsById.get(id);
+        if (!item) {
+          return { id, success: false, error: "Producto no encontrado" };
+        }
+
+        const data = {};
+        if (changes.precio) data.precio = computeBulkPrice(item.precio, changes.precio);
+        if (changes.minStock !== undefined) data.minStock = changes.minStock;
+        if (changes.tipo) data.tipo = changes.tipo;
+        if (changes.archived === true && !item.archivedAt) data.archivedAt = new Date();
+        if (changes.archived === false && item.archivedAt) data.archivedAt = null;
+
+        const itemName = `${item.marca} - ${item.nombre}`;
+        if (data.archivedAt && item.orderItems.length > 0) {
+          const activeOrders = [...new Set(item.orderItems.map(orderItem => orderItem.order.orderNumber))];
+          return { id, itemName, success: false, error: `Está en pedidos activos: ${activeOrders.join(', ')}` };
+        }
+        if (data.precio !== undefined && data.precio < 0) {
+          return { id, itemName, success: false, error: "El precio no puede quedar en negativo" };
+        }
+        const levelsError = validateStockLevels({ ...item, ...data });
+        if (levelsError) {
+          return { id, itemName, success: false, error: levelsError };
+        }
+
+        const previous = Object.fromEntries(Object.keys(data).map(field => [field, item[field]]));
+        return { id, itemName, success: true, previous, data };
+      });
+
+      if (results.some(entry => !entry.success)) {
+        return { updated: 0, results };
+      }
+
+      const updatedItems = [];
+      for (const entry of results) {
+        if (entry.data.archivedAt) {
+          await tx.minStockRecommendation.deleteMany({
+            where: { inventoryItemId: entry.id, status: 'pending' }
+          });
+        }
+        const updatedItem = await tx.inventoryItem.update({
+          where: { id: entry.id },
+          data: entry.data
+        });
+        await recordItemChanges(tx, itemsById.get(entry.id), updatedItem, { source: 'bulk', user: req.user });
+        updatedItems.push(updatedItem);
+      }
+
+      return { updated: updatedItems.length, results, items: updatedItems };
+    });
+
+    if (result.updated === 0) {
+      return res.status(400).json({
+        error: "No se ha aplicado ningún cambio: hay productos que no se pueden actualizar",
+        ...result
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error en la edición en bloque:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
 /**
  * Actualiza un producto existente del inventario
  * @function updateInventoryItem
@@ -86,132 +886,288 @@ router.post("/", async (req, res) => {
  * @param {Object} req - Objeto request de Express
  * @param {Object} req.params - Parámetros de la URL
  * @param {string} req.params.id - ID del producto a actualizar
- * @param {Object} req.body - Nuevos datos del producto
- * @param {string} req.body.tipo - Tipo del producto
- * @param {string} req.body.marca - Marca del producto
- * @param {string} req.body.nombre - Nombre del producto
- * @param {number} req.body.peso - Peso del producto en gramos
- * @param {number} req.body.stock - Cantidad actual en stock
- * @param {number} req.body.minStock - Stock mínimo requerido
- * @param {number} req.body.precio - Precio del producto
+ * @param {Object} req.body - Nuevos datos del producto (solo se actualizan los campos enviados)
+ * @param {string} [req.body.tipo] - Tipo del producto
+ * @param {string} [req.body.marca] - Marca del producto
+ * @param {string} [req.body.nombre] - Nombre del producto
+ * @param {number} [req.body.peso] - Peso del producto en gramos
+ * @param {number} [req.body.minStock] - Stock mínimo requerido
+ * @param {number} [req.body.precio] - Precio del producto
+ * @param {number|null} [req.body.supplierId] - Proveedor por defecto (null para quitarlo)
+ * @param {number|null} [req.body.maxStock] - Stock objetivo (null para reponer solo hasta el mínimo)
+ * @param {number} [req.body.packSize] - Unidades por caja del proveedor
+ * @param {string|null} [req.body.supplierSku] - Referencia del producto en el proveedor
+ * @param {string|null} [req.body.barcode] - Código de barras principal (null para quitarlo)
+ * @param {string[]} [req.body.alternateBarcodes] - Códigos alternativos (sustituyen a los actuales)
  * @param {Object} res - Objeto response de Express
  * @returns {Promise<Object>} El producto actualizado o error si no existe
- * @description Busca el producto por ID y actualiza todos sus campos
+ * @description Busca el producto por ID y actualiza los campos recibidos. El stock no se puede
+ * modificar aquí: se corrige con POST /api/inventory/:id/adjust, que exige un motivo. Los cambios
+ * de stock mínimo, máximo, caja, referencia y proveedor quedan en el historial de auditoría
  */
 // PUT /api/inventory/:id - Actualizar producto
 router.put("/:id", async (req, res) => {
   try {
     const { id } = req.params;
-    const { tipo, marca, nombre, peso, stock, minStock, precio } = req.body;
+    const { tipo, marca, nombre, peso, minStock, precio, supplierId } = req.body;
 
-    const updatedItem = await prisma.inventoryItem.update({
-      where: { id: parseInt(id) },
-      data: {
-        tipo,
-        marca,
-        nombre,
-        peso: parseInt(peso),
-        stock: parseInt(stock),
-        minStock: parseInt(minStock),
-        precio: parseFloat(precio)
+    if (req.body.stock !== undefined) {
+      return res.status(400).json({
+        error: "El stock no se puede modificar al editar el producto. Usa POST /api/inventory/:id/adjust con un motivo"
+      });
+    }
+
+    const { data: restockData, error } = parseRestockFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { data: barcodeData, error: barcodeError } = parseBarcodeFields(req.body);
+    if (barcodeError) {
+      return res.status(400).json({ error: barcodeError });
+    }
+
+    // Solo se actualizan los campos enviados para no pisar datos con valores obsoletos
+    const data = { ...restockData };
+    if (tipo !== undefined) data.tipo = tipo;
+    if (marca !== undefined) data.marca = marca;
+    if (nombre !== undefined) data.nombre = nombre;
+    if (peso !== undefined) data.peso = parseInt(peso);
+    if (minStock !== undefined) data.minStock = parseInt(minStock) || 0;
+    if (precio !== undefined) data.precio = parseFloat(precio) || 0;
+    if (supplierId !== undefined) data.supplierId = supplierId ? parseInt(supplierId) : null;
+
+    const updatedItem = await prisma.$transaction(async (tx) => {
+      const previousItem = await tx.inventoryItem.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!previousItem) {
+        throw new AppError("Producto no encontrado", 404);
       }
+
+      const item = await tx.inventoryItem.update({
+        where: { id: previousItem.id },
+        data
+      });
+
+      // Se valida con los valores ya guardados por si solo se envía uno de los dos niveles
+      const levelsError = validateStockLevels(item);
+      if (levelsError) {
+        throw new AppError(levelsError, 400);
+      }
+
+      await recordItemChanges(tx, previousItem, item, { source: 'manual', user: req.user });
+      await saveBarcodes(tx, item.id, barcodeData);
+
+      return tx.inventoryItem.findUnique({ where: { id: item.id }, include: ITEM_INCLUDE });
     });
 
     res.json(updatedItem);
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     if (error.code === 'P2025') {
       return res.status(404).json({ error: "Producto no encontrado" });
     }
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: "El código de barras ya está asignado a otro producto" });
+    }
+    if (error.code === 'P2003') {
+      return res.status(400).json({ error: "Proveedor no encontrado" });
+    }
     console.error("Error actualizando producto:", error);
     res.status(500).json({ error: "Error interno del servidor" });
   }
 });
 
 /**
- * Elimina un producto del inventario
- * @function deleteInventoryItem
+ * Obtiene los motivos disponibles para ajustar el stock
+ * @function getAdjustmentReasonsList
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ * @returns {Array} Lista de motivos con su código y etiqueta
+ * @description Devuelve los motivos configurados para POST /api/inventory/:id/adjust
+ */
+// GET /api/inventory/adjust-reasons - Motivos de ajuste de stock
+router.get("/adjust-reasons", (req, res) => {
+  res.json(getAdjustmentReasons());
+});
+
+/**
+ * Ajusta el stock de un producto con un motivo obligatorio
+ * @function adjustInventoryItemStock
  * @async
  * @param {Object} req - Objeto request de Express
  * @param {Object} req.params - Parámetros de la URL
- * @param {string} req.params.id - ID del producto a eliminar
+ * @param {string} req.params.id - ID del producto a ajustar
+ * @param {Object} req.body - Datos del ajuste
+ * @param {number} req.body.delta - Unidades a sumar (positivo) o restar (negativo)
+ * @param {string} req.body.reason - Código del motivo (ver GET /api/inventory/adjust-reasons)
+ * @param {string} [req.body.notes] - Observaciones del ajuste
  * @param {Object} res - Objeto response de Express
- * @returns {Promise<Object>} Confirmación de eliminación o error si no existe
- * @description Busca el producto por ID y lo elimina permanentemente de la base de datos
+ * @returns {Promise<Object>} Producto actualizado y movimiento registrado
+ * @description Modifica únicamente el stock mediante un incremento atómico, sin tocar el
+ * resto de campos del producto. Rechaza el ajuste si el stock resultante fuese negativo
  */
-// DELETE /api/inventory/:id - Eliminar producto
-router.delete("/:id", async (req, res) => {
+// POST /api/inventory/:id/adjust - Ajustar stock
+router.post("/:id/adjust", async (req, res) => {
   try {
     const { id } = req.params;
+    const { reason, notes } = req.body;
+    const delta = parseInt(req.body.delta);
 
-    // Verificar si el producto existe
-    const existingItem = await prisma.inventoryItem.findUnique({
-      where: { id: parseInt(id) },
-      include: {
-        orderItems: {
-          select: {
-            id: true,
-            order: {
-              select: {
-                orderNumber: true,
-                status: true
-              }
-            }
-          }
-        }
-      }
-    });
+    if (!Number.isInteger(delta) || delta === 0) {
+      return res.status(400).json({ error: "La variación de stock debe ser un número entero distinto de 0" });
+    }
 
-    if (!existingItem) {
-      return res.status(404).json({ 
-        success: false, 
-        error: "Producto no encontrado" 
+    const validReasons = getAdjustmentReasons().map(r => r.code);
+    if (!reason || !validReasons.includes(reason)) {
+      return res.status(400).json({
+        error: `Motivo de ajuste no válido. Motivos permitidos: ${validReasons.join(', ')}`
       });
     }
 
-    // Verificar si el producto está siendo usado en pedidos
-    if (existingItem.orderItems.length > 0) {
-      const activeOrders = existingItem.orderItems
-        .filter(item => item.order.status !== 'cancelled')
-        .map(item => item.order.orderNumber);
+    const result = await prisma.$transaction(async (tx) => {
+      const change = await recordStockChange(tx, {
+        inventoryItemId: parseInt(id),
+        delta,
+        reason: 'manual-adjust',
+        adjustmentReason: reason,
+        user: req.user,
+        notes
+      });
 
-      if (activeOrders.length > 0) {
-        return res.status(400).json({ 
-          success: false, 
-          error: `No se puede eliminar este producto porque está siendo usado en los siguientes pedidos: ${activeOrders.join(', ')}. Cancela o completa estos pedidos primero.`,
-          relatedOrders: activeOrders
-        });
+      // Si el stock queda negativo se lanza el error para deshacer la transacción
+      if (change.item.stock < 0) {
+        throw new AppError(
+          `El ajuste dejaría el stock en negativo (stock actual: ${change.item.stock - delta})`,
+          400
+        );
       }
-    }
 
-    // Si llegamos aquí, podemos eliminar el producto
-    await prisma.inventoryItem.delete({
-      where: { id: parseInt(id) }
-    });
-
-    res.json({ 
-      success: true, 
-      message: "Producto eliminado correctamente" 
+      return change;
     });
 
+    res.json(result);
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     if (error.code === 'P2025') {
-      return res.status(404).json({ 
-        success: false, 
-        error: "Producto no encontrado" 
-      });
+      return res.status(404).json({ error: "Producto no encontrado" });
     }
-    
-    if (error.code === 'P2003') {
-      return res.status(400).json({ 
-        success: false, 
-        error: "No se puede eliminar este producto porque está siendo usado en pedidos activos. Completa o cancela los pedidos relacionados primero." 
+    console.error("Error ajustando stock:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Archiva un producto del inventario
+ * @function archiveInventoryItem
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.params - Parámetros de la URL
+ * @param {string} req.params.id - ID del producto a archivar
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} El producto archivado
+ * @description El producto deja de aparecer en el inventario, las sugerencias de reposición y
+ * los nuevos pedidos, pero se conserva en los pedidos anteriores, el historial de movimientos y
+ * las exportaciones. No se puede archivar si está en pedidos activos (borrador, enviado o parcial)
+ */
+// POST /api/inventory/:id/archive - Archivar producto
+router.post("/:id/archive", async (req, res) => {
+  try {
+    const item = await prisma.$transaction((tx) => archiveItem(tx, parseInt(req.params.id)));
+    res.json(item);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error("Error archivando producto:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Restaura un producto archivado
+ * @function restoreInventoryItem
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.params - Parámetros de la URL
+ * @param {string} req.params.id - ID del producto a restaurar
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} El producto restaurado
+ * @description Vuelve a dejar el producto activo con el stock y los datos que tenía
+ */
+// POST /api/inventory/:id/restore - Restaurar producto archivado
+router.post("/:id/restore", async (req, res) => {
+  try {
+    const itemId = parseInt(req.params.id);
+
+    const restoredItem = await prisma.$transaction(async (tx) => {
+      const item = await tx.inventoryItem.findUnique({
+        where: { id: itemId }
+      });
+
+      if (!item) {
+        throw new AppError("Producto no encontrado", 404);
+      }
+
+      // Restaurar de forma atómica: si otra petición lo ha restaurado entre medias no se actualiza ninguna fila
+      const { count } = await tx.inventoryItem.updateMany({
+        where: { id: itemId, archivedAt: { not: null } },
+        data: { archivedAt: null }
       });
+
+      if (count === 0) {
+        throw new AppError("El producto no está archivado", 400);
+      }
+
+      return tx.inventoryItem.findUnique({ where: { id: itemId } });
+    });
+
+    res.json(restoredItem);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
     }
+    console.error("Error restaurando producto:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Elimina un producto del inventario
+ * @function deleteInventoryItem
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.params - Parámetros de la URL
+ * @param {string} req.params.id - ID del producto a eliminar
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Confirmación y el producto archivado
+ * @description Los productos ya no se borran físicamente: se archivan igual que con
+ * POST /api/inventory/:id/archive para no perder el historial de pedidos y movimientos
+ */
+// DELETE /api/inventory/:id - Eliminar (archivar) producto
+router.delete("/:id", async (req, res) => {
+  try {
+    const item = await prisma.$transaction((tx) => archiveItem(tx, parseInt(req.params.id)));
 
+    res.json({
+      success: true,
+      message: "Producto archivado correctamente",
+      item
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     console.error("Error eliminando producto:", error);
-    res.status(500).json({ 
-      success: false, 
-      error: "Error interno del servidor" 
+    res.status(500).json({
+      success: false,
+      error: "Error interno del servidor"
     });
   }
 });
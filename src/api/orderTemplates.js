@@ -0,0 +1,308 @@
+import express from "express";
+import { PrismaClient } from "@prisma/client";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import { templateInclude, computeRecurringQuantity, createOrderFromTemplate } from "../utils/recurringOrders.js";
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Aplicar middleware de autenticación a todas las rutas
+router.use(authMiddleware);
+
+/**
+ * Añade a cada línea de la plantilla la cantidad recalculada con el stock actual
+ * @function withSuggestedQuantities
+ * @param {Object} template - Plantilla con sus items y productos
+ * @returns {Object} Plantilla cuyas líneas incluyen suggestedQuantity
+ */
+const withSuggestedQuantities = (template) => ({
+  ...template,
+  items: template.items.map(item => ({
+    ...item,
+    suggestedQuantity: computeRecurringQuantity(item, item.inventoryItem)
+  }))
+});
+
+/**
+ * Construye los datos de una plantilla a partir del cuerpo de la petición
+ * @function parseTemplateData
+ * @param {Object} body - Cuerpo de la petición
+ * @returns {Object} { data, items } con los campos enviados y las líneas (si se enviaron),
+ * o { error } si algún valor no es válido
+ */
+const parseTemplateData = (body) => {
+  const { name, supplierId, notes, recurrenceWeekday, items } = body;
+  const data = {};
+
+  if (name !== undefined) {
+    if (!name || !name.trim()) {
+      return { error: "El nombre de la plantilla no puede estar vacío" };
+    }
+    data.name = name.trim();
+  }
+  if (notes !== undefined) data.notes = notes || null;
+  if (supplierId !== undefined) data.supplierId = supplierId ? parseInt(supplierId) : null;
+
+  if (recurrenceWeekday !== undefined) {
+    if (recurrenceWeekday === null || recurrenceWeekday === '') {
+      data.recurrenceWeekday = null;
+    } else {
+      const weekday = parseInt(recurrenceWeekday);
+      if (isNaN(weekday) || weekday < 0 || weekday > 6) {
+        return { error: "El día de recurrencia debe estar entre 0 (domingo) y 6 (sábado)" };
+      }
+      data.recurrenceWeekday = weekday;
+    }
+  }
+
+  if (items === undefined) {
+    return { data };
+  }
+
+  if (!Array.isArray(items)) {
+    return { error: "Las líneas de la plantilla deben enviarse como una lista" };
+  }
+
+  const parsedItems = items
+    .map(item => ({
+      inventoryItemId: parseInt(item.inventoryItemId),
+      quantity: parseInt(item.quantity) || 0
+    }))
+    .filter(item => item.inventoryItemId && item.quantity > 0);
+
+  if (parsedItems.length === 0) {
+    return { error: "La plantilla debe tener al menos un producto con cantidad mayor a 0" };
+  }
+
+  if (new Set(parsedItems.map(item => item.inventoryItemId)).size !== parsedItems.length) {
+    return { error: "Un producto no puede aparecer dos veces en la plantilla" };
+  }
+
+  return { data, items: parsedItems };
+};
+
+/**
+ * Obtiene todas las plantillas de pedido
+ * @function getOrderTemplates
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Array>} Plantillas ordenadas por nombre con sus líneas, productos y la
+ * cantidad sugerida de cada línea según el stock actual
+ */
+// GET /api/order-templates - Obtener todas las plantillas
+router.get("/", async (req, res) => {
+  try {
+    const templates = await prisma.orderTemplate.findMany({
+      include: templateInclude,
+      orderBy: { name: 'asc' }
+    });
+
+    res.json(templates.map(withSuggestedQuantities));
+  } catch (error) {
+    console.error("Error obteniendo plantillas de pedido:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Obtiene una plantilla de pedido por su ID
+ * @function getOrderTemplateById
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {string} req.params.id - ID de la plantilla
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Plantilla con sus líneas y cantidades sugeridas
+ */
+// GET /api/order-templates/:id - Obtener una plantilla
+router.get("/:id", async (req, res) => {
+  try {
+    const template = await prisma.orderTemplate.findUnique({
+      where: { id: parseInt(req.params.id) },
+      include: templateInclude
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: "Plantilla no encontrada" });
+    }
+
+    res.json(withSuggestedQuantities(template));
+  } catch (error) {
+    console.error("Error obteniendo plantilla de pedido:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Crea una plantilla de pedido
+ * @function createOrderTemplate
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.body - Datos de la plantilla
+ * @param {string} req.body.name - Nombre de la plantilla (único)
+ * @param {number} [req.body.supplierId] - Proveedor del pedido
+ * @param {string} [req.body.notes] - Observaciones
+ * @param {number|null} [req.body.recurrenceWeekday] - Día de la semana (0-6) para generar el
+ * pedido en borrador automáticamente
+ * @param {Array} req.body.items - Líneas { inventoryItemId, quantity }
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Plantilla creada
+ */
+// POST /api/order-templates - Crear plantilla
+router.post("/", async (req, res) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ error: "El nombre de la plantilla es obligatorio" });
+    }
+
+    const { data, items, error } = parseTemplateData({ items: [], ...req.body });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const template = await prisma.orderTemplate.create({
+      data: {
+        ...data,
+        createdById: req.user.userId,
+        createdByName: req.user.name,
+        items: {
+          create: items
+        }
+      },
+      include: templateInclude
+    });
+
+    res.status(201).json(withSuggestedQuantities(template));
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: "Ya existe una plantilla con ese nombre" });
+    }
+    if (error.code === 'P2003') {
+      return res.status(400).json({ error: "Proveedor o producto no encontrado" });
+    }
+    console.error("Error creando plantilla de pedido:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Actualiza una plantilla de pedido
+ * @function updateOrderTemplate
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {string} req.params.id - ID de la plantilla
+ * @param {Object} req.body - Campos a actualizar (mismos que en la creación)
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Plantilla actualizada
+ * @description Solo se actualizan los campos enviados. Si se envían items, sustituyen a todas
+ * las líneas anteriores
+ */
+// PUT /api/order-templates/:id - Actualizar plantilla
+router.put("/:id", async (req, res) => {
+  try {
+    const templateId = parseInt(req.params.id);
+    const { data, items, error } = parseTemplateData(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const template = await prisma.$transaction(async (tx) => {
+      if (items) {
+        await tx.orderTemplateItem.deleteMany({ where: { templateId } });
+      }
+
+      return tx.orderTemplate.update({
+        where: { id: templateId },
+        data: {
+          ...data,
+          ...(items ? { items: { create: items } } : {})
+        },
+        include: templateInclude
+      });
+    });
+
+    res.json(withSuggestedQuantities(template));
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: "Plantilla no encontrada" });
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: "Ya existe una plantilla con ese nombre" });
+    }
+    if (error.code === 'P2003') {
+      return res.status(400).json({ error: "Proveedor o producto no encontrado" });
+    }
+    console.error("Error actualizando plantilla de pedido:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Elimina una plantilla de pedido
+ * @function deleteOrderTemplate
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {string} req.params.id - ID de la plantilla
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Confirmación de eliminación
+ * @description Los pedidos ya generados desde la plantilla no se modifican
+ */
+// DELETE /api/order-templates/:id - Eliminar plantilla
+router.delete("/:id", async (req, res) => {
+  try {
+    await prisma.orderTemplate.delete({
+      where: { id: parseInt(req.params.id) }
+    });
+
+    res.json({ message: "Plantilla eliminada correctamente" });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: "Plantilla no encontrada" });
+    }
+    console.error("Error eliminando plantilla de pedido:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Genera ahora un pedido en borrador a partir de una plantilla
+ * @function generateOrderFromTemplate
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {string} req.params.id - ID de la plantilla
+ * @param {Object} req.body - Opciones
+ * @param {boolean} [req.body.recompute=true] - Recalcular las cantidades con el stock y el
+ * stock mínimo actuales (como en los pedidos recurrentes) en lugar de usar las de la plantilla
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Pedido en borrador creado
+ */
+// POST /api/order-templates/:id/orders - Generar pedido desde plantilla
+router.post("/:id/orders", async (req, res) => {
+  try {
+    const recompute = req.body.recompute !== false;
+
+    const template = await prisma.orderTemplate.findUnique({
+      where: { id: parseInt(req.params.id) },
+      include: templateInclude
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: "Plantilla no encontrada" });
+    }
+
+    const order = await prisma.$transaction(async (tx) =>
+      createOrderFromTemplate(tx, template, { userId: req.user.userId, recompute })
+    );
+
+    if (!order) {
+      return res.status(400).json({ error: "Con el stock actual no hace falta pedir ningún producto de la plantilla" });
+    }
+
+    res.status(201).json(order);
+  } catch (error) {
+    console.error("Error generando pedido desde plantilla:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+export default router;
@@ -1,6 +1,9 @@
 import express from "express";
 import { PrismaClient } from "@prisma/client";
 import authMiddleware from "../middlewares/authMiddleware.js";
+import { recordStockChange } from "../utils/stockMovements.js";
+import { generateOrderNumber } from "../utils/orderNumbers.js";
+import { AppError } from "../utils/errors.js";
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -9,35 +12,247 @@ const prisma = new PrismaClient();
 router.use(authMiddleware);
 
 /**
- * Genera un número de pedido único y consecutivo
- * @function generateOrderNumber
+ * Transiciones de estado permitidas para un pedido
+ * @type {Object<string, string[]>}
+ * @description Un pedido nace en borrador ("draft", líneas editables), se envía al proveedor
+ * ("sent") y pasa a "partial" o "completed" según se recepciona. Solo se pueden cancelar los
+ * pedidos que aún no han recibido nada; un pedido parcial se puede cerrar con faltas
+ * ("closed_short"), que es un estado final. Revertir recepciones puede devolver un pedido
+ * completado o parcial a un estado anterior
+ */
+const ORDER_STATUS_TRANSITIONS = {
+  draft: ['sent', 'cancelled'],
+  sent: ['partial', 'completed', 'cancelled'],
+  partial: ['sent', 'completed', 'closed_short'],
+  completed: ['sent', 'partial'],
+  closed_short: [],
+  cancelled: []
+};
+
+/**
+ * Estados de pedido en los que se puede recepcionar mercancía
+ * @type {string[]}
+ * @description Los pedidos completados admiten recepciones de exceso de entrega y sustituciones
+ */
+const RECEIVABLE_ORDER_STATUSES = ['sent', 'partial', 'completed'];
+
+/**
+ * Estados de pedido en los que se pueden añadir, quitar o cambiar líneas
+ * @type {string[]}
+ * @description Un pedido enviado no tiene aún recepciones (la primera lo pasa a "partial")
+ */
+const EDITABLE_ORDER_STATUSES = ['draft', 'sent'];
+
+/**
+ * Obtiene los estados desde los que un pedido puede pasar al estado indicado
+ * @function getStatusesAllowing
+ * @param {string} nextStatus - Estado de destino
+ * @returns {string[]} Estados de origen válidos según ORDER_STATUS_TRANSITIONS
+ */
+const getStatusesAllowing = (nextStatus) =>
+  Object.keys(ORDER_STATUS_TRANSITIONS).filter(status => ORDER_STATUS_TRANSITIONS[status].includes(nextStatus));
+
+/**
+ * Calcula los datos de envío de un pedido
+ * @function getSentData
+ * @param {Object|null} supplier - Proveedor del pedido (con leadTimeDays)
+ * @param {Date} [sentAt=new Date()] - Fecha de envío
+ * @returns {{status: string, sentAt: Date, expectedDeliveryAt: Date|null}} Datos para actualizar
+ * el pedido. Sin proveedor o sin plazo de entrega configurado no hay fecha prevista
+ */
+const getSentData = (supplier, sentAt = new Date()) => {
+  const leadTimeDays = supplier?.leadTimeDays || 0;
+  const expectedDeliveryAt = leadTimeDays > 0
+    ? new Date(sentAt.getTime() + leadTimeDays * 24 * 60 * 60 * 1000)
+    : null;
+
+  return { status: 'sent', sentAt, expectedDeliveryAt };
+};
+
+/**
+ * Include común para devolver un pedido con usuario, proveedor e items
+ * @type {Object}
+ */
+const orderDetailInclude = {
+  user: {
+    select: {
+      id: true,
+      name: true
+    }
+  },
+  supplier: {
+    select: {
+      id: true,
+      name: true
+    }
+  },
+  items: {
+    include: {
+      inventoryItem: true
+    }
+  },
+  changes: {
+    orderBy: {
+      createdAt: 'desc'
+    }
+  }
+};
+
+/**
+ * Agrupa los items de un pedido por proveedor, o por marca si el producto no tiene proveedor
+ * @function groupItemsBySupplier
+ * @param {Array} validatedItems - Items validados (inventoryItemId, quantityOrdered, priceAtTime)
+ * @param {Map<number, Object>} inventoryItemsById - Productos de los items con su proveedor incluido
+ * @returns {Array} Grupos con type ("supplier" o "brand"), supplier, brand, items y totales
+ */
+const groupItemsBySupplier = (validatedItems, inventoryItemsById) => {
+  const groups = new Map();
+
+  for (const item of validatedItems) {
+    const { supplier, marca } = inventoryItemsById.get(item.inventoryItemId);
+    const key = supplier ? `supplier-${supplier.id}` : `brand-${marca}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        type: supplier ? 'supplier' : 'brand',
+        supplier: supplier || null,
+        brand: supplier ? null : marca,
+        items: [],
+        totalItems: 0,
+        totalPrice: 0
+      });
+    }
+
+    const group = groups.get(key);
+    group.items.push(item);
+    group.totalItems += item.quantityOrdered;
+    group.totalPrice += item.priceAtTime * item.quantityOrdered;
+  }
+
+  return [...groups.values()];
+};
+
+/**
+ * Calcula el estado de un item de pedido según la cantidad recibida
+ * @function getOrderItemStatus
+ * @param {Object} orderItem - Item con quantityOrdered y quantityReceived
+ * @returns {string} "pending" si no se ha recibido nada (también en sustituciones revertidas,
+ * que no tienen cantidad pedida), "completed" si se ha recibido al menos lo pedido (también con
+ * exceso de entrega o en sustituciones) y "partial" si se ha recibido una parte
+ */
+const getOrderItemStatus = ({ quantityOrdered, quantityReceived }) => {
+  if (quantityReceived <= 0) return "pending";
+  if (quantityReceived >= quantityOrdered) return "completed";
+  return "partial";
+};
+
+/**
+ * Recalcula el estado de un pedido a partir del estado de sus items
+ * @function recalculateOrderStatus
  * @async
- * @returns {Promise<string>} Número de pedido en formato ORD-YYYY-XXX
- * @description Crea un número de pedido único basado en el año actual y un contador
+ * @param {Object} tx - Cliente de Prisma de la transacción en curso
+ * @param {number} orderId - ID del pedido
+ * @returns {Promise<Object>} Pedido actualizado
+ * @description El pedido queda "completed" si todos sus items están completos, "partial" si
+ * alguno se ha recibido total o parcialmente y "sent" en otro caso. Las sustituciones cuya
+ * recepción se ha revertido por completo no cuentan, porque no se espera nada de ellas
  */
-const generateOrderNumber = async () => {
-  const currentYear = new Date().getFullYear();
-  const yearPrefix = `ORD-${currentYear}-`;
-  
-  // Buscar el último pedido del año actual
-  const lastOrder = await prisma.order.findFirst({
+const recalculateOrderStatus = async (tx, orderId) => {
+  const allOrderItems = await tx.orderItem.findMany({
     where: {
-      orderNumber: {
-        startsWith: yearPrefix
+      orderId,
+      NOT: { isSubstitution: true, quantityReceived: 0 }
+    }
+  });
+
+  let orderStatus = "sent";
+  const completedItems = allOrderItems.filter(item => item.status === "completed").length;
+  const partialItems = allOrderItems.filter(item => item.status === "partial").length;
+
+  if (completedItems === allOrderItems.length) {
+    orderStatus = "completed";
+  } else if (completedItems > 0 || partialItems > 0) {
+    orderStatus = "partial";
+  }
+
+  return tx.order.update({
+    where: { id: orderId },
+    data: {
+      status: orderStatus,
+      completedAt: orderStatus === "completed" ? new Date() : null
+    }
+  });
+};
+
+/**
+ * Obtiene un pedido editable dentro de una transacción
+ * @function getEditableOrder
+ * @async
+ * @param {Object} tx - Cliente de Prisma de la transacción en curso
+ * @param {number} orderId - ID del pedido
+ * @returns {Promise<Object>} Pedido con sus items y productos
+ * @throws {AppError} 404 si no existe o 400 si su estado no permite editar las líneas
+ */
+const getEditableOrder = async (tx, orderId) => {
+  const order = await tx.order.findUnique({
+    where: { id: orderId },
+    include: {
+      items: {
+        include: { inventoryItem: true }
       }
-    },
-    orderBy: {
-      orderNumber: 'desc'
     }
   });
-  
-  let nextNumber = 1;
-  if (lastOrder) {
-    const lastNumber = parseInt(lastOrder.orderNumber.split('-')[2]);
-    nextNumber = lastNumber + 1;
+
+  if (!order) {
+    throw new AppError("Pedido no encontrado", 404);
   }
-  
-  return `${yearPrefix}${nextNumber.toString().padStart(3, '0')}`;
+
+  if (!EDITABLE_ORDER_STATUSES.includes(order.status)) {
+    throw new AppError("Solo se pueden modificar las líneas de pedidos en borrador o enviados sin recepciones", 400);
+  }
+
+  return order;
+};
+
+/**
+ * Recalcula los totales de un pedido y registra el cambio de línea en su historial
+ * @function saveOrderLineChange
+ * @async
+ * @param {Object} tx - Cliente de Prisma de la transacción en curso
+ * @param {number} orderId - ID del pedido
+ * @param {Object} change - Cambio realizado
+ * @param {string} change.action - "add", "update" o "remove"
+ * @param {Object} change.inventoryItem - Producto de la línea
+ * @param {number|null} change.previousQuantity - Cantidad antes del cambio
+ * @param {number|null} change.newQuantity - Cantidad después del cambio
+ * @param {Object} user - Usuario autenticado (req.user)
+ * @returns {Promise<Object>} Pedido actualizado con usuario, proveedor, items e historial
+ * @description Los totales se calculan con el precio guardado en cada línea (priceAtTime)
+ */
+const saveOrderLineChange = async (tx, orderId, { action, inventoryItem, previousQuantity, newQuantity }, user) => {
+  const orderItems = await tx.orderItem.findMany({ where: { orderId } });
+
+  await tx.orderChange.create({
+    data: {
+      orderId,
+      action,
+      inventoryItemId: inventoryItem.id,
+      itemName: `${inventoryItem.marca} - ${inventoryItem.nombre}`,
+      previousQuantity,
+      newQuantity,
+      userId: user?.userId ?? null,
+      userName: user?.name ?? null
+    }
+  });
+
+  return tx.order.update({
+    where: { id: orderId },
+    data: {
+      totalItems: orderItems.reduce((sum, item) => sum + item.quantityOrdered, 0),
+      totalPrice: orderItems.reduce((sum, item) => sum + item.quantityOrdered * item.priceAtTime, 0)
+    },
+    include: orderDetailInclude
+  });
 };
 
 /**
@@ -60,13 +275,21 @@ router.get("/", async (req, res) => {
             name: true
           }
         },
+        supplier: {
+          select: {
+            id: true,
+            name: true
+          }
+        },
         items: {
           include: {
             inventoryItem: {
               select: {
                 nombre: true,
                 marca: true,
-                peso: true
+                peso: true,
+                packSize: true,
+                supplierSku: true
               }
             }
           }
@@ -92,7 +315,7 @@ router.get("/", async (req, res) => {
  * @param {Object} req.params - Parámetros de la URL
  * @param {string} req.params.id - ID del pedido a obtener
  * @param {Object} res - Objeto response de Express
- * @returns {Promise<Object>} Pedido completo con items y datos relacionados
+ * @returns {Promise<Object>} Pedido completo con items, historial de cambios y datos relacionados
  * @description Obtiene un pedido específico con toda su información detallada
  */
 // GET /api/orders/:id - Obtener un pedido específico
@@ -102,19 +325,7 @@ router.get("/:id", async (req, res) => {
     
     const order = await prisma.order.findUnique({
       where: { id: parseInt(id) },
-      include: {
-        user: {
-          select: {
-            id: true,
-            name: true
-          }
-        },
-        items: {
-          include: {
-            inventoryItem: true
-          }
-        }
-      }
+      include: orderDetailInclude
     });
     
     if (!order) {
@@ -134,40 +345,47 @@ router.get("/:id", async (req, res) => {
  * @async
  * @param {Object} req - Objeto request de Express
  * @param {Object} req.body - Datos del pedido
- * @param {string} req.body.type - Tipo de pedido ("general" o "brand")
+ * @param {string} req.body.type - Tipo de pedido ("general", "brand" o "supplier"); no se usa en modo split
  * @param {string} [req.body.brand] - Marca específica si type es "brand"
+ * @param {number} [req.body.supplierId] - Proveedor del pedido
  * @param {Array} req.body.items - Array de items del pedido
  * @param {string} [req.body.notes] - Notas adicionales del pedido
+ * @param {boolean} [req.body.split] - Crear un pedido por proveedor (o por marca sin proveedor)
+ * @param {boolean} [req.body.dryRun] - En modo split, solo devolver los grupos sin crear pedidos
+ * @param {boolean} [req.body.send] - Crear los pedidos directamente como enviados al proveedor
  * @param {Object} req.user - Usuario autenticado del middleware
  * @param {Object} res - Objeto response de Express
- * @returns {Promise<Object>} Pedido creado con número de pedido asignado
- * @description Crea un pedido completo con todos sus items y calcula totales
+ * @returns {Promise<Object>} Pedido creado con número de pedido asignado, o en modo split
+ * { orders } con los pedidos creados ({ groups } con dryRun)
+ * @description Crea un pedido completo con todos sus items y calcula totales. Si no se indica
+ * proveedor y todos los productos comparten el mismo proveedor por defecto, se asigna ese.
+ * Los pedidos se crean en borrador salvo que se indique send. En modo split todos los pedidos
+ * se crean en una única transacción
  */
 // POST /api/orders - Crear nuevo pedido
 router.post("/", async (req, res) => {
   try {
-    const { type, brand, items, notes } = req.body;
+    const { type, brand, supplierId, items, notes, split, dryRun, send } = req.body;
     const userId = req.user.userId;
 
     // Validaciones básicas
-    if (!type || !items || !Array.isArray(items) || items.length === 0) {
+    if ((!type && !split) || !items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ 
         error: "Tipo de pedido e items son obligatorios" 
       });
     }
 
-    // Generar número de pedido único
-    const orderNumber = await generateOrderNumber();
-
     // Calcular totales
     let totalItems = 0;
     let totalPrice = 0;
 
     // Validar que todos los items existen y calcular totales
     const validatedItems = [];
+    const inventoryItemsById = new Map();
     for (const item of items) {
       const inventoryItem = await prisma.inventoryItem.findUnique({
-        where: { id: item.inventoryItemId }
+        where: { id: item.inventoryItemId },
+        include: { supplier: true }
       });
 
       if (!inventoryItem) {
@@ -176,6 +394,12 @@ router.post("/", async (req, res) => {
         });
       }
 
+      if (inventoryItem.archivedAt) {
+        return res.status(400).json({
+          error: `El producto ${inventoryItem.marca} - ${inventoryItem.nombre} está archivado`
+        });
+      }
+
       const quantity = parseInt(item.quantityOrdered);
       if (quantity <= 0) {
         continue; // Saltar items con cantidad 0
@@ -189,6 +413,7 @@ router.post("/", async (req, res) => {
         quantityOrdered: quantity,
         priceAtTime: inventoryItem.precio
       });
+      inventoryItemsById.set(inventoryItem.id, inventoryItem);
     }
 
     if (validatedItems.length === 0) {
@@ -197,38 +422,342 @@ router.post("/", async (req, res) => {
       });
     }
 
-    // Crear el pedido con sus items
-    const newOrder = await prisma.order.create({
+    // Modo split: un pedido por proveedor (o por marca si el producto no tiene proveedor)
+    if (split) {
+      const groups = groupItemsBySupplier(validatedItems, inventoryItemsById);
+
+      if (dryRun) {
+        return res.json({
+          groups: groups.map(group => ({
+            ...group,
+            belowMinOrderValue: !!group.supplier && group.totalPrice < group.supplier.minOrderValue,
+            items: group.items.map(item => {
+              const { marca, nombre, peso } = inventoryItemsById.get(item.inventoryItemId);
+              return { ...item, inventoryItem: { marca, nombre, peso } };
+            })
+          }))
+        });
+      }
+
+      const orders = await prisma.$transaction(async (tx) => {
+        const createdOrders = [];
+        for (const group of groups) {
+          createdOrders.push(await tx.order.create({
+            data: {
+              orderNumber: await generateOrderNumber(tx, { prefix: group.supplier?.orderPrefix }),
+              type: group.type,
+              brand: group.brand,
+              supplierId: group.supplier?.id ?? null,
+              totalItems: group.totalItems,
+              totalPrice: group.totalPrice,
+              notes: notes || null,
+              userId,
+              ...(send ? getSentData(group.supplier) : {}),
+              items: {
+                create: group.items
+              }
+            },
+            include: orderDetailInclude
+          }));
+        }
+        return createdOrders;
+      });
+
+      return res.status(201).json({ orders });
+    }
+
+    // Proveedor del pedido: el indicado o el común a todos los productos
+    let orderSupplier = null;
+    if (supplierId) {
+      orderSupplier = await prisma.supplier.findUnique({ where: { id: parseInt(supplierId) } });
+      if (!orderSupplier) {
+        return res.status(400).json({ error: "Proveedor no encontrado" });
+      }
+    } else {
+      const itemSupplierIds = new Set([...inventoryItemsById.values()].map(item => item.supplierId));
+      if (itemSupplierIds.size === 1) {
+        orderSupplier = [...inventoryItemsById.values()][0].supplier;
+      }
+    }
+
+    // Reservar el número de pedido y crear el pedido con sus items en la misma transacción
+    const newOrder = await prisma.$transaction(async (tx) => tx.order.create({
       data: {
-        orderNumber,
+        orderNumber: await generateOrderNumber(tx, { prefix: orderSupplier?.orderPrefix }),
         type,
         brand: brand || null,
+        supplierId: orderSupplier?.id ?? null,
         totalItems,
         totalPrice,
         notes: notes || null,
         userId,
+        ...(send ? getSentData(orderSupplier) : {}),
         items: {
           create: validatedItems
         }
       },
-      include: {
-        user: {
-          select: {
-            id: true,
-            name: true
-          }
-        },
-        items: {
-          include: {
-            inventoryItem: true
-          }
+      include: orderDetailInclude
+    }));
+
+    res.status(201).json(newOrder);
+  } catch (error) {
+    console.error("Error creando pedido:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Añade una línea a un pedido en borrador o enviado
+ * @function addOrderLine
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {string} req.params.id - ID del pedido
+ * @param {Object} req.body - Datos de la línea
+ * @param {number} req.body.inventoryItemId - Producto a añadir
+ * @param {number} req.body.quantityOrdered - Cantidad a pedir
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Pedido actualizado con sus totales e historial de cambios
+ * @description La línea se añade con el precio actual del producto. Si el producto ya está en
+ * el pedido hay que cambiar la cantidad de su línea
+ */
+// POST /api/orders/:id/items - Añadir línea al pedido
+router.post("/:id/items", async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const inventoryItemId = parseInt(req.body.inventoryItemId);
+    const quantityOrdered = parseInt(req.body.quantityOrdered);
+
+    if (!inventoryItemId) {
+      return res.status(400).json({ error: "Selecciona el producto a añadir" });
+    }
+
+    if (!quantityOrdered || quantityOrdered <= 0) {
+      return res.status(400).json({ error: "La cantidad debe ser mayor a 0" });
+    }
+
+    const updatedOrder = await prisma.$transaction(async (tx) => {
+      const order = await getEditableOrder(tx, orderId);
+
+      if (order.items.some(item => item.inventoryItemId === inventoryItemId)) {
+        throw new AppError("El producto ya está en el pedido. Cambia la cantidad de su línea", 400);
+      }
+
+      const inventoryItem = await tx.inventoryItem.findUnique({
+        where: { id: inventoryItemId }
+      });
+
+      if (!inventoryItem) {
+        throw new AppError("Producto no encontrado", 404);
+      }
+
+      if (inventoryItem.archivedAt) {
+        throw new AppError("El producto está archivado", 400);
+      }
+
+      await tx.orderItem.create({
+        data: {
+          orderId,
+          inventoryItemId,
+          quantityOrdered,
+          priceAtTime: inventoryItem.precio
         }
+      });
+
+      return saveOrderLineChange(tx, orderId, {
+        action: 'add',
+        inventoryItem,
+        previousQuantity: null,
+        newQuantity: quantityOrdered
+      }, req.user);
+    });
+
+    res.status(201).json(updatedOrder);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: "El producto ya está en el pedido" });
+    }
+    console.error("Error añadiendo línea al pedido:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Cambia la cantidad pedida de una línea de un pedido en borrador o enviado
+ * @function updateOrderLine
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {string} req.params.id - ID del pedido
+ * @param {string} req.params.itemId - ID del item del pedido
+ * @param {Object} req.body - Datos de la línea
+ * @param {number} req.body.quantityOrdered - Nueva cantidad pedida
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Pedido actualizado con sus totales e historial de cambios
+ */
+// PUT /api/orders/:id/items/:itemId - Cambiar cantidad de una línea
+router.put("/:id/items/:itemId", async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const orderItemId = parseInt(req.params.itemId);
+    const quantityOrdered = parseInt(req.body.quantityOrdered);
+
+    if (!quantityOrdered || quantityOrdered <= 0) {
+      return res.status(400).json({ error: "La cantidad debe ser mayor a 0. Para quitar el producto elimina la línea" });
+    }
+
+    const updatedOrder = await prisma.$transaction(async (tx) => {
+      const order = await getEditableOrder(tx, orderId);
+      const orderItem = order.items.find(item => item.id === orderItemId);
+
+      if (!orderItem) {
+        throw new AppError("Item del pedido no encontrado", 404);
       }
+
+      if (orderItem.quantityOrdered === quantityOrdered) {
+        return tx.order.findUnique({
+          where: { id: orderId },
+          include: orderDetailInclude
+        });
+      }
+
+      await tx.orderItem.update({
+        where: { id: orderItemId },
+        data: { quantityOrdered }
+      });
+
+      return saveOrderLineChange(tx, orderId, {
+        action: 'update',
+        inventoryItem: orderItem.inventoryItem,
+        previousQuantity: orderItem.quantityOrdered,
+        newQuantity: quantityOrdered
+      }, req.user);
     });
 
-    res.status(201).json(newOrder);
+    res.json(updatedOrder);
   } catch (error) {
-    console.error("Error creando pedido:", error);
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error("Error modificando línea del pedido:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Elimina una línea de un pedido en borrador o enviado
+ * @function removeOrderLine
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {string} req.params.id - ID del pedido
+ * @param {string} req.params.itemId - ID del item del pedido
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Pedido actualizado con sus totales e historial de cambios
+ * @description No se puede eliminar la única línea del pedido; en ese caso hay que cancelarlo
+ */
+// DELETE /api/orders/:id/items/:itemId - Eliminar línea del pedido
+router.delete("/:id/items/:itemId", async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const orderItemId = parseInt(req.params.itemId);
+
+    const updatedOrder = await prisma.$transaction(async (tx) => {
+      const order = await getEditableOrder(tx, orderId);
+      const orderItem = order.items.find(item => item.id === orderItemId);
+
+      if (!orderItem) {
+        throw new AppError("Item del pedido no encontrado", 404);
+      }
+
+      if (order.items.length === 1) {
+        throw new AppError("El pedido debe tener al menos una línea. Para anularlo, cancélalo", 400);
+      }
+
+      await tx.orderItem.delete({
+        where: { id: orderItemId }
+      });
+
+      return saveOrderLineChange(tx, orderId, {
+        action: 'remove',
+        inventoryItem: orderItem.inventoryItem,
+        previousQuantity: orderItem.quantityOrdered,
+        newQuantity: null
+      }, req.user);
+    });
+
+    res.json(updatedOrder);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error("Error eliminando línea del pedido:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Marca un pedido en borrador como enviado al proveedor
+ * @function sendOrder
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {string} req.params.id - ID del pedido
+ * @param {Object} req.body - Datos del envío
+ * @param {string} [req.body.expectedDeliveryAt] - Fecha de entrega prevista (por defecto envío + plazo del proveedor)
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Pedido actualizado con sentAt y expectedDeliveryAt
+ * @description A partir del envío las líneas del pedido dejan de ser editables y se puede
+ * recepcionar la mercancía
+ */
+// PUT /api/orders/:id/send - Marcar pedido como enviado
+router.put("/:id/send", async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const { expectedDeliveryAt } = req.body;
+
+    if (expectedDeliveryAt && isNaN(new Date(expectedDeliveryAt).getTime())) {
+      return res.status(400).json({ error: "Fecha de entrega prevista no válida" });
+    }
+
+    const updatedOrder = await prisma.$transaction(async (tx) => {
+      const order = await tx.order.findUnique({
+        where: { id: orderId },
+        include: { supplier: true }
+      });
+
+      if (!order) {
+        throw new AppError("Pedido no encontrado", 404);
+      }
+
+      const sentData = getSentData(order.supplier);
+      if (expectedDeliveryAt) {
+        sentData.expectedDeliveryAt = new Date(expectedDeliveryAt);
+      }
+
+      const { count } = await tx.order.updateMany({
+        where: {
+          id: orderId,
+          status: 'draft'
+        },
+        data: sentData
+      });
+
+      if (count === 0) {
+        throw new AppError("Solo se pueden enviar pedidos en borrador", 400);
+      }
+
+      return tx.order.findUnique({
+        where: { id: orderId },
+        include: orderDetailInclude
+      });
+    });
+
+    res.json(updatedOrder);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error("Error enviando pedido:", error);
     res.status(500).json({ error: "Error interno del servidor" });
   }
 });
@@ -244,55 +773,78 @@ router.post("/", async (req, res) => {
  * @param {string} [req.body.notes] - Notas adicionales sobre la recepción
  * @param {Object} res - Objeto response de Express
  * @returns {Promise<Object>} Pedido actualizado y cambios en el stock
- * @description Marca el pedido como completado y suma las cantidades al stock actual
+ * @description Marca el pedido como completado y suma las cantidades pendientes al stock,
+ * registrando un movimiento "order-receipt" por cada item recibido. Todo se hace en una única
+ * transacción con incrementos atómicos: si algo falla no se recibe ningún item
  */
 // PUT /api/orders/:id/confirm - Confirmar recepción de pedido
 router.put("/:id/confirm", async (req, res) => {
   try {
-    const { id } = req.params;
+    const orderId = parseInt(req.params.id);
     const { notes } = req.body;
 
-    // Verificar que el pedido existe y está pendiente
-    const order = await prisma.order.findUnique({
-      where: { id: parseInt(id) },
-      include: {
-        items: {
-          include: {
-            inventoryItem: true
-          }
+    const result = await prisma.$transaction(async (tx) => {
+      const order = await tx.order.findUnique({
+        where: { id: orderId }
+      });
+
+      if (!order) {
+        throw new AppError("Pedido no encontrado", 404);
+      }
+
+      // Reclamar el pedido de forma atómica: si otra petición lo ha confirmado o cancelado
+      // entre medias, no se actualiza ninguna fila
+      const { count } = await tx.order.updateMany({
+        where: {
+          id: orderId,
+          status: { in: getStatusesAllowing('completed') }
+        },
+        data: {
+          status: 'completed',
+          completedAt: new Date(),
+          notes: notes ? `${order.notes || ''}\nRecepción: ${notes}`.trim() : order.notes
         }
+      });
+
+      if (count === 0) {
+        throw new AppError("Solo se pueden confirmar pedidos enviados o parciales", 400);
       }
-    });
 
-    if (!order) {
-      return res.status(404).json({ error: "Pedido no encontrado" });
-    }
+      const orderItems = await tx.orderItem.findMany({
+        where: { orderId },
+        include: { inventoryItem: true }
+      });
 
-    if (order.status !== 'pending' && order.status !== 'partial') {
-      return res.status(400).json({ 
-        error: "Solo se pueden confirmar pedidos pendientes o parciales" 
-      });
-    }
-
-    // Actualizar stock de todos los items del pedido (solo la cantidad pendiente)
-    const stockUpdates = [];
-    for (const orderItem of order.items) {
-      // Calcular la cantidad pendiente por recepcionar
-      const quantityPending = orderItem.quantityOrdered - (orderItem.quantityReceived || 0);
-      
-      if (quantityPending > 0) {
-        const newStock = orderItem.inventoryItem.stock + quantityPending;
-        
-        await prisma.inventoryItem.update({
-          where: { id: orderItem.inventoryItemId },
-          data: { stock: newStock }
+      // Sumar al stock solo la cantidad pendiente de cada item
+      const stockUpdates = [];
+      for (const orderItem of orderItems) {
+        const quantityPending = orderItem.quantityOrdered - (orderItem.quantityReceived || 0);
+
+        if (quantityPending <= 0) {
+          // El item ya estaba completamente recibido
+          stockUpdates.push({
+            itemId: orderItem.inventoryItemId,
+            itemName: orderItem.inventoryItem.nombre,
+            previousStock: orderItem.inventoryItem.stock,
+            addedQuantity: 0,
+            newStock: orderItem.inventoryItem.stock
+          });
+          continue;
+        }
+
+        const { item } = await recordStockChange(tx, {
+          inventoryItemId: orderItem.inventoryItemId,
+          delta: quantityPending,
+          reason: 'order-receipt',
+          user: req.user,
+          orderItemId: orderItem.id,
+          notes: `Pedido ${order.orderNumber}`
         });
 
-        // Actualizar el item como completamente recibido
-        await prisma.orderItem.update({
+        await tx.orderItem.update({
           where: { id: orderItem.id },
           data: {
-            quantityReceived: orderItem.quantityOrdered,
+            quantityReceived: { increment: quantityPending },
             status: 'completed',
             receivedAt: new Date()
           }
@@ -301,50 +853,25 @@ router.put("/:id/confirm", async (req, res) => {
         stockUpdates.push({
           itemId: orderItem.inventoryItemId,
           itemName: orderItem.inventoryItem.nombre,
-          previousStock: orderItem.inventoryItem.stock,
+          previousStock: item.stock - quantityPending,
           addedQuantity: quantityPending,
-          newStock: newStock
-        });
-      } else {
-        // El item ya estaba completamente recibido
-        stockUpdates.push({
-          itemId: orderItem.inventoryItemId,
-          itemName: orderItem.inventoryItem.nombre,
-          previousStock: orderItem.inventoryItem.stock,
-          addedQuantity: 0,
-          newStock: orderItem.inventoryItem.stock
+          newStock: item.stock
         });
       }
-    }
 
-    // Marcar pedido como completado
-    const updatedOrder = await prisma.order.update({
-      where: { id: parseInt(id) },
-      data: {
-        status: 'completed',
-        completedAt: new Date(),
-        notes: notes ? `${order.notes || ''}\nRecepción: ${notes}`.trim() : order.notes
-      },
-      include: {
-        user: {
-          select: {
-            id: true,
-            name: true
-          }
-        },
-        items: {
-          include: {
-            inventoryItem: true
-          }
-        }
-      }
-    });
+      const updatedOrder = await tx.order.findUnique({
+        where: { id: orderId },
+        include: orderDetailInclude
+      });
 
-    res.json({
-      order: updatedOrder,
-      stockUpdates
+      return { order: updatedOrder, stockUpdates };
     });
+
+    res.json(result);
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error("Error confirmando pedido:", error);
     res.status(500).json({ error: "Error interno del servidor" });
   }
@@ -359,122 +886,470 @@ router.put("/:id/confirm", async (req, res) => {
  * @param {string} req.params.itemId - ID del item del pedido
  * @param {Object} req.body - Datos de recepción
  * @param {number} req.body.quantityReceived - Cantidad recibida
+ * @param {boolean} [req.body.overDelivery] - Permite recibir más de lo pedido (exceso de entrega)
  * @param {string} [req.body.notes] - Notas del item
  * @param {Object} res - Objeto response de Express
  * @returns {Promise<Object>} Item actualizado y información del pedido
  * @description Recepciona una cantidad específica de un item, actualiza el stock
- * y recalcula el estado del pedido completo
+ * (registrando el movimiento "order-receipt") y recalcula el estado del pedido completo,
+ * todo en una única transacción. La cantidad recibida se incrementa de forma atómica para
+ * que dos recepciones simultáneas del mismo item no pierdan unidades ni superen lo pedido,
+ * salvo que se marque overDelivery, en cuyo caso el exceso queda anotado en el item
  */
 // PUT /api/orders/:id/items/:itemId/receive - Recepcionar item específico
 router.put("/:id/items/:itemId/receive", async (req, res) => {
   try {
-    const { id, itemId } = req.params;
-    const { quantityReceived, notes } = req.body;
+    const orderId = parseInt(req.params.id);
+    const orderItemId = parseInt(req.params.itemId);
+    const { notes, overDelivery } = req.body;
+    const quantityReceived = parseInt(req.body.quantityReceived);
 
     if (!quantityReceived || quantityReceived <= 0) {
       return res.status(400).json({ error: "La cantidad recibida debe ser mayor a 0" });
     }
 
-    // Obtener el item del pedido
-    const orderItem = await prisma.orderItem.findFirst({
-      where: {
-        orderId: parseInt(id),
-        id: parseInt(itemId)
-      },
-      include: {
-        inventoryItem: true,
-        order: true
+    const result = await prisma.$transaction(async (tx) => {
+      const orderItem = await tx.orderItem.findFirst({
+        where: {
+          orderId,
+          id: orderItemId
+        },
+        include: {
+          inventoryItem: true,
+          order: true
+        }
+      });
+
+      if (!orderItem) {
+        throw new AppError("Item del pedido no encontrado", 404);
+      }
+
+      if (!RECEIVABLE_ORDER_STATUSES.includes(orderItem.order.status)) {
+        throw new AppError("Solo se puede recepcionar mercancía de pedidos enviados", 400);
+      }
+
+      // Incremento atómico condicionado a no superar la cantidad pedida salvo exceso de entrega
+      const { count } = await tx.orderItem.updateMany({
+        where: {
+          id: orderItemId,
+          ...(overDelivery ? {} : { quantityReceived: { lte: orderItem.quantityOrdered - quantityReceived } })
+        },
+        data: {
+          quantityReceived: { increment: quantityReceived }
+        }
+      });
+
+      if (count === 0) {
+        const current = await tx.orderItem.findUnique({ where: { id: orderItemId } });
+        throw new AppError(
+          `No se puede recepcionar más de lo pedido sin marcar exceso de entrega. Cantidad pedida: ${current.quantityOrdered}, ya recibido: ${current.quantityReceived}`,
+          400
+        );
       }
+
+      const received = await tx.orderItem.findUnique({ where: { id: orderItemId } });
+      const itemStatus = getOrderItemStatus(received);
+
+      // El exceso de esta recepción sobre lo pendiente queda anotado en el item
+      const previouslyPending = Math.max(orderItem.quantityOrdered - orderItem.quantityReceived, 0);
+      const excess = quantityReceived - previouslyPending;
+      const itemNotes = [received.notes, excess > 0 ? `Exceso de entrega: +${excess}` : null, notes]
+        .filter(Boolean)
+        .join('\n');
+
+      const { item } = await recordStockChange(tx, {
+        inventoryItemId: orderItem.inventoryItemId,
+        delta: quantityReceived,
+        reason: 'order-receipt',
+        user: req.user,
+        orderItemId: orderItem.id,
+        notes: `Pedido ${orderItem.order.orderNumber}`
+      });
+
+      const updatedOrderItem = await tx.orderItem.update({
+        where: { id: orderItemId },
+        data: {
+          status: itemStatus,
+          receivedAt: itemStatus === "completed" ? new Date() : received.receivedAt,
+          notes: itemNotes || null
+        },
+        include: {
+          inventoryItem: true
+        }
+      });
+
+      const updatedOrder = await recalculateOrderStatus(tx, orderId);
+
+      return {
+        orderItem: updatedOrderItem,
+        order: updatedOrder,
+        stockUpdate: {
+          itemId: orderItem.inventoryItemId,
+          itemName: orderItem.inventoryItem.nombre,
+          previousStock: item.stock - quantityReceived,
+          addedQuantity: quantityReceived,
+          newStock: item.stock
+        }
+      };
     });
 
-    if (!orderItem) {
-      return res.status(404).json({ error: "Item del pedido no encontrado" });
+    res.json(result);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
     }
+    console.error("Error recepcionando item:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
 
-    if (orderItem.order.status === 'cancelled') {
-      return res.status(400).json({ error: "No se puede recepcionar items de pedidos cancelados" });
+/**
+ * Recepciona un producto que no estaba en el pedido como sustitución
+ * @function receiveSubstitution
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {string} req.params.id - ID del pedido
+ * @param {Object} req.body - Datos de la sustitución
+ * @param {number} req.body.inventoryItemId - Producto recibido
+ * @param {number} req.body.quantityReceived - Cantidad recibida
+ * @param {number} [req.body.substituteForId] - Item del pedido al que sustituye
+ * @param {string} [req.body.notes] - Notas de la sustitución
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Item creado, pedido recalculado y cambio en el stock
+ * @description Añade al pedido un item marcado como sustitución (sin cantidad pedida y con el
+ * precio actual del producto), suma la cantidad al stock con un movimiento "order-receipt" y
+ * recalcula el estado del pedido, todo en una única transacción. Si el producto ya está en el
+ * pedido debe recepcionarse sobre su propio item (con exceso de entrega si hace falta)
+ */
+// POST /api/orders/:id/substitutions - Recepcionar producto sustituto
+router.post("/:id/substitutions", async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const inventoryItemId = parseInt(req.body.inventoryItemId);
+    const quantityReceived = parseInt(req.body.quantityReceived);
+    const substituteForId = req.body.substituteForId ? parseInt(req.body.substituteForId) : null;
+    const { notes } = req.body;
+
+    if (!inventoryItemId) {
+      return res.status(400).json({ error: "Selecciona el producto recibido" });
     }
 
-    // Validar que no se reciba más de lo pedido
-    const newTotalReceived = orderItem.quantityReceived + quantityReceived;
-    if (newTotalReceived > orderItem.quantityOrdered) {
-      return res.status(400).json({ 
-        error: `No se puede recepcionar más de lo pedido. Cantidad pedida: ${orderItem.quantityOrdered}, ya recibido: ${orderItem.quantityReceived}` 
-      });
+    if (!quantityReceived || quantityReceived <= 0) {
+      return res.status(400).json({ error: "La cantidad recibida debe ser mayor a 0" });
     }
 
-    // Actualizar stock del inventario
-    const newStock = orderItem.inventoryItem.stock + quantityReceived;
-    await prisma.inventoryItem.update({
-      where: { id: orderItem.inventoryItemId },
-      data: { stock: newStock }
-    });
+    const result = await prisma.$transaction(async (tx) => {
+      const order = await tx.order.findUnique({
+        where: { id: orderId },
+        include: { items: true }
+      });
 
-    // Determinar el nuevo estado del item
-    let itemStatus = "pending";
-    if (newTotalReceived === orderItem.quantityOrdered) {
-      itemStatus = "completed";
-    } else if (newTotalReceived > 0) {
-      itemStatus = "partial";
-    }
+      if (!order) {
+        throw new AppError("Pedido no encontrado", 404);
+      }
 
-    // Actualizar el item del pedido
-    const updatedOrderItem = await prisma.orderItem.update({
-      where: { id: parseInt(itemId) },
-      data: {
-        quantityReceived: newTotalReceived,
-        status: itemStatus,
-        receivedAt: itemStatus === "completed" ? new Date() : orderItem.receivedAt,
-        notes: notes ? `${orderItem.notes || ''}\n${notes}`.trim() : orderItem.notes
-      },
-      include: {
-        inventoryItem: true
+      if (!RECEIVABLE_ORDER_STATUSES.includes(order.status)) {
+        throw new AppError("Solo se puede recepcionar mercancía de pedidos enviados", 400);
       }
-    });
 
-    // Recalcular el estado del pedido completo
-    const allOrderItems = await prisma.orderItem.findMany({
-      where: { orderId: parseInt(id) }
+      if (order.items.some(item => item.inventoryItemId === inventoryItemId)) {
+        throw new AppError("El producto ya está en el pedido. Recepciónalo en su línea marcando exceso de entrega", 400);
+      }
+
+      const substitutedItem = substituteForId
+        ? order.items.find(item => item.id === substituteForId)
+        : null;
+
+      if (substituteForId && !substitutedItem) {
+        throw new AppError("El item sustituido no pertenece a este pedido", 400);
+      }
+
+      const inventoryItem = await tx.inventoryItem.findUnique({
+        where: { id: inventoryItemId }
+      });
+
+      if (!inventoryItem) {
+        throw new AppError("Producto no encontrado", 404);
+      }
+
+      if (inventoryItem.archivedAt) {
+        throw new AppError("El producto está archivado", 400);
+      }
+
+      const orderItem = await tx.orderItem.create({
+        data: {
+          orderId,
+          inventoryItemId,
+          quantityOrdered: 0,
+          quantityReceived,
+          priceAtTime: inventoryItem.precio,
+          status: 'completed',
+          receivedAt: new Date(),
+          isSubstitution: true,
+          substituteForId,
+          notes: notes || null
+        },
+        include: {
+          inventoryItem: true
+        }
+      });
+
+      const { item } = await recordStockChange(tx, {
+        inventoryItemId,
+        delta: quantityReceived,
+        reason: 'order-receipt',
+        user: req.user,
+        orderItemId: orderItem.id,
+        notes: `Pedido ${order.orderNumber} (sustitución)`
+      });
+
+      const updatedOrder = await recalculateOrderStatus(tx, orderId);
+
+      return {
+        orderItem,
+        order: updatedOrder,
+        stockUpdate: {
+          itemId: inventoryItemId,
+          itemName: inventoryItem.nombre,
+          previousStock: item.stock - quantityReceived,
+          addedQuantity: quantityReceived,
+          newStock: item.stock
+        }
+      };
     });
 
-    let orderStatus = "pending";
-    const completedItems = allOrderItems.filter(item => item.status === "completed").length;
-    const partialItems = allOrderItems.filter(item => item.status === "partial").length;
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: "El producto ya está en el pedido" });
+    }
+    console.error("Error recepcionando sustitución:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Revierte total o parcialmente la recepción de un item de un pedido
+ * @function reverseOrderItemReceipt
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {string} req.params.id - ID del pedido
+ * @param {string} req.params.itemId - ID del item del pedido
+ * @param {Object} req.body - Datos de la reversión
+ * @param {number} req.body.quantity - Unidades recibidas a revertir
+ * @param {string} req.body.reason - Motivo de la reversión
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Item actualizado, pedido recalculado y cambio en el stock
+ * @description Solo administradores. Resta las unidades del stock (movimiento "order-reversal"
+ * con el usuario y el motivo), descuenta la cantidad recibida del item y recalcula el estado
+ * del item y del pedido con las mismas reglas que la recepción. Se rechaza si el stock actual
+ * no permite descontar esas unidades
+ */
+// PUT /api/orders/:id/items/:itemId/reverse - Revertir recepción de item
+router.put("/:id/items/:itemId/reverse", async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Acceso denegado. Se requieren permisos de administrador." });
+    }
+
+    const orderId = parseInt(req.params.id);
+    const orderItemId = parseInt(req.params.itemId);
+    const quantity = parseInt(req.body.quantity);
 
-    if (completedItems === allOrderItems.length) {
-      orderStatus = "completed";
-    } else if (completedItems > 0 || partialItems > 0) {
-      orderStatus = "partial";
+    if (!quantity || quantity <= 0) {
+      return res.status(400).json({ error: "La cantidad a revertir debe ser mayor a 0" });
     }
 
-    // Actualizar el estado del pedido
-    const updatedOrder = await prisma.order.update({
-      where: { id: parseInt(id) },
-      data: {
-        status: orderStatus,
-        completedAt: orderStatus === "completed" ? new Date() : null
+    if (req.body.reason !== undefined && req.body.reason !== null && typeof req.body.reason !== 'string') {
+      return res.status(400).json({ error: "El motivo de la reversión debe ser un texto" });
+    }
+
+    const reason = req.body.reason?.trim();
+    if (!reason) {
+      return res.status(400).json({ error: "Indica el motivo de la reversión" });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const orderItem = await tx.orderItem.findFirst({
+        where: {
+          orderId,
+          id: orderItemId
+        },
+        include: {
+          inventoryItem: true,
+          order: true
+        }
+      });
+
+      if (!orderItem) {
+        throw new AppError("Item del pedido no encontrado", 404);
+      }
+
+      if (!RECEIVABLE_ORDER_STATUSES.includes(orderItem.order.status)) {
+        throw new AppError("Solo se pueden revertir recepciones de pedidos enviados", 400);
       }
+
+      // Decremento atómico condicionado a no revertir más de lo recibido
+      const { count } = await tx.orderItem.updateMany({
+        where: {
+          id: orderItemId,
+          quantityReceived: { gte: quantity }
+        },
+        data: {
+          quantityReceived: { decrement: quantity }
+        }
+      });
+
+      if (count === 0) {
+        const current = await tx.orderItem.findUnique({ where: { id: orderItemId } });
+        throw new AppError(
+          `No se puede revertir más de lo recibido. Ya recibido: ${current.quantityReceived}`,
+          400
+        );
+      }
+
+      const reversed = await tx.orderItem.findUnique({ where: { id: orderItemId } });
+      const itemStatus = getOrderItemStatus(reversed);
+
+      const { item } = await recordStockChange(tx, {
+        inventoryItemId: orderItem.inventoryItemId,
+        delta: -quantity,
+        reason: 'order-reversal',
+        user: req.user,
+        orderItemId: orderItem.id,
+        notes: `Pedido ${orderItem.order.orderNumber}: ${reason}`
+      });
+
+      // Si el stock queda negativo se lanza el error para deshacer la transacción
+      if (item.stock < 0) {
+        throw new AppError(
+          `La reversión dejaría el stock en negativo (stock actual: ${item.stock + quantity})`,
+          400
+        );
+      }
+
+      const updatedOrderItem = await tx.orderItem.update({
+        where: { id: orderItemId },
+        data: {
+          status: itemStatus,
+          receivedAt: itemStatus === "completed" ? reversed.receivedAt : null,
+          notes: `${reversed.notes || ''}\nRevertidas ${quantity} uds. por ${req.user.name}: ${reason}`.trim()
+        },
+        include: {
+          inventoryItem: true
+        }
+      });
+
+      const updatedOrder = await recalculateOrderStatus(tx, orderId);
+
+      return {
+        orderItem: updatedOrderItem,
+        order: updatedOrder,
+        stockUpdate: {
+          itemId: orderItem.inventoryItemId,
+          itemName: orderItem.inventoryItem.nombre,
+          previousStock: item.stock + quantity,
+          removedQuantity: quantity,
+          newStock: item.stock
+        }
+      };
     });
 
-    res.json({
-      orderItem: updatedOrderItem,
-      order: updatedOrder,
-      stockUpdate: {
-        itemId: orderItem.inventoryItemId,
-        itemName: orderItem.inventoryItem.nombre,
-        previousStock: orderItem.inventoryItem.stock,
-        addedQuantity: quantityReceived,
-        newStock: newStock
+    res.json(result);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error("Error revirtiendo recepción:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Cierra un pedido parcial dando por anuladas las cantidades pendientes
+ * @function closeOrderShort
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {string} req.params.id - ID del pedido
+ * @param {Object} req.body - Datos del cierre
+ * @param {string} [req.body.reason] - Motivo del cierre (por ejemplo, producto descatalogado)
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Pedido actualizado con status "closed_short"
+ * @description Para cuando el proveedor no va a servir el resto del pedido. La cantidad
+ * pendiente de cada línea se guarda en quantityCancelled y la línea queda "closed_short" (o
+ * "cancelled" si no se recibió nada). Las cantidades recibidas y el stock no cambian
+ */
+// PUT /api/orders/:id/close-short - Cerrar pedido con faltas
+router.put("/:id/close-short", async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const { reason } = req.body;
+
+    const updatedOrder = await prisma.$transaction(async (tx) => {
+      const order = await tx.order.findUnique({
+        where: { id: orderId }
+      });
+
+      if (!order) {
+        throw new AppError("Pedido no encontrado", 404);
+      }
+
+      const { count } = await tx.order.updateMany({
+        where: {
+          id: orderId,
+          status: { in: getStatusesAllowing('closed_short') }
+        },
+        data: {
+          status: 'closed_short',
+          completedAt: new Date(),
+          notes: reason ? `${order.notes || ''}\nCerrado con faltas: ${reason}`.trim() : order.notes
+        }
+      });
+
+      if (count === 0) {
+        throw new AppError("Solo se pueden cerrar con faltas pedidos parcialmente recibidos", 400);
+      }
+
+      const orderItems = await tx.orderItem.findMany({
+        where: { orderId }
+      });
+
+      for (const orderItem of orderItems) {
+        const quantityPending = orderItem.quantityOrdered - orderItem.quantityReceived;
+        if (quantityPending <= 0) {
+          continue;
+        }
+
+        await tx.orderItem.update({
+          where: { id: orderItem.id },
+          data: {
+            quantityCancelled: quantityPending,
+            status: orderItem.quantityReceived > 0 ? 'closed_short' : 'cancelled'
+          }
+        });
       }
+
+      return tx.order.findUnique({
+        where: { id: orderId },
+        include: orderDetailInclude
+      });
     });
+
+    res.json(updatedOrder);
   } catch (error) {
-    console.error("Error recepcionando item:", error);
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error("Error cerrando pedido con faltas:", error);
     res.status(500).json({ error: "Error interno del servidor" });
   }
 });
 
 /**
- * Cancela un pedido pendiente
+ * Cancela un pedido en borrador o enviado que aún no ha recibido mercancía
  * @function cancelOrder
  * @async
  * @param {Object} req - Objeto request de Express
@@ -484,51 +1359,51 @@ router.put("/:id/items/:itemId/receive", async (req, res) => {
  * @param {string} [req.body.reason] - Razón de la cancelación
  * @param {Object} res - Objeto response de Express
  * @returns {Promise<Object>} Pedido actualizado con status cancelado
- * @description Marca un pedido como cancelado sin afectar el stock
+ * @description Marca un pedido como cancelado sin afectar el stock. El cambio de estado es
+ * condicional dentro de una transacción, por lo que no puede cancelarse un pedido que otra
+ * petición acaba de recepcionar
  */
 // PUT /api/orders/:id/cancel - Cancelar pedido
 router.put("/:id/cancel", async (req, res) => {
   try {
-    const { id } = req.params;
+    const orderId = parseInt(req.params.id);
     const { reason } = req.body;
 
-    const order = await prisma.order.findUnique({
-      where: { id: parseInt(id) }
-    });
-
-    if (!order) {
-      return res.status(404).json({ error: "Pedido no encontrado" });
-    }
-
-    if (order.status !== 'pending') {
-      return res.status(400).json({ 
-        error: "Solo se pueden cancelar pedidos pendientes" 
+    const updatedOrder = await prisma.$transaction(async (tx) => {
+      const order = await tx.order.findUnique({
+        where: { id: orderId }
       });
-    }
 
-    const updatedOrder = await prisma.order.update({
-      where: { id: parseInt(id) },
-      data: {
-        status: 'cancelled',
-        notes: reason ? `${order.notes || ''}\nCancelado: ${reason}`.trim() : order.notes
-      },
-      include: {
-        user: {
-          select: {
-            id: true,
-            name: true
-          }
+      if (!order) {
+        throw new AppError("Pedido no encontrado", 404);
+      }
+
+      const { count } = await tx.order.updateMany({
+        where: {
+          id: orderId,
+          status: { in: getStatusesAllowing('cancelled') }
         },
-        items: {
-          include: {
-            inventoryItem: true
-          }
+        data: {
+          status: 'cancelled',
+          notes: reason ? `${order.notes || ''}\nCancelado: ${reason}`.trim() : order.notes
         }
+      });
+
+      if (count === 0) {
+        throw new AppError("Solo se pueden cancelar pedidos en borrador o enviados sin recepciones", 400);
       }
+
+      return tx.order.findUnique({
+        where: { id: orderId },
+        include: orderDetailInclude
+      });
     });
 
     res.json(updatedOrder);
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error("Error cancelando pedido:", error);
     res.status(500).json({ error: "Error interno del servidor" });
   }
@@ -0,0 +1,277 @@
+import express from "express";
+import { PrismaClient } from "@prisma/client";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import { resolveRestockOptions, getRestockSuggestions } from "../utils/restock.js";
+import { calculateMinStockRecommendations, getMinStockConfig } from "../utils/minStockRecommendations.js";
+import { recordItemChanges } from "../utils/itemChanges.js";
+import { AppError } from "../utils/errors.js";
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Aplicar middleware de autenticación a todas las rutas
+router.use(authMiddleware);
+
+/**
+ * Obtiene las cantidades sugeridas de reposición
+ * @function getSuggestions
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.policy] - "min" (hasta el stock mínimo) o "target" (hasta el nivel objetivo)
+ * @param {string} [req.query.targetMultiplier] - Nivel objetivo como múltiplo del stock mínimo
+ * @param {string} [req.query.packSize] - Redondear las cantidades a múltiplos de este tamaño
+ * @param {string} [req.query.emptyQuantity] - Cantidad para productos agotados sin stock mínimo
+ * @param {string} [req.query.useVelocity] - Tener en cuenta la salida media de stock reciente
+ * @param {string} [req.query.velocityDays] - Días de histórico para calcular la velocidad
+ * @param {string} [req.query.coverageDays] - Días que debe cubrir el pedido además del plazo de entrega
+ * @param {string} [req.query.fillSupplierMinimum] - Completar cada proveedor hasta su importe mínimo
+ * @param {string} [req.query.seasonality] - Calcular la cobertura con el uso de cada día de la semana
+ * @param {string} [req.query.tipo] - Filtrar por tipo de producto
+ * @param {string} [req.query.marca] - Filtrar por marca
+ * @param {string} [req.query.supplierId] - Filtrar por proveedor habitual
+ * @param {string} [req.query.includeAll] - Incluir productos sin cantidad sugerida
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Configuración aplicada (options), sugerencias por producto (items)
+ * y resumen por proveedor (suppliers)
+ * @description Los valores no indicados se toman de las variables de entorno RESTOCK_*.
+ * Es el único sitio donde se calculan las cantidades de reposición que usan los informes y pedidos
+ */
+// GET /api/restock/suggestions - Sugerencias de reposición
+router.get("/suggestions", async (req, res) => {
+  try {
+    const { options, error } = resolveRestockOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { tipo, marca, supplierId, includeAll } = req.query;
+    const result = await getRestockSuggestions(options, {
+      tipo,
+      marca,
+      supplierId: supplierId ? parseInt(supplierId) : undefined,
+      includeAll: includeAll === 'true'
+    });
+
+    res.json({ options, ...result });
+  } catch (error) {
+    console.error("Error calculando sugerencias de reposición:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Convierte la lista de IDs recibida en el cuerpo de la petición
+ * @function parseIds
+ * @param {Array} ids - IDs enviados por el cliente
+ * @returns {number[]|null} IDs numéricos sin duplicados o null si la lista no es válida
+ */
+const parseIds = (ids) => {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return null;
+  }
+  const parsed = [...new Set(ids.map(id => parseInt(id)))];
+  return parsed.every(id => Number.isInteger(id)) ? parsed : null;
+};
+
+/**
+ * Obtiene las recomendaciones de stock mínimo
+ * @function getMinStockRecommendations
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.status=pending] - "pending", "accepted", "dismissed" o "all"
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Configuración del cálculo y recomendaciones con el producto (stock
+ * mínimo actual, stock máximo y proveedor)
+ * @description Solo para administradores
+ */
+// GET /api/restock/min-stock - Recomendaciones de stock mínimo
+router.get("/min-stock", async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Acceso denegado. Se requieren permisos de administrador." });
+    }
+
+    const status = req.query.status || 'pending';
+    const recommendations = await prisma.minStockRecommendation.findMany({
+      where: status === 'all' ? {} : { status },
+      include: {
+        inventoryItem: {
+          select: {
+            id: true,
+            tipo: true,
+            marca: true,
+            nombre: true,
+            stock: true,
+            minStock: true,
+            maxStock: true,
+            supplier: {
+              select: { id: true, name: true }
+            }
+          }
+        }
+      },
+      orderBy: [
+        { inventoryItem: { marca: 'asc' } },
+        { inventoryItem: { nombre: 'asc' } }
+      ]
+    });
+
+    res.json({ config: getMinStockConfig(), recommendations });
+  } catch (error) {
+    console.error("Error obteniendo recomendaciones de stock mínimo:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Recalcula ahora las recomendaciones de stock mínimo
+ * @function recalculateMinStockRecommendations
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.body - Opciones del cálculo
+ * @param {number} [req.body.safetyFactor] - Factor de seguridad (por defecto MIN_STOCK_SAFETY_FACTOR)
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Número de recomendaciones pendientes y eliminadas
+ * @description Solo para administradores. El mismo cálculo se ejecuta periódicamente en el servidor
+ */
+// POST /api/restock/min-stock/recalculate - Recalcular recomendaciones
+router.post("/min-stock/recalculate", async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Acceso denegado. Se requieren permisos de administrador." });
+    }
+
+    let safetyFactor;
+    if (req.body.safetyFactor !== undefined && req.body.safetyFactor !== '') {
+      safetyFactor = parseFloat(req.body.safetyFactor);
+      if (isNaN(safetyFactor) || safetyFactor < 1 || safetyFactor > 5) {
+        return res.status(400).json({ error: "El factor de seguridad debe estar entre 1 y 5" });
+      }
+    }
+
+    const result = await calculateMinStockRecommendations({ safetyFactor });
+    res.json(result);
+  } catch (error) {
+    console.error("Error recalculando recomendaciones de stock mínimo:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Acepta recomendaciones de stock mínimo y actualiza los productos
+ * @function acceptMinStockRecommendations
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.body - Datos de la petición
+ * @param {number[]} req.body.ids - IDs de las recomendaciones a aceptar
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Recomendaciones aplicadas y omitidas (con el motivo)
+ * @description Solo para administradores. Todo se aplica en una transacción: cada recomendación
+ * se marca como aceptada de forma condicional (una ya revisada se omite), se actualiza el stock
+ * mínimo del producto y el cambio queda en el historial de auditoría. Se omiten los productos
+ * cuyo stock máximo quedaría por debajo del nuevo mínimo
+ */
+// POST /api/restock/min-stock/accept - Aceptar recomendaciones
+router.post("/min-stock/accept", async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Acceso denegado. Se requieren permisos de administrador." });
+    }
+
+    const ids = parseIds(req.body.ids);
+    if (!ids) {
+      return res.status(400).json({ error: "Selecciona al menos una recomendación" });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const recommendations = await tx.minStockRecommendation.findMany({
+        where: { id: { in: ids } },
+        include: { inventoryItem: true }
+      });
+
+      if (recommendations.length === 0) {
+        throw new AppError("Recomendaciones no encontradas", 404);
+      }
+
+      const applied = [];
+      const skipped = [];
+      for (const recommendation of recommendations) {
+        const item = recommendation.inventoryItem;
+        const itemName = `${item.marca} - ${item.nombre}`;
+
+        if (item.maxStock !== null && item.maxStock < recommendation.recommendedMinStock) {
+          skipped.push({ id: recommendation.id, itemName, reason: `El stock máximo (${item.maxStock}) es menor que el mínimo recomendado` });
+          continue;
+        }
+
+        const { count } = await tx.minStockRecommendation.updateMany({
+          where: { id: recommendation.id, status: 'pending' },
+          data: { status: 'accepted', reviewedAt: new Date(), reviewedByName: req.user.name }
+        });
+
+        if (count === 0) {
+          skipped.push({ id: recommendation.id, itemName, reason: "La recomendación ya estaba revisada" });
+          continue;
+        }
+
+        const updatedItem = await tx.inventoryItem.update({
+          where: { id: item.id },
+          data: { minStock: recommendation.recommendedMinStock }
+        });
+
+        await recordItemChanges(tx, item, updatedItem, { source: 'min-stock-recommendation', user: req.user });
+        applied.push({ id: recommendation.id, itemName, previousMinStock: item.minStock, minStock: updatedItem.minStock });
+      }
+
+      return { applied, skipped };
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error("Error aceptando recomendaciones de stock mínimo:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Descarta recomendaciones de stock mínimo
+ * @function dismissMinStockRecommendations
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.body - Datos de la petición
+ * @param {number[]} req.body.ids - IDs de las recomendaciones a descartar
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Número de recomendaciones descartadas
+ * @description Solo para administradores. No se vuelven a proponer mientras el valor
+ * recomendado no cambie
+ */
+// POST /api/restock/min-stock/dismiss - Descartar recomendaciones
+router.post("/min-stock/dismiss", async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Acceso denegado. Se requieren permisos de administrador." });
+    }
+
+    const ids = parseIds(req.body.ids);
+    if (!ids) {
+      return res.status(400).json({ error: "Selecciona al menos una recomendación" });
+    }
+
+    const { count } = await prisma.minStockRecommendation.updateMany({
+      where: { id: { in: ids }, status: 'pending' },
+      data: { status: 'dismissed', reviewedAt: new Date(), reviewedByName: req.user.name }
+    });
+
+    res.json({ dismissed: count });
+  } catch (error) {
+    console.error("Error descartando recomendaciones de stock mínimo:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+export default router;
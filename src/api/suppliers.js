@@ -0,0 +1,325 @@
+import express from "express";
+import { PrismaClient } from "@prisma/client";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import { recordItemChanges } from "../utils/itemChanges.js";
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Aplicar middleware de autenticación a todas las rutas
+router.use(authMiddleware);
+
+/**
+ * Include común para devolver un proveedor con las marcas de sus productos y su número de pedidos
+ * @type {Object}
+ */
+const supplierInclude = {
+  inventoryItems: {
+    select: { marca: true }
+  },
+  _count: {
+    select: { orders: true }
+  }
+};
+
+/**
+ * Añade a cada proveedor la lista de marcas que tiene asignadas
+ * @function withBrands
+ * @param {Object} supplier - Proveedor con inventoryItems (marca) incluidos
+ * @returns {Object} Proveedor sin inventoryItems, con brands (marcas ordenadas) y productCount
+ */
+const withBrands = ({ inventoryItems, ...supplier }) => ({
+  ...supplier,
+  brands: [...new Set(inventoryItems.map(item => item.marca))].sort(),
+  productCount: inventoryItems.length
+});
+
+/**
+ * Construye los datos de un proveedor a partir del cuerpo de la petición
+ * @function parseSupplierData
+ * @param {Object} body - Cuerpo de la petición
+ * @returns {Object} Datos a guardar (solo los campos enviados) o { error } si algún valor no es válido
+ */
+const parseSupplierData = (body) => {
+  const { name, contact, email, phone, leadTimeDays, minOrderValue, orderPrefix, notes } = body;
+  const data = {};
+
+  if (name !== undefined) {
+    if (!name || !name.trim()) {
+      return { error: "El nombre del proveedor no puede estar vacío" };
+    }
+    data.name = name.trim();
+  }
+  if (contact !== undefined) data.contact = contact || null;
+  if (email !== undefined) data.email = email || null;
+  if (phone !== undefined) data.phone = phone || null;
+  if (notes !== undefined) data.notes = notes || null;
+
+  if (leadTimeDays !== undefined) {
+    const days = parseInt(leadTimeDays) || 0;
+    if (days < 0) {
+      return { error: "El plazo de entrega no puede ser negativo" };
+    }
+    data.leadTimeDays = days;
+  }
+
+  if (minOrderValue !== undefined) {
+    const value = parseFloat(minOrderValue) || 0;
+    if (value < 0) {
+      return { error: "El pedido mínimo no puede ser negativo" };
+    }
+    data.minOrderValue = value;
+  }
+
+  if (orderPrefix !== undefined) {
+    const prefix = orderPrefix ? orderPrefix.trim().toUpperCase() : '';
+    if (prefix && !/^[A-Z0-9_-]+$/.test(prefix)) {
+      return { error: "El prefijo de pedidos solo puede contener letras, números, guiones y guiones bajos" };
+    }
+    data.orderPrefix = prefix || null;
+  }
+
+  return { data };
+};
+
+/**
+ * Obtiene todos los proveedores con sus marcas asignadas
+ * @function getSuppliers
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Array>} Lista de proveedores ordenados por nombre
+ */
+// GET /api/suppliers - Obtener todos los proveedores
+router.get("/", async (req, res) => {
+  try {
+    const suppliers = await prisma.supplier.findMany({
+      include: supplierInclude,
+      orderBy: { name: 'asc' }
+    });
+
+    res.json(suppliers.map(withBrands));
+  } catch (error) {
+    console.error("Error obteniendo proveedores:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Obtiene un proveedor por su ID
+ * @function getSupplierById
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.params - Parámetros de la URL
+ * @param {string} req.params.id - ID del proveedor
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Proveedor con sus marcas asignadas
+ */
+// GET /api/suppliers/:id - Obtener un proveedor
+router.get("/:id", async (req, res) => {
+  try {
+    const supplier = await prisma.supplier.findUnique({
+      where: { id: parseInt(req.params.id) },
+      include: supplierInclude
+    });
+
+    if (!supplier) {
+      return res.status(404).json({ error: "Proveedor no encontrado" });
+    }
+
+    res.json(withBrands(supplier));
+  } catch (error) {
+    console.error("Error obteniendo proveedor:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Crea un nuevo proveedor
+ * @function createSupplier
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.body - Datos del proveedor
+ * @param {string} req.body.name - Nombre del proveedor (único)
+ * @param {string} [req.body.contact] - Persona de contacto
+ * @param {string} [req.body.email] - Email de pedidos
+ * @param {string} [req.body.phone] - Teléfono
+ * @param {number} [req.body.leadTimeDays] - Plazo de entrega en días
+ * @param {number} [req.body.minOrderValue] - Importe mínimo de pedido
+ * @param {string} [req.body.orderPrefix] - Prefijo de los números de pedido del proveedor
+ * @param {string} [req.body.notes] - Observaciones
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Proveedor creado
+ * @description Solo administradores
+ */
+// POST /api/suppliers - Crear proveedor
+router.post("/", async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Acceso denegado. Se requieren permisos de administrador." });
+    }
+
+    if (!req.body.name) {
+      return res.status(400).json({ error: "El nombre del proveedor es obligatorio" });
+    }
+
+    const { data, error } = parseSupplierData(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const supplier = await prisma.supplier.create({ data });
+
+    res.status(201).json({ ...supplier, brands: [], productCount: 0 });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: "Ya existe un proveedor con ese nombre" });
+    }
+    console.error("Error creando proveedor:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Actualiza un proveedor existente
+ * @function updateSupplier
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.params - Parámetros de la URL
+ * @param {string} req.params.id - ID del proveedor
+ * @param {Object} req.body - Campos a actualizar (mismos que en la creación)
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Proveedor actualizado
+ * @description Solo administradores. Solo se actualizan los campos enviados
+ */
+// PUT /api/suppliers/:id - Actualizar proveedor
+router.put("/:id", async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Acceso denegado. Se requieren permisos de administrador." });
+    }
+
+    const { data, error } = parseSupplierData(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const supplier = await prisma.supplier.update({
+      where: { id: parseInt(req.params.id) },
+      data,
+      include: supplierInclude
+    });
+
+    res.json(withBrands(supplier));
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: "Proveedor no encontrado" });
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: "Ya existe un proveedor con ese nombre" });
+    }
+    console.error("Error actualizando proveedor:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Asigna las marcas que suministra un proveedor
+ * @function setSupplierBrands
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.params - Parámetros de la URL
+ * @param {string} req.params.id - ID del proveedor
+ * @param {Object} req.body - Datos de la asignación
+ * @param {Array<string>} req.body.brands - Marcas del proveedor
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Proveedor actualizado con sus marcas
+ * @description Solo administradores. Todos los productos de las marcas indicadas pasan a tener
+ * este proveedor por defecto y los productos de marcas que ya no están en la lista lo pierden.
+ * Cada cambio de proveedor queda en el historial de cambios del producto
+ */
+// PUT /api/suppliers/:id/brands - Asignar marcas al proveedor
+router.put("/:id/brands", async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Acceso denegado. Se requieren permisos de administrador." });
+    }
+
+    const { brands } = req.body;
+    if (!Array.isArray(brands)) {
+      return res.status(400).json({ error: "Las marcas deben enviarse como una lista" });
+    }
+
+    const supplierId = parseInt(req.params.id);
+    const existing = await prisma.supplier.findUnique({ where: { id: supplierId } });
+    if (!existing) {
+      return res.status(404).json({ error: "Proveedor no encontrado" });
+    }
+
+    const supplier = await prisma.$transaction(async (tx) => {
+      // Productos que pierden este proveedor o pasan a tenerlo
+      const affectedItems = await tx.inventoryItem.findMany({
+        where: {
+          OR: [
+            { supplierId, marca: { notIn: brands } },
+            { marca: { in: brands }, OR: [{ supplierId: null }, { supplierId: { not: supplierId } }] }
+          ]
+        }
+      });
+
+      // Se actualizan uno a uno para dejar cada cambio de proveedor en el historial
+      for (const item of affectedItems) {
+        const updatedItem = await tx.inventoryItem.update({
+          where: { id: item.id },
+          data: { supplierId: brands.includes(item.marca) ? supplierId : null }
+        });
+        await recordItemChanges(tx, item, updatedItem, { source: 'supplier-brands', user: req.user });
+      }
+
+      return tx.supplier.findUnique({
+        where: { id: supplierId },
+        include: supplierInclude
+      });
+    });
+
+    res.json(withBrands(supplier));
+  } catch (error) {
+    console.error("Error asignando marcas al proveedor:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * Elimina un proveedor
+ * @function deleteSupplier
+ * @async
+ * @param {Object} req - Objeto request de Express
+ * @param {Object} req.params - Parámetros de la URL
+ * @param {string} req.params.id - ID del proveedor
+ * @param {Object} res - Objeto response de Express
+ * @returns {Promise<Object>} Confirmación de eliminación
+ * @description Solo administradores. Los productos y pedidos del proveedor se conservan
+ * sin proveedor asignado
+ */
+// DELETE /api/suppliers/:id - Eliminar proveedor
+router.delete("/:id", async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Acceso denegado. Se requieren permisos de administrador." });
+    }
+
+    await prisma.supplier.delete({
+      where: { id: parseInt(req.params.id) }
+    });
+
+    res.json({ message: "Proveedor eliminado correctamente" });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: "Proveedor no encontrado" });
+    }
+    console.error("Error eliminando proveedor:", error);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+export default router;
@@ -297,12 +297,13 @@ const getSystemStats = async (req, res) => {
 		const totalUsers = await prisma.user.count();
 		const totalAdmins = await prisma.user.count({ where: { role: 'admin' } });
 		const blockedUsers = await prisma.user.count({ where: { blocked: true } });
-		const totalProducts = await prisma.inventoryItem.count();
+		const totalProducts = await prisma.inventoryItem.count({ where: { archivedAt: null } });
 		const totalOrders = await prisma.order.count();
-		const outOfStockProducts = await prisma.inventoryItem.count({ where: { stock: 0 } });
+		const outOfStockProducts = await prisma.inventoryItem.count({ where: { stock: 0, archivedAt: null } });
 
 		// Para productos con stock bajo, necesitamos usar una consulta raw o buscar todos y filtrar
 		const allProducts = await prisma.inventoryItem.findMany({
+			where: { archivedAt: null },
 			select: { stock: true, minStock: true }
 		});
 		const lowStockProducts = allProducts.filter(item => item.stock < item.minStock && item.stock > 0).length;
@@ -1,4 +1,6 @@
 import app from './app.js';
+import { startRecurringOrdersScheduler } from './utils/recurringOrders.js';
+import { startMinStockRecommendationsScheduler } from './utils/minStockRecommendations.js';
 
 const PORT = process.env.PORT || 4000;
 
@@ -6,8 +8,12 @@ const PORT = process.env.PORT || 4000;
  * Inicia el servidor HTTP de la aplicación Koloa Inventory
  * @function startServer
  * @description Arranca el servidor Express en el puerto especificado por la variable
- * de entorno PORT o en el puerto 4000 por defecto, sirviendo tanto la API como el frontend
+ * de entorno PORT o en el puerto 4000 por defecto, sirviendo tanto la API como el frontend.
+ * Al arrancar inicia la generación periódica de pedidos recurrentes y el recálculo de las
+ * recomendaciones de stock mínimo
  */
 app.listen(PORT, () => {
   console.log(`🚀 Servidor ejecutándose en http://localhost:${PORT}`);
+  startRecurringOrdersScheduler();
+  startMinStockRecommendationsScheduler();
 });
\ No newline at end of file
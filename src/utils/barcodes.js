@@ -0,0 +1,148 @@
+import { AppError } from "./errors.js";
+
+/**
+ * Relación de códigos alternativos que se incluye al devolver un producto
+ * @type {Object}
+ */
+export const ALTERNATE_BARCODES_INCLUDE = {
+  select: { id: true, code: true },
+  orderBy: { id: 'asc' }
+};
+
+/**
+ * Limpia un código de barras leído o escrito a mano
+ * @function normalizeBarcode
+ * @param {*} code - Código recibido
+ * @returns {string|null} Código sin espacios o null si está vacío
+ */
+export const normalizeBarcode = (code) => {
+  if (code === null || code === undefined) return null;
+  const normalized = String(code).replace(/\s+/g, '');
+  return normalized || null;
+};
+
+/**
+ * Comprueba el dígito de control de un código GTIN (EAN-8, UPC-A, EAN-13 o GTIN-14)
+ * @function hasValidCheckDigit
+ * @param {string} code - Código numérico
+ * @returns {boolean} true si el último dígito es el de control correcto
+ */
+export const hasValidCheckDigit = (code) => {
+  const digits = code.split('').map(Number);
+  const checkDigit = digits.pop();
+  // Desde la derecha, los dígitos alternan peso 3 y 1
+  const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === checkDigit;
+};
+
+/**
+ * Valida un código de barras
+ * @function validateBarcode
+ * @param {string} code - Código normalizado
+ * @returns {string|null} Mensaje de error o null si es válido
+ * @description Se admiten códigos alfanuméricos (Code128 internos) de 3 a 64 caracteres. Los
+ * códigos numéricos con longitud de EAN-8, UPC-A, EAN-13 o GTIN-14 deben tener el dígito de
+ * control correcto, lo que detecta la mayoría de lecturas o tecleos erróneos
+ */
+const validateBarcode = (code) => {
+  if (!/^[A-Za-z0-9.\-]{3,64}$/.test(code)) {
+    return `El código de barras "${code}" no es válido (de 3 a 64 letras, números, puntos o guiones)`;
+  }
+  if (/^\d+$/.test(code) && [8, 12, 13, 14].includes(code.length) && !hasValidCheckDigit(code)) {
+    return `El código de barras "${code}" no es válido: el dígito de control no coincide`;
+  }
+  return null;
+};
+
+/**
+ * Valida los códigos de barras enviados al crear o editar un producto
+ * @function parseBarcodeFields
+ * @param {Object} body - Cuerpo de la petición
+ * @returns {Object} { data } con barcode y/o alternateBarcodes (lista de códigos) si se enviaron,
+ * o { error } si alguno no es válido o está repetido
+ */
+export const parseBarcodeFields = (body) => {
+  const data = {};
+
+  if (body.barcode !== undefined) {
+    data.barcode = normalizeBarcode(body.barcode);
+  }
+
+  if (body.alternateBarcodes !== undefined) {
+    if (body.alternateBarcodes !== null && !Array.isArray(body.alternateBarcodes)) {
+      return { error: "Los códigos alternativos deben ser una lista" };
+    }
+    data.alternateBarcodes = [...new Set((body.alternateBarcodes || []).map(normalizeBarcode).filter(Boolean))];
+  }
+
+  const codes = [data.barcode, ...(data.alternateBarcodes || [])].filter(Boolean);
+  for (const code of codes) {
+    const error = validateBarcode(code);
+    if (error) return { error };
+  }
+  if (data.barcode && data.alternateBarcodes?.includes(data.barcode)) {
+    return { error: "El código principal no puede repetirse como código alternativo" };
+  }
+
+  return { data };
+};
+
+/**
+ * Busca el producto al que pertenece un código de barras, principal o alternativo
+ * @function findItemByBarcode
+ * @async
+ * @param {Object} client - Cliente de Prisma (o de la transacción en curso)
+ * @param {string} code - Código normalizado
+ * @returns {Promise<Object|null>} Producto o null si el código no está asignado
+ */
+export const findItemByBarcode = (client, code) =>
+  client.inventoryItem.findFirst({
+    where: {
+      OR: [
+        { barcode: code },
+        { alternateBarcodes: { some: { code } } }
+      ]
+    }
+  });
+
+/**
+ * Guarda los códigos de barras de un producto comprobando que no estén asignados a otro
+ * @function saveBarcodes
+ * @async
+ * @param {Object} tx - Cliente de Prisma de la transacción en curso
+ * @param {number} inventoryItemId - ID del producto
+ * @param {Object} data - Resultado de parseBarcodeFields
+ * @param {string|null} [data.barcode] - Código principal (null para quitarlo)
+ * @param {string[]} [data.alternateBarcodes] - Códigos alternativos (sustituyen a los anteriores)
+ * @returns {Promise<void>} No retorna valor
+ * @throws {AppError} 400 si algún código ya pertenece a otro producto
+ * @description La unicidad entre el código principal y los alternativos no la puede garantizar
+ * la base de datos, por eso se comprueba aquí dentro de la misma transacción
+ */
+export const saveBarcodes = async (tx, inventoryItemId, { barcode, alternateBarcodes }) => {
+  const codes = [barcode, ...(alternateBarcodes || [])].filter(Boolean);
+  for (const code of codes) {
+    const owner = await findItemByBarcode(tx, code);
+    if (owner && owner.id !== inventoryItemId) {
+      throw new AppError(`El código ${code} ya está asignado a ${owner.marca} - ${owner.nombre}`, 400);
+    }
+  }
+
+  if (barcode !== undefined) {
+    // Si el código estaba como alternativo del mismo producto pasa a ser el principal
+    if (barcode) {
+      await tx.inventoryItemBarcode.deleteMany({ where: { inventoryItemId, code: barcode } });
+    }
+    await tx.inventoryItem.update({ where: { id: inventoryItemId }, data: { barcode } });
+  }
+
+  if (alternateBarcodes !== undefined) {
+    const primary = barcode !== undefined
+      ? barcode
+      : (await tx.inventoryItem.findUnique({ where: { id: inventoryItemId }, select: { barcode: true } }))?.barcode;
+    await tx.inventoryItemBarcode.deleteMany({ where: { inventoryItemId } });
+    for (const code of alternateBarcodes.filter(code => code !== primary)) {
+      await tx.inventoryItemBarcode.create({ data: { inventoryItemId, code } });
+    }
+  }
+};
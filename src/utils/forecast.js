@@ -0,0 +1,194 @@
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+/**
+ * Milisegundos de un día
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Días máximos que se proyectan hacia delante para buscar la fecha de rotura de stock
+ * @type {number}
+ */
+const MAX_PROJECTION_DAYS = 730;
+
+/**
+ * Motivos de movimiento que cuentan como consumo al calcular el uso diario
+ * @type {string[]}
+ * @description Solo el consumo registrado refleja lo que se vende. Los ajustes manuales (roturas,
+ * robos, correcciones de recuento) y las recepciones revertidas son correcciones puntuales que
+ * inflarían la previsión
+ */
+export const DEMAND_REASONS = ['consumption'];
+
+/**
+ * Obtiene la configuración de previsión por defecto
+ * @function getForecastConfig
+ * @returns {{days: number, seasonality: boolean}} Días de histórico y si se usa la estacionalidad semanal
+ * @description Se configura con las variables de entorno FORECAST_DAYS (28 por defecto, cuatro
+ * semanas completas) y FORECAST_WEEKDAY_SEASONALITY
+ */
+export const getForecastConfig = () => ({
+  days: parseInt(process.env.FORECAST_DAYS) || 28,
+  seasonality: process.env.FORECAST_WEEKDAY_SEASONALITY === 'true'
+});
+
+/**
+ * Devuelve el inicio (00:00) del día de una fecha
+ * @function startOfDay
+ * @param {Date} date - Fecha
+ * @returns {Date} Medianoche de ese día en hora local
+ */
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * Calcula el uso diario de un producto a partir de sus movimientos
+ * @function computeUsage
+ * @param {Object} item - Producto con stock actual y createdAt
+ * @param {Array} movements - Movimientos del producto en la ventana, en orden cronológico
+ * @param {Date} windowStart - Inicio (00:00) del primer día de la ventana
+ * @param {Date} windowEnd - Inicio (00:00) de hoy; el día en curso no se incluye
+ * @returns {Object} Uso diario medio, uso medio por día de la semana (0 = domingo) y días con stock analizados
+ * @description Reconstruye el stock de cada día hacia atrás desde el stock actual. Los días que
+ * empezaron sin stock y no tuvieron salidas no cuentan, porque no se pudo consumir (las
+ * recepciones posteriores vuelven a abrir la serie)
+ */
+const computeUsage = (item, movements, windowStart, windowEnd) => {
+  const totals = new Array(7).fill(0);
+  const counts = new Array(7).fill(0);
+
+  // Stock al inicio de la ventana: el actual menos todo lo que se ha movido desde entonces
+  let runningStock = item.stock - movements.reduce((sum, movement) => sum + movement.delta, 0);
+  const firstDay = item.createdAt > windowStart ? startOfDay(item.createdAt) : windowStart;
+
+  let index = 0;
+  for (let day = windowStart; day < windowEnd; day = new Date(day.getTime() + DAY_MS)) {
+    const nextDay = new Date(day.getTime() + DAY_MS);
+    let outflow = 0;
+    const stockAtStart = runningStock;
+
+    while (index < movements.length && movements[index].createdAt < nextDay) {
+      const movement = movements[index];
+      if (movement.delta < 0 && DEMAND_REASONS.includes(movement.reason)) {
+        outflow -= movement.delta;
+      }
+      runningStock += movement.delta;
+      index++;
+    }
+
+    if (day < firstDay || (stockAtStart <= 0 && outflow === 0)) continue;
+
+    totals[day.getDay()] += outflow;
+    counts[day.getDay()]++;
+  }
+
+  const sampleDays = counts.reduce((sum, count) => sum + count, 0);
+  const dailyUsage = sampleDays > 0 ? totals.reduce((sum, total) => sum + total, 0) / sampleDays : 0;
+
+  return {
+    dailyUsage,
+    weekdayUsage: totals.map((total, weekday) => (counts[weekday] > 0 ? total / counts[weekday] : dailyUsage)),
+    sampleDays
+  };
+};
+
+/**
+ * Proyecta cuántos días durará el stock actual
+ * @function projectStockout
+ * @param {number} stock - Stock actual
+ * @param {number[]} rates - Uso previsto para cada día de la semana (0 = domingo)
+ * @param {Date} now - Momento de referencia
+ * @returns {{daysOfCover: number|null, stockoutDate: Date|null}} Días de cobertura y fecha prevista
+ * de rotura de stock, o null si no hay consumo o se agota en más de MAX_PROJECTION_DAYS días
+ */
+const projectStockout = (stock, rates, now) => {
+  if (stock <= 0) {
+    return { daysOfCover: 0, stockoutDate: now };
+  }
+  if (rates.every(rate => rate <= 0)) {
+    return { daysOfCover: null, stockoutDate: null };
+  }
+
+  let remaining = stock;
+  for (let day = 0; day < MAX_PROJECTION_DAYS; day++) {
+    const rate = rates[new Date(now.getTime() + day * DAY_MS).getDay()];
+    if (rate > 0 && remaining <= rate) {
+      const daysOfCover = day + remaining / rate;
+      return { daysOfCover, stockoutDate: new Date(now.getTime() + daysOfCover * DAY_MS) };
+    }
+    remaining -= rate;
+  }
+
+  return { daysOfCover: null, stockoutDate: null };
+};
+
+/**
+ * Redondea un número a dos decimales
+ * @function round2
+ * @param {number|null} value - Valor a redondear
+ * @returns {number|null} Valor redondeado o null
+ */
+const round2 = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+/**
+ * Calcula la previsión de consumo de los productos del inventario
+ * @function getForecast
+ * @async
+ * @param {Object} [options] - Opciones (por defecto las de getForecastConfig)
+ * @param {number} [options.days] - Días completos de histórico a analizar
+ * @param {boolean} [options.seasonality] - Usar el uso medio de cada día de la semana para la proyección
+ * @param {number[]} [options.inventoryItemIds] - Limitar a estos productos (si no se indica, todos los activos)
+ * @param {Date} [options.now=new Date()] - Momento de referencia
+ * @returns {Promise<Array>} Por producto: uso diario medio, uso por día de la semana, días con
+ * datos, días de cobertura y fecha prevista de rotura de stock
+ * @description El uso se obtiene de las salidas por consumo registradas en el historial de
+ * movimientos (sin ajustes manuales ni recuentos), descontando los días en que el producto estaba agotado
+ */
+export const getForecast = async (options = {}) => {
+  const config = { ...getForecastConfig(), ...options };
+  const now = options.now || new Date();
+  const windowEnd = startOfDay(now);
+  const windowStart = new Date(windowEnd.getTime() - config.days * DAY_MS);
+
+  const itemWhere = config.inventoryItemIds ? { id: { in: config.inventoryItemIds } } : { archivedAt: null };
+  const [items, movements] = await Promise.all([
+    prisma.inventoryItem.findMany({
+      where: itemWhere,
+      select: { id: true, stock: true, createdAt: true }
+    }),
+    prisma.stockMovement.findMany({
+      where: {
+        createdAt: { gte: windowStart },
+        ...(config.inventoryItemIds ? { inventoryItemId: { in: config.inventoryItemIds } } : {})
+      },
+      select: { inventoryItemId: true, delta: true, reason: true, createdAt: true },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+    })
+  ]);
+
+  const movementsByItem = new Map();
+  movements.forEach(movement => {
+    if (!movementsByItem.has(movement.inventoryItemId)) {
+      movementsByItem.set(movement.inventoryItemId, []);
+    }
+    movementsByItem.get(movement.inventoryItemId).push(movement);
+  });
+
+  return items.map(item => {
+    const usage = computeUsage(item, movementsByItem.get(item.id) || [], windowStart, windowEnd);
+    const rates = config.seasonality ? usage.weekdayUsage : new Array(7).fill(usage.dailyUsage);
+    const { daysOfCover, stockoutDate } = projectStockout(item.stock, rates, now);
+
+    return {
+      inventoryItemId: item.id,
+      stock: item.stock,
+      dailyUsage: round2(usage.dailyUsage),
+      weekdayUsage: usage.weekdayUsage.map(round2),
+      sampleDays: usage.sampleDays,
+      daysOfCover: daysOfCover === null ? null : Math.round(daysOfCover * 10) / 10,
+      stockoutDate
+    };
+  });
+};
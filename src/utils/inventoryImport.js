@@ -0,0 +1,309 @@
+import { PrismaClient } from "@prisma/client";
+import XLSX from "xlsx";
+import { recordStockChange } from "./stockMovements.js";
+import { recordItemChanges } from "./itemChanges.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * Modos de importación disponibles
+ * @type {string[]}
+ * @description "create" solo da de alta los productos nuevos, "update" solo actualiza los que ya
+ * existen y "upsert" hace ambas cosas. Las filas que no corresponden al modo se omiten
+ */
+export const IMPORT_MODES = ['create', 'update', 'upsert'];
+
+/**
+ * Tipos de producto admitidos
+ * @type {string[]}
+ */
+const PRODUCT_TYPES = ['Tabaco', 'Producto'];
+
+/**
+ * Columnas del archivo, con los mismos nombres que la exportación de inventario
+ * @type {Object}
+ * @description Las columnas "Estado" y "Valor Total" de la exportación son calculadas y se ignoran
+ */
+const COLUMNS = {
+  tipo: 'Tipo',
+  marca: 'Marca',
+  nombre: 'Nombre',
+  peso: 'Peso',
+  stock: 'Stock',
+  minStock: 'Stock Mínimo',
+  maxStock: 'Stock Máximo',
+  packSize: 'Uds. por Caja',
+  supplierSku: 'Ref. Proveedor',
+  precio: 'Precio'
+};
+
+/**
+ * Texto de la primera fila del resumen que la exportación añade al final de la hoja
+ * @type {string}
+ */
+const SUMMARY_MARKER = 'RESUMEN DEL INVENTARIO';
+
+/**
+ * Lee las filas de un archivo CSV o XLSX
+ * @function readImportFile
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {Object} { rows, columns } con las filas como objetos (clave = cabecera) y las
+ * cabeceras encontradas, o { error } si el archivo no se puede leer
+ * @description Los XLSX se reconocen por su cabecera ZIP; cualquier otro contenido se trata
+ * como CSV en UTF-8 (separado por comas o punto y coma). Solo se lee la primera hoja y se
+ * descarta el resumen que añade la exportación
+ */
+export const readImportFile = (buffer) => {
+  let workbook;
+  try {
+    const isXlsx = buffer.length > 1 && buffer[0] === 0x50 && buffer[1] === 0x4b;
+    workbook = isXlsx
+      ? XLSX.read(buffer, { type: 'buffer' })
+      : XLSX.read(buffer.toString('utf8').replace(/^\uFEFF/, ''), { type: 'string', raw: true });
+  } catch (error) {
+    return { error: "No se ha podido leer el archivo. Usa un CSV o XLSX" };
+  }
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    return { error: "El archivo está vacío" };
+  }
+
+  const [header = []] = XLSX.utils.sheet_to_json(sheet, { header: 1, range: 0 });
+  const columns = header.map(column => String(column).trim());
+  const rows = [];
+  for (const row of XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false })) {
+    if (String(row[COLUMNS.marca]).trim() === SUMMARY_MARKER) break;
+    rows.push(row);
+  }
+
+  return { rows, columns };
+};
+
+/**
+ * Interpreta un número de una celda, admitiendo unidades ("50g", "4,50€") y coma decimal
+ * @function parseNumber
+ * @param {string|number} value - Valor de la celda
+ * @returns {number} Número leído o NaN si no es válido
+ */
+const parseNumber = (value) => {
+  const cleaned = String(value).trim().replace(/\s*(g|€)$/i, '').replace(',', '.');
+  return cleaned === '' ? NaN : Number(cleaned);
+};
+
+/**
+ * Normaliza marca, nombre y peso para comparar productos
+ * @function getItemKey
+ * @param {string} marca - Marca
+ * @param {string} nombre - Nombre
+ * @param {number} peso - Peso en gramos
+ * @returns {string} Clave sin distinguir mayúsculas ni espacios sobrantes
+ */
+const getItemKey = (marca, nombre, peso) =>
+  `${marca.trim().toLowerCase()}|${nombre.trim().toLowerCase()}|${peso}`;
+
+/**
+ * Valida una fila del archivo y la convierte en datos de producto
+ * @function parseImportRow
+ * @param {Object} row - Fila leída (clave = cabecera)
+ * @param {string[]} columns - Cabeceras presentes en el archivo
+ * @returns {Object} { data, errors } con los campos enviados y los errores de validación
+ * @description Las celdas vacías no cambian el valor actual, salvo "Stock Máximo" y
+ * "Ref. Proveedor", donde vacío significa quitarlo (como aparecen en la exportación)
+ */
+const parseImportRow = (row, columns) => {
+  const data = {};
+  const errors = [];
+  const has = (field) => columns.includes(COLUMNS[field]);
+  const cell = (field) => String(row[COLUMNS[field]] ?? '').trim();
+
+  data.marca = cell('marca');
+  data.nombre = cell('nombre');
+  if (!data.marca) errors.push("La marca es obligatoria");
+  if (!data.nombre) errors.push("El nombre es obligatorio");
+
+  const peso = parseNumber(cell('peso'));
+  if (!Number.isInteger(peso) || peso <= 0) {
+    errors.push("El peso debe ser un número entero mayor que 0");
+  } else {
+    data.peso = peso;
+  }
+
+  if (has('tipo') && cell('tipo')) {
+    if (!PRODUCT_TYPES.includes(cell('tipo'))) {
+      errors.push(`Tipo no válido. Valores permitidos: ${PRODUCT_TYPES.join(', ')}`);
+    } else {
+      data.tipo = cell('tipo');
+    }
+  }
+
+  const integerFields = [
+    ['stock', 0, "El stock debe ser un número entero positivo"],
+    ['minStock', 0, "El stock mínimo debe ser un número entero positivo"],
+    ['packSize', 1, "Las unidades por caja deben ser un número entero mayor que 0"]
+  ];
+  for (const [field, min, message] of integerFields) {
+    if (!has(field) || cell(field) === '') continue;
+    const value = parseNumber(cell(field));
+    if (!Number.isInteger(value) || value < min) {
+      errors.push(message);
+    } else {
+      data[field] = value;
+    }
+  }
+
+  if (has('maxStock')) {
+    if (cell('maxStock') === '') {
+      data.maxStock = null;
+    } else {
+      const value = parseNumber(cell('maxStock'));
+      if (!Number.isInteger(value) || value < 0) {
+        errors.push("El stock máximo debe ser un número entero positivo");
+      } else {
+        data.maxStock = value;
+      }
+    }
+  }
+
+  if (has('supplierSku')) {
+    data.supplierSku = cell('supplierSku') || null;
+  }
+
+  if (has('precio') && cell('precio') !== '') {
+    const value = parseNumber(cell('precio'));
+    if (isNaN(value) || value < 0) {
+      errors.push("El precio debe ser un número positivo");
+    } else {
+      data.precio = value;
+    }
+  }
+
+  return { data, errors };
+};
+
+/**
+ * Calcula qué se haría con cada fila del archivo sin modificar nada
+ * @function planInventoryImport
+ * @async
+ * @param {Array} rows - Filas leídas con readImportFile
+ * @param {string[]} columns - Cabeceras presentes en el archivo
+ * @param {string} mode - Modo de importación (ver IMPORT_MODES)
+ * @returns {Promise<Object>} { rows, summary } con, por fila, la acción ("create", "update",
+ * "skip" o "error"), el producto existente, los datos a guardar, los cambios campo a campo y
+ * los errores, y el número de filas por acción
+ * @description Los productos se identifican por marca, nombre y peso. Una fila repetida en el
+ * archivo es un error, igual que un stock máximo menor que el stock mínimo resultante
+ */
+export const planInventoryImport = async (rows, columns, mode) => {
+  const items = await prisma.inventoryItem.findMany();
+  const itemsByKey = new Map(items.map(item => [getItemKey(item.marca, item.nombre, item.peso), item]));
+  const seenKeys = new Map();
+
+  const planned = rows.map((row, index) => {
+    // __rowNum__ es el índice de la fila en la hoja (0 = cabecera)
+    const rowNumber = row.__rowNum__ !== undefined ? row.__rowNum__ + 1 : index + 2;
+    const { data, errors } = parseImportRow(row, columns);
+    const entry = { row: rowNumber, marca: data.marca, nombre: data.nombre, peso: data.peso ?? null, action: 'error', changes: [], errors };
+
+    if (errors.length === 0) {
+      const key = getItemKey(data.marca, data.nombre, data.peso);
+      if (seenKeys.has(key)) {
+        errors.push(`Producto repetido en la fila ${seenKeys.get(key)}`);
+      } else {
+        seenKeys.set(key, rowNumber);
+      }
+
+      const existing = itemsByKey.get(key);
+      if (!existing && !data.tipo && errors.length === 0) {
+        errors.push("El tipo es obligatorio para dar de alta un producto");
+      }
+
+      const minStock = data.minStock ?? existing?.minStock ?? 0;
+      const maxStock = data.maxStock !== undefined ? data.maxStock : existing?.maxStock ?? null;
+      if (maxStock !== null && maxStock < minStock) {
+        errors.push("El stock máximo no puede ser menor que el stock mínimo");
+      }
+
+      if (errors.length === 0) {
+        if (existing) {
+          entry.inventoryItemId = existing.id;
+          entry.changes = Object.keys(COLUMNS)
+            .filter(field => data[field] !== undefined && data[field] !== existing[field])
+            .map(field => ({ field, from: existing[field], to: data[field] }));
+          entry.action = mode === 'create' || entry.changes.length === 0 ? 'skip' : 'update';
+        } else {
+          entry.changes = Object.keys(COLUMNS)
+            .filter(field => data[field] !== undefined)
+            .map(field => ({ field, from: null, to: data[field] }));
+          entry.action = mode === 'update' ? 'skip' : 'create';
+        }
+        entry.data = data;
+      }
+    }
+
+    return entry;
+  });
+
+  const summary = { create: 0, update: 0, skip: 0, error: 0 };
+  planned.forEach(entry => { summary[entry.action]++; });
+
+  return { rows: planned, summary };
+};
+
+/**
+ * Aplica una importación ya planificada
+ * @function applyInventoryImport
+ * @async
+ * @param {Array} plannedRows - Filas devueltas por planInventoryImport, sin errores
+ * @param {Object} user - Usuario autenticado (req.user) que importa
+ * @returns {Promise<{created: number, updated: number}>} Productos creados y actualizados
+ * @description Todo se aplica en una transacción. El stock inicial de los productos nuevos se
+ * registra como movimiento "initial" y las diferencias de stock de los existentes como
+ * "manual-adjust"; los cambios en los datos de reposición quedan en el historial de auditoría.
+ * Los productos nuevos heredan el proveedor de su marca
+ */
+export const applyInventoryImport = async (plannedRows, user) => prisma.$transaction(async (tx) => {
+  let created = 0;
+  let updated = 0;
+
+  for (const entry of plannedRows) {
+    const { stock, ...data } = entry.data;
+
+    if (entry.action === 'create') {
+      const sameBrandItem = await tx.inventoryItem.findFirst({
+        where: { marca: data.marca, supplierId: { not: null } },
+        select: { supplierId: true }
+      });
+
+      const item = await tx.inventoryItem.create({
+        data: { ...data, stock: 0, supplierId: sameBrandItem?.supplierId ?? null }
+      });
+
+      if (stock) {
+        await recordStockChange(tx, { inventoryItemId: item.id, delta: stock, reason: 'initial', user });
+      }
+      created++;
+    } else if (entry.action === 'update') {
+      const previousItem = await tx.inventoryItem.findUnique({ where: { id: entry.inventoryItemId } });
+      const item = await tx.inventoryItem.update({
+        where: { id: entry.inventoryItemId },
+        data
+      });
+      await recordItemChanges(tx, previousItem, item, { source: 'import', user });
+
+      const delta = stock === undefined ? 0 : stock - item.stock;
+      if (delta) {
+        await recordStockChange(tx, {
+          inventoryItemId: item.id,
+          delta,
+          reason: 'manual-adjust',
+          user,
+          notes: "Importación de inventario"
+        });
+      }
+      updated++;
+    }
+  }
+
+  return { created, updated };
+}, { timeout: 60000 });
@@ -0,0 +1,50 @@
+/**
+ * Campos de un producto cuyos cambios quedan registrados en el historial de auditoría
+ * @type {string[]}
+ * @description Son los datos que condicionan la reposición. El stock no se incluye porque
+ * tiene su propio historial de movimientos
+ */
+export const AUDITED_ITEM_FIELDS = ['minStock', 'maxStock', 'packSize', 'supplierSku', 'supplierId'];
+
+/**
+ * Serializa un valor para guardarlo en el historial
+ * @function serializeValue
+ * @param {*} value - Valor del campo
+ * @returns {string|null} Valor como texto o null si no tiene
+ */
+const serializeValue = (value) => (value === null || value === undefined ? null : String(value));
+
+/**
+ * Registra en el historial los campos auditados que han cambiado en un producto
+ * @function recordItemChanges
+ * @async
+ * @param {Object} tx - Cliente de Prisma de la transacción en curso
+ * @param {Object} previousItem - Producto antes del cambio
+ * @param {Object} updatedItem - Producto después del cambio
+ * @param {Object} options - Origen del cambio
+ * @param {string} options.source - "manual", "bulk", "min-stock-recommendation", "import" o
+ * "supplier-brands"
+ * @param {Object} [options.user] - Usuario autenticado (req.user) que hace el cambio
+ * @returns {Promise<number>} Número de cambios registrados
+ * @description Debe llamarse dentro de la misma transacción que actualiza el producto para que
+ * el historial nunca quede desalineado con los datos
+ */
+export const recordItemChanges = async (tx, previousItem, updatedItem, { source, user }) => {
+  const changes = AUDITED_ITEM_FIELDS
+    .filter(field => serializeValue(previousItem[field]) !== serializeValue(updatedItem[field]))
+    .map(field => ({
+      inventoryItemId: updatedItem.id,
+      field,
+      previousValue: serializeValue(previousItem[field]),
+      newValue: serializeValue(updatedItem[field]),
+      source,
+      userId: user?.userId ?? null,
+      userName: user?.name ?? null
+    }));
+
+  for (const change of changes) {
+    await tx.inventoryItemChange.create({ data: change });
+  }
+
+  return changes.length;
+};
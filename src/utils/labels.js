@@ -0,0 +1,304 @@
+import pkg from 'jspdf';
+import { hasValidCheckDigit } from "./barcodes.js";
+
+const { jsPDF } = pkg;
+
+/**
+ * Tamaño de una hoja A4 en milímetros
+ * @type {Object}
+ */
+const A4 = { width: 210, height: 297 };
+
+/**
+ * Formatos de hojas de etiquetas adhesivas estándar (medidas en milímetros)
+ * @type {Object<string, Object>}
+ * @description Cada formato indica columnas, filas, tamaño de la etiqueta, márgenes de la hoja y
+ * separación entre etiquetas. También se puede pedir una rejilla propia con columns y rows
+ */
+export const LABEL_LAYOUTS = {
+  'a4-3x8': { name: 'A4 3×8 (70 × 37 mm)', columns: 3, rows: 8, labelWidth: 70, labelHeight: 37, marginLeft: 0, marginTop: 0.5, gapX: 0, gapY: 0 },
+  'a4-3x7': { name: 'A4 3×7 (63,5 × 38,1 mm)', columns: 3, rows: 7, labelWidth: 63.5, labelHeight: 38.1, marginLeft: 7.2, marginTop: 15.15, gapX: 2.5, gapY: 0 },
+  'a4-2x7': { name: 'A4 2×7 (99,1 × 38,1 mm)', columns: 2, rows: 7, labelWidth: 99.1, labelHeight: 38.1, marginLeft: 4.65, marginTop: 15.15, gapX: 2.5, gapY: 0 },
+  'a4-4x10': { name: 'A4 4×10 (52,5 × 29,7 mm)', columns: 4, rows: 10, labelWidth: 52.5, labelHeight: 29.7, marginLeft: 0, marginTop: 0, gapX: 0, gapY: 0 }
+};
+
+/**
+ * Obtiene el formato de la hoja de etiquetas a partir de los parámetros de la petición
+ * @function resolveLabelLayout
+ * @param {Object} query - Parámetros de consulta
+ * @param {string} [query.layout=a4-3x8] - Formato predefinido (ver LABEL_LAYOUTS)
+ * @param {string} [query.columns] - Columnas de una rejilla propia (1-6, junto con rows)
+ * @param {string} [query.rows] - Filas de una rejilla propia (1-20, junto con columns)
+ * @param {string} [query.margin=0] - Margen de la hoja en mm para la rejilla propia (0-30)
+ * @returns {Object} { layout } con las medidas de la hoja o { error } si no es válida
+ */
+export const resolveLabelLayout = ({ layout, columns, rows, margin }) => {
+  if (columns === undefined && rows === undefined) {
+    const preset = LABEL_LAYOUTS[layout || 'a4-3x8'];
+    if (!preset) {
+      return { error: `Formato de etiquetas no válido. Valores permitidos: ${Object.keys(LABEL_LAYOUTS).join(', ')}` };
+    }
+    return { layout: preset };
+  }
+
+  const columnCount = parseInt(columns);
+  const rowCount = parseInt(rows);
+  const sheetMargin = margin === undefined || margin === '' ? 0 : parseFloat(margin);
+  if (isNaN(columnCount) || columnCount < 1 || columnCount > 6 || isNaN(rowCount) || rowCount < 1 || rowCount > 20) {
+    return { error: "La rejilla debe tener entre 1 y 6 columnas y entre 1 y 20 filas" };
+  }
+  if (isNaN(sheetMargin) || sheetMargin < 0 || sheetMargin > 30) {
+    return { error: "El margen de la hoja debe estar entre 0 y 30 mm" };
+  }
+
+  return {
+    layout: {
+      name: `A4 ${columnCount}×${rowCount}`,
+      columns: columnCount,
+      rows: rowCount,
+      labelWidth: (A4.width - sheetMargin * 2) / columnCount,
+      labelHeight: (A4.height - sheetMargin * 2) / rowCount,
+      marginLeft: sheetMargin,
+      marginTop: sheetMargin,
+      gapX: 0,
+      gapY: 0
+    }
+  };
+};
+
+/**
+ * Anchos de barras y espacios de cada símbolo Code128 (0-105) y del símbolo de parada (106)
+ * @type {string[]}
+ */
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+/**
+ * Códigos de los dígitos EAN en el juego L (los juegos G y R se derivan de él)
+ * @type {string[]}
+ */
+const EAN_L_CODES = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+
+/**
+ * Juego (L o G) de cada dígito de la mitad izquierda de un EAN-13 según el primer dígito
+ * @type {string[]}
+ */
+const EAN13_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+/**
+ * Codifica un dígito EAN en el juego indicado
+ * @function encodeEanDigit
+ * @param {string} digit - Dígito
+ * @param {string} set - "L", "G" o "R"
+ * @returns {string} Módulos del dígito (1 = barra, 0 = espacio)
+ */
+const encodeEanDigit = (digit, set) => {
+  const lCode = EAN_L_CODES[Number(digit)];
+  const rCode = lCode.split('').map(bit => (bit === '1' ? '0' : '1')).join('');
+  if (set === 'R') return rCode;
+  if (set === 'G') return rCode.split('').reverse().join('');
+  return lCode;
+};
+
+/**
+ * Codifica un EAN-13 o un EAN-8
+ * @function encodeEan
+ * @param {string} code - Código de 13 u 8 dígitos con dígito de control válido
+ * @returns {string} Módulos del código con sus guardas
+ */
+const encodeEan = (code) => {
+  const digits = code.length === 13 ? code.slice(1) : code;
+  const half = digits.length / 2;
+  const parity = code.length === 13 ? EAN13_PARITY[Number(code[0])] : 'L'.repeat(half);
+
+  const left = digits.slice(0, half).split('').map((digit, index) => encodeEanDigit(digit, parity[index])).join('');
+  const right = digits.slice(half).split('').map(digit => encodeEanDigit(digit, 'R')).join('');
+  return `101${left}01010${right}101`;
+};
+
+/**
+ * Codifica un texto en Code128 (juego C para números de longitud par y juego B para el resto)
+ * @function encodeCode128
+ * @param {string} code - Texto con caracteres ASCII imprimibles
+ * @returns {string|null} Módulos del código o null si contiene caracteres no codificables
+ */
+const encodeCode128 = (code) => {
+  let values;
+  if (/^\d+$/.test(code) && code.length % 2 === 0) {
+    values = [105, ...code.match(/\d{2}/g).map(Number)];
+  } else {
+    if (!/^[\x20-\x7e]+$/.test(code)) return null;
+    values = [104, ...code.split('').map(char => char.charCodeAt(0) - 32)];
+  }
+
+  const checksum = values.reduce((sum, value, index) => sum + value * (index === 0 ? 1 : index), 0) % 103;
+  return [...values, checksum, 106]
+    .map(value => CODE128_PATTERNS[value]
+      .split('')
+      .map((width, index) => (index % 2 === 0 ? '1' : '0').repeat(Number(width)))
+      .join(''))
+    .join('');
+};
+
+/**
+ * Codifica un código de barras para imprimirlo
+ * @function encodeBarcode
+ * @param {string} code - Código del producto
+ * @returns {Object|null} { symbology, modules } con el tipo de código ("EAN-13", "EAN-8" o
+ * "Code128") y sus módulos (1 = barra, 0 = espacio), o null si no se puede codificar
+ * @description Los EAN-13, EAN-8 y UPC-A (como EAN-13 con un 0 delante) con dígito de control
+ * válido se imprimen como EAN para que los lea cualquier lector; el resto, como Code128
+ */
+export const encodeBarcode = (code) => {
+  if (/^\d{12,13}$/.test(code) && hasValidCheckDigit(code)) {
+    return { symbology: 'EAN-13', modules: encodeEan(code.padStart(13, '0')) };
+  }
+  if (/^\d{8}$/.test(code) && hasValidCheckDigit(code)) {
+    return { symbology: 'EAN-8', modules: encodeEan(code) };
+  }
+  const modules = encodeCode128(code);
+  return modules ? { symbology: 'Code128', modules } : null;
+};
+
+/**
+ * Dibuja un código de barras dejando una zona en blanco de 10 módulos a cada lado
+ * @function drawBarcode
+ * @param {Object} doc - Documento jsPDF
+ * @param {string} modules - Módulos del código (1 = barra, 0 = espacio)
+ * @param {number} x - Posición horizontal en mm
+ * @param {number} y - Posición vertical en mm
+ * @param {number} width - Ancho disponible en mm (incluida la zona en blanco)
+ * @param {number} height - Alto de las barras en mm
+ * @returns {void} No retorna valor
+ */
+const drawBarcode = (doc, modules, x, y, width, height) => {
+  const moduleWidth = width / (modules.length + 20);
+  const start = x + moduleWidth * 10;
+
+  doc.setFillColor(0, 0, 0);
+  for (const match of modules.matchAll(/1+/g)) {
+    doc.rect(start + match.index * moduleWidth, y, match[0].length * moduleWidth, height, 'F');
+  }
+};
+
+/**
+ * Dibuja la etiqueta de estantería de un producto
+ * @function drawLabel
+ * @param {Object} doc - Documento jsPDF
+ * @param {Object} item - Producto (marca, nombre, peso, precio y barcode)
+ * @param {number} x - Posición horizontal de la etiqueta en mm
+ * @param {number} y - Posición vertical de la etiqueta en mm
+ * @param {Object} layout - Formato de la hoja (ver LABEL_LAYOUTS)
+ * @param {boolean} border - Si se dibuja el contorno de la etiqueta como guía de corte
+ * @returns {void} No retorna valor
+ * @description Los tamaños de letra y del código se ajustan al tamaño de la etiqueta tomando
+ * como referencia la de 70 × 37 mm
+ */
+const drawLabel = (doc, item, x, y, layout, border) => {
+  const { labelWidth: width, labelHeight: height } = layout;
+  const scale = Math.min(width / 70, height / 37);
+  const padding = 3 * scale;
+  const innerWidth = width - padding * 2;
+  const ptToMm = 0.3528;
+
+  if (border) {
+    doc.setDrawColor(200, 200, 200);
+    doc.setLineWidth(0.1);
+    doc.rect(x, y, width, height);
+  }
+
+  let cursor = y + padding;
+
+  // Marca
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(7 * scale);
+  doc.setTextColor(100, 100, 100);
+  cursor += 7 * scale * ptToMm;
+  doc.text(doc.splitTextToSize(item.marca.toUpperCase(), innerWidth)[0], x + padding, cursor);
+
+  // Nombre (hasta dos líneas)
+  doc.setFontSize(10 * scale);
+  doc.setTextColor(20, 20, 20);
+  const nameLines = doc.splitTextToSize(item.nombre, innerWidth).slice(0, 2);
+  for (const line of nameLines) {
+    cursor += 10 * scale * ptToMm * 1.15;
+    doc.text(line, x + padding, cursor);
+  }
+
+  // Peso y precio
+  cursor += 14 * scale * ptToMm * 1.1;
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(8 * scale);
+  doc.setTextColor(80, 80, 80);
+  doc.text(`${item.peso}g`, x + padding, cursor);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14 * scale);
+  doc.setTextColor(0, 0, 0);
+  doc.text(`${item.precio.toFixed(2).replace('.', ',')} €`, x + width - padding, cursor, { align: 'right' });
+
+  // Código de barras con el código legible debajo
+  const barcode = item.barcode ? encodeBarcode(item.barcode) : null;
+  if (!barcode) return;
+
+  const textSize = 6 * scale;
+  const bottom = y + height - padding * 0.6;
+  const barsTop = cursor + padding * 0.6;
+  const barsHeight = bottom - textSize * ptToMm * 1.2 - barsTop;
+  if (barsHeight < 4) return;
+
+  const barcodeWidth = Math.min(innerWidth, 50 * scale);
+  const barcodeX = x + (width - barcodeWidth) / 2;
+  drawBarcode(doc, barcode.modules, barcodeX, barsTop, barcodeWidth, barsHeight);
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(textSize);
+  doc.setTextColor(0, 0, 0);
+  doc.text(item.barcode, x + width / 2, bottom, { align: 'center' });
+};
+
+/**
+ * Genera una hoja de etiquetas de estantería en PDF
+ * @function renderLabelSheet
+ * @param {Array<Object>} items - Productos a etiquetar
+ * @param {Object} layout - Formato de la hoja (resultado de resolveLabelLayout)
+ * @param {Object} [options] - Opciones de impresión
+ * @param {number} [options.copies=1] - Etiquetas por producto
+ * @param {number} [options.skip=0] - Posiciones que se dejan en blanco al principio (hojas ya empezadas)
+ * @param {boolean} [options.border=false] - Dibujar el contorno de cada etiqueta
+ * @returns {Buffer} Contenido del PDF
+ * @description Las etiquetas se colocan por filas de izquierda a derecha y se añaden páginas
+ * cuando se llena la hoja. Los productos sin código de barras (o con uno que no se puede
+ * codificar) se imprimen sin él
+ */
+export const renderLabelSheet = (items, layout, { copies = 1, skip = 0, border = false } = {}) => {
+  const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  const perPage = layout.columns * layout.rows;
+  const labels = items.flatMap(item => new Array(copies).fill(item));
+
+  labels.forEach((item, index) => {
+    const position = index + skip;
+    if (position > 0 && position % perPage === 0) {
+      doc.addPage();
+    }
+
+    const slot = position % perPage;
+    const column = slot % layout.columns;
+    const row = Math.floor(slot / layout.columns);
+    const x = layout.marginLeft + column * (layout.labelWidth + layout.gapX);
+    const y = layout.marginTop + row * (layout.labelHeight + layout.gapY);
+    drawLabel(doc, item, x, y, layout, border);
+  });
+
+  return Buffer.from(doc.output('arraybuffer'));
+};
@@ -0,0 +1,130 @@
+import { PrismaClient } from "@prisma/client";
+import { getForecast } from "./forecast.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * Obtiene la configuración de las recomendaciones de stock mínimo
+ * @function getMinStockConfig
+ * @returns {Object} Factor de seguridad, plazo de entrega para productos sin proveedor o sin
+ * plazo, días de histórico y días mínimos con datos para recomendar
+ * @description Se configura con las variables de entorno MIN_STOCK_SAFETY_FACTOR (1.5),
+ * MIN_STOCK_DEFAULT_LEAD_TIME_DAYS (7), MIN_STOCK_HISTORY_DAYS (56) y MIN_STOCK_MIN_SAMPLE_DAYS (14)
+ */
+export const getMinStockConfig = () => ({
+  safetyFactor: parseFloat(process.env.MIN_STOCK_SAFETY_FACTOR) || 1.5,
+  defaultLeadTimeDays: parseInt(process.env.MIN_STOCK_DEFAULT_LEAD_TIME_DAYS) || 7,
+  historyDays: parseInt(process.env.MIN_STOCK_HISTORY_DAYS) || 56,
+  minSampleDays: parseInt(process.env.MIN_STOCK_MIN_SAMPLE_DAYS) || 14
+});
+
+/**
+ * Calcula el stock mínimo recomendado de un producto
+ * @function computeRecommendedMinStock
+ * @param {number} dailyUsage - Consumo diario medio observado
+ * @param {number} leadTimeDays - Plazo de entrega del proveedor en días
+ * @param {number} safetyFactor - Margen sobre el consumo previsto (1.5 = 50% más)
+ * @returns {number} Unidades que cubren el consumo durante el plazo de entrega con el margen indicado
+ */
+export const computeRecommendedMinStock = (dailyUsage, leadTimeDays, safetyFactor) =>
+  Math.ceil(dailyUsage * leadTimeDays * safetyFactor);
+
+/**
+ * Recalcula las recomendaciones de stock mínimo de todos los productos
+ * @function calculateMinStockRecommendations
+ * @async
+ * @param {Object} [options] - Opciones del cálculo
+ * @param {number} [options.safetyFactor] - Factor de seguridad (por defecto MIN_STOCK_SAFETY_FACTOR)
+ * @returns {Promise<{pending: number, removed: number}>} Recomendaciones pendientes de revisar
+ * y recomendaciones descartadas por coincidir ya con el stock mínimo o por falta de datos
+ * @description Solo se recomienda cuando hay al menos MIN_STOCK_MIN_SAMPLE_DAYS días con datos de
+ * consumo y el valor difiere del stock mínimo actual. Una recomendación ya aceptada o descartada
+ * no se vuelve a proponer mientras el valor recomendado y el stock mínimo no cambien
+ */
+export const calculateMinStockRecommendations = async ({ safetyFactor } = {}) => {
+  const config = getMinStockConfig();
+  const factor = safetyFactor ?? config.safetyFactor;
+
+  const [items, forecast, existing] = await Promise.all([
+    prisma.inventoryItem.findMany({
+      where: { archivedAt: null },
+      select: { id: true, minStock: true, supplier: { select: { leadTimeDays: true } } }
+    }),
+    getForecast({ days: config.historyDays, seasonality: false }),
+    prisma.minStockRecommendation.findMany()
+  ]);
+
+  const forecastByItem = new Map(forecast.map(entry => [entry.inventoryItemId, entry]));
+  const existingByItem = new Map(existing.map(recommendation => [recommendation.inventoryItemId, recommendation]));
+
+  let pending = 0;
+  let removed = 0;
+  for (const item of items) {
+    const itemForecast = forecastByItem.get(item.id);
+    const previous = existingByItem.get(item.id);
+    const leadTimeDays = item.supplier?.leadTimeDays || config.defaultLeadTimeDays;
+    const recommended = itemForecast && itemForecast.sampleDays >= config.minSampleDays
+      ? computeRecommendedMinStock(itemForecast.dailyUsage, leadTimeDays, factor)
+      : null;
+
+    if (recommended === null || recommended === item.minStock) {
+      if (previous?.status === 'pending') {
+        await prisma.minStockRecommendation.delete({ where: { id: previous.id } });
+        removed++;
+      }
+      continue;
+    }
+
+    const alreadyReviewed = previous && previous.status !== 'pending'
+      && previous.recommendedMinStock === recommended
+      && previous.currentMinStock === item.minStock;
+
+    const data = {
+      currentMinStock: item.minStock,
+      recommendedMinStock: recommended,
+      dailyUsage: itemForecast.dailyUsage,
+      leadTimeDays,
+      safetyFactor: factor,
+      sampleDays: itemForecast.sampleDays,
+      calculatedAt: new Date(),
+      ...(alreadyReviewed ? {} : { status: 'pending', reviewedAt: null, reviewedByName: null })
+    };
+
+    await prisma.minStockRecommendation.upsert({
+      where: { inventoryItemId: item.id },
+      create: { inventoryItemId: item.id, ...data },
+      update: data
+    });
+
+    if (!alreadyReviewed) pending++;
+  }
+
+  return { pending, removed };
+};
+
+/**
+ * Arranca el recálculo periódico de recomendaciones de stock mínimo
+ * @function startMinStockRecommendationsScheduler
+ * @returns {NodeJS.Timeout} Intervalo creado
+ * @description Calcula al arrancar y después cada MIN_STOCK_RECOMMENDATIONS_INTERVAL_HOURS horas
+ * (24 por defecto). Los errores se registran sin detener el servidor
+ */
+export const startMinStockRecommendationsScheduler = () => {
+  const intervalHours = parseInt(process.env.MIN_STOCK_RECOMMENDATIONS_INTERVAL_HOURS) || 24;
+
+  const run = async () => {
+    try {
+      const { pending } = await calculateMinStockRecommendations();
+      if (pending > 0) {
+        console.log(`📐 Recomendaciones de stock mínimo pendientes de revisar: ${pending}`);
+      }
+    } catch (error) {
+      console.error("Error calculando recomendaciones de stock mínimo:", error);
+    }
+  };
+
+  run();
+  const interval = setInterval(run, intervalHours * 60 * 60 * 1000);
+  interval.unref();
+  return interval;
+};
@@ -0,0 +1,64 @@
+/**
+ * Formato por defecto de los números de pedido
+ * @type {string}
+ */
+const DEFAULT_ORDER_NUMBER_FORMAT = '{prefix}-{year}-{seq}';
+
+/**
+ * Obtiene la configuración de numeración de pedidos
+ * @function getOrderNumberConfig
+ * @returns {{format: string, prefix: string, padding: number}} Formato, prefijo por defecto y
+ * número mínimo de dígitos del contador
+ * @description Se configura con las variables de entorno ORDER_NUMBER_FORMAT (marcadores
+ * {prefix}, {year} y {seq}), ORDER_NUMBER_PREFIX y ORDER_NUMBER_PADDING. Si el formato no
+ * incluye {seq} se usa el formato por defecto
+ */
+export const getOrderNumberConfig = () => {
+  const format = process.env.ORDER_NUMBER_FORMAT || DEFAULT_ORDER_NUMBER_FORMAT;
+
+  return {
+    format: format.includes('{seq}') ? format : DEFAULT_ORDER_NUMBER_FORMAT,
+    prefix: process.env.ORDER_NUMBER_PREFIX || 'ORD',
+    padding: parseInt(process.env.ORDER_NUMBER_PADDING) || 3
+  };
+};
+
+/**
+ * Genera el siguiente número de pedido reservándolo en la tabla de secuencias
+ * @function generateOrderNumber
+ * @async
+ * @param {Object} tx - Cliente de Prisma de la transacción en curso
+ * @param {Object} [options] - Opciones de numeración
+ * @param {string} [options.prefix] - Prefijo del número (por ejemplo el del proveedor)
+ * @returns {Promise<string>} Número de pedido, por defecto en formato ORD-YYYY-XXX
+ * @description Cada combinación de prefijo y año tiene su propio contador, que se incrementa
+ * de forma atómica. Debe llamarse dentro de la misma transacción que crea el pedido para que
+ * dos pedidos simultáneos nunca reciban el mismo número. El contador se rellena con ceros
+ * hasta el mínimo configurado y sigue creciendo a partir de 999. Si dos pedidos simultáneos
+ * intentan crear a la vez el contador de un prefijo y año nuevos, el segundo lo incrementa
+ */
+export const generateOrderNumber = async (tx, { prefix } = {}) => {
+  const config = getOrderNumberConfig();
+  const sequenceKey = config.format
+    .replace('{prefix}', prefix || config.prefix)
+    .replace('{year}', new Date().getFullYear());
+
+  let sequence;
+  try {
+    sequence = await tx.orderSequence.upsert({
+      where: { key: sequenceKey },
+      create: { key: sequenceKey, lastValue: 1 },
+      update: { lastValue: { increment: 1 } }
+    });
+  } catch (error) {
+    // El primer pedido de un prefijo y año crea el contador: si otro pedido simultáneo lo ha
+    // creado antes, la inserción falla por clave duplicada y basta con incrementarlo
+    if (error.code !== 'P2002') throw error;
+    sequence = await tx.orderSequence.update({
+      where: { key: sequenceKey },
+      data: { lastValue: { increment: 1 } }
+    });
+  }
+
+  return sequenceKey.replace('{seq}', sequence.lastValue.toString().padStart(config.padding, '0'));
+};
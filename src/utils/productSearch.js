@@ -0,0 +1,226 @@
+/**
+ * Campos de un producto en los que se busca, en el orden en que se concatenan
+ * @type {string[]}
+ */
+const SEARCH_FIELDS = ['marca', 'nombre'];
+
+/**
+ * Normaliza un texto para compararlo sin tildes ni mayúsculas, conservando la posición original de cada carácter
+ * @function normalizeWithMap
+ * @param {string} text - Texto original
+ * @returns {Object} { text, map } con el texto normalizado y, por cada carácter normalizado, su índice en el original
+ */
+const normalizeWithMap = (text) => {
+  let normalized = '';
+  const map = [];
+
+  for (let index = 0; index < text.length; index++) {
+    const chars = text[index].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    for (const char of chars) {
+      normalized += char;
+      map.push(index);
+    }
+  }
+
+  return { text: normalized, map };
+};
+
+/**
+ * Normaliza un texto para compararlo sin tildes ni mayúsculas
+ * @function normalizeText
+ * @param {string} text - Texto original
+ * @returns {string} Texto normalizado
+ */
+const normalizeText = (text) => normalizeWithMap(text).text;
+
+/**
+ * Indica si un carácter normalizado forma parte de una palabra
+ * @function isWordChar
+ * @param {string} char - Carácter
+ * @returns {boolean} true si es una letra o un número
+ */
+const isWordChar = (char) => /[a-z0-9]/.test(char || '');
+
+/**
+ * Distancia de edición entre dos textos contando las transposiciones como un solo error
+ * @function editDistance
+ * @param {string} a - Primer texto
+ * @param {string} b - Segundo texto
+ * @returns {number} Número mínimo de inserciones, borrados, sustituciones y transposiciones
+ */
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+};
+
+/**
+ * Errores de escritura que se toleran según la longitud de la palabra buscada
+ * @function allowedTypos
+ * @param {string} term - Palabra buscada normalizada
+ * @returns {number} 0 hasta 3 letras, 1 hasta 6 y 2 a partir de 7
+ */
+const allowedTypos = (term) => (term.length <= 3 ? 0 : term.length <= 6 ? 1 : 2);
+
+/**
+ * Busca la mejor coincidencia de una palabra de la búsqueda en el texto de un producto
+ * @function matchTerm
+ * @param {string} term - Palabra buscada normalizada
+ * @param {string} text - Marca y nombre del producto normalizados
+ * @param {Array<{start: number, end: number}>} words - Posición de cada palabra del texto
+ * @returns {Object|null} { score, positions } con la puntuación y las posiciones del texto que
+ * coinciden, o null si la palabra no aparece
+ * @description Por orden de preferencia: texto contenido (mejor si empieza una palabra o la
+ * completa), palabra con erratas y abreviatura (las letras aparecen en orden empezando una palabra,
+ * aunque salten de la marca al nombre)
+ */
+const matchTerm = (term, text, words) => {
+  let best = null;
+  const consider = (score, positions) => {
+    if (!best || score > best.score) best = { score, positions };
+  };
+  const range = (start, end) => Array.from({ length: end - start }, (_, i) => start + i);
+
+  // Texto contenido
+  for (let index = text.indexOf(term); index !== -1; index = text.indexOf(term, index + 1)) {
+    const wordStart = !isWordChar(text[index - 1]);
+    const wholeWord = wordStart && !isWordChar(text[index + term.length]);
+    consider(100 + (wordStart ? 20 : 0) + (wholeWord ? 10 : 0), range(index, index + term.length));
+  }
+  if (best) return best;
+
+  // Palabras con erratas (contra la palabra completa o su comienzo, por si aún se está escribiendo)
+  const typos = allowedTypos(term);
+  if (typos > 0) {
+    for (const word of words) {
+      const candidates = [[word.start, word.end]];
+      if (word.end - word.start > term.length) {
+        candidates.push([word.start, word.start + term.length]);
+      }
+      for (const [start, end] of candidates) {
+        const distance = editDistance(term, text.slice(start, end));
+        if (distance <= typos) {
+          consider(70 - distance * 15, range(start, end));
+        }
+      }
+    }
+  }
+  if (best) return best;
+
+  // Abreviaturas: letras en orden, empezando en el comienzo de una palabra
+  if (term.length >= 2) {
+    for (const word of words) {
+      if (text[word.start] !== term[0]) continue;
+      const positions = [word.start];
+      for (let index = word.start + 1; index < text.length && positions.length < term.length; index++) {
+        if (text[index] === term[positions.length]) positions.push(index);
+      }
+      if (positions.length < term.length) continue;
+
+      const jumps = positions.filter((position, i) => i > 0 && position !== positions[i - 1] + 1).length;
+      const wordStarts = positions.filter(position => !isWordChar(text[position - 1])).length;
+      consider(Math.max(10, 50 - jumps * 5 + wordStarts * 5), positions);
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Convierte posiciones del texto normalizado en rangos de cada campo original
+ * @function toHighlights
+ * @param {number[]} positions - Posiciones coincidentes en el texto normalizado
+ * @param {Array<{field: string, index: number}>} origins - Campo e índice original de cada posición
+ * @returns {Object} Por campo, lista de rangos { start, end } (end no incluido) ordenados y sin solapes
+ */
+const toHighlights = (positions, origins) => {
+  const highlights = Object.fromEntries(SEARCH_FIELDS.map(field => [field, []]));
+  const sorted = [...new Set(positions)].sort((a, b) => a - b);
+
+  for (const position of sorted) {
+    const { field, index } = origins[position];
+    const ranges = highlights[field];
+    const last = ranges[ranges.length - 1];
+    if (last && index <= last.end) {
+      last.end = Math.max(last.end, index + 1);
+    } else {
+      ranges.push({ start: index, end: index + 1 });
+    }
+  }
+
+  return highlights;
+};
+
+/**
+ * Busca productos por marca y nombre tolerando erratas, tildes, mayúsculas y abreviaturas
+ * @function searchProducts
+ * @param {Array<Object>} items - Productos (con marca y nombre)
+ * @param {string} query - Texto buscado
+ * @param {Object} [options] - Opciones
+ * @param {number} [options.limit=50] - Número máximo de resultados
+ * @returns {Object} { total, results } con el número de productos que coinciden y los mejores,
+ * cada uno con { item, score, highlights } ordenados de más a menos relevante
+ * @description Todas las palabras de la búsqueda deben coincidir en la marca o en el nombre.
+ * highlights indica, por campo, los rangos del texto original que coinciden para resaltarlos
+ */
+export const searchProducts = (items, query, { limit = 50 } = {}) => {
+  const terms = normalizeText(query).split(/[^a-z0-9]+/).filter(Boolean);
+  if (terms.length === 0) {
+    return { total: 0, results: [] };
+  }
+
+  const matches = [];
+  for (const item of items) {
+    let text = '';
+    const origins = [];
+    SEARCH_FIELDS.forEach((field, fieldIndex) => {
+      if (fieldIndex > 0) {
+        text += ' ';
+        origins.push({ field, index: -1 });
+      }
+      const normalized = normalizeWithMap(item[field] || '');
+      text += normalized.text;
+      origins.push(...normalized.map.map(index => ({ field, index })));
+    });
+
+    const words = [];
+    for (const match of text.matchAll(/[a-z0-9]+/g)) {
+      words.push({ start: match.index, end: match.index + match[0].length });
+    }
+
+    let score = 0;
+    const positions = [];
+    for (const term of terms) {
+      const termMatch = matchTerm(term, text, words);
+      if (!termMatch) {
+        score = null;
+        break;
+      }
+      score += termMatch.score;
+      positions.push(...termMatch.positions);
+    }
+
+    if (score !== null) {
+      matches.push({ item, score, highlights: toHighlights(positions, origins) });
+    }
+  }
+
+  matches.sort((a, b) =>
+    b.score - a.score ||
+    a.item.marca.localeCompare(b.item.marca, 'es') ||
+    a.item.nombre.localeCompare(b.item.nombre, 'es')
+  );
+
+  return { total: matches.length, results: matches.slice(0, limit) };
+};
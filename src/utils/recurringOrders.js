@@ -0,0 +1,166 @@
+import { PrismaClient } from "@prisma/client";
+import { generateOrderNumber } from "./orderNumbers.js";
+import { roundUpToPack } from "./restock.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * Include necesario para generar pedidos a partir de una plantilla
+ * @type {Object}
+ */
+export const templateInclude = {
+  supplier: true,
+  items: {
+    include: {
+      inventoryItem: true
+    }
+  }
+};
+
+/**
+ * Calcula la cantidad a pedir de una línea de plantilla según el stock actual
+ * @function computeRecurringQuantity
+ * @param {Object} templateItem - Línea de la plantilla (quantity = cantidad habitual)
+ * @param {Object} inventoryItem - Producto con stock, minStock y packSize actuales
+ * @returns {number} Unidades a pedir (nunca negativo), redondeadas a cajas completas
+ * @description La cantidad habitual se considera lo que se gasta entre pedidos, así que se
+ * pide lo necesario para terminar con el stock mínimo más esa cantidad: si hay stock de sobra
+ * por encima del mínimo se pide menos, y si se está por debajo se pide también la diferencia
+ */
+export const computeRecurringQuantity = (templateItem, inventoryItem) => {
+  const quantity = templateItem.quantity + inventoryItem.minStock - inventoryItem.stock;
+  return quantity > 0 ? roundUpToPack(quantity, inventoryItem.packSize || 1) : 0;
+};
+
+/**
+ * Crea un pedido en borrador a partir de una plantilla
+ * @function createOrderFromTemplate
+ * @async
+ * @param {Object} tx - Cliente de Prisma de la transacción en curso
+ * @param {Object} template - Plantilla con su proveedor e items (ver templateInclude)
+ * @param {Object} options - Opciones del pedido
+ * @param {number} options.userId - Usuario al que se asigna el pedido
+ * @param {boolean} [options.recompute=false] - Recalcular las cantidades con el stock actual
+ * @returns {Promise<Object|null>} Pedido creado o null si ninguna línea tiene cantidad
+ * @description Las líneas de productos archivados se omiten
+ */
+export const createOrderFromTemplate = async (tx, template, { userId, recompute = false }) => {
+  const items = template.items
+    .filter(templateItem => !templateItem.inventoryItem.archivedAt)
+    .map(templateItem => ({
+      inventoryItemId: templateItem.inventoryItemId,
+      quantityOrdered: recompute
+        ? computeRecurringQuantity(templateItem, templateItem.inventoryItem)
+        : templateItem.quantity,
+      priceAtTime: templateItem.inventoryItem.precio
+    }))
+    .filter(item => item.quantityOrdered > 0);
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  return tx.order.create({
+    data: {
+      orderNumber: await generateOrderNumber(tx, { prefix: template.supplier?.orderPrefix }),
+      type: template.supplier ? 'supplier' : 'general',
+      supplierId: template.supplier?.id ?? null,
+      totalItems: items.reduce((sum, item) => sum + item.quantityOrdered, 0),
+      totalPrice: items.reduce((sum, item) => sum + item.quantityOrdered * item.priceAtTime, 0),
+      notes: `Generado desde la plantilla "${template.name}"`,
+      userId,
+      items: {
+        create: items
+      }
+    }
+  });
+};
+
+/**
+ * Genera los pedidos recurrentes que tocan hoy
+ * @function generateDueRecurringOrders
+ * @async
+ * @param {Date} [now=new Date()] - Momento de referencia
+ * @returns {Promise<Array>} Pedidos en borrador creados
+ * @description Recorre las plantillas cuyo día de recurrencia es hoy y que aún no han generado
+ * pedido hoy. La plantilla se marca como generada de forma condicional dentro de la misma
+ * transacción que crea el pedido, así que ejecutar el proceso dos veces no duplica pedidos.
+ * El pedido se asigna al creador de la plantilla o, si ya no existe, al primer administrador
+ */
+export const generateDueRecurringOrders = async (now = new Date()) => {
+  const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  const templates = await prisma.orderTemplate.findMany({
+    where: {
+      recurrenceWeekday: now.getDay(),
+      OR: [
+        { lastGeneratedAt: null },
+        { lastGeneratedAt: { lt: startOfDay } }
+      ]
+    },
+    include: templateInclude
+  });
+
+  const createdOrders = [];
+  for (const template of templates) {
+    const owner = (template.createdById && await prisma.user.findUnique({ where: { id: template.createdById } }))
+      || await prisma.user.findFirst({ where: { role: 'admin' }, orderBy: { id: 'asc' } });
+
+    if (!owner) {
+      console.error(`No hay usuario al que asignar el pedido recurrente de la plantilla "${template.name}"`);
+      continue;
+    }
+
+    const order = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.orderTemplate.updateMany({
+        where: {
+          id: template.id,
+          OR: [
+            { lastGeneratedAt: null },
+            { lastGeneratedAt: { lt: startOfDay } }
+          ]
+        },
+        data: { lastGeneratedAt: now }
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      return createOrderFromTemplate(tx, template, { userId: owner.id, recompute: true });
+    });
+
+    if (order) {
+      createdOrders.push(order);
+    }
+  }
+
+  return createdOrders;
+};
+
+/**
+ * Arranca la comprobación periódica de pedidos recurrentes
+ * @function startRecurringOrdersScheduler
+ * @returns {NodeJS.Timeout} Intervalo creado
+ * @description Comprueba al arrancar y después cada RECURRING_ORDERS_INTERVAL_MINUTES minutos
+ * (60 por defecto). Los errores se registran sin detener el servidor
+ */
+export const startRecurringOrdersScheduler = () => {
+  const intervalMinutes = parseInt(process.env.RECURRING_ORDERS_INTERVAL_MINUTES) || 60;
+
+  const run = async () => {
+    try {
+      const orders = await generateDueRecurringOrders();
+      if (orders.length > 0) {
+        console.log(`🔁 Pedidos recurrentes generados: ${orders.map(order => order.orderNumber).join(', ')}`);
+      }
+    } catch (error) {
+      console.error("Error generando pedidos recurrentes:", error);
+    }
+  };
+
+  run();
+  const interval = setInterval(run, intervalMinutes * 60 * 1000);
+  interval.unref();
+  return interval;
+};
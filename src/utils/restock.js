@@ -0,0 +1,244 @@
+import { PrismaClient } from "@prisma/client";
+import { getForecast, getForecastConfig } from "./forecast.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * Políticas de reposición disponibles
+ * @type {string[]}
+ * @description "min" repone hasta el stock mínimo y "target" hasta un nivel objetivo
+ * (stock mínimo multiplicado por RESTOCK_TARGET_MULTIPLIER). Los productos con stock máximo
+ * propio se reponen siempre hasta ese nivel, sea cual sea la política
+ */
+export const RESTOCK_POLICIES = ['min', 'target'];
+
+/**
+ * Interpreta un booleano recibido por query string o variable de entorno
+ * @function parseBoolean
+ * @param {string|boolean|undefined} value - Valor recibido
+ * @param {boolean} defaultValue - Valor si no se indica
+ * @returns {boolean} Valor interpretado
+ */
+const parseBoolean = (value, defaultValue) => {
+  if (value === undefined || value === '') return defaultValue;
+  return value === true || value === 'true' || value === '1';
+};
+
+/**
+ * Obtiene la configuración de reposición por defecto
+ * @function getRestockConfig
+ * @returns {Object} Política, multiplicador del nivel objetivo, tamaño de paquete, cantidad para
+ * productos agotados sin mínimo, uso de velocidad de consumo (días de histórico y de cobertura)
+ * y si se completa el importe mínimo del proveedor
+ * @description Se configura con las variables de entorno RESTOCK_POLICY, RESTOCK_TARGET_MULTIPLIER,
+ * RESTOCK_PACK_SIZE, RESTOCK_EMPTY_QUANTITY, RESTOCK_USE_VELOCITY, RESTOCK_VELOCITY_DAYS,
+ * RESTOCK_COVERAGE_DAYS y RESTOCK_FILL_SUPPLIER_MINIMUM
+ */
+export const getRestockConfig = () => ({
+  policy: RESTOCK_POLICIES.includes(process.env.RESTOCK_POLICY) ? process.env.RESTOCK_POLICY : 'min',
+  targetMultiplier: parseFloat(process.env.RESTOCK_TARGET_MULTIPLIER) || 2,
+  packSize: parseInt(process.env.RESTOCK_PACK_SIZE) || 1,
+  emptyQuantity: parseInt(process.env.RESTOCK_EMPTY_QUANTITY) || 10,
+  useVelocity: parseBoolean(process.env.RESTOCK_USE_VELOCITY, false),
+  velocityDays: parseInt(process.env.RESTOCK_VELOCITY_DAYS) || 30,
+  coverageDays: parseInt(process.env.RESTOCK_COVERAGE_DAYS) || 14,
+  fillSupplierMinimum: parseBoolean(process.env.RESTOCK_FILL_SUPPLIER_MINIMUM, false)
+});
+
+/**
+ * Combina la configuración por defecto con los parámetros de la petición
+ * @function resolveRestockOptions
+ * @param {Object} query - Parámetros de consulta (mismos nombres que en getRestockConfig)
+ * @returns {Object} { options } con la configuración resultante o { error } si algún valor no es válido
+ */
+export const resolveRestockOptions = (query = {}) => {
+  const options = getRestockConfig();
+
+  if (query.policy !== undefined) {
+    if (!RESTOCK_POLICIES.includes(query.policy)) {
+      return { error: `Política de reposición no válida. Valores permitidos: ${RESTOCK_POLICIES.join(', ')}` };
+    }
+    options.policy = query.policy;
+  }
+
+  const numericParams = [
+    ['targetMultiplier', parseFloat, 1, "El multiplicador del nivel objetivo debe ser al menos 1"],
+    ['packSize', parseInt, 1, "El tamaño de paquete debe ser al menos 1"],
+    ['emptyQuantity', parseInt, 0, "La cantidad para productos agotados no puede ser negativa"],
+    ['velocityDays', parseInt, 1, "Los días de histórico deben ser al menos 1"],
+    ['coverageDays', parseInt, 0, "Los días de cobertura no pueden ser negativos"]
+  ];
+
+  for (const [name, parse, min, message] of numericParams) {
+    if (query[name] === undefined) continue;
+    const value = parse(query[name]);
+    if (isNaN(value) || value < min) {
+      return { error: message };
+    }
+    options[name] = value;
+  }
+
+  options.useVelocity = parseBoolean(query.useVelocity, options.useVelocity);
+  options.fillSupplierMinimum = parseBoolean(query.fillSupplierMinimum, options.fillSupplierMinimum);
+  options.seasonality = parseBoolean(query.seasonality, getForecastConfig().seasonality);
+
+  return { options };
+};
+
+/**
+ * Redondea una cantidad hacia arriba al múltiplo del tamaño de paquete
+ * @function roundUpToPack
+ * @param {number} quantity - Cantidad a redondear
+ * @param {number} packSize - Unidades por paquete
+ * @returns {number} Cantidad redondeada
+ */
+export const roundUpToPack = (quantity, packSize) => Math.ceil(quantity / packSize) * packSize;
+
+/**
+ * Obtiene las unidades por paquete con las que se pide un producto
+ * @function getPackSize
+ * @param {Object} item - Producto con packSize
+ * @param {Object} options - Configuración resuelta (packSize por defecto)
+ * @returns {number} Caja del proveedor si el producto la tiene, o el tamaño configurado
+ */
+const getPackSize = (item, options) => (item.packSize > 1 ? item.packSize : options.packSize);
+
+/**
+ * Calcula la cantidad sugerida de reposición de un producto
+ * @function computeRestockSuggestion
+ * @param {Object} item - Producto con stock, minStock, maxStock, packSize y proveedor
+ * @param {Object} options - Configuración resuelta (ver resolveRestockOptions)
+ * @param {number} [dailyVelocity=0] - Salida media diaria del producto
+ * @returns {Object} Punto de pedido, nivel objetivo, cantidad sugerida y motivo
+ * ("empty" si está agotado, "below-min" o null si no hace falta pedir)
+ * @description Se pide cuando el stock baja del punto de pedido (el stock mínimo o, con
+ * velocidad, lo que se consumirá durante el plazo de entrega del proveedor si es mayor) y se
+ * repone hasta el stock máximo del producto o, si no tiene, el nivel objetivo de la política,
+ * ampliado con la velocidad para cubrir también los días de cobertura. Los productos agotados
+ * sin stock mínimo reciben emptyQuantity. La cantidad se redondea a cajas completas
+ */
+export const computeRestockSuggestion = (item, options, dailyVelocity = 0) => {
+  const velocity = options.useVelocity ? dailyVelocity : 0;
+  const leadTimeDays = item.supplier?.leadTimeDays || 0;
+
+  const reorderPoint = Math.max(item.minStock, Math.ceil(velocity * leadTimeDays));
+  let policyLevel = item.minStock;
+  if (item.maxStock !== null && item.maxStock !== undefined) {
+    policyLevel = Math.max(item.maxStock, item.minStock);
+  } else if (options.policy === 'target') {
+    policyLevel = Math.ceil(item.minStock * options.targetMultiplier);
+  }
+  const targetLevel = Math.max(policyLevel, reorderPoint + Math.ceil(velocity * options.coverageDays));
+
+  let quantity = 0;
+  let reason = null;
+  if (item.stock <= 0) {
+    quantity = targetLevel > 0 ? targetLevel - item.stock : options.emptyQuantity;
+    reason = 'empty';
+  } else if (item.stock < reorderPoint) {
+    quantity = targetLevel - item.stock;
+    reason = 'below-min';
+  }
+
+  return {
+    reorderPoint,
+    targetLevel,
+    suggestedQuantity: quantity > 0 ? roundUpToPack(quantity, getPackSize(item, options)) : 0,
+    reason: quantity > 0 ? reason : null
+  };
+};
+
+/**
+ * Completa las sugerencias de un proveedor hasta alcanzar su importe mínimo de pedido
+ * @function fillSupplierMinimum
+ * @param {Array} suggestions - Sugerencias del proveedor (se modifican)
+ * @param {number} minOrderValue - Importe mínimo del proveedor
+ * @param {Object} options - Configuración resuelta (tamaño de paquete por defecto)
+ * @returns {void} No retorna valor
+ * @description Reparte cajas de una en una entre las líneas ya sugeridas, empezando por las
+ * que tienen menos stock respecto a su nivel objetivo. Las líneas sin precio no cuentan
+ */
+const fillSupplierMinimum = (suggestions, minOrderValue, options) => {
+  const lines = suggestions
+    .filter(line => line.suggestedQuantity > 0 && line.precio > 0)
+    .sort((a, b) => (a.stock / (a.targetLevel || 1)) - (b.stock / (b.targetLevel || 1)));
+
+  if (lines.length === 0) return;
+
+  let total = suggestions.reduce((sum, line) => sum + line.suggestedQuantity * line.precio, 0);
+  let index = 0;
+  while (total < minOrderValue) {
+    const line = lines[index % lines.length];
+    const packSize = getPackSize(line, options);
+    line.suggestedQuantity += packSize;
+    line.supplierTopUp += packSize;
+    total += packSize * line.precio;
+    index++;
+  }
+};
+
+/**
+ * Calcula las sugerencias de reposición del inventario
+ * @function getRestockSuggestions
+ * @async
+ * @param {Object} options - Configuración resuelta (ver resolveRestockOptions)
+ * @param {Object} [filters] - Filtros de productos
+ * @param {string} [filters.tipo] - Tipo de producto ("Tabaco" o "Producto")
+ * @param {string} [filters.marca] - Marca
+ * @param {number} [filters.supplierId] - Proveedor habitual
+ * @param {boolean} [filters.includeAll=false] - Devolver también los productos sin cantidad sugerida
+ * @returns {Promise<Object>} { items, suppliers } con las sugerencias por producto (incluida la
+ * previsión de días de cobertura y fecha de rotura) y el resumen por proveedor (importe
+ * sugerido, importe mínimo y lo que falta para alcanzarlo)
+ */
+export const getRestockSuggestions = async (options, filters = {}) => {
+  const where = { archivedAt: null };
+  if (filters.tipo) where.tipo = filters.tipo;
+  if (filters.marca) where.marca = filters.marca;
+  if (filters.supplierId) where.supplierId = filters.supplierId;
+
+  const [items, forecast] = await Promise.all([
+    prisma.inventoryItem.findMany({
+      where,
+      include: { supplier: true },
+      orderBy: [{ marca: 'asc' }, { nombre: 'asc' }]
+    }),
+    getForecast({ days: options.velocityDays, seasonality: options.seasonality })
+  ]);
+  const forecastByItem = new Map(forecast.map(entry => [entry.inventoryItemId, entry]));
+
+  const suggestions = items.map(({ supplier, ...item }) => {
+    const itemForecast = forecastByItem.get(item.id);
+    return {
+      ...item,
+      supplierName: supplier?.name || null,
+      dailyVelocity: itemForecast?.dailyUsage || 0,
+      daysOfCover: itemForecast?.daysOfCover ?? null,
+      stockoutDate: itemForecast?.stockoutDate ?? null,
+      ...computeRestockSuggestion({ ...item, supplier }, options, itemForecast?.dailyUsage),
+      supplierTopUp: 0
+    };
+  });
+
+  const suppliersById = new Map(items.filter(item => item.supplier).map(item => [item.supplier.id, item.supplier]));
+  const suppliers = [...suppliersById.values()].map(supplier => {
+    const lines = suggestions.filter(line => line.supplierId === supplier.id);
+    if (options.fillSupplierMinimum && supplier.minOrderValue > 0) {
+      fillSupplierMinimum(lines, supplier.minOrderValue, options);
+    }
+
+    const totalValue = lines.reduce((sum, line) => sum + line.suggestedQuantity * line.precio, 0);
+    return {
+      supplierId: supplier.id,
+      name: supplier.name,
+      minOrderValue: supplier.minOrderValue,
+      totalValue,
+      shortfall: totalValue > 0 ? Math.max(supplier.minOrderValue - totalValue, 0) : 0
+    };
+  });
+
+  return {
+    items: filters.includeAll ? suggestions : suggestions.filter(line => line.suggestedQuantity > 0),
+    suppliers: suppliers.filter(supplier => supplier.totalValue > 0)
+  };
+};
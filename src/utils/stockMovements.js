@@ -0,0 +1,101 @@
+/**
+ * Motivos válidos para un movimiento de stock
+ * @type {string[]}
+ * @description "initial" se usa al dar de alta un producto con stock, "manual-adjust" para
+ * correcciones manuales, "order-receipt" para recepciones de pedidos, "order-reversal" para
+ * recepciones revertidas y "consumption" para el consumo en sesiones. Las mermas (roturas,
+ * robos...) son ajustes manuales con su motivo de ajuste
+ */
+export const STOCK_MOVEMENT_REASONS = [
+  'initial',
+  'manual-adjust',
+  'order-receipt',
+  'order-reversal',
+  'consumption'
+];
+
+/**
+ * Motivos de ajuste manual de stock disponibles por defecto
+ * @type {Array<{code: string, label: string}>}
+ */
+const DEFAULT_ADJUSTMENT_REASONS = [
+  { code: 'breakage', label: 'Rotura' },
+  { code: 'theft', label: 'Robo' },
+  { code: 'count-correction', label: 'Corrección de recuento' },
+  { code: 'sample', label: 'Muestra' },
+  { code: 'gift', label: 'Regalo' }
+];
+
+/**
+ * Obtiene la lista de motivos de ajuste manual de stock
+ * @function getAdjustmentReasons
+ * @returns {Array<{code: string, label: string}>} Motivos configurados
+ * @description Se puede personalizar con la variable de entorno STOCK_ADJUSTMENT_REASONS
+ * con el formato "codigo:Etiqueta,codigo2:Etiqueta 2". Si no está definida se usan los
+ * motivos por defecto (rotura, robo, corrección de recuento, muestra y regalo)
+ */
+export const getAdjustmentReasons = () => {
+  const configured = process.env.STOCK_ADJUSTMENT_REASONS;
+  if (!configured) {
+    return DEFAULT_ADJUSTMENT_REASONS;
+  }
+
+  const reasons = configured
+    .split(',')
+    .map(entry => {
+      const [code, ...label] = entry.split(':');
+      return { code: code.trim(), label: label.join(':').trim() || code.trim() };
+    })
+    .filter(reason => reason.code);
+
+  return reasons.length > 0 ? reasons : DEFAULT_ADJUSTMENT_REASONS;
+};
+
+/**
+ * Aplica una variación de stock a un producto y registra el movimiento en el historial
+ * @function recordStockChange
+ * @async
+ * @param {Object} tx - Cliente de Prisma de la transacción en curso
+ * @param {Object} change - Datos del movimiento
+ * @param {number} change.inventoryItemId - ID del producto afectado
+ * @param {number} change.delta - Unidades a sumar (positivo) o restar (negativo)
+ * @param {string} change.reason - Motivo del movimiento (ver STOCK_MOVEMENT_REASONS)
+ * @param {string} [change.adjustmentReason] - Código del motivo de ajuste (ver getAdjustmentReasons)
+ * @param {Object} [change.user] - Usuario autenticado (req.user) que realiza el cambio
+ * @param {number} [change.orderItemId] - Item de pedido relacionado, si lo hay
+ * @param {string} [change.notes] - Observaciones del movimiento
+ * @returns {Promise<Object>} Objeto con el producto actualizado (item) y el movimiento creado (movement)
+ * @description Debe llamarse siempre dentro de prisma.$transaction para que la actualización
+ * del stock y el registro del movimiento se confirmen o se descarten juntos. Usa un incremento
+ * atómico, por lo que el stock resultante refleja el valor real tras el cambio.
+ */
+export const recordStockChange = async (tx, { inventoryItemId, delta, reason, adjustmentReason = null, user, orderItemId = null, notes = null }) => {
+  let item = await tx.inventoryItem.update({
+    where: { id: inventoryItemId },
+    data: { stock: { increment: delta } }
+  });
+
+  // Sin unidades en stock no puede quedar ninguna lata abierta
+  if (item.stock <= 0 && item.openedGrams !== null) {
+    item = await tx.inventoryItem.update({
+      where: { id: inventoryItemId },
+      data: { openedGrams: null }
+    });
+  }
+
+  const movement = await tx.stockMovement.create({
+    data: {
+      inventoryItemId,
+      delta,
+      resultingStock: item.stock,
+      reason,
+      adjustmentReason,
+      notes: notes || null,
+      userId: user?.userId ?? null,
+      userName: user?.name ?? null,
+      orderItemId
+    }
+  });
+
+  return { item, movement };
+};
@@ -0,0 +1,94 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execSync } from "node:child_process";
+import { rmSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// Base de datos SQLite temporal: debe configurarse antes de importar la aplicación, porque
+// cada módulo crea su propio PrismaClient al cargarse
+const dbFile = path.join(os.tmpdir(), `koloa-forecast-test-${process.pid}.db`);
+process.env.DATABASE_URL = `file:${dbFile}`;
+process.env.JWT_SECRET = "koloa-test-secret";
+
+let prisma;
+let server;
+let baseUrl;
+let token;
+
+/**
+ * Elimina la base de datos temporal y sus ficheros auxiliares
+ * @function removeDatabase
+ * @returns {void} No retorna valor
+ */
+const removeDatabase = () => {
+  for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+    rmSync(`${dbFile}${suffix}`, { force: true });
+  }
+};
+
+/**
+ * Devuelve el mediodía de hace unos días, para que el movimiento caiga dentro de ese día
+ * @function daysAgo
+ * @param {number} days - Días hacia atrás
+ * @returns {Date} Fecha a las 12:00 en hora local
+ */
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setHours(12, 0, 0, 0);
+  date.setDate(date.getDate() - days);
+  return date;
+};
+
+before(async () => {
+  removeDatabase();
+  execSync("npx prisma migrate deploy", { env: process.env, stdio: "ignore" });
+
+  const { PrismaClient } = await import("@prisma/client");
+  const { generateToken } = await import("../src/utils/jwt.js");
+  const { default: app } = await import("../src/app.js");
+
+  prisma = new PrismaClient();
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const user = await prisma.user.create({
+    data: { name: "Test", code: "0000", role: "admin" }
+  });
+  token = generateToken({ userId: user.id, name: user.name, role: user.role });
+});
+
+after(async () => {
+  if (server) {
+    await new Promise(resolve => server.close(resolve));
+  }
+  await prisma?.$disconnect();
+  removeDatabase();
+});
+
+test("la previsión solo cuenta el consumo, no los ajustes manuales ni las recepciones revertidas", async () => {
+  const item = await prisma.inventoryItem.create({
+    data: { tipo: "Tabaco", marca: "Test", nombre: "Previsión", peso: 200, stock: 20, precio: 10, createdAt: daysAgo(10) }
+  });
+
+  // Stock al inicio de la ventana: 35. Ningún día empieza agotado, así que cuentan los 7 días
+  await prisma.stockMovement.createMany({
+    data: [
+      { inventoryItemId: item.id, delta: -2, resultingStock: 33, reason: "consumption", createdAt: daysAgo(3) },
+      { inventoryItemId: item.id, delta: -10, resultingStock: 23, reason: "manual-adjust", adjustmentReason: "count-correction", createdAt: daysAgo(2) },
+      { inventoryItemId: item.id, delta: -3, resultingStock: 20, reason: "order-reversal", createdAt: daysAgo(1) }
+    ]
+  });
+
+  const response = await fetch(`${baseUrl}/api/inventory/forecast?days=7&seasonality=false&inventoryItemId=${item.id}`, {
+    headers: { "Authorization": `Bearer ${token}` }
+  });
+  assert.equal(response.status, 200);
+
+  const { items: [forecast] } = await response.json();
+  assert.equal(forecast.sampleDays, 7);
+  // 2 unidades consumidas en 7 días: 0,29 al día y 70 días de cobertura para 20 unidades
+  assert.equal(forecast.dailyUsage, 0.29);
+  assert.equal(forecast.daysOfCover, 70);
+});
@@ -0,0 +1,187 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execSync } from "node:child_process";
+import { rmSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// Base de datos SQLite temporal: debe configurarse antes de importar la aplicación, porque
+// cada módulo crea su propio PrismaClient al cargarse
+const dbFile = path.join(os.tmpdir(), `koloa-test-${process.pid}.db`);
+process.env.DATABASE_URL = `file:${dbFile}`;
+process.env.JWT_SECRET = "koloa-test-secret";
+
+const INITIAL_STOCK = 5;
+
+let prisma;
+let server;
+let baseUrl;
+let token;
+let user;
+let inventoryItem;
+
+/**
+ * Elimina la base de datos temporal y sus ficheros auxiliares
+ * @function removeDatabase
+ * @returns {void} No retorna valor
+ */
+const removeDatabase = () => {
+  for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+    rmSync(`${dbFile}${suffix}`, { force: true });
+  }
+};
+
+/**
+ * Lanza una petición PUT autenticada contra la API
+ * @function put
+ * @async
+ * @param {string} route - Ruta bajo /api
+ * @param {Object} [body] - Cuerpo de la petición
+ * @returns {Promise<Object>} { status, data } con el código HTTP y la respuesta
+ */
+const put = async (route, body = {}) => {
+  const response = await fetch(`${baseUrl}/api${route}`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${token}`
+    },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, data: await response.json() };
+};
+
+/**
+ * Crea un pedido enviado con una línea del producto de prueba
+ * @function createSentOrder
+ * @async
+ * @param {string} orderNumber - Número del pedido
+ * @param {number} quantityOrdered - Unidades pedidas
+ * @returns {Promise<Object>} Pedido con sus items
+ */
+const createSentOrder = (orderNumber, quantityOrdered) =>
+  prisma.order.create({
+    data: {
+      orderNumber,
+      type: "general",
+      status: "sent",
+      sentAt: new Date(),
+      totalItems: quantityOrdered,
+      totalPrice: quantityOrdered * inventoryItem.precio,
+      userId: user.id,
+      items: {
+        create: {
+          inventoryItemId: inventoryItem.id,
+          quantityOrdered,
+          priceAtTime: inventoryItem.precio
+        }
+      }
+    },
+    include: { items: true }
+  });
+
+before(async () => {
+  removeDatabase();
+  execSync("npx prisma migrate deploy", { env: process.env, stdio: "ignore" });
+
+  const { PrismaClient } = await import("@prisma/client");
+  const { generateToken } = await import("../src/utils/jwt.js");
+  const { default: app } = await import("../src/app.js");
+
+  prisma = new PrismaClient();
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  user = await prisma.user.create({
+    data: { name: "Test", code: "0000", role: "admin" }
+  });
+  token = generateToken({ userId: user.id, name: user.name, role: user.role });
+
+  inventoryItem = await prisma.inventoryItem.create({
+    data: { tipo: "Tabaco", marca: "Test", nombre: "Concurrencia", peso: 200, stock: INITIAL_STOCK, precio: 10 }
+  });
+});
+
+after(async () => {
+  if (server) {
+    await new Promise(resolve => server.close(resolve));
+  }
+  await prisma?.$disconnect();
+  removeDatabase();
+});
+
+test("las recepciones y confirmaciones simultáneas de un mismo producto no pierden unidades", async () => {
+  const firstOrder = await createSentOrder("TEST-001", 10);
+  const secondOrder = await createSentOrder("TEST-002", 4);
+  const firstLine = firstOrder.items[0];
+  const secondLine = secondOrder.items[0];
+
+  // Recepciones parciales que superan lo pedido (6 × 2 > 10) mezcladas con confirmaciones
+  // duplicadas de ambos pedidos, todo a la vez
+  const receipts = [
+    ...Array.from({ length: 6 }, () => ({
+      kind: "receive",
+      request: put(`/orders/${firstOrder.id}/items/${firstLine.id}/receive`, { quantityReceived: 2 })
+    })),
+    ...Array.from({ length: 2 }, () => ({
+      kind: "receive",
+      request: put(`/orders/${secondOrder.id}/items/${secondLine.id}/receive`, { quantityReceived: 1 })
+    })),
+    ...[firstOrder, firstOrder, secondOrder, secondOrder].map(order => ({
+      kind: "confirm",
+      orderId: order.id,
+      request: put(`/orders/${order.id}/confirm`)
+    }))
+  ];
+  const responses = await Promise.all(receipts.map(async receipt => ({ ...receipt, ...(await receipt.request) })));
+
+  const succeeded = responses.filter(response => response.status === 200);
+  assert.ok(succeeded.length > 0, "Alguna recepción debe completarse");
+
+  // Un pedido solo se puede confirmar una vez
+  for (const order of [firstOrder, secondOrder]) {
+    const confirmations = succeeded.filter(response => response.kind === "confirm" && response.orderId === order.id);
+    assert.ok(confirmations.length <= 1, `El pedido ${order.orderNumber} se confirmó más de una vez`);
+  }
+
+  const lines = await prisma.orderItem.findMany({
+    where: { id: { in: [firstLine.id, secondLine.id] } }
+  });
+  const totalReceived = lines.reduce((sum, line) => sum + line.quantityReceived, 0);
+
+  // Sin exceso de entrega no se recibe más de lo pedido
+  for (const line of lines) {
+    assert.ok(line.quantityReceived <= line.quantityOrdered, `La línea ${line.id} recibió más de lo pedido`);
+  }
+
+  // Las unidades que las respuestas dicen haber sumado coinciden con lo recibido
+  const reportedReceived = succeeded.reduce((sum, response) => sum + (response.kind === "receive"
+    ? response.data.stockUpdate.addedQuantity
+    : response.data.stockUpdates.reduce((total, update) => total + update.addedQuantity, 0)), 0);
+  assert.equal(reportedReceived, totalReceived);
+
+  // El stock final es el inicial más todo lo recibido
+  const finalItem = await prisma.inventoryItem.findUnique({ where: { id: inventoryItem.id } });
+  assert.equal(finalItem.stock, INITIAL_STOCK + totalReceived);
+
+  // Un movimiento por recepción, ligado a su línea y con la cantidad recibida
+  const movements = await prisma.stockMovement.findMany({
+    where: { inventoryItemId: inventoryItem.id, reason: "order-receipt" },
+    orderBy: { id: "asc" }
+  });
+  const receiptsWithUnits = succeeded.filter(response => response.kind === "receive" ||
+    response.data.stockUpdates.some(update => update.addedQuantity > 0)).length;
+  assert.equal(movements.length, receiptsWithUnits);
+  assert.equal(movements.reduce((sum, movement) => sum + movement.delta, 0), totalReceived);
+  for (const line of lines) {
+    const lineMovements = movements.filter(movement => movement.orderItemId === line.id);
+    assert.equal(lineMovements.reduce((sum, movement) => sum + movement.delta, 0), line.quantityReceived);
+  }
+
+  // El stock resultante de cada movimiento es coherente con el orden en que se aplicaron
+  movements.reduce((stock, movement) => {
+    assert.equal(movement.resultingStock, stock + movement.delta);
+    return movement.resultingStock;
+  }, INITIAL_STOCK);
+});